@@ -0,0 +1,495 @@
+/**
+ * TradingHub.Mk Search Algorithms
+ * Registry of optimization algorithms selectable by name
+ *
+ * Algorithm definition:
+ *   {
+ *     label,                 // shown in the settings dropdown
+ *     run(optimizer, parameters, config, options) => compiled results,
+ *     hyperparameters,       // defaults, overridden by config.algorithmOptions[name]
+ *     phases(optimizer, parameters, config) => [{ name, planned }]
+ *                            // expected evaluations per phase, for progress
+ *                            // and ETA; one 'search' phase of maxIterations
+ *                            // when omitted
+ *   }
+ *
+ * Algorithms drive the StrategyOptimizer they are given: they test
+ * parameter sets through optimizer.evaluateGeneration(), rank results with
+ * optimizer.fitness() and finish with optimizer.compileResults().
+ * Population-based ones report each generation through
+ * optimizer.completeGeneration(generation, fitnesses). Sets they
+ * build themselves go through optimizer.repairParameterSet() first, or
+ * they are recorded as infeasible when they break a parameter constraint.
+ * Algorithms declaring several phases start each one with
+ * optimizer.beginPhase(name, planned).
+ */
+
+// In Node the samplers are required; in the extension they are injected first
+if (typeof module !== 'undefined' && module.exports && typeof ParameterSampler === 'undefined') {
+    globalThis.ParameterSampler = require('./samplers');
+}
+
+class AlgorithmRegistry {
+    /**
+     * Register an algorithm under a name; re-registering replaces it
+     */
+    static register(name, definition) {
+        if (!definition || typeof definition.run !== 'function') {
+            throw new Error(`Algorithm "${name}" must provide run(optimizer, parameters, config, options)`);
+        }
+
+        AlgorithmRegistry.algorithms.set(name, {
+            name,
+            label: definition.label || name,
+            run: definition.run,
+            hyperparameters: { ...definition.hyperparameters },
+            phases: definition.phases || null
+        });
+    }
+
+    static has(name) {
+        return AlgorithmRegistry.algorithms.has(name);
+    }
+
+    static get(name) {
+        const algorithm = AlgorithmRegistry.algorithms.get(name);
+        if (!algorithm) {
+            throw new Error(`Unknown optimization algorithm: ${name}`);
+        }
+        return algorithm;
+    }
+
+    /**
+     * Names and labels in registration order, for dropdowns
+     */
+    static list() {
+        return Array.from(AlgorithmRegistry.algorithms.values())
+            .map(({ name, label }) => ({ name, label }));
+    }
+
+    /**
+     * Hyperparameters for a run: defaults merged with config.algorithmOptions[name]
+     */
+    static options(name, config = {}) {
+        return {
+            ...AlgorithmRegistry.get(name).hyperparameters,
+            ...(config.algorithmOptions?.[name] || {})
+        };
+    }
+}
+
+AlgorithmRegistry.algorithms = new Map();
+
+/**
+ * Maps parameter sets to points in the unit hypercube and back, so
+ * continuous algorithms can search integer, float and categorical
+ * dimensions alike. Categories occupy equal slices of [0, 1]; log-scale
+ * ranges are uniform in log space.
+ */
+class UnitSearchSpace {
+    constructor(parameters, optimizer) {
+        this.optimizer = optimizer;
+        this.dimensions = parameters.filter(param =>
+            optimizer.isCategorical(param) ||
+            ((param.type === 'integer' || param.type === 'float') && param.max > param.min)
+        );
+        this.fixed = parameters.filter(param => !this.dimensions.includes(param));
+    }
+
+    get size() {
+        return this.dimensions.length;
+    }
+
+    encode(parameterSet) {
+        return this.dimensions.map(param => {
+            const value = parameterSet[param.name];
+
+            if (this.optimizer.isCategorical(param)) {
+                const categories = this.optimizer.getCategories(param);
+                const index = Math.max(0, categories.indexOf(value));
+                return (index + 0.5) / categories.length;
+            }
+
+            return ParameterSampler.toUnit(param, value);
+        });
+    }
+
+    decode(point) {
+        const parameterSet = {};
+
+        this.fixed.forEach(param => {
+            parameterSet[param.name] = param.current;
+        });
+
+        this.dimensions.forEach((param, i) => {
+            const u = this.clamp(point[i]);
+
+            if (this.optimizer.isCategorical(param)) {
+                const categories = this.optimizer.getCategories(param);
+                parameterSet[param.name] = categories[Math.min(categories.length - 1, Math.floor(u * categories.length))];
+            } else {
+                // Integers land on the step grid; log-scale ranges map in log space
+                parameterSet[param.name] = ParameterSampler.fromUnit(param, u);
+            }
+        });
+
+        // Points that break a parameter constraint are moved to a valid set
+        return this.optimizer.repairParameterSet(parameterSet);
+    }
+
+    current(parameters) {
+        return this.encode(Object.fromEntries(parameters.map(param => [param.name, param.current])));
+    }
+
+    random() {
+        return this.dimensions.map(() => this.optimizer.random.next());
+    }
+
+    clamp(u) {
+        return Math.max(0, Math.min(1, u));
+    }
+}
+
+/**
+ * Simulated annealing - a random walk that accepts worse sets with a
+ * probability that shrinks as the temperature cools geometrically
+ */
+async function simulatedAnnealing(optimizer, parameters, config, options) {
+    console.log('Running simulated annealing...');
+
+    const space = new UnitSearchSpace(parameters, optimizer);
+    const budget = config.maxIterations;
+
+    let point = space.current(parameters);
+    let [current] = await optimizer.evaluateGeneration([space.decode(point)]);
+    if (!current) return optimizer.compileResults();
+
+    // Temperatures are relative to the first finite score so any objective scale works;
+    // infeasible sets score -Infinity and leave it unset
+    const finiteScale = result => {
+        const fitness = optimizer.fitness(result);
+        return Number.isFinite(fitness) && fitness !== 0 ? Math.abs(fitness) : null;
+    };
+    let scale = finiteScale(current);
+    const cooling = Math.pow(options.finalTemperature / options.initialTemperature, 1 / Math.max(1, budget - 1));
+    let temperature = options.initialTemperature;
+
+    while (optimizer.isOptimizing && optimizer.results.length < budget) {
+        const stepSize = options.stepSize * Math.sqrt(temperature / options.initialTemperature);
+        const candidatePoint = point.map(u => space.clamp(u + optimizer.random.gaussian() * Math.max(stepSize, 0.02)));
+        const [candidate] = await optimizer.evaluateGeneration([space.decode(candidatePoint)]);
+        if (!candidate) break;
+        scale = scale ?? finiteScale(candidate);
+
+        const delta = optimizer.fitness(candidate) - optimizer.fitness(current);
+        if (!(delta < 0) || optimizer.random.next() < Math.exp(delta / (temperature * (scale ?? 1)))) {
+            point = candidatePoint;
+            current = candidate;
+        }
+
+        temperature *= cooling;
+    }
+
+    return optimizer.compileResults();
+}
+
+/**
+ * Particle swarm optimization - particles are pulled towards their own
+ * best position and the swarm's best position
+ */
+async function particleSwarm(optimizer, parameters, config, options) {
+    console.log('Running particle swarm optimization...');
+
+    const space = new UnitSearchSpace(parameters, optimizer);
+    const budget = config.maxIterations;
+    const swarmSize = Math.min(budget, options.swarmSize || Math.min(20, Math.max(5, Math.floor(budget / 5))));
+
+    const particles = [];
+    for (let i = 0; i < swarmSize; i++) {
+        const position = i === 0 ? space.current(parameters) : space.random();
+        particles.push({
+            position,
+            velocity: position.map(() => (optimizer.random.next() * 2 - 1) * options.maxVelocity),
+            best: null,
+            bestPosition: position
+        });
+    }
+
+    let swarmBest = null;
+    let swarmBestPosition = particles[0].position;
+    let generation = 0;
+
+    while (optimizer.isOptimizing && optimizer.results.length < budget) {
+        const moving = particles.slice(0, budget - optimizer.results.length);
+        const evaluated = await optimizer.evaluateGeneration(moving.map(particle => space.decode(particle.position)));
+
+        evaluated.forEach((result, i) => {
+            const particle = moving[i];
+            if (!particle.best || optimizer.fitness(result) > optimizer.fitness(particle.best)) {
+                particle.best = result;
+                particle.bestPosition = [...particle.position];
+            }
+            if (!swarmBest || optimizer.fitness(result) > optimizer.fitness(swarmBest)) {
+                swarmBest = result;
+                swarmBestPosition = [...particle.position];
+            }
+        });
+        optimizer.completeGeneration(generation++, evaluated.map(result => optimizer.fitness(result)));
+
+        particles.forEach(particle => {
+            particle.velocity = particle.velocity.map((velocity, d) => {
+                const next = options.inertia * velocity +
+                    options.cognitive * optimizer.random.next() * (particle.bestPosition[d] - particle.position[d]) +
+                    options.social * optimizer.random.next() * (swarmBestPosition[d] - particle.position[d]);
+                return Math.max(-options.maxVelocity, Math.min(options.maxVelocity, next));
+            });
+            particle.position = particle.position.map((u, d) => {
+                const next = u + particle.velocity[d];
+                // Stop at the walls instead of sticking to them with full speed
+                if (next < 0 || next > 1) particle.velocity[d] = 0;
+                return space.clamp(next);
+            });
+        });
+    }
+
+    return optimizer.compileResults();
+}
+
+/**
+ * CMA-ES - samples a multivariate normal distribution and adapts its mean,
+ * covariance and step size towards the best samples (Hansen's (mu/mu_w, lambda)
+ * variant with rank-one and rank-mu updates)
+ */
+async function cmaEvolutionStrategy(optimizer, parameters, config, options) {
+    console.log('Running CMA-ES...');
+
+    const space = new UnitSearchSpace(parameters, optimizer);
+    const budget = config.maxIterations;
+    const n = space.size;
+
+    if (n === 0) {
+        await optimizer.evaluateGeneration([space.decode([])]);
+        return optimizer.compileResults();
+    }
+
+    // Strategy parameters
+    const lambda = Math.min(budget, options.populationSize || 4 + Math.floor(3 * Math.log(n)));
+    const mu = Math.max(1, Math.floor(lambda / 2));
+    const rawWeights = Array.from({ length: mu }, (_, i) => Math.log(mu + 0.5) - Math.log(i + 1));
+    const weightSum = rawWeights.reduce((sum, w) => sum + w, 0);
+    const weights = rawWeights.map(w => w / weightSum);
+    const mueff = 1 / weights.reduce((sum, w) => sum + w * w, 0);
+
+    const cc = (4 + mueff / n) / (n + 4 + 2 * mueff / n);
+    const cs = (mueff + 2) / (n + mueff + 5);
+    const c1 = 2 / ((n + 1.3) ** 2 + mueff);
+    const cmu = Math.min(1 - c1, 2 * (mueff - 2 + 1 / mueff) / ((n + 2) ** 2 + mueff));
+    const damps = 1 + 2 * Math.max(0, Math.sqrt((mueff - 1) / (n + 1)) - 1) + cs;
+    const chiN = Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n));
+
+    // Dynamic state
+    let mean = space.current(parameters);
+    let sigma = options.initialSigma;
+    let covariance = identityMatrix(n);
+    let basis = identityMatrix(n);
+    let scales = new Array(n).fill(1);
+    let pathC = new Array(n).fill(0);
+    let pathSigma = new Array(n).fill(0);
+    let generation = 0;
+
+    while (optimizer.isOptimizing && optimizer.results.length < budget) {
+        const count = Math.min(lambda, budget - optimizer.results.length);
+        const samples = [];
+
+        for (let k = 0; k < count; k++) {
+            // The script's own values are the first sample
+            if (generation === 0 && k === 0) {
+                samples.push([...mean]);
+                continue;
+            }
+
+            const z = Array.from({ length: n }, () => optimizer.random.gaussian());
+            const y = basis.map(row => row.reduce((sum, b, j) => sum + b * scales[j] * z[j], 0));
+            // Out-of-range samples are repaired onto the boundary
+            const point = mean.map((m, i) => space.clamp(m + sigma * y[i]));
+            samples.push(point);
+        }
+
+        const evaluated = await optimizer.evaluateGeneration(samples.map(point => space.decode(point)));
+        optimizer.completeGeneration(generation, evaluated.map(result => optimizer.fitness(result)));
+        if (evaluated.length < mu || count < lambda) break;
+
+        const ranked = evaluated
+            .map((result, k) => ({ fitness: optimizer.fitness(result), point: samples[k] }))
+            .sort((a, b) => {
+                const difference = b.fitness - a.fitness;
+                return Number.isNaN(difference) ? 0 : difference;
+            })
+            .slice(0, mu);
+
+        const oldMean = mean;
+        mean = oldMean.map((_, i) => ranked.reduce((sum, entry, r) => sum + weights[r] * entry.point[i], 0));
+        const meanShift = mean.map((m, i) => (m - oldMean[i]) / sigma);
+
+        // Step-size path uses C^(-1/2) = B diag(1/D) B^T
+        const projected = basis[0].map((_, j) => basis.reduce((sum, row, i) => sum + row[j] * meanShift[i], 0) / scales[j]);
+        const whitened = basis.map(row => row.reduce((sum, b, j) => sum + b * projected[j], 0));
+        const csFactor = Math.sqrt(cs * (2 - cs) * mueff);
+        pathSigma = pathSigma.map((p, i) => (1 - cs) * p + csFactor * whitened[i]);
+
+        const pathSigmaNorm = Math.sqrt(pathSigma.reduce((sum, p) => sum + p * p, 0));
+        generation++;
+        const hsig = pathSigmaNorm / Math.sqrt(1 - (1 - cs) ** (2 * generation)) / chiN < 1.4 + 2 / (n + 1) ? 1 : 0;
+
+        const ccFactor = Math.sqrt(cc * (2 - cc) * mueff);
+        pathC = pathC.map((p, i) => (1 - cc) * p + hsig * ccFactor * meanShift[i]);
+
+        const steps = ranked.map(entry => entry.point.map((x, i) => (x - oldMean[i]) / sigma));
+        covariance = covariance.map((row, i) => row.map((value, j) => {
+            const rankOne = pathC[i] * pathC[j] + (1 - hsig) * cc * (2 - cc) * value;
+            const rankMu = steps.reduce((sum, y, r) => sum + weights[r] * y[i] * y[j], 0);
+            return (1 - c1 - cmu) * value + c1 * rankOne + cmu * rankMu;
+        }));
+
+        sigma *= Math.exp((cs / damps) * (pathSigmaNorm / chiN - 1));
+        sigma = Math.min(sigma, 1);
+
+        ({ basis, scales } = symmetricEigen(covariance));
+    }
+
+    return optimizer.compileResults();
+}
+
+function identityMatrix(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Jacobi eigendecomposition of a symmetric matrix. Returns eigenvectors as
+ * the columns of `basis` and the square roots of the eigenvalues as `scales`.
+ */
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = identityMatrix(n);
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-20) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    return {
+        basis: v,
+        scales: a.map((row, i) => Math.sqrt(Math.max(row[i], 1e-20)))
+    };
+}
+
+// Built-in algorithms; the first five wrap the optimizer's own pipelines
+AlgorithmRegistry.register('basic', {
+    label: 'Basic (Fast)',
+    run: (optimizer, parameters, config) => optimizer.basicOptimization(parameters, config),
+    phases: (optimizer, parameters, config) => [
+        { name: 'grid', planned: optimizer.planGridEvaluations(parameters, config, 'basic', config.maxIterations) }
+    ]
+});
+
+AlgorithmRegistry.register('standard', {
+    label: 'Standard (Balanced)',
+    run: (optimizer, parameters, config) => optimizer.standardOptimization(parameters, config),
+    phases: (optimizer, parameters, config) => {
+        const grid = optimizer.planGridEvaluations(parameters, config, 'coarse', Math.floor(config.maxIterations * 0.6));
+        return [{ name: 'grid', planned: grid }, { name: 'refine', planned: config.maxIterations - grid }];
+    }
+});
+
+AlgorithmRegistry.register('deep', {
+    label: 'Deep (Thorough)',
+    run: (optimizer, parameters, config) => optimizer.deepOptimization(parameters, config),
+    phases: (optimizer, parameters, config) => {
+        const max = config.maxIterations;
+        const grid = optimizer.planGridEvaluations(parameters, config, 'coarse', Math.floor(max * 0.3));
+        const genetic = optimizer.planGeneticEvaluations(Math.floor(max * 0.4), grid);
+        return [
+            { name: 'grid', planned: grid },
+            { name: 'genetic', planned: genetic },
+            { name: 'local', planned: max - grid - genetic }
+        ];
+    }
+});
+
+AlgorithmRegistry.register('walkforward', {
+    label: 'Walk-Forward (Out-of-Sample)',
+    run: (optimizer, parameters, config) => optimizer.walkForwardOptimization(parameters, config),
+    // Each window searches its share of the budget, then tests the winner out of sample
+    phases: (optimizer, parameters, config) => {
+        const windows = config.walkForwardWindows || 5;
+        const perWindow = Math.max(1, Math.floor(config.maxIterations / windows) - 1) + 1;
+        return Array.from({ length: windows }, (_, i) => ({ name: `window ${i + 1}`, planned: perWindow }));
+    }
+});
+
+AlgorithmRegistry.register('multiobjective', {
+    label: 'Multi-Objective (Return, Profit Factor, Drawdown)',
+    run: (optimizer, parameters, config) => optimizer.multiObjectiveOptimization(parameters, config)
+});
+
+AlgorithmRegistry.register('bayesian', {
+    label: 'Bayesian (TPE, Fewest Backtests)',
+    run: (optimizer, parameters, config) => optimizer.bayesianOptimization(parameters, config)
+});
+
+AlgorithmRegistry.register('annealing', {
+    label: 'Simulated Annealing',
+    run: simulatedAnnealing,
+    hyperparameters: { initialTemperature: 0.1, finalTemperature: 0.001, stepSize: 0.15 }
+});
+
+AlgorithmRegistry.register('pso', {
+    label: 'Particle Swarm',
+    run: particleSwarm,
+    hyperparameters: { swarmSize: null, inertia: 0.7, cognitive: 1.5, social: 1.5, maxVelocity: 0.2 }
+});
+
+AlgorithmRegistry.register('cmaes', {
+    label: 'CMA-ES (Covariance Matrix Adaptation)',
+    run: cmaEvolutionStrategy,
+    hyperparameters: { populationSize: null, initialSigma: 0.3 }
+});
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AlgorithmRegistry, UnitSearchSpace, symmetricEigen };
+}
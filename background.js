@@ -96,12 +96,25 @@ class BackgroundController {
                     settings: {
                         autoOptimize: false,
                         optimizationDepth: 'standard',
+                        samplingMethod: 'grid',
                         maxIterations: 100,
+                        earlyStoppingPatience: 0,
+                        targetScore: null,
+                        maxDuration: 0,
+                        walkForwardWindows: 5,
+                        walkForwardAnchored: false,
+                        objectiveFormula: '',
+                        objectiveConstraints: [],
+                        parameterConstraints: [],
+                        seed: null,
+                        sensitivityAnalysis: false,
                         theme: 'light',
                         notifications: true,
                         showAdvanced: false,
                         cacheResults: true,
-                        parallelProcessing: false
+                        cacheMaxEntries: 5000,
+                        parallelProcessing: false,
+                        workerPoolSize: 4
                     }
                 });
             }
@@ -124,6 +137,12 @@ class BackgroundController {
             case 'STOP_OPTIMIZATION':
                 return this.handleStopOptimization(data);
                 
+            case 'PAUSE_OPTIMIZATION':
+                return this.handlePauseOptimization(data);
+                
+            case 'RESUME_OPTIMIZATION':
+                return this.handleResumeOptimization(data);
+                
             case 'CONTENT_SCRIPT_READY':
                 return this.handleContentScriptReady(data, sender);
                 
@@ -145,9 +164,17 @@ class BackgroundController {
         // Update extension state
         this.extensionState.lastActivity = data.timestamp;
         
+        // Written by the content script's CheckpointStore
+        const { optimizationCheckpoint } = await chrome.storage.local.get('optimizationCheckpoint');
+        
         return {
             success: true,
-            state: this.extensionState
+            state: this.extensionState,
+            checkpoint: optimizationCheckpoint ? {
+                savedAt: optimizationCheckpoint.savedAt,
+                paused: optimizationCheckpoint.paused,
+                evaluations: optimizationCheckpoint.evaluations.length
+            } : null
         };
     }
     
@@ -267,6 +294,57 @@ class BackgroundController {
         }
     }
     
+    async handlePauseOptimization(data) {
+        console.log('Pausing optimization...');
+        
+        try {
+            if (this.extensionState.currentTab) {
+                return await this.sendMessageToContentScript(this.extensionState.currentTab.id, {
+                    type: 'PAUSE_OPTIMIZATION',
+                    timestamp: data.timestamp
+                });
+            } else {
+                return {
+                    success: false,
+                    error: 'No active TradingView tab found'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Error in handlePauseOptimization:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async handleResumeOptimization(data) {
+        console.log('Resuming optimization...');
+        
+        try {
+            if (this.extensionState.currentTab) {
+                // Resuming from a checkpoint runs until the optimization finishes
+                return await this.sendMessageToContentScript(this.extensionState.currentTab.id, {
+                    type: 'RESUME_OPTIMIZATION',
+                    timestamp: data.timestamp
+                });
+            } else {
+                return {
+                    success: false,
+                    error: 'No active TradingView tab found'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Error in handleResumeOptimization:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     async handleContentScriptReady(data, sender) {
         console.log('Content script ready on tab:', sender.tab.id);
         
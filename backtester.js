@@ -0,0 +1,529 @@
+/**
+ * TradingHub.Mk Backtester
+ * Bar-by-bar strategy simulation over OHLCV data, modelled on Pine's broker emulator
+ */
+
+const MAX_PROFIT_FACTOR = 100;
+
+class Backtester {
+    constructor(options = {}) {
+        this.options = {
+            initialCapital: 100000,
+            commissionType: 'percent', // percent | cash_per_contract | cash_per_order
+            commissionValue: 0,
+            slippage: 0, // ticks applied to market and stop fills
+            mintick: 0.01,
+            pyramiding: 0, // total entries allowed in the same direction; 0 and 1 both allow a single entry
+            defaultQtyType: 'fixed', // fixed | percent_of_equity | cash
+            defaultQtyValue: 1,
+            processOrdersOnClose: false,
+            periodsPerYear: 252,
+            ...options
+        };
+
+        this.state = null;
+    }
+
+    /**
+     * Run a strategy over an array of { time, open, high, low, close, volume } bars.
+     * The strategy is called once per bar close with a context exposing
+     * entry/exit/close/closeAll/cancel/cancelAll, mirroring strategy.* in Pine.
+     */
+    run(bars, strategy) {
+        if (!Array.isArray(bars) || bars.length === 0) {
+            throw new Error('Backtest requires at least one bar');
+        }
+        if (typeof strategy !== 'function') {
+            throw new Error('Backtest strategy must be a function');
+        }
+
+        this.state = {
+            bars,
+            index: 0,
+            orderSequence: 0,
+            pendingOrders: [],
+            openTrades: [],
+            closedTrades: [],
+            netProfit: 0,
+            equityCurve: [],
+            warnedExits: new Set(),
+            warnings: []
+        };
+
+        const context = this.createContext();
+
+        for (let i = 0; i < bars.length; i++) {
+            this.state.index = i;
+
+            // Orders placed on the previous bar fill on this one
+            if (i > 0) {
+                this.processBar(bars[i]);
+            }
+
+            strategy(context, i);
+
+            if (this.options.processOrdersOnClose) {
+                this.fillMarketOrders(bars[i].close, bars[i]);
+            }
+
+            this.state.equityCurve.push({
+                time: bars[i].time,
+                equity: this.getEquity(bars[i].close)
+            });
+        }
+
+        return {
+            trades: this.state.closedTrades,
+            openTrades: this.state.openTrades,
+            equityCurve: this.state.equityCurve,
+            warnings: this.state.warnings,
+            metrics: this.calculateMetrics()
+        };
+    }
+
+    createContext() {
+        const backtester = this;
+
+        return {
+            get bars() { return backtester.state.bars; },
+            get index() { return backtester.state.index; },
+            get bar() { return backtester.state.bars[backtester.state.index]; },
+            get position() { return backtester.getPosition(); },
+            get equity() { return backtester.getEquity(backtester.state.bars[backtester.state.index].close); },
+            get openTrades() { return backtester.state.openTrades.length; },
+            get closedTrades() { return backtester.state.closedTrades.length; },
+
+            entry: (id, direction, options = {}) => this.placeEntry(id, direction, options),
+            exit: (id, fromEntry, options = {}) => this.placeExit(id, fromEntry, options),
+            close: (id, options = {}) => this.placeClose(id, options),
+            closeAll: () => this.placeClose(null, {}),
+            cancel: (id) => this.cancelOrders(id),
+            cancelAll: () => this.cancelOrders(null)
+        };
+    }
+
+    /**
+     * Order placement
+     */
+    placeEntry(id, direction, options) {
+        if (direction !== 'long' && direction !== 'short') {
+            throw new Error(`Invalid entry direction: ${direction}`);
+        }
+
+        // Placing an entry with an existing id modifies the pending order
+        this.removePending(order => order.kind === 'entry' && order.id === id);
+
+        this.state.pendingOrders.push({
+            kind: 'entry',
+            id,
+            direction,
+            qty: options.qty ?? null,
+            limit: this.toPrice(options.limit),
+            stop: this.toPrice(options.stop),
+            stopTriggered: false,
+            sequence: this.state.orderSequence++
+        });
+    }
+
+    placeExit(id, fromEntry, options) {
+        const exit = {
+            kind: 'exit',
+            id,
+            fromEntry: fromEntry || null,
+            qtyPercent: options.qtyPercent ?? 100,
+            profit: this.toPrice(options.profit),
+            loss: this.toPrice(options.loss),
+            limit: this.toPrice(options.limit),
+            stop: this.toPrice(options.stop),
+            filledTrades: new Set(),
+            sequence: this.state.orderSequence++
+        };
+
+        // Scripts usually place their exits on every bar, so each id is reported once
+        const levelless = exit.profit === null && exit.loss === null && exit.limit === null && exit.stop === null;
+        if (levelless && !this.state.warnedExits.has(id)) {
+            this.state.warnedExits.add(id);
+            this.state.warnings.push(`Exit "${id}" has no profit, loss, limit or stop and will never fill`);
+        }
+
+        this.removePending(order => order.kind === 'exit' && order.id === id);
+        this.state.pendingOrders.push(exit);
+    }
+
+    placeClose(id, options) {
+        if (!this.state.openTrades.some(trade => id === null || trade.entryId === id)) {
+            return;
+        }
+
+        this.state.pendingOrders.push({
+            kind: 'close',
+            id,
+            qty: options.qty ?? null,
+            sequence: this.state.orderSequence++
+        });
+    }
+
+    cancelOrders(id) {
+        this.removePending(order => order.kind !== 'close' && (id === null || order.id === id));
+    }
+
+    removePending(predicate) {
+        this.state.pendingOrders = this.state.pendingOrders.filter(order => !predicate(order));
+    }
+
+    /**
+     * Order execution
+     */
+    processBar(bar) {
+        this.fillMarketOrders(bar.open, bar);
+        this.fillPriceOrders(bar);
+    }
+
+    fillMarketOrders(price, bar) {
+        const marketOrders = this.state.pendingOrders
+            .filter(order => order.kind === 'close' ||
+                (order.kind === 'entry' && order.limit === null && order.stop === null));
+
+        marketOrders.forEach(order => {
+            this.removePending(pending => pending === order);
+
+            if (order.kind === 'close') {
+                this.closeTrades(order.id, order.qty, price, bar, order.id === null ? 'Close all' : `Close ${order.id}`, true);
+            } else {
+                this.executeEntry(order, price, bar, true);
+            }
+        });
+    }
+
+    /**
+     * Walk the intrabar path the way Pine's broker emulator assumes it:
+     * open -> high -> low -> close when the open is nearer the high, otherwise
+     * open -> low -> high -> close, filling limit and stop orders as they are touched.
+     */
+    fillPriceOrders(bar) {
+        const path = Math.abs(bar.high - bar.open) <= Math.abs(bar.open - bar.low)
+            ? [bar.open, bar.high, bar.low, bar.close]
+            : [bar.open, bar.low, bar.high, bar.close];
+
+        for (let segment = 0; segment < path.length - 1; segment++) {
+            let from = path[segment];
+            const to = path[segment + 1];
+
+            // Keep filling the earliest triggered order until none remain in this segment
+            for (let guard = 0; guard < 1000; guard++) {
+                const hit = this.findNextTrigger(from, to);
+                if (!hit) break;
+
+                this.executeTrigger(hit, bar);
+                from = hit.price;
+            }
+        }
+    }
+
+    findNextTrigger(from, to) {
+        let best = null;
+
+        // A trigger fires at the segment start if price is already through it (a gap),
+        // otherwise at its own level once the segment reaches it
+        const consider = (level, above, candidate) => {
+            if (level === null) return;
+
+            const reached = price => (above ? price >= level : price <= level);
+            let price;
+            if (reached(from)) {
+                price = from;
+            } else if (reached(to)) {
+                price = level;
+            } else {
+                return;
+            }
+
+            const distance = Math.abs(price - from);
+            if (!best || distance < best.distance ||
+                (distance === best.distance && candidate.order.sequence < best.order.sequence)) {
+                best = { ...candidate, price, distance };
+            }
+        };
+
+        this.state.pendingOrders.forEach(order => {
+            if (order.kind === 'entry') {
+                const isLong = order.direction === 'long';
+
+                if (order.stop !== null && !order.stopTriggered) {
+                    consider(order.stop, isLong, { order, trigger: 'stop' });
+                } else if (order.limit !== null) {
+                    consider(order.limit, !isLong, { order, trigger: 'limit' });
+                }
+            } else if (order.kind === 'exit') {
+                this.state.openTrades
+                    .filter(trade => this.isExitTarget(order, trade))
+                    .forEach(trade => {
+                        const levels = this.getExitLevels(order, trade);
+                        const isLong = trade.direction === 'long';
+
+                        consider(levels.limit, isLong, { order, trade, trigger: 'limit' });
+                        consider(levels.stop, !isLong, { order, trade, trigger: 'stop' });
+                    });
+            }
+        });
+
+        return best;
+    }
+
+    executeTrigger(hit, bar) {
+        const { order, trade, trigger, price } = hit;
+
+        if (order.kind === 'entry') {
+            if (trigger === 'stop' && order.limit !== null) {
+                // Stop-limit: the stop arms a limit order at the limit price
+                order.stopTriggered = true;
+                return;
+            }
+
+            this.removePending(pending => pending === order);
+            this.executeEntry(order, price, bar, trigger === 'stop');
+            return;
+        }
+
+        // Each exit fills at most once per trade, even when it only closes part of it
+        const qty = trade.qty * Math.min(100, order.qtyPercent) / 100;
+        order.filledTrades.add(trade);
+        this.closeTrade(trade, qty, price, bar, order.id, trigger === 'stop');
+
+        // An exit stays active while it still has trades to protect
+        if (!this.state.openTrades.some(open => this.isExitTarget(order, open))) {
+            this.removePending(pending => pending === order);
+        }
+    }
+
+    isExitTarget(order, trade) {
+        return (order.fromEntry === null || trade.entryId === order.fromEntry) && !order.filledTrades.has(trade);
+    }
+
+    getExitLevels(order, trade) {
+        const isLong = trade.direction === 'long';
+        const tick = this.options.mintick;
+        let limit = order.limit;
+        let stop = order.stop;
+
+        if (limit === null && order.profit !== null) {
+            limit = isLong ? trade.entryPrice + order.profit * tick : trade.entryPrice - order.profit * tick;
+        }
+        if (stop === null && order.loss !== null) {
+            stop = isLong ? trade.entryPrice - order.loss * tick : trade.entryPrice + order.loss * tick;
+        }
+
+        return { limit, stop };
+    }
+
+    executeEntry(order, price, bar, slipped) {
+        const sameDirection = this.state.openTrades.filter(trade => trade.direction === order.direction);
+        const opposite = this.state.openTrades.filter(trade => trade.direction !== order.direction);
+
+        // Entries in the same direction are capped by pyramiding
+        if (opposite.length === 0 && sameDirection.length >= Math.max(1, this.options.pyramiding)) {
+            return;
+        }
+
+        const fillPrice = slipped ? this.applySlippage(price, order.direction === 'long') : price;
+
+        // An entry in the opposite direction reverses the position
+        if (opposite.length > 0) {
+            this.closeTrades(null, null, price, bar, order.id, slipped);
+        }
+
+        const qty = order.qty ?? this.calculateDefaultQty(fillPrice, bar);
+        if (!(qty > 0)) return;
+
+        this.state.openTrades.push({
+            entryId: order.id,
+            direction: order.direction,
+            qty,
+            entryPrice: fillPrice,
+            entryBar: this.state.index,
+            entryTime: bar.time,
+            entryCommission: this.calculateCommission(fillPrice, qty)
+        });
+    }
+
+    closeTrades(entryId, qty, price, bar, exitId, slipped) {
+        let remaining = qty;
+
+        // Trades are closed first-in, first-out
+        [...this.state.openTrades]
+            .filter(trade => entryId === null || trade.entryId === entryId)
+            .forEach(trade => {
+                if (remaining !== null && remaining <= 0) return;
+
+                const closeQty = remaining === null ? trade.qty : Math.min(trade.qty, remaining);
+                this.closeTrade(trade, closeQty, price, bar, exitId, slipped);
+
+                if (remaining !== null) remaining -= closeQty;
+            });
+    }
+
+    closeTrade(trade, qty, price, bar, exitId, slipped) {
+        const isLong = trade.direction === 'long';
+        const exitPrice = slipped ? this.applySlippage(price, !isLong) : price;
+        const portion = qty / trade.qty;
+        const entryCommission = trade.entryCommission * portion;
+        const exitCommission = this.calculateCommission(exitPrice, qty);
+        const gross = (exitPrice - trade.entryPrice) * qty * (isLong ? 1 : -1);
+        const profit = gross - entryCommission - exitCommission;
+
+        this.state.closedTrades.push({
+            entryId: trade.entryId,
+            exitId,
+            direction: trade.direction,
+            qty,
+            entryPrice: trade.entryPrice,
+            entryBar: trade.entryBar,
+            entryTime: trade.entryTime,
+            exitPrice,
+            exitBar: this.state.index,
+            exitTime: bar.time,
+            commission: entryCommission + exitCommission,
+            profit,
+            profitPercent: (profit / (trade.entryPrice * qty)) * 100
+        });
+
+        this.state.netProfit += profit;
+
+        if (qty >= trade.qty) {
+            this.state.openTrades = this.state.openTrades.filter(open => open !== trade);
+        } else {
+            trade.qty -= qty;
+            trade.entryCommission -= entryCommission;
+        }
+    }
+
+    /**
+     * Sizing and costs
+     */
+    calculateDefaultQty(price, bar) {
+        const { defaultQtyType, defaultQtyValue } = this.options;
+
+        switch (defaultQtyType) {
+            case 'percent_of_equity':
+                return (this.getEquity(bar.open) * defaultQtyValue / 100) / price;
+            case 'cash':
+                return defaultQtyValue / price;
+            default:
+                return defaultQtyValue;
+        }
+    }
+
+    calculateCommission(price, qty) {
+        const { commissionType, commissionValue } = this.options;
+
+        switch (commissionType) {
+            case 'cash_per_contract':
+                return qty * commissionValue;
+            case 'cash_per_order':
+                return commissionValue;
+            default:
+                return price * qty * commissionValue / 100;
+        }
+    }
+
+    applySlippage(price, isBuy) {
+        const offset = this.options.slippage * this.options.mintick;
+        return isBuy ? price + offset : price - offset;
+    }
+
+    /**
+     * Position and equity
+     */
+    getPosition() {
+        const trades = this.state.openTrades;
+        const size = trades.reduce((sum, trade) => sum + (trade.direction === 'long' ? trade.qty : -trade.qty), 0);
+        const totalQty = trades.reduce((sum, trade) => sum + trade.qty, 0);
+
+        return {
+            size,
+            avgPrice: totalQty > 0
+                ? trades.reduce((sum, trade) => sum + trade.entryPrice * trade.qty, 0) / totalQty
+                : null
+        };
+    }
+
+    getEquity(markPrice) {
+        const openProfit = this.state.openTrades.reduce((sum, trade) => {
+            const direction = trade.direction === 'long' ? 1 : -1;
+            return sum + (markPrice - trade.entryPrice) * trade.qty * direction - trade.entryCommission;
+        }, 0);
+
+        return this.options.initialCapital + this.state.netProfit + openProfit;
+    }
+
+    /**
+     * Performance metrics (same keys the simulated evaluator reports)
+     */
+    calculateMetrics() {
+        const { initialCapital, periodsPerYear } = this.options;
+        const trades = this.state.closedTrades;
+        const equity = this.state.equityCurve.map(point => point.equity);
+        const finalEquity = equity[equity.length - 1];
+
+        const grossProfit = trades.filter(t => t.profit > 0).reduce((sum, t) => sum + t.profit, 0);
+        const grossLoss = Math.abs(trades.filter(t => t.profit < 0).reduce((sum, t) => sum + t.profit, 0));
+        const wins = trades.filter(t => t.profit > 0).length;
+
+        let profitFactor = 0;
+        if (grossLoss > 0) {
+            profitFactor = Math.min(MAX_PROFIT_FACTOR, grossProfit / grossLoss);
+        } else if (grossProfit > 0) {
+            profitFactor = MAX_PROFIT_FACTOR;
+        }
+
+        return {
+            totalReturn: ((finalEquity - initialCapital) / initialCapital) * 100,
+            sharpeRatio: this.calculateSharpeRatio(equity, periodsPerYear),
+            maxDrawdown: this.calculateMaxDrawdown(equity),
+            winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+            profitFactor,
+            trades: trades.length
+        };
+    }
+
+    calculateSharpeRatio(equity, periodsPerYear) {
+        const returns = [];
+        for (let i = 1; i < equity.length; i++) {
+            if (equity[i - 1] > 0) {
+                returns.push(equity[i] / equity[i - 1] - 1);
+            }
+        }
+
+        if (returns.length < 2) return 0;
+
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+        const stdDev = Math.sqrt(variance);
+
+        return stdDev > 0 ? (mean / stdDev) * Math.sqrt(periodsPerYear) : 0;
+    }
+
+    calculateMaxDrawdown(equity) {
+        let peak = -Infinity;
+        let maxDrawdown = 0;
+
+        equity.forEach(value => {
+            peak = Math.max(peak, value);
+            if (peak > 0) {
+                maxDrawdown = Math.max(maxDrawdown, ((peak - value) / peak) * 100);
+            }
+        });
+
+        return maxDrawdown;
+    }
+
+    // Utility methods
+    toPrice(value) {
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Backtester;
+}
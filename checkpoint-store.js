@@ -0,0 +1,68 @@
+/**
+ * TradingHub.Mk Checkpoint Store
+ * Persists optimization checkpoints so interrupted runs can be resumed
+ *
+ * The optimizer saves a checkpoint every few evaluations and on pause/stop;
+ * StrategyOptimizer.resumeFromCheckpoint() continues from the stored one.
+ * In the extension checkpoints live in chrome.storage.local, which survives
+ * tab reloads and service worker restarts; elsewhere they are kept in memory.
+ */
+
+class CheckpointStore {
+    /**
+     * `storage` follows the chrome.storage.local interface (get, set, remove)
+     */
+    constructor({ storage = CheckpointStore.defaultStorage(), key = 'optimizationCheckpoint' } = {}) {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    async save(checkpoint) {
+        await this.storage.set({ [this.key]: checkpoint });
+    }
+
+    async load() {
+        const stored = await this.storage.get(this.key);
+        return stored?.[this.key] || null;
+    }
+
+    async clear() {
+        await this.storage.remove(this.key);
+    }
+
+    static defaultStorage() {
+        if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+            return chrome.storage.local;
+        }
+        return new MemoryStorage();
+    }
+}
+
+/**
+ * In-memory stand-in for chrome.storage.local; values are copied through
+ * JSON, as extension storage does
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    async get(key) {
+        return this.items.has(key) ? { [key]: JSON.parse(this.items.get(key)) } : {};
+    }
+
+    async set(items) {
+        Object.entries(items).forEach(([key, value]) => {
+            this.items.set(key, JSON.stringify(value));
+        });
+    }
+
+    async remove(key) {
+        this.items.delete(key);
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CheckpointStore, MemoryStorage };
+}
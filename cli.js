@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+/**
+ * TradingHub.Mk Command Line
+ * Analyzes .pine files and optimizes them against local OHLCV data, without a browser
+ *
+ *   tradinghub-mk analyze <script.pine> [--json]
+ *   tradinghub-mk optimize <script.pine> --data <bars.csv> [options]
+ *
+ * Scripts are backtested with the local transpiler and backtester, so only
+ * the Pine subset they support can be optimized. Several --data files form
+ * a portfolio scored by --aggregate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PineScriptAnalyzer = require('./pine-analyzer');
+const PineTranspiler = require('./pine-transpiler');
+const StrategyOptimizer = require('./optimizer');
+const { AlgorithmRegistry } = require('./algorithms');
+const { PortfolioEvaluator } = require('./evaluators');
+const RunHistory = require('./run-history');
+
+const USAGE = `Usage:
+  tradinghub-mk analyze <script.pine> [--json]
+  tradinghub-mk optimize <script.pine> --data <bars.csv> [options]
+
+Optimize options:
+  --data <file>          OHLCV CSV (time, open, high, low, close[, volume]); repeat for a portfolio
+  --aggregate <how>      Portfolio score: mean, worst or median (default mean)
+  --algorithm <name>     Optimization algorithm (default standard)
+  --iterations <n>       Maximum parameter sets to test (default 100)
+  --seed <n>             Seed for a reproducible run
+  --score-metric <name>  Backtest metric to maximize (default sharpeRatio)
+  --objective <formula>  Objective formula over the metrics, e.g. "totalReturn / maxDrawdown"
+  --constraint <rule>    Parameter constraint such as "fastLength < slowLength"; repeatable
+  --holdout <ratio>      Share of the data kept out of the search (default 0.2)
+  --settings <file>      JSON file of further optimizer settings
+  --format <json|csv>    Output format (default json, or from the --output extension)
+  --output <file>        Write results to a file instead of stdout
+  --top <n>              Results listed in CSV output (default 10)
+  --quiet                No progress on stderr
+  --verbose              Optimizer logging on stderr
+
+Algorithms: ${AlgorithmRegistry.list().map(algorithm => algorithm.name).join(', ')}`;
+
+// Options taking a value; --data and --constraint may be repeated
+const VALUE_OPTIONS = ['data', 'aggregate', 'algorithm', 'iterations', 'seed', 'score-metric', 'objective',
+    'constraint', 'holdout', 'settings', 'format', 'output', 'top'];
+const REPEATED_OPTIONS = ['data', 'constraint'];
+const FLAG_OPTIONS = ['json', 'quiet', 'verbose', 'help'];
+
+class UsageError extends Error {}
+
+/**
+ * Split argv into the command, positional arguments and options
+ */
+function parseArgs(argv) {
+    const options = { data: [], constraint: [] };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS.includes(name)) {
+            throw new UsageError(`Unknown option: --${name}`);
+        }
+
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) {
+            throw new UsageError(`Option --${name} needs a value`);
+        }
+        if (REPEATED_OPTIONS.includes(name)) {
+            options[name].push(value);
+        } else {
+            options[name] = value;
+        }
+    }
+
+    const [command, ...rest] = positional;
+    return { command, args: rest, options };
+}
+
+/**
+ * Bars from CSV text with a header row naming time (or date/timestamp),
+ * open, high, low, close and optionally volume. Commas or semicolons
+ * separate fields; numeric times in seconds are converted to milliseconds
+ * and newest-first files are reversed.
+ */
+function parseOhlcvCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new Error('CSV needs a header row and at least one bar');
+    }
+
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const split = line => line.split(delimiter).map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+    const header = split(lines[0]).map(name => name.toLowerCase());
+
+    const column = names => header.findIndex(name => names.includes(name));
+    const columns = {
+        time: column(['time', 'date', 'datetime', 'timestamp']),
+        open: column(['open', 'o']),
+        high: column(['high', 'h']),
+        low: column(['low', 'l']),
+        close: column(['close', 'c', 'adj close']),
+        volume: column(['volume', 'vol', 'v'])
+    };
+    const missing = ['time', 'open', 'high', 'low', 'close'].filter(name => columns[name] === -1);
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing ${missing.join(', ')}`);
+    }
+
+    const bars = lines.slice(1).map((line, i) => {
+        const fields = split(line);
+        const number = name => {
+            const value = Number(fields[columns[name]]);
+            if (!Number.isFinite(value)) {
+                throw new Error(`CSV line ${i + 2}: ${name} is not a number`);
+            }
+            return value;
+        };
+
+        const rawTime = fields[columns.time];
+        let time = Number(rawTime);
+        if (!Number.isFinite(time)) {
+            time = Date.parse(rawTime);
+            if (!Number.isFinite(time)) {
+                throw new Error(`CSV line ${i + 2}: cannot read time "${rawTime}"`);
+            }
+        } else if (time < 1e11) {
+            // Unix seconds
+            time *= 1000;
+        }
+
+        return {
+            time,
+            open: number('open'),
+            high: number('high'),
+            low: number('low'),
+            close: number('close'),
+            volume: columns.volume === -1 ? 0 : Number(fields[columns.volume]) || 0
+        };
+    });
+
+    return bars[0].time > bars[bars.length - 1].time ? bars.reverse() : bars;
+}
+
+/**
+ * Top results as CSV: rank, score, feasibility, then every parameter and metric
+ */
+function formatResultsCsv(results, top = 10) {
+    const rows = (results.topResults || []).slice(0, top);
+    const parameters = [...new Set(rows.flatMap(row => Object.keys(row.parameters)))];
+    const metrics = [...new Set(rows.flatMap(row => Object.keys(row.metrics || {})))];
+
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [['rank', 'score', 'feasible', ...parameters, ...metrics].map(escape).join(',')];
+    rows.forEach((row, i) => {
+        lines.push([
+            i + 1,
+            row.score,
+            row.feasible !== false,
+            ...parameters.map(name => row.parameters[name]),
+            ...metrics.map(name => row.metrics?.[name])
+        ].map(escape).join(','));
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Plain-text analysis report
+ */
+function formatAnalysis(report) {
+    const { strategy, parameters, complexity, optimizationPotential, recommendations, localBacktest } = report;
+    const optimizable = parameters.filter(param => param.optimizable);
+
+    const lines = [
+        `${strategy.name} (${strategy.type}, ${strategy.version})`,
+        '',
+        `Parameters (${optimizable.length} optimizable of ${parameters.length}):`
+    ];
+    report.optimizationConfig.parameters.forEach(param => {
+        const range = param.options
+            ? `[${param.options.join(', ')}]`
+            : `[${param.min}..${param.max} step ${param.step}]`;
+        lines.push(`  ${param.name}  ${param.type}  ${param.current}  ${range}  ${param.priority}`);
+    });
+
+    lines.push(
+        '',
+        `Complexity: ${complexity.score} (lines ${complexity.lines}, functions ${complexity.functions}, ` +
+            `indicators ${complexity.indicators}, conditions ${complexity.conditions}, loops ${complexity.loops})`,
+        `Optimization: ${optimizationPotential.estimatedCombinations} combinations, ` +
+            `${optimizationPotential.difficulty}, about ${optimizationPotential.timeEstimate}`
+    );
+    if (report.optimizationConfig.constraints.length > 0) {
+        lines.push(`Suggested constraints: ${report.optimizationConfig.constraints.join(', ')} (pass with --constraint)`);
+    }
+
+    lines.push(`Local backtest: ${localBacktest.supported ? 'supported' : 'not supported'}`);
+    localBacktest.diagnostics
+        .filter(diagnostic => diagnostic.severity === 'error')
+        .forEach(diagnostic => lines.push(`  line ${diagnostic.line}: ${diagnostic.message}`));
+
+    if (recommendations.length > 0) {
+        lines.push('', 'Recommendations:');
+        recommendations.forEach(recommendation => lines.push(`  [${recommendation.type}] ${recommendation.message}`));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Analyze a script the way the extension does, from its source text
+ */
+function analyzeScript(script) {
+    const analyzer = new PineScriptAnalyzer();
+    const { strategy, parameters } = analyzer.parseScript(script);
+    const analysis = analyzer.analyzeStrategy();
+    const transpiled = new PineTranspiler().transpile(script);
+
+    return {
+        strategy,
+        parameters,
+        complexity: analysis.complexity,
+        optimizationPotential: analysis.optimizationPotential,
+        recommendations: analysis.recommendations,
+        optimizationConfig: analyzer.getOptimizationConfig(),
+        localBacktest: { supported: transpiled.success, diagnostics: transpiled.diagnostics }
+    };
+}
+
+/**
+ * Optimizer settings for the command line options and loaded bars
+ */
+function createSettings(script, markets, options, fileSettings = {}) {
+    const number = (name, value, check) => {
+        if (value === undefined) return undefined;
+        const parsed = Number(value);
+        if (!check(parsed)) {
+            throw new UsageError(`Invalid --${name}: ${value}`);
+        }
+        return parsed;
+    };
+
+    const algorithm = options.algorithm || fileSettings.optimizationDepth || 'standard';
+    if (!AlgorithmRegistry.has(algorithm)) {
+        throw new UsageError(`Unknown algorithm: ${algorithm}`);
+    }
+
+    const backtestOptions = { script, scoreMetric: options['score-metric'] || 'sharpeRatio' };
+    const evaluatorSettings = markets.length === 1
+        ? { evaluator: 'backtest', evaluatorOptions: { ...backtestOptions, bars: markets[0].bars } }
+        : {
+            evaluator: 'portfolio',
+            evaluatorOptions: {
+                evaluator: 'backtest',
+                evaluatorOptions: backtestOptions,
+                aggregate: options.aggregate || 'mean',
+                metric: backtestOptions.scoreMetric,
+                markets: markets.map(market => ({ symbol: market.symbol, timeframe: null, evaluatorOptions: { bars: market.bars } }))
+            }
+        };
+    if (options.aggregate && !PortfolioEvaluator.aggregates.includes(options.aggregate)) {
+        throw new UsageError(`Invalid --aggregate: ${options.aggregate}`);
+    }
+
+    const settings = {
+        ...fileSettings,
+        ...evaluatorSettings,
+        optimizationDepth: algorithm
+    };
+    const overrides = {
+        maxIterations: number('iterations', options.iterations, value => Number.isInteger(value) && value > 0),
+        seed: number('seed', options.seed, Number.isInteger),
+        holdoutRatio: number('holdout', options.holdout, value => value >= 0 && value <= 0.5),
+        objectiveFormula: options.objective
+    };
+    Object.entries(overrides).forEach(([name, value]) => {
+        if (value !== undefined) settings[name] = value;
+    });
+
+    return settings;
+}
+
+/**
+ * Run the command line; resolves with the exit code
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { command, args, options } = parsed;
+    if (options.help || !command) {
+        (options.help ? stdout : stderr).write(`${USAGE}\n`);
+        return options.help ? 0 : 2;
+    }
+
+    // Library logging would mix with the output; --verbose sends it to stderr.
+    // Library errors are rethrown and reported below, warnings are kept unless --quiet
+    const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+    const toStderr = (...values) => stderr.write(`${values.join(' ')}\n`);
+    const silent = () => {};
+    console.log = options.verbose ? toStderr : silent;
+    console.error = options.verbose ? toStderr : silent;
+    console.warn = options.quiet ? silent : toStderr;
+
+    try {
+        if (command === 'analyze') {
+            return await analyzeCommand(args, options, stdout);
+        }
+        if (command === 'optimize') {
+            return await optimizeCommand(args, options, stdout, stderr);
+        }
+        throw new UsageError(`Unknown command: ${command}`);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    } finally {
+        Object.assign(console, consoleMethods);
+    }
+}
+
+async function readScript(args) {
+    if (args.length !== 1) {
+        throw new UsageError('Expected one .pine file');
+    }
+    return fs.promises.readFile(args[0], 'utf8');
+}
+
+async function analyzeCommand(args, options, stdout) {
+    const report = analyzeScript(await readScript(args));
+
+    stdout.write(options.json ? `${JSON.stringify(report, null, 2)}\n` : formatAnalysis(report));
+    return 0;
+}
+
+async function optimizeCommand(args, options, stdout, stderr) {
+    const script = await readScript(args);
+    if (options.data.length === 0) {
+        throw new UsageError('Optimizing needs OHLCV data: --data <bars.csv>');
+    }
+
+    const format = options.format || (options.output && path.extname(options.output) === '.csv' ? 'csv' : 'json');
+    if (!['json', 'csv'].includes(format)) {
+        throw new UsageError(`Invalid --format: ${format}`);
+    }
+    const top = options.top === undefined ? 10 : Number(options.top);
+    if (!Number.isInteger(top) || top < 1) {
+        throw new UsageError(`Invalid --top: ${options.top}`);
+    }
+
+    const report = analyzeScript(script);
+    if (!report.localBacktest.supported) {
+        const [first] = report.localBacktest.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        throw new Error(`Script cannot be backtested locally: line ${first.line}: ${first.message}`);
+    }
+    const { parameters } = report.optimizationConfig;
+    if (parameters.length === 0) {
+        throw new Error('No optimizable parameters found in the script');
+    }
+
+    const markets = await Promise.all(options.data.map(async file => ({
+        symbol: path.basename(file, path.extname(file)),
+        bars: parseOhlcvCsv(await fs.promises.readFile(file, 'utf8'))
+    })));
+    const fileSettings = options.settings ? JSON.parse(await fs.promises.readFile(options.settings, 'utf8')) : {};
+
+    const settings = createSettings(script, markets, options, fileSettings);
+    // The analyzer's suggestions are only printed by `analyze`; runs enforce what was asked for
+    settings.parameterConstraints = [...new Set([
+        ...(fileSettings.parameterConstraints || []),
+        ...options.constraint
+    ])];
+
+    const optimizer = new StrategyOptimizer();
+    // No UI to yield to between evaluations
+    optimizer.delay = () => Promise.resolve();
+    if (!options.quiet) {
+        optimizer.on('phase-started', event => stderr.write(`Phase ${event.phase}: ${event.planned} tests planned\n`));
+        optimizer.on('new-best', event => stderr.write(`New best ${event.result.score.toFixed(4)} after ${event.evaluations} tests\n`));
+    }
+
+    const results = await optimizer.optimize(parameters, settings);
+    if (!options.quiet) {
+        stderr.write(`Done: ${results.totalTests} tests in ${(results.duration / 1000).toFixed(1)}s (${results.stopReason})\n`);
+    }
+
+    const output = format === 'csv'
+        ? formatResultsCsv(results, top)
+        : `${JSON.stringify({
+            script: path.basename(args[0]),
+            strategy: report.strategy.name,
+            data: options.data.map(file => path.basename(file)),
+            settings: RunHistory.storableSettings(settings),
+            results
+        }, null, 2)}\n`;
+
+    if (options.output) {
+        await fs.promises.writeFile(options.output, output);
+    } else {
+        stdout.write(output);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { run, parseArgs, parseOhlcvCsv, formatResultsCsv, formatAnalysis, analyzeScript, createSettings, UsageError };
@@ -12,8 +12,9 @@ class ContentController {
             chart: null
         };
         
-        // Initialize Pine Script analyzer and optimizer
+        // Initialize Pine Script analyzer, transpiler and optimizer
         this.pineAnalyzer = new PineScriptAnalyzer();
+        this.pineTranspiler = new PineTranspiler();
         this.optimizer = new StrategyOptimizer();
         
         this.init();
@@ -34,8 +35,8 @@ class ContentController {
         // Find TradingView elements
         this.findTradingViewElements();
         
-        // Set up optimization progress callback
-        this.optimizer.setProgressCallback((progress) => {
+        // Forward optimization progress to the popup
+        this.optimizer.on('progress', (progress) => {
             this.sendMessageToBackground({
                 type: 'OPTIMIZATION_PROGRESS',
                 progress
@@ -54,15 +55,130 @@ class ContentController {
     }
     
     async loadScripts() {
+        // Inject Pine Script parser (must precede the analyzer and transpiler)
+        const parserScript = await fetch(chrome.runtime.getURL('pine-parser.js'));
+        const parserCode = await parserScript.text();
+        this.injectScript(parserCode);
+        
         // Inject Pine Script analyzer
         const analyzerScript = await fetch(chrome.runtime.getURL('pine-analyzer.js'));
         const analyzerCode = await analyzerScript.text();
         this.injectScript(analyzerCode);
         
+        // Inject backtester (must precede the evaluators)
+        const backtesterScript = await fetch(chrome.runtime.getURL('backtester.js'));
+        const backtesterCode = await backtesterScript.text();
+        this.injectScript(backtesterCode);
+        
+        // Inject Pine Script transpiler (must precede the evaluators)
+        const transpilerScript = await fetch(chrome.runtime.getURL('pine-transpiler.js'));
+        const transpilerCode = await transpilerScript.text();
+        this.injectScript(transpilerCode);
+        
+        // Inject seeded random generator (must precede the evaluators)
+        const randomScript = await fetch(chrome.runtime.getURL('random.js'));
+        const randomCode = await randomScript.text();
+        this.injectScript(randomCode);
+        
+        // Inject parameter samplers (must precede the algorithms and the optimizer)
+        const samplersScript = await fetch(chrome.runtime.getURL('samplers.js'));
+        const samplersCode = await samplersScript.text();
+        this.injectScript(samplersCode);
+        
+        // Inject evaluators (must precede the optimizer)
+        const evaluatorsScript = await fetch(chrome.runtime.getURL('evaluators.js'));
+        const evaluatorsCode = await evaluatorsScript.text();
+        this.injectScript(evaluatorsCode);
+        
+        // Inject evaluation cache (must precede the optimizer)
+        const cacheScript = await fetch(chrome.runtime.getURL('evaluation-cache.js'));
+        const cacheCode = await cacheScript.text();
+        this.injectScript(cacheCode);
+        
+        // Inject expression parser (must precede the objective function)
+        const expressionScript = await fetch(chrome.runtime.getURL('expression.js'));
+        const expressionCode = await expressionScript.text();
+        this.injectScript(expressionCode);
+        
+        // Inject objective function (must precede the optimizer)
+        const objectiveScript = await fetch(chrome.runtime.getURL('objective.js'));
+        const objectiveCode = await objectiveScript.text();
+        this.injectScript(objectiveCode);
+        
+        // Inject parameter constraints (must precede the optimizer)
+        const constraintsScript = await fetch(chrome.runtime.getURL('parameter-constraints.js'));
+        const constraintsCode = await constraintsScript.text();
+        this.injectScript(constraintsCode);
+        
+        // Inject TPE sampler (must precede the optimizer)
+        const tpeScript = await fetch(chrome.runtime.getURL('tpe.js'));
+        const tpeCode = await tpeScript.text();
+        this.injectScript(tpeCode);
+        
+        // Inject worker pool (must precede the optimizer)
+        const workerPoolScript = await fetch(chrome.runtime.getURL('worker-pool.js'));
+        const workerPoolCode = await workerPoolScript.text();
+        this.injectScript(workerPoolCode);
+        
+        // Inject algorithm registry (must precede the optimizer)
+        const algorithmsScript = await fetch(chrome.runtime.getURL('algorithms.js'));
+        const algorithmsCode = await algorithmsScript.text();
+        this.injectScript(algorithmsCode);
+        
+        // Inject checkpoint store (must precede the optimizer)
+        const checkpointScript = await fetch(chrome.runtime.getURL('checkpoint-store.js'));
+        const checkpointCode = await checkpointScript.text();
+        this.injectScript(checkpointCode);
+        
+        // Inject run history (after the checkpoint store and evaluation cache it builds on)
+        const historyScript = await fetch(chrome.runtime.getURL('run-history.js'));
+        const historyCode = await historyScript.text();
+        this.injectScript(historyCode);
+        
+        // Inject multi-objective ranking (must precede the optimizer)
+        const multiObjectiveScript = await fetch(chrome.runtime.getURL('multi-objective.js'));
+        const multiObjectiveCode = await multiObjectiveScript.text();
+        this.injectScript(multiObjectiveCode);
+        
+        // Inject sensitivity analysis (must precede the optimizer)
+        const sensitivityScript = await fetch(chrome.runtime.getURL('sensitivity.js'));
+        const sensitivityCode = await sensitivityScript.text();
+        this.injectScript(sensitivityCode);
+        
+        // Inject Monte Carlo analysis (must precede the optimizer)
+        const monteCarloScript = await fetch(chrome.runtime.getURL('monte-carlo.js'));
+        const monteCarloCode = await monteCarloScript.text();
+        this.injectScript(monteCarloCode);
+        
+        // Inject overfitting diagnostics (must precede the optimizer)
+        const overfittingScript = await fetch(chrome.runtime.getURL('overfitting.js'));
+        const overfittingCode = await overfittingScript.text();
+        this.injectScript(overfittingCode);
+        
+        // Inject optimization event stream (must precede the optimizer)
+        const eventsScript = await fetch(chrome.runtime.getURL('optimizer-events.js'));
+        const eventsCode = await eventsScript.text();
+        this.injectScript(eventsCode);
+        
         // Inject optimizer
         const optimizerScript = await fetch(chrome.runtime.getURL('optimizer.js'));
         const optimizerCode = await optimizerScript.text();
         this.injectScript(optimizerCode);
+        
+        // Bundle the evaluation worker with its dependencies for parallel processing
+        const workerSources = await Promise.all(
+            ['random.js', 'pine-parser.js', 'backtester.js', 'pine-transpiler.js', 'evaluators.js', 'evaluation-worker.js']
+                .map(async file => (await fetch(chrome.runtime.getURL(file))).text())
+        );
+        const workerUrl = URL.createObjectURL(new Blob([workerSources.join('\n')], { type: 'text/javascript' }));
+        this.optimizer.setWorkerFactory(() => new Worker(workerUrl));
+        
+        // Checkpoints go to extension storage so runs survive a reload
+        this.checkpointStore = new CheckpointStore();
+        this.optimizer.setCheckpointStore(this.checkpointStore);
+        
+        // Finished runs are kept for the history page
+        this.runHistory = new RunHistory();
     }
     
     async waitForTradingViewLoad() {
@@ -162,6 +278,12 @@ class ContentController {
             case 'STOP_OPTIMIZATION':
                 return this.handleStopOptimization(data);
                 
+            case 'PAUSE_OPTIMIZATION':
+                return this.handlePauseOptimization(data);
+                
+            case 'RESUME_OPTIMIZATION':
+                return this.handleResumeOptimization(data);
+                
             default:
                 console.warn('Unknown message type in content script:', type);
                 return { success: false, error: 'Unknown message type' };
@@ -216,6 +338,9 @@ class ContentController {
             // Analyze the strategy
             const analysisResults = this.pineAnalyzer.analyzeStrategy();
             
+            // Check whether the script can be backtested without TradingView
+            const transpileResults = this.pineTranspiler.transpile(scriptContent);
+            
             console.log('Strategy analysis completed:', analysisResults);
             
             return {
@@ -229,6 +354,10 @@ class ContentController {
                     strategy: parseResults.strategy,
                     parameters: parseResults.parameters,
                     analysis: analysisResults,
+                    localBacktest: {
+                        supported: transpileResults.success,
+                        diagnostics: transpileResults.diagnostics
+                    },
                     optimizationConfig: this.pineAnalyzer.getOptimizationConfig()
                 }
             };
@@ -253,7 +382,8 @@ class ContentController {
                 return analysisResult;
             }
             
-            const optimizableParams = analysisResult.data.parameters.filter(p => p.optimizable);
+            // The optimizer takes the normalized config (min/max/current/options), not raw analyzer parameters
+            const optimizableParams = analysisResult.data.optimizationConfig.parameters;
             
             if (optimizableParams.length === 0) {
                 return {
@@ -264,28 +394,131 @@ class ContentController {
             
             console.log(`Starting optimization of ${optimizableParams.length} parameters...`);
             
-            // Start optimization
-            const optimizationResults = await this.optimizer.optimize(optimizableParams, data.settings);
+            // Only constraints the user configured are enforced; those naming other scripts' inputs are left out.
+            // The analyzer's suggestions are offered in the popup and saved to the settings when accepted
+            const parameterConstraints = ParameterConstraints.parse(data.settings?.parameterConstraints)
+                .filter(source => ParameterConstraints.appliesTo(source, optimizableParams));
+            
+            // Start optimization; cached results are only reused for the same script and chart
+            const script = this.pineAnalyzer.extractPineScript();
+            const chart = this.getChartContext();
+            const settings = {
+                ...data.settings,
+                parameterConstraints
+            };
+            const optimizationResults = await this.optimizer.optimize(optimizableParams, {
+                ...settings,
+                cacheScope: { script, ...chart }
+            });
             
             console.log('Parameter optimization completed:', optimizationResults);
             
+            await this.recordRun(optimizationResults, {
+                script,
+                strategyName: analysisResult.data.strategy.name,
+                ...chart,
+                settings
+            });
+            
+            return this.createOptimizationResponse(optimizationResults, analysisResult.data.parameters);
+            
+        } catch (error) {
+            console.error('Error optimizing parameters:', error);
+            return {
+                success: false,
+                error: `Optimization failed: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Save a finished run to the history; failing to save never fails the run
+     */
+    async recordRun(results, details) {
+        try {
+            await this.runHistory.add(RunHistory.createRecord(results, details));
+        } catch (error) {
+            console.warn('Could not save the run to the history:', error);
+        }
+    }
+    
+    createOptimizationResponse(optimizationResults, originalParameters) {
+        return {
+            success: true,
+            message: 'Parameter optimization completed successfully',
+            data: {
+                results: optimizationResults,
+                originalParameters,
+                optimizedParameters: optimizationResults.bestResult?.parameters || {},
+                improvement: optimizationResults.summary.improvement,
+                duration: optimizationResults.duration
+            }
+        };
+    }
+    
+    async handlePauseOptimization(data) {
+        console.log('Pausing optimization...');
+        
+        try {
+            const checkpoint = await this.optimizer.pause();
+            
             return {
                 success: true,
-                message: 'Parameter optimization completed successfully',
-                data: {
-                    results: optimizationResults,
-                    originalParameters: analysisResult.data.parameters,
-                    optimizedParameters: optimizationResults.bestResult?.parameters || {},
-                    improvement: optimizationResults.summary.improvement,
-                    duration: optimizationResults.duration
-                }
+                message: 'Optimization paused',
+                evaluations: checkpoint?.evaluations.length || 0
             };
             
         } catch (error) {
-            console.error('Error optimizing parameters:', error);
+            console.error('Error pausing optimization:', error);
             return {
                 success: false,
-                error: `Optimization failed: ${error.message}`
+                error: `Failed to pause optimization: ${error.message}`
+            };
+        }
+    }
+    
+    async handleResumeOptimization(data) {
+        console.log('Resuming optimization...');
+        
+        try {
+            // A run paused in this page just continues; its original request gets the results
+            if (this.optimizer.isPaused) {
+                this.optimizer.resume();
+                return {
+                    success: true,
+                    message: 'Optimization resumed'
+                };
+            }
+            
+            // Otherwise continue the interrupted run from its stored checkpoint
+            const checkpoint = await this.checkpointStore.load();
+            if (!checkpoint) {
+                return {
+                    success: false,
+                    error: 'There is no interrupted optimization to resume.'
+                };
+            }
+            
+            const optimizationResults = await this.optimizer.resumeFromCheckpoint(checkpoint);
+            
+            console.log('Resumed optimization completed:', optimizationResults);
+            
+            const { cacheScope, ...settings } = checkpoint.config;
+            await this.recordRun(optimizationResults, {
+                script: cacheScope?.script,
+                strategyName: this.pineAnalyzer.strategy?.name,
+                symbol: cacheScope?.symbol,
+                timeframe: cacheScope?.timeframe,
+                settings
+            });
+            
+            return this.createOptimizationResponse(optimizationResults, checkpoint.parameters);
+            
+        } catch (error) {
+            console.error('Error resuming optimization:', error);
+            return {
+                success: false,
+                error: `Failed to resume optimization: ${error.message}`
             };
         }
     }
@@ -310,6 +543,20 @@ class ContentController {
         }
     }
     
+    /**
+     * Symbol and timeframe shown in the chart toolbar
+     */
+    getChartContext() {
+        const symbol = document.querySelector('#header-toolbar-symbol-search');
+        const interval = document.querySelector('#header-toolbar-intervals button[aria-checked="true"]') ||
+                         document.querySelector('#header-toolbar-intervals');
+        
+        return {
+            symbol: symbol ? symbol.textContent.trim() : '',
+            timeframe: interval ? interval.textContent.trim() : ''
+        };
+    }
+    
     sendMessageToBackground(message) {
         chrome.runtime.sendMessage(message, (response) => {
             if (chrome.runtime.lastError) {
@@ -0,0 +1,232 @@
+/**
+ * TradingHub.Mk Evaluation Cache
+ * Memoizes evaluator results so repeated parameter sets return instantly
+ *
+ * Entries are keyed by a scope (normalized script, symbol, timeframe,
+ * evaluator and its options), the data range and the parameter set, and
+ * hold the evaluator's raw { score, metrics }: objective formulas and
+ * constraints are applied afterwards, so changing them keeps the cache valid.
+ * In the extension entries live in IndexedDB and survive across runs;
+ * elsewhere they are kept in memory. The least recently used entries are
+ * evicted beyond `maxEntries`.
+ */
+
+class EvaluationCache {
+    /**
+     * `storage` implements get, set, trim and clear
+     * (IndexedDbCacheStorage or MemoryCacheStorage)
+     */
+    constructor({ storage = EvaluationCache.defaultStorage(), maxEntries = 5000 } = {}) {
+        this.storage = storage;
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Cached { score, metrics } or null. Storage failures count as misses
+     * so a broken cache never fails a run.
+     */
+    async get(key) {
+        try {
+            return await this.storage.get(key);
+        } catch (error) {
+            console.warn('Evaluation cache read failed:', error);
+            return null;
+        }
+    }
+
+    async set(key, evaluation) {
+        try {
+            await this.storage.set(key, evaluation);
+            await this.storage.trim(this.maxEntries);
+        } catch (error) {
+            console.warn('Evaluation cache write failed:', error);
+        }
+    }
+
+    async clear() {
+        await this.storage.clear();
+    }
+
+    /**
+     * Identify what is being evaluated: the same script on the same data
+     * with the same evaluator settings gives the same scope
+     */
+    static createScope({ script = '', symbol = '', timeframe = '', evaluator, evaluatorOptions = {} }) {
+        const options = typeof evaluatorOptions.script === 'string'
+            ? { ...evaluatorOptions, script: EvaluationCache.normalizeScript(evaluatorOptions.script) }
+            : evaluatorOptions;
+
+        return EvaluationCache.hash(JSON.stringify([
+            EvaluationCache.normalizeScript(script),
+            symbol,
+            timeframe,
+            evaluator,
+            options
+        ]));
+    }
+
+    static createKey(scope, parameterSet, dataRange = null) {
+        const range = dataRange ? `${dataRange.start}-${dataRange.end}` : 'all';
+        return `${scope}:${range}:${EvaluationCache.stableStringify(parameterSet)}`;
+    }
+
+    /**
+     * Drop comments and layout so reformatting a script keeps its entries
+     */
+    static normalizeScript(script) {
+        return script
+            .split('\n')
+            .map(line => line.replace(/\/\/.*$/, '').trimEnd())
+            .filter(line => line.trim() !== '')
+            .join('\n');
+    }
+
+    /**
+     * JSON with sorted keys, so key order does not change the cache key
+     */
+    static stableStringify(parameterSet) {
+        return JSON.stringify(Object.keys(parameterSet).sort().map(name => [name, parameterSet[name]]));
+    }
+
+    /**
+     * 53-bit string hash (cyrb53); scopes hash large inputs such as bars
+     */
+    static hash(text) {
+        let h1 = 0xDEADBEEF;
+        let h2 = 0x41C6CE57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    static defaultStorage() {
+        if (typeof indexedDB !== 'undefined') {
+            return new IndexedDbCacheStorage();
+        }
+        return new MemoryCacheStorage();
+    }
+}
+
+/**
+ * Persistent entries in IndexedDB, with a last-used index for eviction
+ */
+class IndexedDbCacheStorage {
+    constructor({ name = 'tradinghub-evaluation-cache', indexedDB = globalThis.indexedDB } = {}) {
+        this.name = name;
+        this.indexedDB = indexedDB;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('evaluations', { keyPath: 'key' });
+                    store.createIndex('usedAt', 'usedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    async get(key) {
+        const store = await this.store('readwrite');
+        const entry = await IndexedDbCacheStorage.request(store.get(key));
+        if (!entry) return null;
+
+        // Touch the entry so eviction removes the least recently used first
+        entry.usedAt = Date.now();
+        await IndexedDbCacheStorage.request(store.put(entry));
+        return entry.value;
+    }
+
+    async set(key, value) {
+        const store = await this.store('readwrite');
+        await IndexedDbCacheStorage.request(store.put({ key, value, usedAt: Date.now() }));
+    }
+
+    async trim(maxEntries) {
+        const store = await this.store('readwrite');
+        let excess = await IndexedDbCacheStorage.request(store.count()) - maxEntries;
+        if (excess <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index('usedAt').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    async clear() {
+        const store = await this.store('readwrite');
+        await IndexedDbCacheStorage.request(store.clear());
+    }
+
+    async store(mode) {
+        const database = await this.open();
+        return database.transaction('evaluations', mode).objectStore('evaluations');
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * In-memory entries for Node and tests; a Map keeps them in use order
+ */
+class MemoryCacheStorage {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        if (!this.entries.has(key)) return null;
+
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return JSON.parse(value);
+    }
+
+    async set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, JSON.stringify(value));
+    }
+
+    async trim(maxEntries) {
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= maxEntries) break;
+            this.entries.delete(key);
+        }
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EvaluationCache, IndexedDbCacheStorage, MemoryCacheStorage };
+}
@@ -0,0 +1,55 @@
+/**
+ * TradingHub.Mk Evaluation Worker
+ * Runs a registered evaluator off the main thread for EvaluationWorkerPool
+ *
+ * Messages in:  { type: 'init', evaluator, options }
+ *               { type: 'evaluate', id, parameterSet, context }
+ * Messages out: { id, evaluation } or { id, error }
+ *
+ * In the extension this file is appended to its dependencies (random.js,
+ * pine-parser.js, backtester.js, pine-transpiler.js, evaluators.js) and run
+ * as a Web Worker; in Node it runs as a worker_threads worker.
+ */
+
+// In Node the evaluators are required; in the extension they precede this file
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof EvaluatorRegistry === 'undefined') {
+        globalThis.EvaluatorRegistry = require('./evaluators').EvaluatorRegistry;
+    }
+}
+
+let workerEvaluator = null;
+let workerInitError = null;
+
+async function handleWorkerMessage(message, reply) {
+    if (message.type === 'init') {
+        try {
+            workerEvaluator = EvaluatorRegistry.create(message.evaluator, message.options);
+            workerInitError = null;
+        } catch (error) {
+            workerInitError = error;
+        }
+        return;
+    }
+
+    if (message.type === 'evaluate') {
+        try {
+            if (workerInitError) throw workerInitError;
+            if (!workerEvaluator) throw new Error('Evaluation worker was not initialized');
+
+            const evaluation = await workerEvaluator.evaluate(message.parameterSet, message.context);
+            reply({ id: message.id, evaluation });
+        } catch (error) {
+            reply({ id: message.id, error: error.message });
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    const { parentPort } = require('worker_threads');
+    if (parentPort) {
+        parentPort.on('message', message => handleWorkerMessage(message, reply => parentPort.postMessage(reply)));
+    }
+} else {
+    self.onmessage = event => handleWorkerMessage(event.data, reply => self.postMessage(reply));
+}
@@ -0,0 +1,413 @@
+/**
+ * TradingHub.Mk Strategy Evaluators
+ * Pluggable backends that score a parameter set for the optimizer
+ *
+ * Evaluator contract:
+ *   async evaluate(parameterSet, context) => { score, metrics }
+ *
+ * `context` carries the iteration index, the parameter definitions being
+ * optimized, the run config, the run's random `seed` and optionally
+ * `dataRange` ({ start, end } bar indices, end exclusive) restricting the
+ * test to part of the data. `score` is a finite number (higher is better)
+ * and `metrics` uses the keys totalReturn, sharpeRatio, maxDrawdown,
+ * winRate, profitFactor and trades; evaluators reporting further metrics
+ * list them in `metricNames` so objective formulas may use them.
+ * Evaluators that need randomness should derive it from `seed` so seeded
+ * runs can be reproduced.
+ *
+ * Evaluators backed by data expose `dataLength`, the number of bars that
+ * data ranges index into; those without data may expose a
+ * `nominalDataLength` for laying out walk-forward windows. Results are cached (cacheResults) by parameter
+ * set and data range; evaluators whose results depend on anything else set
+ * `cacheable = false`. Evaluators that can list the closed trades of a
+ * parameter set implement `async trades(parameterSet, context)` =>
+ * { trades, initialCapital }, which enables Monte Carlo analysis; those
+ * that can list per-bar returns implement `async returns(parameterSet,
+ * context)` and expose `periodsPerYear` for the deflated Sharpe ratio.
+ * Evaluators that test several markets may add `breakdown`, one entry
+ * per market, which is kept with the result.
+ */
+
+// In Node the backtester and transpiler are required; in the extension they are injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof Backtester === 'undefined') {
+        globalThis.Backtester = require('./backtester');
+    }
+    if (typeof PineTranspiler === 'undefined') {
+        globalThis.PineTranspiler = require('./pine-transpiler');
+    }
+    if (typeof SeededRandom === 'undefined') {
+        globalThis.SeededRandom = require('./random');
+    }
+}
+
+class EvaluatorRegistry {
+    /**
+     * Register an evaluator factory under a name
+     */
+    static register(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Evaluator factory for "${name}" must be a function`);
+        }
+
+        EvaluatorRegistry.factories.set(name, factory);
+    }
+
+    static has(name) {
+        return EvaluatorRegistry.factories.has(name);
+    }
+
+    static list() {
+        return Array.from(EvaluatorRegistry.factories.keys());
+    }
+
+    /**
+     * Resolve an evaluator from a registered name or an object implementing evaluate()
+     */
+    static create(spec = 'simulated', options = {}) {
+        let evaluator = spec;
+
+        if (typeof spec === 'string') {
+            const factory = EvaluatorRegistry.factories.get(spec);
+            if (!factory) {
+                throw new Error(`Unknown evaluator: ${spec}`);
+            }
+            evaluator = factory(options);
+        }
+
+        if (!evaluator || typeof evaluator.evaluate !== 'function') {
+            throw new Error('Evaluator must implement evaluate(parameterSet, context)');
+        }
+
+        return evaluator;
+    }
+}
+
+EvaluatorRegistry.factories = new Map();
+
+/**
+ * Simulated backtest - produces plausible but random scores
+ */
+class SimulatedEvaluator {
+    constructor(options = {}) {
+        this.minLatency = options.minLatency ?? 100;
+        this.maxLatency = options.maxLatency ?? 300;
+        // There is no real data, so no dataLength: holdout and overfitting
+        // analysis would only measure noise. Walk-forward windows are laid
+        // out over this many nominal bars instead
+        this.nominalDataLength = options.dataLength ?? 1000;
+        // Noise differs per iteration, so repeats are not duplicates
+        this.cacheable = false;
+    }
+
+    async evaluate(parameterSet, context = {}) {
+        // Noise is derived from the run seed, so seeded runs repeat exactly
+        // Each market of a portfolio gets its own noise
+        const market = context.market ? `${context.market.symbol}:${context.market.timeframe}:` : '';
+        const random = context.seed === undefined
+            ? new SeededRandom()
+            : new SeededRandom(`${context.seed}:${context.iteration}:${market}${JSON.stringify(parameterSet)}`);
+
+        // Simulate backtesting delay
+        const latency = this.minLatency + random.next() * (this.maxLatency - this.minLatency);
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        const score = this.generateSimulatedScore(parameterSet, random);
+
+        return {
+            score,
+            metrics: this.generateSimulatedMetrics(score, random)
+        };
+    }
+
+    generateSimulatedScore(parameters, random = new SeededRandom()) {
+        // Simulate realistic optimization results
+        let score = 50; // Base score
+
+        // Add some parameter-based logic
+        Object.values(parameters).forEach(value => {
+            if (typeof value === 'number') {
+                score += (Math.sin(value / 10) * 20) + (random.next() * 10 - 5);
+            }
+        });
+
+        // Add some randomness but keep it realistic
+        score += random.next() * 30 - 15;
+
+        return Math.max(0, Math.min(100, score));
+    }
+
+    generateSimulatedMetrics(score, random = new SeededRandom()) {
+        const baseReturn = score / 2;
+
+        return {
+            totalReturn: baseReturn + (random.next() * 20 - 10),
+            sharpeRatio: (score / 50) + (random.next() * 0.5 - 0.25),
+            maxDrawdown: Math.max(5, 30 - (score / 3) + (random.next() * 10)),
+            winRate: Math.max(30, Math.min(80, score + (random.next() * 20 - 10))),
+            profitFactor: Math.max(0.5, (score / 40) + (random.next() * 0.5)),
+            trades: Math.floor(100 + random.next() * 200)
+        };
+    }
+}
+
+/**
+ * Local backtest - runs the strategy bar by bar over OHLCV data
+ *
+ * The strategy comes either from options.script (Pine source, transpiled
+ * once) or from options.strategy, a factory taking the parameter set and
+ * returning the per-bar strategy function expected by Backtester.run().
+ */
+class BacktestEvaluator {
+    constructor(options = {}) {
+        if (!Array.isArray(options.bars) || options.bars.length === 0) {
+            throw new Error('Backtest evaluator requires OHLCV bars');
+        }
+
+        this.bars = options.bars;
+        this.dataLength = options.bars.length;
+        this.backtestOptions = options.backtest || {};
+        this.scoreMetric = options.scoreMetric || 'sharpeRatio';
+        // Sharpe ratios are annualized with this; overfitting diagnostics undo it
+        this.periodsPerYear = this.backtestOptions.periodsPerYear || 252;
+
+        if (typeof options.script === 'string') {
+            const compiled = new PineTranspiler().transpile(options.script);
+            if (!compiled.success) {
+                const errors = compiled.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+                throw new Error(`Script cannot be backtested locally: ${errors
+                    .map(error => `line ${error.line}: ${error.message}`)
+                    .join('; ')}`);
+            }
+
+            // Declared strategy() properties apply unless explicitly overridden
+            this.backtestOptions = { ...compiled.strategyOptions, ...this.backtestOptions };
+            const mintick = this.backtestOptions.mintick;
+            this.createStrategy = parameterSet => compiled.createStrategy(parameterSet, { mintick });
+        } else if (typeof options.strategy === 'function') {
+            this.createStrategy = options.strategy;
+        } else {
+            throw new Error('Backtest evaluator requires a Pine script or a strategy factory');
+        }
+    }
+
+    async evaluate(parameterSet, context = {}) {
+        const { metrics } = this.backtest(parameterSet, context);
+        const score = metrics[this.scoreMetric];
+
+        return {
+            score: Number.isFinite(score) ? score : 0,
+            metrics
+        };
+    }
+
+    /**
+     * Closed trades of a parameter set, for Monte Carlo analysis
+     */
+    async trades(parameterSet, context = {}) {
+        const { trades, initialCapital } = this.backtest(parameterSet, context);
+        return { trades, initialCapital };
+    }
+
+    /**
+     * Per-bar returns of a parameter set, for the deflated Sharpe ratio
+     */
+    async returns(parameterSet, context = {}) {
+        const { equityCurve } = this.backtest(parameterSet, context);
+        const returns = [];
+        for (let i = 1; i < equityCurve.length; i++) {
+            if (equityCurve[i - 1].equity > 0) {
+                returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+            }
+        }
+        return returns;
+    }
+
+    backtest(parameterSet, { dataRange } = {}) {
+        const bars = dataRange ? this.bars.slice(dataRange.start, dataRange.end) : this.bars;
+
+        const backtester = new Backtester(this.backtestOptions);
+        const result = backtester.run(bars, this.createStrategy(parameterSet));
+        return { ...result, initialCapital: backtester.options.initialCapital };
+    }
+}
+
+/**
+ * Portfolio - evaluates every parameter set on a basket of markets
+ * (symbols and timeframes) and aggregates one metric across them
+ *
+ * options.markets lists { symbol, timeframe, evaluator, evaluatorOptions };
+ * a market's evaluator defaults to options.evaluator ('backtest') and its
+ * options are merged over options.evaluatorOptions, so a script is given
+ * once and bars per market. options.aggregate is 'mean', 'worst' or
+ * 'median' of options.metric (default sharpeRatio; null uses each market's
+ * score). Data ranges are mapped proportionally onto each market's bars.
+ */
+class PortfolioEvaluator {
+    constructor(options = {}) {
+        if (!Array.isArray(options.markets) || options.markets.length === 0) {
+            throw new Error('Portfolio evaluator requires at least one market');
+        }
+        if (!PortfolioEvaluator.aggregates.includes(options.aggregate || 'mean')) {
+            throw new Error(`Unknown portfolio aggregate: ${options.aggregate}`);
+        }
+
+        this.aggregate = options.aggregate || 'mean';
+        this.metric = options.metric === undefined ? 'sharpeRatio' : options.metric;
+
+        this.markets = options.markets.map(market => {
+            if (!market || !market.symbol) {
+                throw new Error('Every portfolio market needs a symbol');
+            }
+            if (market.evaluator === 'portfolio' || (!market.evaluator && options.evaluator === 'portfolio')) {
+                throw new Error('Portfolio markets cannot be portfolios themselves');
+            }
+
+            return {
+                symbol: market.symbol,
+                timeframe: market.timeframe || null,
+                evaluator: EvaluatorRegistry.create(market.evaluator || options.evaluator || 'backtest', {
+                    ...options.evaluatorOptions,
+                    ...market.evaluatorOptions
+                })
+            };
+        });
+
+        // Ranges index the shortest market; longer ones are scaled to it
+        const lengths = this.markets.map(market => market.evaluator.dataLength);
+        if (lengths.every(Number.isInteger)) {
+            this.dataLength = Math.min(...lengths);
+        }
+        this.cacheable = this.markets.every(market => market.evaluator.cacheable !== false);
+
+        // Monte Carlo analysis needs the trades of every market
+        if (this.markets.every(market => typeof market.evaluator.trades === 'function')) {
+            this.trades = this.portfolioTrades;
+        }
+    }
+
+    static get aggregates() {
+        return ['mean', 'worst', 'median'];
+    }
+
+    /**
+     * Markets from settings, "SYMBOL [TIMEFRAME]" per line of text or per array entry
+     */
+    static parseMarkets(markets) {
+        const lines = typeof markets === 'string' ? markets.split('\n') : markets || [];
+        return lines
+            .map(line => String(line).trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                const [symbol, timeframe = null] = line.split(/\s+/);
+                return { symbol, timeframe };
+            });
+    }
+
+    /**
+     * Aggregate of `values`; worst is the lowest
+     */
+    static combine(values, aggregate) {
+        if (values.length === 0) return 0;
+
+        if (aggregate === 'worst') {
+            return Math.min(...values);
+        }
+        if (aggregate === 'median') {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        }
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * Metrics across markets: trades are summed, maxDrawdown is the worst
+     * market's and every other numeric metric is averaged
+     */
+    static combineMetrics(metricsList) {
+        const keys = [...new Set(metricsList.flatMap(metrics => Object.keys(metrics)))];
+        const combined = {};
+
+        keys.forEach(key => {
+            const values = metricsList.map(metrics => metrics[key]).filter(Number.isFinite);
+            if (values.length === 0) return;
+
+            if (key === 'trades') {
+                combined[key] = values.reduce((sum, value) => sum + value, 0);
+            } else if (key === 'maxDrawdown') {
+                combined[key] = Math.max(...values);
+            } else {
+                combined[key] = values.reduce((sum, value) => sum + value, 0) / values.length;
+            }
+        });
+
+        return combined;
+    }
+
+    async evaluate(parameterSet, context = {}) {
+        const breakdown = [];
+
+        for (const market of this.markets) {
+            const evaluation = await market.evaluator.evaluate({ ...parameterSet }, this.marketContext(market, context));
+            const metrics = evaluation.metrics || {};
+            const value = this.metric === null ? evaluation.score : metrics[this.metric];
+
+            breakdown.push({
+                symbol: market.symbol,
+                timeframe: market.timeframe,
+                score: evaluation.score,
+                value: Number.isFinite(value) ? value : 0,
+                metrics
+            });
+        }
+
+        return {
+            score: PortfolioEvaluator.combine(breakdown.map(entry => entry.value), this.aggregate),
+            metrics: PortfolioEvaluator.combineMetrics(breakdown.map(entry => entry.metrics)),
+            breakdown
+        };
+    }
+
+    /**
+     * Trades of all markets together; their capital is pooled
+     */
+    async portfolioTrades(parameterSet, context = {}) {
+        let initialCapital = 0;
+        const trades = [];
+
+        for (const market of this.markets) {
+            const result = await market.evaluator.trades({ ...parameterSet }, this.marketContext(market, context));
+            initialCapital += result.initialCapital || 0;
+            result.trades.forEach(trade => trades.push({ ...trade, symbol: market.symbol, timeframe: market.timeframe }));
+        }
+
+        return { trades, initialCapital };
+    }
+
+    marketContext(market, context) {
+        const marketContext = { ...context, market: { symbol: market.symbol, timeframe: market.timeframe } };
+
+        const length = market.evaluator.dataLength;
+        if (context.dataRange && Number.isInteger(length) && Number.isInteger(this.dataLength)) {
+            const scale = length / this.dataLength;
+            marketContext.dataRange = {
+                start: Math.round(context.dataRange.start * scale),
+                end: Math.round(context.dataRange.end * scale)
+            };
+        }
+
+        return marketContext;
+    }
+}
+
+EvaluatorRegistry.register('simulated', options => new SimulatedEvaluator(options));
+EvaluatorRegistry.register('backtest', options => new BacktestEvaluator(options));
+EvaluatorRegistry.register('portfolio', options => new PortfolioEvaluator(options));
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EvaluatorRegistry, SimulatedEvaluator, BacktestEvaluator, PortfolioEvaluator };
+}
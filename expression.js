@@ -0,0 +1,291 @@
+/**
+ * TradingHub.Mk Safe Expressions
+ * Parses small arithmetic/boolean formulas such as
+ * "sharpeRatio * 2 - maxDrawdown / 10" or "trades >= 50 and winRate > 40"
+ *
+ * Expressions are compiled into closures; nothing is eval'd, so they run
+ * under the extension's content security policy.
+ */
+
+const EXPRESSION_FUNCTIONS = {
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    sqrt: Math.sqrt,
+    log: Math.log,
+    exp: Math.exp,
+    pow: Math.pow,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil
+};
+
+const EXPRESSION_OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', ','];
+
+const EXPRESSION_WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+class SafeExpression {
+    /**
+     * Parse `source`; throws with the position of the first syntax error
+     */
+    constructor(source) {
+        if (typeof source !== 'string' || !source.trim()) {
+            throw new Error('Expression is empty');
+        }
+
+        this.source = source.trim();
+        this.identifiers = new Set();
+        this.tokens = this.tokenize(this.source);
+        this.position = 0;
+
+        const root = this.parseOr();
+        if (this.peek().type !== 'end') {
+            throw this.error(`Unexpected "${this.peek().value}"`);
+        }
+
+        this.root = root;
+        this.isComparison = root.isBoolean;
+        delete this.tokens;
+    }
+
+    /**
+     * Evaluate with `variables` supplying every identifier
+     */
+    evaluate(variables = {}) {
+        return this.root.compute(variables);
+    }
+
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const rest = source.slice(i);
+            let match;
+
+            if (/\s/.test(source[i])) {
+                i++;
+            } else if ((match = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/))) {
+                tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+                i += match[0].length;
+            } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_.]*/))) {
+                const word = match[0];
+                if (Object.prototype.hasOwnProperty.call(EXPRESSION_WORD_OPERATORS, word)) {
+                    tokens.push({ type: 'operator', value: EXPRESSION_WORD_OPERATORS[word], position: i });
+                } else if (word === 'true' || word === 'false') {
+                    tokens.push({ type: 'bool', value: word === 'true', position: i });
+                } else {
+                    tokens.push({ type: 'identifier', value: word, position: i });
+                }
+                i += word.length;
+            } else {
+                const operator = EXPRESSION_OPERATORS.find(op => rest.startsWith(op));
+                if (!operator) {
+                    throw new Error(`Invalid expression "${source}": unexpected "${source[i]}" at position ${i + 1}`);
+                }
+                tokens.push({ type: 'operator', value: operator, position: i });
+                i += operator.length;
+            }
+        }
+
+        tokens.push({ type: 'end', value: 'end of expression', position: source.length });
+        return tokens;
+    }
+
+    /**
+     * Recursive descent, lowest precedence first. Each parse method returns
+     * { compute(variables), isBoolean }.
+     */
+    parseOr() {
+        let left = this.parseAnd();
+
+        while (this.match('||')) {
+            const right = this.parseAnd();
+            left = this.logical(left, right, false);
+        }
+
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+
+        while (this.match('&&')) {
+            const right = this.parseNot();
+            left = this.logical(left, right, true);
+        }
+
+        return left;
+    }
+
+    logical(left, right, isAnd) {
+        return {
+            isBoolean: true,
+            compute: variables => {
+                const first = Boolean(left.compute(variables));
+                if (first !== isAnd) return first;
+                return Boolean(right.compute(variables));
+            }
+        };
+    }
+
+    parseNot() {
+        if (this.match('!')) {
+            const operand = this.parseNot();
+            return { isBoolean: true, compute: variables => !operand.compute(variables) };
+        }
+
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const comparisons = {
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b,
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b,
+            '==': (a, b) => a === b,
+            '!=': (a, b) => a !== b
+        };
+
+        const token = this.peek();
+        if (token.type === 'operator' && comparisons[token.value]) {
+            this.position++;
+            const right = this.parseAdditive();
+            const compare = comparisons[token.value];
+            return { isBoolean: true, compute: variables => compare(left.compute(variables), right.compute(variables)) };
+        }
+
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+
+        for (;;) {
+            if (this.match('+')) {
+                left = this.arithmetic(left, this.parseMultiplicative(), (a, b) => a + b);
+            } else if (this.match('-')) {
+                left = this.arithmetic(left, this.parseMultiplicative(), (a, b) => a - b);
+            } else {
+                return left;
+            }
+        }
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+
+        for (;;) {
+            if (this.match('*')) {
+                left = this.arithmetic(left, this.parseUnary(), (a, b) => a * b);
+            } else if (this.match('/')) {
+                left = this.arithmetic(left, this.parseUnary(), (a, b) => a / b);
+            } else if (this.match('%')) {
+                left = this.arithmetic(left, this.parseUnary(), (a, b) => a % b);
+            } else {
+                return left;
+            }
+        }
+    }
+
+    arithmetic(left, right, apply) {
+        return { isBoolean: false, compute: variables => apply(left.compute(variables), right.compute(variables)) };
+    }
+
+    parseUnary() {
+        if (this.match('-')) {
+            const operand = this.parseUnary();
+            return { isBoolean: false, compute: variables => -operand.compute(variables) };
+        }
+        if (this.match('+')) {
+            return this.parseUnary();
+        }
+
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number' || token.type === 'bool') {
+            this.position++;
+            return { isBoolean: token.type === 'bool', compute: () => token.value };
+        }
+
+        if (token.type === 'identifier') {
+            this.position++;
+            return this.match('(') ? this.parseCall(token) : this.variable(token.value);
+        }
+
+        if (this.match('(')) {
+            const inner = this.parseOr();
+            this.expect(')');
+            return inner;
+        }
+
+        throw this.error(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`);
+    }
+
+    parseCall(token) {
+        const fn = Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, token.value) && EXPRESSION_FUNCTIONS[token.value];
+        if (!fn) {
+            throw this.error(`Unknown function "${token.value}"`, token);
+        }
+
+        const args = [];
+        if (!this.match(')')) {
+            do {
+                args.push(this.parseOr());
+            } while (this.match(','));
+            this.expect(')');
+        }
+
+        return { isBoolean: false, compute: variables => fn(...args.map(arg => arg.compute(variables))) };
+    }
+
+    variable(name) {
+        this.identifiers.add(name);
+
+        return {
+            isBoolean: false,
+            compute: variables => {
+                if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+                    throw new Error(`Unknown variable "${name}" in "${this.source}"`);
+                }
+                return variables[name];
+            }
+        };
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    match(operator) {
+        const token = this.peek();
+        if (token.type === 'operator' && token.value === operator) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(operator) {
+        if (!this.match(operator)) {
+            throw this.error(`Expected "${operator}"`);
+        }
+    }
+
+    error(message, token = this.peek()) {
+        return new Error(`Invalid expression "${this.source}": ${message} at position ${token.position + 1}`);
+    }
+}
+
+SafeExpression.FUNCTIONS = Object.keys(EXPRESSION_FUNCTIONS);
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeExpression;
+}
@@ -0,0 +1,308 @@
+/**
+ * TradingHub.Mk Run History Page
+ * Lists saved optimization runs, re-opens one and compares several side by side
+ */
+
+class HistoryController {
+    constructor() {
+        this.history = new RunHistory();
+        this.runs = [];
+        this.selected = new Set();
+        this.elements = {};
+        this.init();
+    }
+
+    async init() {
+        console.log('TradingHub.Mk history page initialized');
+
+        this.getElements();
+        this.setupEventListeners();
+        await this.loadRuns();
+    }
+
+    getElements() {
+        this.elements.historyQuery = document.getElementById('historyQuery');
+        this.elements.strategyFilter = document.getElementById('strategyFilter');
+        this.elements.symbolFilter = document.getElementById('symbolFilter');
+        this.elements.runList = document.getElementById('runList');
+        this.elements.emptyMessage = document.getElementById('emptyMessage');
+        this.elements.runDetails = document.getElementById('runDetails');
+        this.elements.runDetailsTitle = document.getElementById('runDetailsTitle');
+        this.elements.runDetailsBody = document.getElementById('runDetailsBody');
+        this.elements.comparison = document.getElementById('comparison');
+        this.elements.comparisonTable = document.getElementById('comparisonTable');
+        this.elements.compareBtn = document.getElementById('compareBtn');
+        this.elements.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.elements.statusMessage = document.getElementById('statusMessage');
+    }
+
+    setupEventListeners() {
+        this.elements.historyQuery.addEventListener('input', () => this.renderRuns());
+        this.elements.strategyFilter.addEventListener('change', () => this.renderRuns());
+        this.elements.symbolFilter.addEventListener('change', () => this.renderRuns());
+        this.elements.compareBtn.addEventListener('click', () => this.compareSelected());
+        this.elements.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+
+        // Runs finished in another tab show up without a reload
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[this.history.key]) {
+                this.loadRuns();
+            }
+        });
+    }
+
+    async loadRuns() {
+        try {
+            this.runs = await this.history.all();
+
+            // Selections of deleted runs are dropped
+            const ids = new Set(this.runs.map(run => run.id));
+            this.selected.forEach(id => {
+                if (!ids.has(id)) this.selected.delete(id);
+            });
+
+            this.populateFilter(this.elements.strategyFilter, 'All strategies', this.runs.map(run => run.strategyName));
+            this.populateFilter(this.elements.symbolFilter, 'All symbols', this.runs.map(run => run.symbol));
+            this.renderRuns();
+        } catch (error) {
+            console.error('Error loading run history:', error);
+            this.showStatusMessage('Error loading run history', 'error');
+        }
+    }
+
+    populateFilter(select, allLabel, values) {
+        const current = select.value;
+        select.replaceChildren(new Option(allLabel, ''));
+        [...new Set(values.filter(Boolean))].sort().forEach(value => select.add(new Option(value, value)));
+        select.value = [...select.options].some(option => option.value === current) ? current : '';
+    }
+
+    renderRuns() {
+        const runs = RunHistory.filter(this.runs, {
+            query: this.elements.historyQuery.value,
+            strategyName: this.elements.strategyFilter.value,
+            symbol: this.elements.symbolFilter.value
+        });
+
+        this.elements.runList.replaceChildren(...runs.map(run => this.createRunRow(run)));
+        this.elements.emptyMessage.hidden = runs.length > 0;
+        this.elements.emptyMessage.textContent = this.runs.length === 0
+            ? 'No optimization runs yet. Finished runs appear here.'
+            : 'No runs match the filters.';
+        this.updateCompareButton();
+    }
+
+    createRunRow(run) {
+        const row = document.createElement('tr');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.selected.has(run.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.selected.add(run.id);
+            } else {
+                this.selected.delete(run.id);
+            }
+            this.updateCompareButton();
+        });
+
+        const openBtn = this.createLinkButton('Open', () => this.openRun(run.id));
+        const deleteBtn = this.createLinkButton('Delete', () => this.deleteRun(run.id));
+        deleteBtn.classList.add('danger');
+
+        const cells = [
+            checkbox,
+            new Date(run.createdAt).toLocaleString(),
+            run.strategyName,
+            [run.symbol, run.timeframe].filter(Boolean).join(' ') || '—',
+            run.algorithm,
+            this.formatValue(run.bestScore),
+            String(run.totalTests),
+            [openBtn, deleteBtn]
+        ];
+
+        cells.forEach(content => {
+            const cell = document.createElement('td');
+            if (typeof content === 'string') {
+                cell.textContent = content;
+            } else {
+                cell.append(...[].concat(content));
+            }
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    createLinkButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'link-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    updateCompareButton() {
+        this.elements.compareBtn.disabled = this.selected.size < 2;
+    }
+
+    /**
+     * Show everything stored with one run
+     */
+    openRun(id) {
+        const run = this.runs.find(entry => entry.id === id);
+        if (!run) return;
+
+        const range = value => (value ? `bars ${value.start}–${value.end}` : 'all data');
+        const entries = [
+            ['Date', new Date(run.createdAt).toLocaleString()],
+            ['Chart', [run.symbol, run.timeframe].filter(Boolean).join(' ') || '—'],
+            ['Script Hash', run.scriptHash],
+            ['Algorithm', run.algorithm],
+            ['Seed', String(run.seed)],
+            ['Data Range', range(run.dataRange)],
+            ['Holdout', run.holdoutRange ? range(run.holdoutRange) : 'none'],
+            ['Stop Reason', run.stopReason],
+            ['Tests Run', String(run.totalTests)],
+            ['Duration', `${Math.round(run.duration / 1000)}s`],
+            ['Best Score', this.formatValue(run.bestScore)],
+            ['Best Parameters', this.formatEntries(run.bestParameters || {})],
+            ['Metrics', this.formatEntries(run.metrics)]
+        ];
+        if (run.breakdown) {
+            entries.push(['Per Market', run.breakdown
+                .map(market => `${[market.symbol, market.timeframe].filter(Boolean).join(' ')}: ${this.formatValue(market.value)}`)
+                .join(', ')]);
+        }
+        entries.push(['Settings', JSON.stringify(run.settings, null, 1)]);
+
+        const list = document.createElement('dl');
+        list.className = 'run-details';
+        entries.forEach(([term, description]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = description;
+            list.append(dt, dd);
+        });
+
+        this.elements.runDetailsTitle.textContent = run.strategyName;
+        this.elements.runDetailsBody.replaceChildren(list);
+        this.elements.runDetails.hidden = false;
+        this.elements.runDetails.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Side-by-side table of the selected runs, best values highlighted
+     */
+    compareSelected() {
+        try {
+            const runs = this.runs.filter(run => this.selected.has(run.id));
+            const comparison = RunHistory.compare(runs);
+
+            const table = this.elements.comparisonTable;
+            table.replaceChildren();
+
+            const header = table.createTHead().insertRow();
+            ['', ...comparison.runs.map(run => `${run.label} (${new Date(run.createdAt).toLocaleDateString()})`)]
+                .forEach(label => {
+                    const th = document.createElement('th');
+                    th.textContent = label;
+                    header.appendChild(th);
+                });
+
+            const body = table.createTBody();
+            const groups = [
+                ['Summary', comparison.summary],
+                ['Parameters', comparison.parameters],
+                ['Metrics', comparison.metrics],
+                ['Settings that differ', comparison.settings]
+            ];
+            groups.forEach(([title, rows]) => {
+                if (rows.length === 0) return;
+
+                const groupRow = body.insertRow();
+                groupRow.className = 'group-row';
+                const groupCell = groupRow.insertCell();
+                groupCell.colSpan = comparison.runs.length + 1;
+                groupCell.textContent = title;
+
+                rows.forEach(entry => {
+                    const row = body.insertRow();
+                    if (entry.differs) row.className = 'differs';
+                    row.insertCell().textContent = entry.name;
+                    entry.values.forEach((value, i) => {
+                        const cell = row.insertCell();
+                        cell.textContent = this.formatValue(value);
+                        if (entry.best === i && entry.differs) cell.className = 'best';
+                    });
+                });
+            });
+
+            this.elements.comparison.hidden = false;
+            this.elements.comparison.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    async deleteRun(id) {
+        try {
+            await this.history.remove(id);
+            this.selected.delete(id);
+            await this.loadRuns();
+            this.showStatusMessage('Run deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting run:', error);
+            this.showStatusMessage('Error deleting run', 'error');
+        }
+    }
+
+    async clearHistory() {
+        if (!confirm('Delete every saved optimization run? This cannot be undone.')) return;
+
+        try {
+            await this.history.clear();
+            this.selected.clear();
+            this.elements.runDetails.hidden = true;
+            this.elements.comparison.hidden = true;
+            await this.loadRuns();
+            this.showStatusMessage('Run history cleared', 'success');
+        } catch (error) {
+            console.error('Error clearing run history:', error);
+            this.showStatusMessage('Error clearing run history', 'error');
+        }
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '—';
+        if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4);
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    formatEntries(values) {
+        const entries = Object.entries(values);
+        if (entries.length === 0) return '—';
+        return entries.map(([name, value]) => `${name}=${this.formatValue(value)}`).join(', ');
+    }
+
+    showStatusMessage(message, type) {
+        this.elements.statusMessage.textContent = message;
+        this.elements.statusMessage.className = `status-message ${type}`;
+
+        // Hide message after 3 seconds
+        setTimeout(() => {
+            this.elements.statusMessage.style.opacity = '0';
+            setTimeout(() => {
+                this.elements.statusMessage.className = 'status-message';
+            }, 300);
+        }, 3000);
+    }
+}
+
+// Initialize history controller when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new HistoryController();
+});
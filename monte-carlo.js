@@ -0,0 +1,145 @@
+/**
+ * TradingHub.Mk Monte Carlo Analysis
+ * Tests whether a result's trade list holds up when luck is taken out
+ *
+ * Each simulation replays the closed trades in a random order (`shuffle`)
+ * or draws them with replacement (`bootstrap`), charges every fill a random
+ * extra slippage and tracks the closed-trade equity curve. The spread of
+ * final equity and max drawdown across simulations, and how often equity
+ * falls into ruin, show how much of the backtest was the order and fills
+ * the history happened to produce.
+ */
+
+// In Node the dependencies are required; in the extension they are injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof SeededRandom === 'undefined') {
+        globalThis.SeededRandom = require('./random');
+    }
+}
+
+const MONTE_CARLO_PERCENTILES = [5, 25, 50, 75, 95];
+
+class MonteCarloAnalysis {
+    /**
+     * `slippage` is the largest extra cost per fill in percent of the fill
+     * price; `ruinDrawdown` is the drawdown (percent) that counts as ruin
+     */
+    constructor({ simulations = 1000, method = 'shuffle', slippage = 0.05, ruinDrawdown = 50, random = new SeededRandom() } = {}) {
+        if (method !== 'shuffle' && method !== 'bootstrap') {
+            throw new Error(`Unknown Monte Carlo method: ${method}`);
+        }
+
+        this.simulations = Math.max(1, Math.floor(simulations));
+        this.method = method;
+        this.slippage = slippage;
+        this.ruinDrawdown = ruinDrawdown;
+        this.random = random;
+    }
+
+    /**
+     * `trades` are backtester trades ({ profit, qty, entryPrice, exitPrice })
+     */
+    analyze(trades, { initialCapital = 100000 } = {}) {
+        if (!Array.isArray(trades) || trades.length === 0) {
+            throw new Error('Monte Carlo analysis requires at least one closed trade');
+        }
+
+        const finalEquity = [];
+        const maxDrawdown = [];
+        let ruined = 0;
+
+        for (let i = 0; i < this.simulations; i++) {
+            const path = this.simulate(trades, initialCapital);
+            finalEquity.push(path.finalEquity);
+            maxDrawdown.push(path.maxDrawdown);
+            if (path.maxDrawdown >= this.ruinDrawdown || path.finalEquity <= 0) {
+                ruined++;
+            }
+        }
+
+        const original = MonteCarloAnalysis.equityPath(trades.map(trade => trade.profit), initialCapital);
+
+        return {
+            method: this.method,
+            simulations: this.simulations,
+            trades: trades.length,
+            initialCapital,
+            original,
+            finalEquity: MonteCarloAnalysis.distribution(finalEquity),
+            maxDrawdown: MonteCarloAnalysis.distribution(maxDrawdown),
+            riskOfRuin: ruined / this.simulations,
+            ruinDrawdown: this.ruinDrawdown
+        };
+    }
+
+    simulate(trades, initialCapital) {
+        const sequence = this.method === 'bootstrap'
+            ? trades.map(() => trades[Math.floor(this.random.next() * trades.length)])
+            : this.shuffle(trades);
+
+        const profits = sequence.map(trade => trade.profit - this.slippageCost(trade));
+        return MonteCarloAnalysis.equityPath(profits, initialCapital);
+    }
+
+    /**
+     * Random extra cost of the entry and exit fills
+     */
+    slippageCost(trade) {
+        if (!this.slippage || !trade.qty) return 0;
+
+        const entry = Math.abs(trade.entryPrice || 0) * this.random.next();
+        const exit = Math.abs(trade.exitPrice || 0) * this.random.next();
+        return (entry + exit) * Math.abs(trade.qty) * (this.slippage / 100);
+    }
+
+    shuffle(trades) {
+        const shuffled = [...trades];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random.next() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Final equity and max drawdown (percent, as the backtester reports it)
+     * of closed-trade equity
+     */
+    static equityPath(profits, initialCapital) {
+        let equity = initialCapital;
+        let peak = initialCapital;
+        let maxDrawdown = 0;
+
+        profits.forEach(profit => {
+            equity += profit;
+            peak = Math.max(peak, equity);
+            if (peak > 0) {
+                maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+            }
+        });
+
+        return { finalEquity: equity, maxDrawdown };
+    }
+
+    /**
+     * Mean and the 5th/25th/50th/75th/95th percentiles (linear interpolation)
+     */
+    static distribution(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const summary = { mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length };
+
+        MONTE_CARLO_PERCENTILES.forEach(percentile => {
+            const position = (percentile / 100) * (sorted.length - 1);
+            const lower = Math.floor(position);
+            const upper = Math.ceil(position);
+            summary[`p${percentile}`] = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+        });
+
+        return summary;
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloAnalysis;
+}
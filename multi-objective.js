@@ -0,0 +1,184 @@
+/**
+ * TradingHub.Mk Multi-Objective Ranking
+ * Pareto dominance, non-dominated sorting and crowding distance (NSGA-II)
+ *
+ * An objective is { metric, direction } where direction is 'maximize' or
+ * 'minimize'. Results are optimizer results; objective values are read from
+ * result.metrics, with 'score' referring to result.score.
+ */
+
+const DEFAULT_OBJECTIVES = [
+    { metric: 'totalReturn', direction: 'maximize' },
+    { metric: 'profitFactor', direction: 'maximize' },
+    { metric: 'maxDrawdown', direction: 'minimize' }
+];
+
+class ParetoRanking {
+    constructor(objectives = DEFAULT_OBJECTIVES) {
+        if (!Array.isArray(objectives) || objectives.length === 0) {
+            throw new Error('Multi-objective optimization requires at least one objective');
+        }
+
+        this.objectives = objectives.map(objective => {
+            const normalized = typeof objective === 'string' ? { metric: objective } : { ...objective };
+            normalized.direction = normalized.direction || 'maximize';
+
+            if (!normalized.metric) {
+                throw new Error('Objective is missing a metric');
+            }
+            if (normalized.direction !== 'maximize' && normalized.direction !== 'minimize') {
+                throw new Error(`Invalid objective direction "${normalized.direction}" for ${normalized.metric}`);
+            }
+            return normalized;
+        });
+    }
+
+    /**
+     * Objective values oriented so that larger is always better.
+     * Missing or non-finite metrics rank worst, as do results that
+     * violate a constraint.
+     */
+    values(result) {
+        if (result.feasible === false) {
+            return this.objectives.map(() => -Infinity);
+        }
+
+        return this.objectives.map(({ metric, direction }) => {
+            const value = metric === 'score' ? result.score : result.metrics?.[metric];
+            if (typeof value !== 'number' || Number.isNaN(value)) return -Infinity;
+            return direction === 'minimize' ? -value : value;
+        });
+    }
+
+    /**
+     * Whether a is at least as good as b on every objective and better on one
+     */
+    dominates(a, b) {
+        return this.dominatesValues(this.values(a), this.values(b));
+    }
+
+    dominatesValues(valuesA, valuesB) {
+        let better = false;
+
+        for (let i = 0; i < valuesA.length; i++) {
+            if (valuesA[i] < valuesB[i]) return false;
+            if (valuesA[i] > valuesB[i]) better = true;
+        }
+
+        return better;
+    }
+
+    /**
+     * Fast non-dominated sort. Returns fronts of results, best front first.
+     */
+    sort(results) {
+        const values = results.map(result => this.values(result));
+        const dominatedBy = results.map(() => []);
+        const dominationCount = results.map(() => 0);
+
+        for (let i = 0; i < results.length; i++) {
+            for (let j = i + 1; j < results.length; j++) {
+                if (this.dominatesValues(values[i], values[j])) {
+                    dominatedBy[i].push(j);
+                    dominationCount[j]++;
+                } else if (this.dominatesValues(values[j], values[i])) {
+                    dominatedBy[j].push(i);
+                    dominationCount[i]++;
+                }
+            }
+        }
+
+        const fronts = [results.map((_, i) => i).filter(i => dominationCount[i] === 0)];
+
+        let current = 0;
+        while (fronts[current].length > 0) {
+            const next = [];
+            fronts[current].forEach(i => {
+                dominatedBy[i].forEach(j => {
+                    dominationCount[j]--;
+                    if (dominationCount[j] === 0) next.push(j);
+                });
+            });
+            fronts.push(next);
+            current++;
+        }
+
+        return fronts
+            .filter(front => front.length > 0)
+            .map(front => front.map(i => results[i]));
+    }
+
+    /**
+     * Crowding distance of each result within one front, keyed by result.
+     * Boundary results get Infinity so the extremes are always kept.
+     */
+    crowdingDistances(front) {
+        const distances = new Map(front.map(result => [result, 0]));
+        if (front.length <= 2) {
+            front.forEach(result => distances.set(result, Infinity));
+            return distances;
+        }
+
+        const values = new Map(front.map(result => [result, this.values(result)]));
+        const value = (result, k) => values.get(result)[k];
+
+        this.objectives.forEach((_, k) => {
+            const sorted = [...front].sort((a, b) => (value(a, k) === value(b, k) ? 0 : value(a, k) - value(b, k)));
+            const min = value(sorted[0], k);
+            const max = value(sorted[sorted.length - 1], k);
+
+            distances.set(sorted[0], Infinity);
+            distances.set(sorted[sorted.length - 1], Infinity);
+
+            const span = max - min;
+            if (!Number.isFinite(span) || span === 0) return;
+
+            for (let i = 1; i < sorted.length - 1; i++) {
+                const gap = value(sorted[i + 1], k) - value(sorted[i - 1], k);
+                distances.set(sorted[i], distances.get(sorted[i]) + gap / span);
+            }
+        });
+
+        return distances;
+    }
+
+    /**
+     * Order results by front, then by crowding distance within the front
+     */
+    rank(results) {
+        const ranked = [];
+
+        this.sort(results).forEach((front, rank) => {
+            const distances = this.crowdingDistances(front);
+            front
+                .map(result => ({ result, rank, crowding: distances.get(result) }))
+                .sort((a, b) => b.crowding - a.crowding)
+                .forEach(entry => ranked.push(entry));
+        });
+
+        return ranked;
+    }
+
+    /**
+     * Non-dominated results, without duplicate parameter sets
+     */
+    front(results) {
+        const feasible = results.filter(result => result.feasible !== false);
+        if (feasible.length === 0) return [];
+
+        const seen = new Set();
+        return this.sort(feasible)[0].filter(result => {
+            const key = JSON.stringify(result.parameters);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
+
+ParetoRanking.DEFAULT_OBJECTIVES = DEFAULT_OBJECTIVES;
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParetoRanking;
+}
@@ -0,0 +1,120 @@
+/**
+ * TradingHub.Mk Objective Function
+ * User-defined score formula and hard constraints over evaluator metrics
+ *
+ * The formula is an arithmetic expression over metric names, e.g.
+ * "sharpeRatio * 2 - maxDrawdown / 10"; `score` refers to the evaluator's
+ * own score. Constraints are comparisons such as "trades >= 50"; a result
+ * failing any of them is infeasible and can never become the best result.
+ */
+
+// In Node the expression parser is required; in the extension it is injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof SafeExpression === 'undefined') {
+        globalThis.SafeExpression = require('./expression');
+    }
+}
+
+// Metrics every evaluator reports, plus the evaluator's own score
+const OBJECTIVE_METRICS = ['score', 'totalReturn', 'sharpeRatio', 'maxDrawdown', 'winRate', 'profitFactor', 'trades'];
+
+class ObjectiveFunction {
+    /**
+     * `constraints` is an array of expressions or a newline-separated string.
+     * Every name must be a known metric; `metrics` adds an evaluator's own
+     * metric names, so a misspelling fails here rather than partway through a run
+     */
+    constructor({ formula = '', constraints = [], metrics = [] } = {}) {
+        this.metrics = new Set([...OBJECTIVE_METRICS, ...metrics]);
+        this.formula = typeof formula === 'string' ? formula.trim() : '';
+        this.expression = this.formula ? this.compile(this.formula, 'Objective') : null;
+
+        if (this.expression?.isComparison) {
+            throw new Error(`Objective "${this.formula}" must be a number, not a comparison`);
+        }
+
+        this.constraints = ObjectiveFunction.parseConstraints(constraints).map(source => {
+            const expression = this.compile(source, 'Constraint');
+            if (!expression.isComparison) {
+                throw new Error(`Constraint "${source}" must be a comparison such as "trades >= 50"`);
+            }
+            return { source: expression.source, expression };
+        });
+    }
+
+    compile(source, kind) {
+        const expression = new SafeExpression(source);
+
+        const unknown = [...expression.identifiers].find(name => !this.metrics.has(name));
+        if (unknown) {
+            throw new Error(`${kind} "${expression.source}" refers to unknown metric "${unknown}"; ` +
+                            `known metrics are ${[...this.metrics].join(', ')}`);
+        }
+
+        return expression;
+    }
+
+    /**
+     * Normalize constraints given as text (one per line) or as an array
+     */
+    static parseConstraints(constraints) {
+        const list = typeof constraints === 'string' ? constraints.split('\n') : constraints || [];
+        return list
+            .map(constraint => String(constraint).trim())
+            .filter(constraint => constraint.length > 0);
+    }
+
+    /**
+     * Build from flat settings; null when neither a formula nor constraints are set
+     */
+    static fromSettings(settings = {}, metrics = []) {
+        const objective = new ObjectiveFunction({
+            formula: settings.objectiveFormula,
+            constraints: settings.objectiveConstraints,
+            metrics
+        });
+
+        return objective.isDefault() ? null : objective;
+    }
+
+    isDefault() {
+        return !this.expression && this.constraints.length === 0;
+    }
+
+    /**
+     * Score an evaluation and check it against the constraints
+     */
+    evaluate(evaluation) {
+        const variables = { ...evaluation.metrics, score: evaluation.score };
+        const violations = this.constraints
+            .filter(constraint => !constraint.expression.evaluate(variables))
+            .map(constraint => constraint.source);
+
+        let score = evaluation.score;
+        if (this.expression) {
+            score = this.expression.evaluate(variables);
+            if (typeof score !== 'number' || !Number.isFinite(score)) {
+                // Division by zero and similar; keep results serializable
+                violations.push(`${this.formula} is not a finite number`);
+                score = 0;
+            }
+        }
+
+        return { score, feasible: violations.length === 0, violations };
+    }
+
+    /**
+     * Plain description stored with each run
+     */
+    toJSON() {
+        return {
+            formula: this.formula || 'score',
+            constraints: this.constraints.map(constraint => constraint.source)
+        };
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ObjectiveFunction;
+}
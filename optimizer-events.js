@@ -0,0 +1,102 @@
+/**
+ * TradingHub.Mk Optimization Events
+ * Typed event stream of an optimization run, so UIs, loggers and
+ * persistence layers can subscribe independently
+ *
+ * Event types and their payloads (every event also has `type` and `timestamp`):
+ * - run-started: { seed, config, parameters, phases, resumed }
+ * - phase-started: { phase, index, planned }
+ * - evaluation-completed: { result (parameters, score, metrics, feasible, violations), evaluations, phase }
+ * - new-best: { result, previousScore }
+ * - generation-completed: { generation, populationSize, best, worst, mean, stdDev, feasible, phase }
+ * - progress: { current, total, percentage, phase, elapsed, evaluationsPerSecond, eta, bestScore, resultsCount }
+ * - run-finished: { stopReason, totalTests, bestResult, duration }
+ * - run-aborted: { reason ('stopped' or 'error'), error, totalTests, bestResult, duration }
+ */
+
+const OPTIMIZATION_EVENT_TYPES = [
+    'run-started',
+    'phase-started',
+    'evaluation-completed',
+    'new-best',
+    'generation-completed',
+    'progress',
+    'run-finished',
+    'run-aborted'
+];
+
+class OptimizationEvents {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    static get types() {
+        return OPTIMIZATION_EVENT_TYPES;
+    }
+
+    /**
+     * Subscribe to one event type, or to all of them with '*';
+     * returns a function that unsubscribes
+     */
+    on(type, listener) {
+        if (type !== '*' && !OPTIMIZATION_EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown optimization event: ${type}`);
+        }
+        if (typeof listener !== 'function') {
+            throw new Error('Optimization event listeners must be functions');
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribe for the next event of `type` only
+     */
+    once(type, listener) {
+        const unsubscribe = this.on(type, event => {
+            unsubscribe();
+            listener(event);
+        });
+        return unsubscribe;
+    }
+
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    hasListeners(type) {
+        return (this.listeners.get(type)?.size || 0) + (this.listeners.get('*')?.size || 0) > 0;
+    }
+
+    /**
+     * Deliver an event synchronously; a failing listener is logged and
+     * never interrupts the run or the other listeners
+     */
+    emit(type, payload = {}) {
+        if (!OPTIMIZATION_EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown optimization event: ${type}`);
+        }
+        if (!this.hasListeners(type)) return;
+
+        const event = { type, timestamp: Date.now(), ...payload };
+        const listeners = [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])];
+
+        listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Optimization event listener failed on ${type}:`, error);
+            }
+        });
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OptimizationEvents;
+}
@@ -3,65 +3,539 @@
  * Implements optimization algorithms for Pine Script strategies
  */
 
+// In Node the dependencies are required; in the extension they are injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof EvaluatorRegistry === 'undefined') {
+        globalThis.EvaluatorRegistry = require('./evaluators').EvaluatorRegistry;
+    }
+    if (typeof ParetoRanking === 'undefined') {
+        globalThis.ParetoRanking = require('./multi-objective');
+    }
+    if (typeof ObjectiveFunction === 'undefined') {
+        globalThis.ObjectiveFunction = require('./objective');
+    }
+    if (typeof ParameterConstraints === 'undefined') {
+        globalThis.ParameterConstraints = require('./parameter-constraints');
+    }
+    if (typeof TreeParzenEstimator === 'undefined') {
+        globalThis.TreeParzenEstimator = require('./tpe');
+    }
+    if (typeof SeededRandom === 'undefined') {
+        globalThis.SeededRandom = require('./random');
+    }
+    if (typeof ParameterSampler === 'undefined') {
+        globalThis.ParameterSampler = require('./samplers');
+    }
+    if (typeof EvaluationWorkerPool === 'undefined') {
+        globalThis.EvaluationWorkerPool = require('./worker-pool').EvaluationWorkerPool;
+    }
+    if (typeof EvaluationCache === 'undefined') {
+        globalThis.EvaluationCache = require('./evaluation-cache').EvaluationCache;
+    }
+    if (typeof SensitivityAnalysis === 'undefined') {
+        globalThis.SensitivityAnalysis = require('./sensitivity');
+    }
+    if (typeof OverfittingAnalysis === 'undefined') {
+        globalThis.OverfittingAnalysis = require('./overfitting');
+    }
+    if (typeof MonteCarloAnalysis === 'undefined') {
+        globalThis.MonteCarloAnalysis = require('./monte-carlo');
+    }
+    if (typeof AlgorithmRegistry === 'undefined') {
+        globalThis.AlgorithmRegistry = require('./algorithms').AlgorithmRegistry;
+    }
+    if (typeof OptimizationEvents === 'undefined') {
+        globalThis.OptimizationEvents = require('./optimizer-events');
+    }
+}
+
+// Grid steps per parameter for each sampling density
+const GRID_DENSITIES = { basic: 3, coarse: 5, standard: 7, fine: 10 };
+
+// Designs drawn by generateParameterSets() to fill a budget despite constraints
+const SAMPLING_ROUNDS = 6;
+
 class StrategyOptimizer {
     constructor() {
         this.isOptimizing = false;
         this.currentOptimization = null;
         this.results = [];
         this.bestResult = null;
-        this.progressCallback = null;
+        this.events = new OptimizationEvents();
+        this.progressUnsubscribe = null;
+        this.evaluator = null;
+        this.paretoRanking = null;
+        this.objective = null;
+        this.constraints = null;
+        this.random = new SeededRandom();
+        this.workerPool = null;
+        this.workerFactory = null;
+        this.isPaused = false;
+        this.pauseWaiters = [];
+        this.stopRequested = false;
+        this.evaluationLog = [];
+        this.evaluationCount = 0;
+        this.replay = null;
+        this.checkpointStore = null;
+        this.checkpointWrite = Promise.resolve();
+        this.lastCheckpointAt = 0;
+        this.evaluationCache = null;
+        this.cacheScope = null;
+        this.monteCarlo = null;
     }
 
     /**
-     * Start optimization process
+     * Start optimization process; `checkpoint` (see resumeFromCheckpoint)
+     * replays a previous run before evaluating anything new
      */
-    async optimize(parameters, settings = {}) {
+    async optimize(parameters, settings = {}, checkpoint = null) {
         if (this.isOptimizing) {
             throw new Error('Optimization already in progress');
         }
 
         try {
             this.isOptimizing = true;
+            this.isPaused = false;
+            this.stopRequested = false;
             this.results = [];
             this.bestResult = null;
+            this.currentOptimization = null;
+            this.evaluationLog = [];
+            this.evaluationCount = 0;
+            this.replay = checkpoint ? { evaluations: checkpoint.evaluations } : null;
+            this.lastCheckpointAt = checkpoint ? checkpoint.evaluations.length : 0;
 
             const config = {
                 maxIterations: settings.maxIterations || 100,
                 optimizationDepth: settings.optimizationDepth || 'standard',
                 parallelProcessing: settings.parallelProcessing || false,
+                evaluator: settings.evaluator || 'simulated',
                 ...settings
             };
 
+            // Every random choice of the run comes from this seed
+            config.seed = Number.isInteger(config.seed) ? config.seed >>> 0 : SeededRandom.createSeed();
+            this.random = new SeededRandom(config.seed);
+
             console.log('Starting optimization with config:', config);
 
+            this.evaluator = EvaluatorRegistry.create(config.evaluator, config.evaluatorOptions);
+            const algorithm = AlgorithmRegistry.get(config.optimizationDepth);
+            this.workerPool = this.createWorkerPool(config);
+            this.cacheScope = this.createCacheScope(config);
+            
+            // Objectives switch ranking from the scalar score to Pareto fronts
+            this.paretoRanking = config.objectives || config.optimizationDepth === 'multiobjective'
+                ? new ParetoRanking(config.objectives)
+                : null;
+            
+            // A user formula replaces the evaluator score; constraints disqualify results
+            this.objective = ObjectiveFunction.fromSettings(config, this.evaluator.metricNames);
+            
+            // Value lists become options and log-scale ranges are checked
+            parameters = this.normalizeParameters(parameters);
+            if (config.samplingMethod && !ParameterSampler.methods.includes(config.samplingMethod)) {
+                throw new Error(`Unknown sampling method: ${config.samplingMethod}`);
+            }
+            
+            // Relations between parameters that every tested set must satisfy
+            this.constraints = ParameterConstraints.fromSettings(config, parameters);
+            
+            // Optional robustness check of the winner, configured up front so bad settings fail early
+            this.monteCarlo = config.monteCarlo
+                ? new MonteCarloAnalysis({
+                    simulations: config.monteCarloSimulations,
+                    method: config.monteCarloMethod,
+                    slippage: config.monteCarloSlippage,
+                    ruinDrawdown: config.monteCarloRuinDrawdown,
+                    random: new SeededRandom(`${config.seed}:monte-carlo`)
+                })
+                : null;
+
             this.currentOptimization = {
                 parameters,
                 config,
-                startTime: Date.now(),
+                startTime: Date.now() - (checkpoint?.elapsed || 0),
                 iteration: 0,
-                totalIterations: this.calculateTotalIterations(parameters, config)
+                cacheHits: 0,
+                phases: this.planIterations(algorithm, parameters, config),
+                phase: -1,
+                totalIterations: 0,
+                stopReason: null,
+                plateauScore: null,
+                sinceImprovement: 0
             };
+            
+            this.events.emit('run-started', {
+                seed: config.seed,
+                config,
+                parameters,
+                phases: this.currentOptimization.phases.map(phase => ({ name: phase.name, planned: phase.planned })),
+                resumed: Boolean(checkpoint)
+            });
+            
+            // Progress is measured against the plan from the first phase on
+            const [firstPhase] = this.currentOptimization.phases;
+            this.beginPhase(firstPhase.name, firstPhase.planned, 0);
 
-            // Choose optimization algorithm based on depth setting
-            let results;
-            switch (config.optimizationDepth) {
-                case 'basic':
-                    results = await this.basicOptimization(parameters, config);
-                    break;
-                case 'deep':
-                    results = await this.deepOptimization(parameters, config);
-                    break;
-                default:
-                    results = await this.standardOptimization(parameters, config);
+            // The holdout is never seen during the search, only by the overfitting report
+            const split = this.createHoldout(config);
+            if (split) {
+                this.currentOptimization.searchRange = split.search;
+                this.currentOptimization.holdoutRange = split.holdout;
+                this.currentOptimization.dataRange = split.search;
+            }
+
+            // The depth setting names a registered algorithm
+            const results = await algorithm.run(
+                this,
+                parameters,
+                config,
+                AlgorithmRegistry.options(algorithm.name, config)
+            );
+            
+            // A sampler that filters out every set leaves nothing to report
+            if (results.totalTests === 0 && this.constraints && !this.stopRequested) {
+                throw new Error('No parameter set satisfies the parameter constraints');
+            }
+            
+            // The plan now holds what each phase actually ran
+            this.closeIterationPlan(results.totalTests);
+            results.phases = this.currentOptimization.phases.map(phase => ({ name: phase.name, evaluations: phase.planned }));
+            
+            // Stopping rules end the search, not the analysis of its result
+            const { stopReason } = this.currentOptimization;
+            results.stopReason = stopReason || (this.stopRequested ? 'stopped' : 'completed');
+            if (stopReason && !this.stopRequested) {
+                this.isOptimizing = true;
+            }
+            
+            const overfitting = await this.analyzeOverfitting(results.bestResult);
+            if (overfitting) {
+                results.overfitting = overfitting;
+            }
+            
+            const sensitivity = await this.analyzeSensitivity(results.bestResult, parameters, config);
+            if (sensitivity) {
+                results.sensitivity = sensitivity;
+            }
+            
+            const monteCarlo = await this.analyzeRobustness(results.bestResult);
+            if (monteCarlo) {
+                results.monteCarlo = monteCarlo;
             }
 
             this.isOptimizing = false;
+            this.closeWorkerPool();
+            
+            // A stopped run stays resumable; a finished one has nothing left to resume
+            if (this.stopRequested) {
+                await this.saveCheckpoint();
+                this.emitRunEnd('run-aborted', { reason: 'stopped', error: null });
+            } else {
+                await this.clearCheckpoint();
+                this.emitRunEnd('run-finished', { stopReason: results.stopReason });
+            }
             return results;
 
         } catch (error) {
             this.isOptimizing = false;
+            this.closeWorkerPool();
+            
+            if (this.currentOptimization) {
+                this.emitRunEnd('run-aborted', { reason: 'error', error: error.message });
+            }
+            
+            // Keep the stored checkpoint intact when it failed to replay
+            if (!this.replay?.failed) {
+                await this.saveCheckpoint();
+            }
             console.error('Optimization error:', error);
             throw error;
+        } finally {
+            this.replay = null;
+        }
+    }
+
+    /**
+     * Continue a run from a checkpoint saved by pause(), stop() or the
+     * periodic checkpoints. The recorded evaluations are replayed through
+     * the same seeded algorithm, which rebuilds its exact state (grid
+     * position, GA population, local-search position, RNG) without calling
+     * the evaluator, then the run carries on with new evaluations.
+     * `settings` override the saved config, e.g. to pass a custom evaluator again.
+     */
+    async resumeFromCheckpoint(checkpoint, settings = {}) {
+        if (!checkpoint || checkpoint.version !== 1 || !Array.isArray(checkpoint.evaluations)) {
+            throw new Error('Unsupported optimization checkpoint');
+        }
+        if (checkpoint.customEvaluator && settings.evaluator === undefined) {
+            throw new Error('This checkpoint used a custom evaluator; pass it in the settings to resume');
+        }
+        
+        return this.optimize(checkpoint.parameters, { ...checkpoint.config, ...settings }, checkpoint);
+    }
+
+    /**
+     * Worker pool for parallelProcessing; null (sequential) when the evaluator
+     * cannot run on workers or no worker factory is available
+     */
+    createWorkerPool(config) {
+        if (!config.parallelProcessing) return null;
+
+        if (typeof config.evaluator !== 'string' || !EvaluationWorkerPool.isCloneable(config.evaluatorOptions || {})) {
+            console.warn('Parallel processing needs a registered evaluator with plain options; evaluating sequentially');
+            return null;
+        }
+
+        const createWorker = this.workerFactory || EvaluationWorkerPool.defaultWorkerFactory();
+        if (!createWorker) {
+            console.warn('Workers are unavailable; evaluating sequentially');
+            return null;
+        }
+
+        return new EvaluationWorkerPool({
+            size: config.workerPoolSize || 4,
+            createWorker,
+            evaluator: config.evaluator,
+            evaluatorOptions: config.evaluatorOptions
+        });
+    }
+
+    /**
+     * Split the evaluator's data into the search range and a holdout at the
+     * end (holdoutRatio, default 0.2); null without a known data length
+     */
+    createHoldout(config) {
+        const ratio = config.holdoutRatio ?? 0.2;
+        const dataLength = this.evaluator.dataLength;
+        if (!(ratio > 0) || !Number.isInteger(dataLength)) return null;
+        
+        const holdoutLength = Math.floor(dataLength * Math.min(ratio, 0.5));
+        if (holdoutLength < 1 || dataLength - holdoutLength < 2) return null;
+        
+        return {
+            search: { start: 0, end: dataLength - holdoutLength },
+            holdout: { start: dataLength - holdoutLength, end: dataLength }
+        };
+    }
+
+    /**
+     * Overfitting report: the best result on the holdout, the deflated
+     * Sharpe ratio over all trials and the PBO of the top trials
+     */
+    async analyzeOverfitting(bestResult) {
+        // Evaluators without real data ignore data ranges; there is nothing to measure
+        if (!bestResult || !this.isOptimizing || !Number.isInteger(this.evaluator.dataLength)) return null;
+        
+        const { config, searchRange, holdoutRange } = this.currentOptimization;
+        const report = { holdout: null, deflatedSharpe: null, pbo: null };
+        
+        if (holdoutRange) {
+            const [holdout] = await this.evaluateOnRanges([{ parameters: bestResult.parameters, dataRange: holdoutRange }]);
+            if (holdout) {
+                report.holdout = {
+                    range: { ...holdoutRange },
+                    score: holdout.score,
+                    metrics: holdout.metrics,
+                    feasible: holdout.feasible !== false,
+                    inSampleScore: bestResult.score,
+                    // Relative score lost on unseen data
+                    degradation: bestResult.score === 0 ? null : (bestResult.score - holdout.score) / Math.abs(bestResult.score)
+                };
+            }
+        }
+        
+        report.deflatedSharpe = await this.calculateDeflatedSharpe(bestResult, searchRange);
+        
+        const dataLength = searchRange ? searchRange.end - searchRange.start : this.evaluator.dataLength;
+        if (Number.isInteger(dataLength)) {
+            report.pbo = await this.estimateOverfittingProbability(config, searchRange ? searchRange.start : 0, dataLength);
+        }
+        
+        return report;
+    }
+
+    /**
+     * Deflated Sharpe ratio of the best result against every trial in
+     * this.results; null without Sharpe ratios or a known sample length
+     */
+    async calculateDeflatedSharpe(bestResult, searchRange) {
+        const periodsPerYear = this.evaluator.periodsPerYear || 252;
+        const perPeriod = result => result.metrics?.sharpeRatio / Math.sqrt(periodsPerYear);
+        
+        const sharpe = perPeriod(bestResult);
+        const trialSharpes = this.results.map(perPeriod).filter(Number.isFinite);
+        const observations = searchRange ? searchRange.end - searchRange.start : this.evaluator.dataLength;
+        if (!Number.isFinite(sharpe) || !Number.isInteger(observations)) return null;
+        
+        // Evaluators that expose their returns allow the non-normal correction
+        let moments = { skewness: 0, kurtosis: 3 };
+        if (typeof this.evaluator.returns === 'function') {
+            const returns = await this.evaluator.returns({ ...bestResult.parameters }, { dataRange: searchRange || undefined });
+            moments = OverfittingAnalysis.moments(returns);
+        }
+        
+        return OverfittingAnalysis.deflatedSharpe({ sharpe, trialSharpes, observations, ...moments });
+    }
+
+    /**
+     * PBO through CSCV: the top `pboTrials` (default 10, 0 skips it) distinct results
+     * are scored on each of `pboBlocks` (default 6, even) equal blocks of
+     * the search data
+     */
+    async estimateOverfittingProbability(config, start, dataLength) {
+        let blocks = Math.max(2, Math.floor(config.pboBlocks || 6));
+        blocks -= blocks % 2;
+        if (dataLength < blocks) return null;
+        
+        const trials = [];
+        const seen = new Set();
+        this.getTopResults(this.results.length).forEach(result => {
+            const key = JSON.stringify(result.parameters);
+            if (trials.length < (config.pboTrials ?? 10) && !seen.has(key)) {
+                seen.add(key);
+                trials.push(result.parameters);
+            }
+        });
+        if (trials.length < 2) return null;
+        
+        const blockLength = Math.floor(dataLength / blocks);
+        const tasks = [];
+        trials.forEach(parameters => {
+            for (let block = 0; block < blocks; block++) {
+                const blockStart = start + block * blockLength;
+                const blockEnd = block === blocks - 1 ? start + dataLength : blockStart + blockLength;
+                tasks.push({ parameters, dataRange: { start: blockStart, end: blockEnd } });
+            }
+        });
+        
+        const evaluated = await this.evaluateOnRanges(tasks);
+        if (evaluated.length < tasks.length) return null;
+        
+        const performance = trials.map((_, trial) =>
+            evaluated.slice(trial * blocks, (trial + 1) * blocks).map(result => this.fitness(result))
+        );
+        return OverfittingAnalysis.probabilityOfOverfitting(performance);
+    }
+
+    /**
+     * Evaluate parameter sets on given data ranges outside the search
+     * (results are not recorded); stops early when the run is stopped
+     */
+    async evaluateOnRanges(tasks) {
+        const previousRange = this.currentOptimization.dataRange;
+        
+        try {
+            if (this.workerPool) {
+                return await Promise.all(tasks.map(task => {
+                    this.currentOptimization.dataRange = task.dataRange;
+                    return this.testParameterSet(task.parameters, this.evaluationCount);
+                }));
+            }
+            
+            const evaluated = [];
+            for (const task of tasks) {
+                if (!this.isOptimizing) break;
+                
+                this.currentOptimization.dataRange = task.dataRange;
+                evaluated.push(await this.testParameterSet(task.parameters, this.evaluationCount));
+            }
+            return evaluated;
+        } finally {
+            this.currentOptimization.dataRange = previousRange;
+        }
+    }
+
+    /**
+     * Sweep each parameter around the best result (sensitivityAnalysis);
+     * known parameter sets are reused, new ones are evaluated on the best
+     * result's data range but not added to the search results
+     */
+    async analyzeSensitivity(bestResult, parameters, config) {
+        if (!config.sensitivityAnalysis || !bestResult || !this.isOptimizing) return null;
+        
+        const analysis = new SensitivityAnalysis({
+            steps: config.sensitivitySteps,
+            range: config.sensitivityRange,
+            tolerance: config.sensitivityTolerance
+        });
+        
+        const keyOf = set => JSON.stringify(parameters.map(param => set[param.name]));
+        const known = new Map(this.results.map(result => [keyOf(result.parameters), result]));
+        let iteration = this.results.length;
+        
+        const searchRange = this.currentOptimization.dataRange;
+        this.currentOptimization.dataRange = bestResult.dataRange || null;
+        try {
+            return await analysis.analyze(bestResult, parameters, async parameterSet => {
+                const key = keyOf(parameterSet);
+                if (!known.has(key)) {
+                    known.set(key, await this.testParameterSet(parameterSet, iteration++));
+                }
+                return known.get(key);
+            }, result => this.fitness(result));
+        } finally {
+            this.currentOptimization.dataRange = searchRange;
+        }
+    }
+
+    /**
+     * Monte Carlo analysis of the best result's trades; null when disabled,
+     * when the evaluator cannot list trades or there are none
+     */
+    async analyzeRobustness(bestResult) {
+        if (!this.monteCarlo || !bestResult) return null;
+        
+        if (typeof this.evaluator.trades !== 'function') {
+            console.warn('Monte Carlo analysis needs an evaluator that reports trades, such as backtest; skipping it');
+            return null;
+        }
+        
+        const { config, parameters } = this.currentOptimization;
+        const context = { iteration: bestResult.iteration, parameters, config, seed: config.seed };
+        if (bestResult.dataRange) {
+            context.dataRange = { ...bestResult.dataRange };
+        }
+        
+        const { trades, initialCapital } = await this.evaluator.trades({ ...bestResult.parameters }, context);
+        if (!trades || trades.length === 0) {
+            console.warn('The best result has no closed trades; skipping Monte Carlo analysis');
+            return null;
+        }
+        
+        return this.monteCarlo.analyze(trades, { initialCapital });
+    }
+
+    /**
+     * Cache scope for cacheResults; null (no caching) for evaluators that
+     * cannot be identified by name and plain options, or whose results
+     * depend on more than the parameters and data (cacheable = false)
+     */
+    createCacheScope(config) {
+        if (!config.cacheResults || typeof config.evaluator !== 'string' || this.evaluator.cacheable === false) {
+            return null;
+        }
+        if (!EvaluationWorkerPool.isCloneable(config.evaluatorOptions || {})) {
+            return null;
+        }
+        
+        this.evaluationCache = this.evaluationCache || new EvaluationCache();
+        if (config.cacheMaxEntries) {
+            this.evaluationCache.maxEntries = config.cacheMaxEntries;
+        }
+        
+        return EvaluationCache.createScope({
+            ...config.cacheScope,
+            evaluator: config.evaluator,
+            evaluatorOptions: config.evaluatorOptions
+        });
+    }
+
+    closeWorkerPool() {
+        if (this.workerPool) {
+            this.workerPool.terminate();
+            this.workerPool = null;
         }
     }
 
@@ -71,22 +545,11 @@ class StrategyOptimizer {
     async basicOptimization(parameters, config) {
         console.log('Running basic optimization...');
         
-        const parameterSets = this.generateParameterSets(parameters, 'basic');
+        const parameterSets = this.generateParameterSets(parameters, 'basic', config.maxIterations);
         const maxSets = Math.min(parameterSets.length, config.maxIterations);
+        this.beginPhase('grid', maxSets);
         
-        for (let i = 0; i < maxSets; i++) {
-            if (!this.isOptimizing) break;
-            
-            const paramSet = parameterSets[i];
-            const result = await this.testParameterSet(paramSet, i);
-            
-            this.results.push(result);
-            this.updateBestResult(result);
-            this.updateProgress(i + 1, maxSets);
-            
-            // Small delay to prevent UI blocking
-            await this.delay(50);
-        }
+        await this.evaluateGeneration(parameterSets.slice(0, maxSets), maxSets);
         
         return this.compileResults();
     }
@@ -98,21 +561,11 @@ class StrategyOptimizer {
         console.log('Running standard optimization...');
         
         // Phase 1: Coarse grid search
-        let parameterSets = this.generateParameterSets(parameters, 'coarse');
+        let parameterSets = this.generateParameterSets(parameters, 'coarse', Math.floor(config.maxIterations * 0.6));
         let maxSets = Math.min(parameterSets.length, Math.floor(config.maxIterations * 0.6));
+        this.beginPhase('grid', maxSets);
         
-        for (let i = 0; i < maxSets; i++) {
-            if (!this.isOptimizing) break;
-            
-            const paramSet = parameterSets[i];
-            const result = await this.testParameterSet(paramSet, i);
-            
-            this.results.push(result);
-            this.updateBestResult(result);
-            this.updateProgress(i + 1, config.maxIterations);
-            
-            await this.delay(75);
-        }
+        await this.evaluateGeneration(parameterSets.slice(0, maxSets), config.maxIterations);
         
         // Phase 2: Fine-tune around best results
         if (this.isOptimizing && this.results.length > 0) {
@@ -120,19 +573,9 @@ class StrategyOptimizer {
             const fineParameterSets = this.generateFineParameterSets(topResults, parameters);
             const remainingIterations = config.maxIterations - this.results.length;
             maxSets = Math.min(fineParameterSets.length, remainingIterations);
+            this.beginPhase('refine', maxSets);
             
-            for (let i = 0; i < maxSets; i++) {
-                if (!this.isOptimizing) break;
-                
-                const paramSet = fineParameterSets[i];
-                const result = await this.testParameterSet(paramSet, this.results.length);
-                
-                this.results.push(result);
-                this.updateBestResult(result);
-                this.updateProgress(this.results.length, config.maxIterations);
-                
-                await this.delay(75);
-            }
+            await this.evaluateGeneration(fineParameterSets.slice(0, maxSets), config.maxIterations);
         }
         
         return this.compileResults();
@@ -145,31 +588,23 @@ class StrategyOptimizer {
         console.log('Running deep optimization...');
         
         // Phase 1: Initial grid search (30% of iterations)
-        let parameterSets = this.generateParameterSets(parameters, 'coarse');
-        let maxSets = Math.min(parameterSets.length, Math.floor(config.maxIterations * 0.3));
+        const parameterSets = this.generateParameterSets(parameters, 'coarse', Math.floor(config.maxIterations * 0.3));
+        const maxSets = Math.min(parameterSets.length, Math.floor(config.maxIterations * 0.3));
+        this.beginPhase('grid', maxSets);
         
-        for (let i = 0; i < maxSets; i++) {
-            if (!this.isOptimizing) break;
-            
-            const paramSet = parameterSets[i];
-            const result = await this.testParameterSet(paramSet, i);
-            
-            this.results.push(result);
-            this.updateBestResult(result);
-            this.updateProgress(i + 1, config.maxIterations);
-            
-            await this.delay(100);
-        }
+        await this.evaluateGeneration(parameterSets.slice(0, maxSets), config.maxIterations);
         
         // Phase 2: Genetic algorithm (40% of iterations)
         if (this.isOptimizing && this.results.length > 0) {
             const geneticIterations = Math.floor(config.maxIterations * 0.4);
+            this.beginPhase('genetic', this.planGeneticEvaluations(geneticIterations, this.results.length));
             await this.geneticOptimization(parameters, geneticIterations);
         }
         
         // Phase 3: Local search refinement (30% of iterations)
         if (this.isOptimizing && this.bestResult) {
             const localIterations = config.maxIterations - this.results.length;
+            this.beginPhase('local', localIterations);
             await this.localSearchOptimization(parameters, localIterations);
         }
         
@@ -177,49 +612,328 @@ class StrategyOptimizer {
     }
 
     /**
-     * Generate parameter sets for testing
+     * Bayesian optimization - a Tree-structured Parzen Estimator proposes each
+     * parameter set from the results so far, for slow evaluators
      */
-    generateParameterSets(parameters, density = 'standard') {
-        const sets = [];
-        const densityMap = {
-            'basic': 3,
-            'coarse': 5,
-            'standard': 7,
-            'fine': 10
-        };
+    async bayesianOptimization(parameters, config) {
+        console.log('Running Bayesian optimization (TPE)...');
+        
+        const estimator = new TreeParzenEstimator(parameters, {
+            gamma: config.tpeGamma,
+            candidates: config.tpeCandidates,
+            startupTrials: config.tpeStartupTrials ?? Math.min(20, Math.max(5, Math.floor(config.maxIterations / 5))),
+            random: () => this.random.next()
+        });
         
-        const stepsPerParam = densityMap[density] || 5;
+        // Start from the script's own values, then let the model propose
+        let parameterSet = {};
+        parameters.forEach(param => {
+            parameterSet[param.name] = param.current;
+        });
         
-        // Generate all combinations
-        const generateCombinations = (params, index = 0, current = {}) => {
-            if (index >= params.length) {
-                sets.push({ ...current });
-                return;
+        for (let i = 0; i < config.maxIterations; i++) {
+            if (!this.isOptimizing) break;
+            
+            if (i > 0) {
+                parameterSet = this.repairParameterSet(estimator.suggest(this.results, result => this.fitness(result)));
             }
             
-            const param = params[index];
-            const steps = this.generateParameterSteps(param, stepsPerParam);
+            const result = await this.testParameterSet(parameterSet, i);
             
-            for (const value of steps) {
-                current[param.name] = value;
-                generateCombinations(params, index + 1, current);
-                
-                // Limit total combinations to prevent memory issues
-                if (sets.length >= 10000) return;
+            this.recordResult(result);
+            this.updateProgress(i + 1, config.maxIterations);
+            
+            await this.delay(50);
+        }
+        
+        return this.compileResults();
+    }
+
+    /**
+     * Multi-objective optimization - NSGA-II over the configured objectives
+     */
+    async multiObjectiveOptimization(parameters, config) {
+        console.log('Running NSGA-II multi-objective optimization...');
+        
+        const populationSize = Math.min(40, Math.max(8, Math.floor(config.maxIterations / 5)));
+        
+        // Initial population: current values plus random individuals
+        const initial = [Object.fromEntries(parameters.map(param => [param.name, param.current]))];
+        while (initial.length < populationSize) {
+            initial.push(this.repairParameterSet(Object.fromEntries(parameters.map(param => [param.name, this.generateRandomValue(param)]))));
+        }
+        let population = await this.evaluateGeneration(initial);
+        let generation = 0;
+        this.completeGeneration(generation, population.map(result => this.fitness(result)));
+        
+        while (this.isOptimizing && this.results.length + populationSize <= config.maxIterations) {
+            const ranked = this.paretoRanking.rank(population);
+            const offspring = [];
+            
+            while (offspring.length < populationSize) {
+                const parent1 = this.selectParetoParent(ranked);
+                const parent2 = this.selectParetoParent(ranked);
+                const child = this.crossover({ genes: parent1.parameters }, { genes: parent2.parameters }, parameters);
+                this.mutate(child, parameters);
+                offspring.push(child);
             }
+            
+            const children = await this.evaluateGeneration(offspring);
+            
+            // Elitist selection: best fronts first, least crowded within the last front
+            population = this.paretoRanking.rank([...population, ...children])
+                .slice(0, populationSize)
+                .map(entry => entry.result);
+            this.completeGeneration(++generation, population.map(result => this.fitness(result)));
+        }
+        
+        return this.compileResults();
+    }
+
+    /**
+     * Test a batch of parameter sets and record the results in order.
+     * With a worker pool the whole batch is evaluated in parallel.
+     */
+    async evaluateGeneration(parameterSets, total = this.currentOptimization.totalIterations) {
+        if (this.workerPool) {
+            return this.evaluateInParallel(parameterSets, total);
+        }
+        
+        const evaluated = [];
+        
+        for (const parameterSet of parameterSets) {
+            if (!this.isOptimizing) break;
+            
+            const result = await this.testParameterSet(parameterSet, this.results.length);
+            evaluated.push(result);
+            
+            this.recordResult(result);
+            this.updateProgress(this.results.length, total);
+            
+            // Small delay to prevent UI blocking
+            await this.delay(50);
+        }
+        
+        return evaluated;
+    }
+
+    async evaluateInParallel(parameterSets, total) {
+        if (!this.isOptimizing) return [];
+        
+        const start = this.results.length;
+        let completed = 0;
+        
+        const outcomes = await Promise.allSettled(parameterSets.map((parameterSet, i) =>
+            this.testParameterSet(parameterSet, start + i).then(result => {
+                // Completions arrive out of order; progress counts them as they land
+                completed++;
+                this.updateProgress(start + completed, total);
+                return result;
+            })
+        ));
+        
+        const failure = outcomes.find(outcome => outcome.status === 'rejected' && !outcome.reason?.cancelled);
+        if (failure) throw failure.reason;
+        
+        // Results are recorded in submission order, so runs stay reproducible
+        const evaluated = outcomes
+            .filter(outcome => outcome.status === 'fulfilled')
+            .map(outcome => outcome.value);
+        evaluated.forEach(result => this.recordResult(result));
+        
+        return evaluated;
+    }
+
+    /**
+     * Binary tournament on Pareto rank, then crowding distance
+     */
+    selectParetoParent(ranked) {
+        const a = ranked[Math.floor(this.random.next() * ranked.length)];
+        const b = ranked[Math.floor(this.random.next() * ranked.length)];
+        
+        if (a.rank !== b.rank) return a.rank < b.rank ? a.result : b.result;
+        return a.crowding >= b.crowding ? a.result : b.result;
+    }
+
+    /**
+     * Walk-forward optimization - optimize on each in-sample window and
+     * score the chosen parameters on the out-of-sample window after it
+     */
+    async walkForwardOptimization(parameters, config) {
+        console.log('Running walk-forward optimization...');
+        
+        const searchRange = this.currentOptimization.searchRange;
+        const dataLength = searchRange ? searchRange.end : this.evaluator.dataLength ?? this.evaluator.nominalDataLength;
+        const windows = this.createWalkForwardWindows(dataLength, config);
+        const method = config.walkForwardMethod || 'standard';
+        if (method === 'walkforward') {
+            throw new Error('Walk-forward windows cannot themselves use walk-forward optimization');
+        }
+        const algorithm = AlgorithmRegistry.get(method);
+        const iterationsPerWindow = Math.max(1, Math.floor(config.maxIterations / windows.length) - 1);
+        const windowResults = [];
+        const outOfSampleResults = [];
+        let totalTests = 0;
+        
+        for (const window of windows) {
+            if (!this.isOptimizing) break;
+            
+            // In-sample: a regular optimization restricted to the window
+            this.beginPhase(`window ${window.index + 1}`, iterationsPerWindow + 1, totalTests);
+            this.results = [];
+            this.bestResult = null;
+            this.currentOptimization.plateauScore = null;
+            this.currentOptimization.sinceImprovement = 0;
+            this.currentOptimization.dataRange = window.inSample;
+            this.currentOptimization.progressOffset = totalTests;
+            
+            const windowConfig = { ...config, maxIterations: iterationsPerWindow };
+            await algorithm.run(this, parameters, windowConfig, AlgorithmRegistry.options(method, config));
+            totalTests += this.results.length;
+            this.currentOptimization.progressOffset = null;
+            
+            const inSampleBest = this.bestResult;
+            if (!inSampleBest || !this.isOptimizing) break;
+            
+            // Out-of-sample: the in-sample winner on unseen data
+            this.currentOptimization.dataRange = window.outOfSample;
+            const outOfSample = await this.testParameterSet(inSampleBest.parameters, totalTests);
+            totalTests++;
+            
+            outOfSampleResults.push(outOfSample);
+            windowResults.push({
+                index: window.index,
+                inSample: window.inSample,
+                outOfSample: window.outOfSample,
+                parameters: inSampleBest.parameters,
+                inSampleScore: inSampleBest.score,
+                inSampleMetrics: inSampleBest.metrics,
+                outOfSampleScore: outOfSample.score,
+                outOfSampleMetrics: outOfSample.metrics,
+                tests: this.results.length + 1
+            });
+            this.updateProgress(totalTests, this.currentOptimization.totalIterations);
+        }
+        
+        this.currentOptimization.dataRange = searchRange || null;
+        
+        // Summaries are over out-of-sample results; the latest window's parameters are the ones to trade
+        this.results = outOfSampleResults;
+        this.bestResult = outOfSampleResults[outOfSampleResults.length - 1] || null;
+        
+        return {
+            ...this.compileResults(),
+            totalTests,
+            walkForward: {
+                anchored: Boolean(config.walkForwardAnchored),
+                method,
+                windows: windowResults,
+                outOfSampleScore: outOfSampleResults.length
+                    ? outOfSampleResults.reduce((sum, r) => sum + r.score, 0) / outOfSampleResults.length
+                    : 0,
+                efficiency: this.calculateWalkForwardEfficiency(windowResults)
+            }
+        };
+    }
+
+    /**
+     * Lay out rolling (or anchored) in-sample/out-of-sample windows over the data.
+     * Out-of-sample segments are consecutive and cover the end of the data.
+     */
+    createWalkForwardWindows(dataLength, config) {
+        if (!Number.isInteger(dataLength) || dataLength <= 0) {
+            throw new Error('Walk-forward optimization requires an evaluator with a known data length');
+        }
+        
+        const count = config.walkForwardWindows || 5;
+        const ratio = config.walkForwardInSampleRatio || 0.75;
+        if (ratio <= 0 || ratio >= 1) {
+            throw new Error('Walk-forward in-sample ratio must be between 0 and 1');
+        }
+        
+        // Rolling layout: one in-sample span followed by `count` out-of-sample steps
+        const inSampleSteps = ratio / (1 - ratio);
+        const outOfSampleLength = Math.floor(dataLength / (count + inSampleSteps));
+        const inSampleLength = dataLength - count * outOfSampleLength;
+        
+        if (outOfSampleLength < 1 || inSampleLength < 1) {
+            throw new Error(`Not enough data for ${count} walk-forward windows`);
+        }
+        
+        const windows = [];
+        for (let i = 0; i < count; i++) {
+            const inSampleEnd = inSampleLength + i * outOfSampleLength;
+            windows.push({
+                index: i,
+                inSample: {
+                    start: config.walkForwardAnchored ? 0 : i * outOfSampleLength,
+                    end: inSampleEnd
+                },
+                outOfSample: { start: inSampleEnd, end: inSampleEnd + outOfSampleLength }
+            });
+        }
+        
+        return windows;
+    }
+
+    /**
+     * Out-of-sample return per bar relative to in-sample return per bar.
+     * Falls back to scores when the evaluator reports no totalReturn.
+     */
+    calculateWalkForwardEfficiency(windows) {
+        if (windows.length === 0) return 0;
+        
+        const rate = (score, metrics, range) => {
+            const value = Number.isFinite(metrics.totalReturn) ? metrics.totalReturn : score;
+            return value / (range.end - range.start);
         };
         
-        generateCombinations(parameters);
+        const inSample = windows.reduce((sum, w) => sum + rate(w.inSampleScore, w.inSampleMetrics, w.inSample), 0);
+        const outOfSample = windows.reduce((sum, w) => sum + rate(w.outOfSampleScore, w.outOfSampleMetrics, w.outOfSample), 0);
+        
+        return inSample !== 0 ? outOfSample / inSample : 0;
+    }
+
+    /**
+     * Generate up to `count` parameter sets for testing with the configured
+     * `samplingMethod` (grid, latin or sobol); `density` sets the grid steps
+     */
+    generateParameterSets(parameters, density = 'standard', count = Infinity) {
+        const sets = [];
+        const seen = new Set();
+        const sampler = new ParameterSampler(parameters, this, { density: GRID_DENSITIES[density] || 5 });
+        const method = this.currentOptimization?.config.samplingMethod || 'grid';
+        
+        // The lazy grid replaces sets breaking a constraint by itself. Latin and
+        // Sobol designs are drawn at a fixed size, so rejected or repeated sets
+        // are made up for from designs of twice the size, a few times at most
+        let size = count;
+        for (let round = 0; round < SAMPLING_ROUNDS && sets.length < count; round++) {
+            for (const set of sampler.sample(method, size)) {
+                if (sets.length >= count) break;
+                
+                const key = JSON.stringify(set);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                
+                if (this.satisfiesConstraints(set)) {
+                    sets.push(set);
+                }
+            }
+            
+            if (method === 'grid' || !Number.isFinite(count)) break;
+            size *= 2;
+        }
         
-        // Shuffle for better distribution
-        return this.shuffleArray(sets);
+        return sets;
     }
 
     generateParameterSteps(param, stepCount) {
         const steps = [];
         
-        if (param.type === 'boolean') {
-            return [true, false];
+        // Booleans, option lists, sources and timeframes are tried in full
+        if (this.isCategorical(param)) {
+            return this.getCategories(param);
         }
         
         if (param.type === 'integer' || param.type === 'float') {
@@ -228,7 +942,10 @@ class StrategyOptimizer {
             const stepSize = (max - min) / (stepCount - 1);
             
             for (let i = 0; i < stepCount; i++) {
-                let value = min + (stepSize * i);
+                // Log-scale ranges are spaced evenly in log space
+                let value = param.scale === 'log'
+                    ? Math.exp(Math.log(min) + (Math.log(max) - Math.log(min)) * (i / (stepCount - 1)))
+                    : min + (stepSize * i);
                 
                 if (param.type === 'integer') {
                     value = Math.round(value);
@@ -240,7 +957,8 @@ class StrategyOptimizer {
             }
         }
         
-        return steps;
+        // Anything else stays at its current value rather than emptying the grid
+        return steps.length > 0 ? steps : [param.current];
     }
 
     /**
@@ -262,12 +980,16 @@ class StrategyOptimizer {
             });
         });
         
-        return this.removeDuplicateSets(sets);
+        return this.removeDuplicateSets(sets.filter(set => this.satisfiesConstraints(set)));
     }
 
     generateParameterVariations(param, currentValue) {
         const variations = [];
         
+        if (this.isCategorical(param)) {
+            return this.getCategories(param).filter(value => value !== currentValue);
+        }
+        
         if (param.type === 'integer' || param.type === 'float') {
             const step = param.step || 1;
             const range = Math.max(step * 3, (param.max - param.min) * 0.1);
@@ -297,7 +1019,7 @@ class StrategyOptimizer {
     async geneticOptimization(parameters, iterations) {
         console.log('Running genetic algorithm...');
         
-        const populationSize = Math.min(20, Math.max(10, Math.floor(iterations / 5)));
+        const populationSize = this.geneticPopulationSize(iterations);
         let population = this.initializePopulation(parameters, populationSize);
         
         const generations = Math.floor(iterations / populationSize);
@@ -305,22 +1027,15 @@ class StrategyOptimizer {
         for (let gen = 0; gen < generations; gen++) {
             if (!this.isOptimizing) break;
             
-            // Evaluate population
-            for (let i = 0; i < population.length; i++) {
-                if (!this.isOptimizing) break;
-                
-                const individual = population[i];
-                if (!individual.fitness) {
-                    const result = await this.testParameterSet(individual.genes, this.results.length);
-                    individual.fitness = result.score;
-                    
-                    this.results.push(result);
-                    this.updateBestResult(result);
-                    this.updateProgress(this.results.length, this.currentOptimization.totalIterations);
-                    
-                    await this.delay(100);
-                }
-            }
+            // Evaluate the new individuals of the generation as one batch
+            const unevaluated = population.filter(individual => !individual.fitness);
+            const evaluated = await this.evaluateGeneration(unevaluated.map(individual => individual.genes));
+            evaluated.forEach((result, i) => {
+                unevaluated[i].fitness = this.fitness(result);
+            });
+            this.completeGeneration(gen, population
+                .filter(individual => individual.fitness !== null)
+                .map(individual => individual.fitness));
             
             // Selection and reproduction
             population = this.evolvePopulation(population, parameters);
@@ -335,7 +1050,7 @@ class StrategyOptimizer {
         topResults.forEach(result => {
             population.push({
                 genes: result.parameters,
-                fitness: result.score
+                fitness: this.fitness(result)
             });
         });
         
@@ -347,7 +1062,7 @@ class StrategyOptimizer {
             });
             
             population.push({
-                genes: individual,
+                genes: this.repairParameterSet(individual),
                 fitness: null
             });
         }
@@ -373,7 +1088,7 @@ class StrategyOptimizer {
             const parent2 = this.selectParent(population);
             const offspring = this.crossover(parent1, parent2, parameters);
             
-            if (Math.random() < 0.1) {
+            if (this.random.next() < 0.1) {
                 this.mutate(offspring, parameters);
             }
             
@@ -389,10 +1104,10 @@ class StrategyOptimizer {
     selectParent(population) {
         // Tournament selection
         const tournamentSize = 3;
-        let best = population[Math.floor(Math.random() * population.length)];
+        let best = population[Math.floor(this.random.next() * population.length)];
         
         for (let i = 1; i < tournamentSize; i++) {
-            const candidate = population[Math.floor(Math.random() * population.length)];
+            const candidate = population[Math.floor(this.random.next() * population.length)];
             if ((candidate.fitness || 0) > (best.fitness || 0)) {
                 best = candidate;
             }
@@ -405,22 +1120,32 @@ class StrategyOptimizer {
         const offspring = {};
         
         parameters.forEach(param => {
-            if (Math.random() < 0.5) {
+            if (this.random.next() < 0.5) {
                 offspring[param.name] = parent1.genes[param.name];
             } else {
                 offspring[param.name] = parent2.genes[param.name];
             }
         });
         
-        return offspring;
+        return this.repairParameterSet(offspring);
     }
 
     mutate(individual, parameters) {
         parameters.forEach(param => {
-            if (Math.random() < 0.1) {
-                individual[param.name] = this.generateRandomValue(param);
+            if (this.random.next() < 0.1) {
+                if (this.isCategorical(param)) {
+                    // Switch to a different category so the mutation is never a no-op
+                    const others = this.getCategories(param).filter(value => value !== individual[param.name]);
+                    if (others.length > 0) {
+                        individual[param.name] = others[Math.floor(this.random.next() * others.length)];
+                    }
+                } else {
+                    individual[param.name] = this.generateRandomValue(param);
+                }
             }
         });
+        
+        Object.assign(individual, this.repairParameterSet(individual));
     }
 
     /**
@@ -445,13 +1170,12 @@ class StrategyOptimizer {
                     if (!this.isOptimizing || iteration >= iterations) break;
                     
                     const result = await this.testParameterSet(neighbor, this.results.length);
-                    this.results.push(result);
+                    this.recordResult(result);
                     iteration++;
                     
-                    if (result.score > currentBest.score) {
+                    if (this.fitness(result) > this.fitness(currentBest)) {
                         currentBest = result;
                         improved = true;
-                        this.updateBestResult(result);
                     }
                     
                     this.updateProgress(this.results.length, this.currentOptimization.totalIterations);
@@ -465,6 +1189,13 @@ class StrategyOptimizer {
         const neighbors = [];
         const currentValue = parameters[param.name];
         
+        if (this.isCategorical(param)) {
+            return this.getCategories(param)
+                .filter(value => value !== currentValue)
+                .map(value => ({ ...parameters, [param.name]: value }))
+                .filter(neighbor => this.satisfiesConstraints(neighbor));
+        }
+        
         if (param.type === 'integer' || param.type === 'float') {
             const step = param.step || 1;
             
@@ -484,86 +1215,438 @@ class StrategyOptimizer {
             });
         }
         
-        return neighbors;
+        return neighbors.filter(neighbor => this.satisfiesConstraints(neighbor));
+    }
+
+    /**
+     * Whether a parameter set satisfies the parameter constraints
+     */
+    satisfiesConstraints(parameterSet) {
+        return !this.constraints || this.constraints.isSatisfied(parameterSet);
     }
 
     /**
-     * Test a parameter set (simulated for now)
+     * Resample constrained parameters until the set satisfies the
+     * constraints; the set is returned as is when none could be found
+     */
+    repairParameterSet(parameterSet) {
+        if (!this.constraints) return parameterSet;
+        
+        return this.constraints.repair(parameterSet, param => this.generateRandomValue(param), this.random) || parameterSet;
+    }
+
+    /**
+     * Test a parameter set with the configured evaluator
      */
     async testParameterSet(parameters, iteration) {
-        // Simulate backtesting delay
-        await this.delay(100 + Math.random() * 200);
+        // Numbered on submission, so parallel batches log in a fixed order
+        const sequence = this.evaluationCount++;
+        const randomState = this.random.state;
         
-        // Generate simulated results
-        const score = this.generateSimulatedScore(parameters);
+        if (this.replay && sequence < this.replay.evaluations.length) {
+            return this.replayEvaluation(sequence, parameters, randomState);
+        }
         
-        return {
+        // Read before waiting: callers set the range per call
+        const { dataRange } = this.currentOptimization;
+        
+        await this.waitWhilePaused();
+        
+        // Sets no generator could repair are never backtested
+        if (!this.satisfiesConstraints(parameters)) {
+            const result = {
+                iteration,
+                parameters: { ...parameters },
+                score: 0,
+                metrics: {},
+                feasible: false,
+                violations: this.constraints.violations(parameters)
+            };
+            this.evaluationLog[sequence] = { randomState, result };
+            return result;
+        }
+        
+        const context = {
+            iteration,
+            parameters: this.currentOptimization.parameters,
+            config: this.currentOptimization.config,
+            seed: this.currentOptimization.config.seed
+        };
+        if (dataRange) {
+            context.dataRange = { ...dataRange };
+        }
+
+        const cacheKey = this.cacheScope ? EvaluationCache.createKey(this.cacheScope, parameters, dataRange) : null;
+        const cached = cacheKey ? await this.evaluationCache.get(cacheKey) : null;
+        
+        let evaluation = cached;
+        if (cached) {
+            this.currentOptimization.cacheHits++;
+        } else {
+            evaluation = this.workerPool
+                ? await this.workerPool.evaluate({ ...parameters }, context)
+                : await this.evaluator.evaluate({ ...parameters }, context);
+        }
+
+        if (!evaluation || typeof evaluation.score !== 'number' || !Number.isFinite(evaluation.score)) {
+            throw new Error('Evaluator returned an invalid score');
+        }
+        
+        if (cacheKey && !cached) {
+            const entry = { score: evaluation.score, metrics: evaluation.metrics || {} };
+            if (evaluation.breakdown) {
+                entry.breakdown = evaluation.breakdown;
+            }
+            await this.evaluationCache.set(cacheKey, entry);
+        }
+
+        const result = {
             iteration,
             parameters: { ...parameters },
-            score,
-            metrics: this.generateSimulatedMetrics(score),
-            timestamp: Date.now()
+            score: evaluation.score,
+            metrics: evaluation.metrics || {}
         };
+        // Per-market results of portfolio evaluators
+        if (evaluation.breakdown) {
+            result.breakdown = evaluation.breakdown;
+        }
+        if (this.objective) {
+            const { score, feasible, violations } = this.objective.evaluate({
+                score: evaluation.score,
+                metrics: result.metrics
+            });
+            result.evaluatorScore = evaluation.score;
+            result.score = score;
+            result.feasible = feasible;
+            result.violations = violations;
+        }
+        if (dataRange) {
+            result.dataRange = { ...dataRange };
+        }
+        
+        this.evaluationLog[sequence] = { randomState, result };
+        return result;
     }
 
-    generateSimulatedScore(parameters) {
-        // Simulate realistic optimization results
-        let score = 50; // Base score
+    /**
+     * Return a checkpointed evaluation instead of running it again. The
+     * replay must ask for the same parameters with the same RNG state,
+     * otherwise the checkpoint belongs to a different run.
+     */
+    replayEvaluation(sequence, parameters, randomState) {
+        const entry = this.replay.evaluations[sequence];
         
-        // Add some parameter-based logic
-        Object.values(parameters).forEach(value => {
-            if (typeof value === 'number') {
-                score += (Math.sin(value / 10) * 20) + (Math.random() * 10 - 5);
-            }
-        });
+        if (entry.randomState !== randomState ||
+            JSON.stringify(entry.result.parameters) !== JSON.stringify(parameters)) {
+            this.replay.failed = true;
+            throw new Error('Checkpoint does not match this optimization and cannot be resumed');
+        }
         
-        // Add some randomness but keep it realistic
-        score += Math.random() * 30 - 15;
+        this.evaluationLog[sequence] = entry;
+        return Promise.resolve({ ...entry.result });
+    }
+
+    isReplaying() {
+        return Boolean(this.replay) && this.evaluationCount < this.replay.evaluations.length;
+    }
+
+    /**
+     * Add a result to the run and checkpoint every `checkpointInterval` evaluations
+     */
+    recordResult(result) {
+        this.results.push(result);
+        this.events.emit('evaluation-completed', {
+            result,
+            evaluations: this.results.length,
+            phase: this.currentPhaseName()
+        });
+        this.updateBestResult(result);
+        this.checkStoppingRules();
         
-        return Math.max(0, Math.min(100, score));
+        const interval = this.currentOptimization.config.checkpointInterval || 10;
+        if (!this.isReplaying() && this.evaluationCount - this.lastCheckpointAt >= interval) {
+            this.saveCheckpoint();
+        }
     }
 
-    generateSimulatedMetrics(score) {
-        const baseReturn = score / 2;
+    /**
+     * Snapshot of the run: the config and seed, the parameters and every
+     * evaluation so far with the RNG state it was requested at
+     */
+    createCheckpoint() {
+        const { parameters, config, startTime } = this.currentOptimization;
+        
+        // Only completed evaluations up to the first one still in flight
+        const evaluations = [];
+        for (const entry of this.evaluationLog) {
+            if (!entry) break;
+            evaluations.push(entry);
+        }
+        
+        // Evaluator objects cannot be stored; resuming then needs them passed in again
+        const { evaluator, evaluatorOptions, ...rest } = config;
+        const storable = typeof evaluator === 'string' && EvaluationWorkerPool.isCloneable(evaluatorOptions || {});
         
         return {
-            totalReturn: baseReturn + (Math.random() * 20 - 10),
-            sharpeRatio: (score / 50) + (Math.random() * 0.5 - 0.25),
-            maxDrawdown: Math.max(5, 30 - (score / 3) + (Math.random() * 10)),
-            winRate: Math.max(30, Math.min(80, score + (Math.random() * 20 - 10))),
-            profitFactor: Math.max(0.5, (score / 40) + (Math.random() * 0.5)),
-            trades: Math.floor(100 + Math.random() * 200)
+            version: 1,
+            savedAt: Date.now(),
+            elapsed: Date.now() - startTime,
+            paused: this.isPaused,
+            parameters,
+            config: storable ? { ...rest, evaluator, evaluatorOptions } : rest,
+            customEvaluator: !storable,
+            evaluations
         };
     }
 
     /**
-     * Utility methods
+     * Persist a checkpoint (writes are queued so an older snapshot never
+     * overwrites a newer one); resolves with the checkpoint
      */
-    calculateTotalIterations(parameters, config) {
-        const combinations = parameters.reduce((total, param) => {
-            if (param.type === 'boolean') return total * 2;
-            if (param.type === 'integer' || param.type === 'float') {
-                const steps = Math.min(10, (param.max - param.min) / param.step);
-                return total * steps;
+    saveCheckpoint() {
+        // Mid-replay the stored checkpoint is still the more complete one
+        if (!this.currentOptimization || this.isReplaying()) return Promise.resolve(null);
+        
+        const checkpoint = this.createCheckpoint();
+        this.lastCheckpointAt = checkpoint.evaluations.length;
+        
+        if (this.checkpointStore) {
+            this.checkpointWrite = this.checkpointWrite
+                .then(() => this.checkpointStore.save(checkpoint))
+                .catch(error => console.warn('Could not save optimization checkpoint:', error));
+        }
+        
+        return this.checkpointWrite.then(() => checkpoint);
+    }
+
+    clearCheckpoint() {
+        if (this.checkpointStore) {
+            this.checkpointWrite = this.checkpointWrite
+                .then(() => this.checkpointStore.clear())
+                .catch(error => console.warn('Could not clear optimization checkpoint:', error));
+        }
+        
+        return this.checkpointWrite;
+    }
+
+    waitWhilePaused() {
+        if (!this.isPaused) return Promise.resolve();
+        return new Promise(resolve => this.pauseWaiters.push(resolve));
+    }
+
+    /**
+     * End the search early on no improvement in `earlyStoppingPatience`
+     * evaluations (by more than `earlyStoppingMinDelta`), on reaching
+     * `targetScore` or after `maxDuration` seconds
+     */
+    checkStoppingRules() {
+        const optimization = this.currentOptimization;
+        if (!this.isOptimizing || optimization.stopReason) return;
+        
+        const { config } = optimization;
+        const best = this.bestResult;
+        if (best && (optimization.plateauScore === null || best.score > optimization.plateauScore + (config.earlyStoppingMinDelta || 0))) {
+            optimization.plateauScore = best.score;
+            optimization.sinceImprovement = 0;
+        } else {
+            optimization.sinceImprovement++;
+        }
+        
+        let reason = null;
+        if (Number.isFinite(config.targetScore) && best && best.score >= config.targetScore) {
+            reason = 'targetScore';
+        } else if (config.earlyStoppingPatience > 0 && optimization.sinceImprovement >= config.earlyStoppingPatience) {
+            reason = 'noImprovement';
+        } else if (config.maxDuration > 0 && Date.now() - optimization.startTime >= config.maxDuration * 1000) {
+            reason = 'maxDuration';
+        }
+        
+        if (reason) {
+            console.log(`Stopping early: ${reason}`);
+            optimization.stopReason = reason;
+            this.isOptimizing = false;
+        }
+    }
+
+    /**
+     * Evaluations each phase of the algorithm is expected to run, from its
+     * registry definition (one 'search' phase by default); phases correct
+     * their estimate in beginPhase() once they know it
+     */
+    planIterations(algorithm, parameters, config) {
+        const plan = algorithm.phases
+            ? algorithm.phases(this, parameters, config)
+            : [{ name: 'search', planned: config.maxIterations }];
+        
+        return plan.map(({ name, planned }) => ({ name, planned: Math.max(0, planned), start: null }));
+    }
+
+    /**
+     * Evaluations of a grid phase at `density`: the grid size, capped by `budget`
+     * (other sampling methods always use the budget)
+     */
+    planGridEvaluations(parameters, config, density, budget) {
+        if ((config.samplingMethod || 'grid') !== 'grid') return budget;
+        
+        return Math.min(budget, new ParameterSampler(parameters, this, { density: GRID_DENSITIES[density] }).gridSize());
+    }
+
+    /**
+     * Start a phase of the plan: the phase before it is closed at what it
+     * actually ran and `planned` replaces this phase's estimate
+     */
+    beginPhase(name, planned, completed = this.results.length) {
+        const optimization = this.currentOptimization;
+        // Pipelines run inside a walk-forward window belong to the window's phase
+        if (optimization.progressOffset !== null && optimization.progressOffset !== undefined) return;
+        
+        const index = optimization.phases.findIndex((phase, i) => i >= optimization.phase && phase.name === name);
+        if (index === -1) return;
+        
+        if (index === optimization.phase) {
+            optimization.phases[index].planned = Math.max(0, planned);
+            this.updateIterationPlan();
+            return;
+        }
+        
+        optimization.phases.forEach((phase, i) => {
+            if (i === optimization.phase) {
+                phase.planned = completed - phase.start;
+            } else if (i > optimization.phase && i < index) {
+                // Skipped
+                phase.planned = 0;
             }
-            return total;
-        }, 1);
+        });
+        
+        optimization.phases[index].start = completed;
+        optimization.phases[index].planned = Math.max(0, planned);
+        optimization.phase = index;
+        this.updateIterationPlan();
         
-        return Math.min(combinations, config.maxIterations);
+        this.events.emit('phase-started', { phase: name, index, planned: optimization.phases[index].planned });
+    }
+    
+    currentPhaseName() {
+        const optimization = this.currentOptimization;
+        return optimization?.phases?.[optimization.phase]?.name || null;
+    }
+    
+    /**
+     * Report a finished generation of a population-based search with the
+     * spread of its fitness values; infeasible members only count as such
+     */
+    completeGeneration(generation, fitnesses) {
+        const feasible = fitnesses.filter(Number.isFinite);
+        const mean = feasible.length > 0 ? feasible.reduce((sum, value) => sum + value, 0) / feasible.length : null;
+        
+        this.events.emit('generation-completed', {
+            generation,
+            populationSize: fitnesses.length,
+            feasible: feasible.length,
+            best: feasible.length > 0 ? Math.max(...feasible) : null,
+            worst: feasible.length > 0 ? Math.min(...feasible) : null,
+            mean,
+            stdDev: feasible.length > 0
+                ? Math.sqrt(feasible.reduce((sum, value) => sum + (value - mean) ** 2, 0) / feasible.length)
+                : null,
+            phase: this.currentPhaseName()
+        });
+    }
+    
+    /**
+     * Final event of a run: run-finished, or run-aborted when it was stopped or failed
+     */
+    emitRunEnd(type, details) {
+        this.events.emit(type, {
+            ...details,
+            totalTests: this.results.length,
+            bestResult: this.bestResult,
+            duration: Date.now() - this.currentOptimization.startTime
+        });
+    }
+
+    /**
+     * Close the current phase at `completed` evaluations; later phases never ran
+     */
+    closeIterationPlan(completed) {
+        const optimization = this.currentOptimization;
+        optimization.phases.forEach((phase, i) => {
+            if (i === optimization.phase) {
+                phase.planned = completed - phase.start;
+            } else if (i > optimization.phase) {
+                phase.planned = 0;
+            }
+        });
+        this.updateIterationPlan();
+    }
+
+    updateIterationPlan() {
+        this.currentOptimization.totalIterations = this.currentOptimization.phases
+            .reduce((sum, phase) => sum + phase.planned, 0);
+    }
+
+    geneticPopulationSize(iterations) {
+        return Math.min(20, Math.max(10, Math.floor(iterations / 5)));
+    }
+
+    /**
+     * Evaluations of geneticOptimization(): new individuals of the first
+     * generation (up to five known results seed it), then all but the elite
+     */
+    planGeneticEvaluations(iterations, knownResults) {
+        const populationSize = this.geneticPopulationSize(iterations);
+        const generations = Math.floor(iterations / populationSize);
+        if (generations === 0) return 0;
+        
+        const elite = Math.floor(populationSize * 0.2);
+        return populationSize - Math.min(5, knownResults) + (generations - 1) * (populationSize - elite);
     }
 
     updateBestResult(result) {
+        if (result.feasible === false) return;
+        
         if (!this.bestResult || result.score > this.bestResult.score) {
+            const previousScore = this.bestResult ? this.bestResult.score : null;
             this.bestResult = result;
+            this.events.emit('new-best', { result, previousScore, evaluations: this.results.length });
         }
     }
 
+    /**
+     * Score used for ranking; results violating a constraint rank last
+     */
+    fitness(result) {
+        return result.feasible === false ? -Infinity : result.score;
+    }
+
+    /**
+     * Report progress against the iteration plan, with the current phase,
+     * evaluations per second and the estimated time left (ms)
+     */
     updateProgress(current, total) {
-        if (this.progressCallback) {
-            this.progressCallback({
+        const optimization = this.currentOptimization;
+        
+        // Walk-forward windows report progress across the whole run
+        const offset = optimization?.progressOffset;
+        if (offset !== null && offset !== undefined) {
+            current += offset;
+        }
+        if (optimization) {
+            total = Math.max(optimization.totalIterations, current);
+        }
+        
+        if (this.events.hasListeners('progress')) {
+            const elapsed = optimization ? Date.now() - optimization.startTime : 0;
+            const evaluationsPerSecond = elapsed > 0 ? current / (elapsed / 1000) : 0;
+            
+            this.events.emit('progress', {
                 current,
                 total,
-                percentage: Math.round((current / total) * 100),
+                percentage: total > 0 ? Math.round((current / total) * 100) : 100,
+                phase: this.currentPhaseName(),
+                elapsed,
+                evaluationsPerSecond,
+                eta: evaluationsPerSecond > 0 ? Math.round(((total - current) / evaluationsPerSecond) * 1000) : null,
                 bestScore: this.bestResult?.score || 0,
                 resultsCount: this.results.length
             });
@@ -571,7 +1654,14 @@ class StrategyOptimizer {
     }
 
     getTopResults(count) {
+        if (this.paretoRanking) {
+            return this.paretoRanking.rank(this.results)
+                .slice(0, count)
+                .map(entry => entry.result);
+        }
+        
         return this.results
+            .filter(result => result.feasible !== false)
             .sort((a, b) => b.score - a.score)
             .slice(0, count);
     }
@@ -580,51 +1670,118 @@ class StrategyOptimizer {
         const endTime = Date.now();
         const duration = endTime - this.currentOptimization.startTime;
         
-        return {
+        const compiled = {
             success: true,
+            seed: this.currentOptimization.config.seed,
             duration,
             totalTests: this.results.length,
             bestResult: this.bestResult,
             topResults: this.getTopResults(10),
             summary: {
                 bestScore: this.bestResult?.score || 0,
-                averageScore: this.results.reduce((sum, r) => sum + r.score, 0) / this.results.length,
+                averageScore: this.results.length > 0
+                    ? this.results.reduce((sum, r) => sum + r.score, 0) / this.results.length
+                    : null,
                 improvement: this.calculateImprovement(),
                 parameters: this.bestResult?.parameters || {}
             }
         };
+        
+        // Bars the search saw; the holdout is kept apart for the overfitting report
+        const { searchRange, holdoutRange } = this.currentOptimization;
+        if (searchRange) {
+            compiled.dataRange = { ...searchRange };
+            compiled.holdoutRange = { ...holdoutRange };
+        }
+        
+        if (this.cacheScope) {
+            compiled.summary.cacheHits = this.currentOptimization.cacheHits;
+        }
+        
+        if (this.constraints) {
+            compiled.parameterConstraints = this.constraints.toJSON();
+        }
+        
+        if (this.objective) {
+            compiled.objective = this.objective.toJSON();
+            compiled.summary.feasibleCount = this.results.filter(r => r.feasible !== false).length;
+        }
+        
+        if (this.paretoRanking) {
+            // Non-dominated trade-offs for the user to choose from
+            compiled.objectives = this.paretoRanking.objectives;
+            compiled.paretoFront = this.paretoRanking.front(this.results);
+        }
+        
+        return compiled;
     }
 
     calculateImprovement() {
-        if (this.results.length < 2) return 0;
+        if (this.results.length < 2 || !this.bestResult) return 0;
         
         const firstScore = this.results[0].score;
         const bestScore = this.bestResult.score;
+        if (firstScore === 0) return 0;
         
-        return ((bestScore - firstScore) / firstScore) * 100;
+        // Objective formulas can be negative, so compare against the magnitude
+        return ((bestScore - firstScore) / Math.abs(firstScore)) * 100;
     }
 
     // Utility methods
     generateRandomValue(param) {
-        if (param.type === 'boolean') {
-            return Math.random() < 0.5;
+        if (this.isCategorical(param)) {
+            const categories = this.getCategories(param);
+            return categories[Math.floor(this.random.next() * categories.length)];
+        }
+        
+        if (param.scale === 'log' && (param.type === 'integer' || param.type === 'float')) {
+            return ParameterSampler.fromUnit(param, this.random.next());
         }
         
         if (param.type === 'integer') {
-            return Math.floor(Math.random() * (param.max - param.min + 1)) + param.min;
+            return Math.floor(this.random.next() * (param.max - param.min + 1)) + param.min;
         }
         
         if (param.type === 'float') {
-            return Math.random() * (param.max - param.min) + param.min;
+            return this.random.next() * (param.max - param.min) + param.min;
         }
         
         return param.current;
     }
 
+    /**
+     * Explicit value lists (`values`) are searched like options; log-scale
+     * ranges (`scale: 'log'`) must be positive
+     */
+    normalizeParameters(parameters) {
+        parameters.forEach(param => {
+            if (param.scale === 'log' && !(param.min > 0 && param.max > param.min)) {
+                throw new Error(`Parameter "${param.name}" uses a log scale and needs 0 < min < max`);
+            }
+        });
+        
+        const hasValueList = param => Array.isArray(param.values) && param.values.length > 0;
+        if (!parameters.some(hasValueList)) return parameters;
+        
+        return parameters.map(param => (hasValueList(param) ? { ...param, options: [...param.values] } : param));
+    }
+
+    /**
+     * Discrete dimensions: booleans and parameters with an options list
+     * (string choices, sources, timeframes or fixed numeric values)
+     */
+    isCategorical(param) {
+        return param.type === 'boolean' || (Array.isArray(param.options) && param.options.length > 0);
+    }
+
+    getCategories(param) {
+        return param.type === 'boolean' && !Array.isArray(param.options) ? [true, false] : param.options;
+    }
+
     shuffleArray(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random.next() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -646,21 +1803,93 @@ class StrategyOptimizer {
     }
 
     delay(ms) {
+        // Replayed evaluations are instant; there is no UI to yield to
+        if (this.isReplaying()) return Promise.resolve();
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     /**
-     * Stop current optimization
+     * Hold new evaluations (running ones finish) and save a checkpoint;
+     * resolves with the checkpoint
+     */
+    async pause() {
+        if (!this.isOptimizing) {
+            throw new Error('No optimization is running');
+        }
+        
+        this.isPaused = true;
+        return this.saveCheckpoint();
+    }
+
+    /**
+     * Continue a paused run
+     */
+    resume() {
+        if (!this.isPaused) {
+            throw new Error('Optimization is not paused');
+        }
+        
+        this.isPaused = false;
+        this.pauseWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * Stop current optimization (its checkpoint is kept for resuming)
      */
     stop() {
         this.isOptimizing = false;
+        this.stopRequested = true;
+        this.workerPool?.cancelPending();
+        
+        // Let held evaluations through so the run can wind down
+        this.isPaused = false;
+        this.pauseWaiters.splice(0).forEach(resolve => resolve());
     }
 
     /**
-     * Set progress callback
+     * Set where checkpoints are saved (a CheckpointStore); without one,
+     * pause() still returns the checkpoint
+     */
+    setCheckpointStore(store) {
+        this.checkpointStore = store;
+    }
+
+    /**
+     * Set how workers are created for parallel processing (the extension
+     * bundles its own worker script; Node uses worker_threads by default)
+     */
+    setWorkerFactory(factory) {
+        this.workerFactory = factory;
+    }
+
+    /**
+     * Set the cache used when cacheResults is on (by default one is created
+     * on first use, in IndexedDB where available)
+     */
+    setEvaluationCache(cache) {
+        this.evaluationCache = cache;
+    }
+
+    /**
+     * Subscribe to the run's events (see optimizer-events.js); returns a
+     * function that unsubscribes
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    /**
+     * Set progress callback; a shorthand for one 'progress' listener that
+     * replaces the previous one
      */
     setProgressCallback(callback) {
-        this.progressCallback = callback;
+        if (this.progressUnsubscribe) {
+            this.progressUnsubscribe();
+            this.progressUnsubscribe = null;
+        }
+        if (callback) {
+            this.progressUnsubscribe = this.events.on('progress', callback);
+        }
     }
 }
 
@@ -0,0 +1,176 @@
+/**
+ * TradingHub.Mk Overfitting Diagnostics
+ * Statistics that tell a real edge from the best of many lucky trials
+ *
+ * - Deflated Sharpe ratio (Bailey & López de Prado, 2014): the probability
+ *   that the best Sharpe ratio beats the maximum expected from the number
+ *   of trials run, given their spread, the sample length and the
+ *   skewness/kurtosis of the returns.
+ * - Probability of backtest overfitting via combinatorially symmetric
+ *   cross-validation (Bailey et al., 2015): the data is split into blocks;
+ *   for every way of choosing half the blocks as in-sample, the trial that
+ *   is best in-sample is ranked out-of-sample. PBO is the share of splits
+ *   where it lands in the bottom half.
+ *
+ * The optimizer collects the inputs (see StrategyOptimizer.analyzeOverfitting);
+ * these functions are pure.
+ */
+
+const EULER_MASCHERONI = 0.5772156649015329;
+
+class OverfittingAnalysis {
+    /**
+     * Sharpe ratios are per period (not annualized). Returns the probability
+     * (0-1) that the true Sharpe ratio is positive after deflation, with the
+     * expected maximum Sharpe ratio of the trials it was tested against
+     */
+    static deflatedSharpe({ sharpe, trialSharpes, observations, skewness = 0, kurtosis = 3 }) {
+        const trials = trialSharpes.length;
+        if (trials < 2 || observations < 2) return null;
+
+        const mean = trialSharpes.reduce((sum, value) => sum + value, 0) / trials;
+        const variance = trialSharpes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (trials - 1);
+
+        const expectedMaxSharpe = Math.sqrt(variance) * (
+            (1 - EULER_MASCHERONI) * OverfittingAnalysis.normalQuantile(1 - 1 / trials) +
+            EULER_MASCHERONI * OverfittingAnalysis.normalQuantile(1 - 1 / (trials * Math.E))
+        );
+
+        const spread = 1 - skewness * sharpe + ((kurtosis - 1) / 4) * sharpe ** 2;
+        const statistic = ((sharpe - expectedMaxSharpe) * Math.sqrt(observations - 1)) / Math.sqrt(Math.max(spread, 1e-12));
+
+        return {
+            probability: OverfittingAnalysis.normalCdf(statistic),
+            sharpe,
+            expectedMaxSharpe,
+            trials,
+            observations
+        };
+    }
+
+    /**
+     * `performance[trial][block]` holds each trial's score on each data
+     * block (an even number of blocks). Returns the PBO and split count.
+     */
+    static probabilityOfOverfitting(performance) {
+        const trials = performance.length;
+        const blocks = trials > 0 ? performance[0].length : 0;
+        if (trials < 2 || blocks < 2 || blocks % 2 !== 0) return null;
+
+        const mean = (row, indices) => indices.reduce((sum, index) => sum + row[index], 0) / indices.length;
+        const allBlocks = Array.from({ length: blocks }, (_, i) => i);
+        const splits = OverfittingAnalysis.combinations(blocks, blocks / 2);
+        let overfit = 0;
+
+        splits.forEach(inSample => {
+            const outOfSample = allBlocks.filter(block => !inSample.includes(block));
+            const inSampleScores = performance.map(row => mean(row, inSample));
+            const outOfSampleScores = performance.map(row => mean(row, outOfSample));
+
+            const chosen = inSampleScores.indexOf(Math.max(...inSampleScores));
+            const rank = OverfittingAnalysis.rank(outOfSampleScores, chosen);
+            const relativeRank = rank / (trials + 1);
+
+            // logit <= 0: the in-sample winner is at or below the out-of-sample median
+            if (Math.log(relativeRank / (1 - relativeRank)) <= 0) {
+                overfit++;
+            }
+        });
+
+        return {
+            probability: overfit / splits.length,
+            combinations: splits.length,
+            trials,
+            blocks
+        };
+    }
+
+    /**
+     * 1-based rank of values[index] in ascending order, ties averaged
+     */
+    static rank(values, index) {
+        const value = values[index];
+        const below = values.filter(other => other < value).length;
+        const equal = values.filter(other => other === value).length;
+        return below + (equal + 1) / 2;
+    }
+
+    static combinations(n, k) {
+        const result = [];
+        const pick = (start, chosen) => {
+            if (chosen.length === k) {
+                result.push([...chosen]);
+                return;
+            }
+            for (let i = start; i < n; i++) {
+                chosen.push(i);
+                pick(i + 1, chosen);
+                chosen.pop();
+            }
+        };
+        pick(0, []);
+        return result;
+    }
+
+    /**
+     * Skewness and (non-excess) kurtosis of a return series
+     */
+    static moments(returns) {
+        const n = returns.length;
+        if (n < 3) return { skewness: 0, kurtosis: 3 };
+
+        const mean = returns.reduce((sum, value) => sum + value, 0) / n;
+        const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / n;
+        if (variance === 0) return { skewness: 0, kurtosis: 3 };
+
+        const third = returns.reduce((sum, value) => sum + (value - mean) ** 3, 0) / n;
+        const fourth = returns.reduce((sum, value) => sum + (value - mean) ** 4, 0) / n;
+        return {
+            skewness: third / variance ** 1.5,
+            kurtosis: fourth / variance ** 2
+        };
+    }
+
+    /**
+     * Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation)
+     */
+    static normalCdf(x) {
+        const z = Math.abs(x) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * z);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * Inverse standard normal CDF (Acklam's rational approximation)
+     */
+    static normalQuantile(p) {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            return -OverfittingAnalysis.normalQuantile(1 - p);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OverfittingAnalysis;
+}
@@ -0,0 +1,122 @@
+/**
+ * TradingHub.Mk Parameter Constraints
+ * Relations that every tested parameter set must satisfy, such as
+ * "fastLength < slowLength" or "takeProfit > stopLoss * 1.5"
+ *
+ * Constraints are comparisons over parameter names, written in the same
+ * expression language as objective formulas. Grid-style generators skip
+ * sets that violate them; random and evolutionary generators repair a set
+ * by resampling the parameters of the violated constraints.
+ */
+
+// In Node the expression parser is required; in the extension it is injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof SafeExpression === 'undefined') {
+        globalThis.SafeExpression = require('./expression');
+    }
+}
+
+class ParameterConstraints {
+    /**
+     * `constraints` is an array of expressions or a newline-separated
+     * string; every name in them must be one of `parameters`
+     */
+    constructor(constraints = [], parameters = []) {
+        this.parameters = new Map(parameters.map(param => [param.name, param]));
+
+        this.constraints = ParameterConstraints.parse(constraints).map(source => {
+            const expression = ParameterConstraints.compile(source);
+
+            const unknown = [...expression.identifiers].find(name => !this.parameters.has(name));
+            if (unknown) {
+                throw new Error(`Parameter constraint "${source}" refers to unknown parameter "${unknown}"`);
+            }
+
+            return { source: expression.source, expression, names: [...expression.identifiers] };
+        });
+    }
+
+    /**
+     * Normalize constraints given as text (one per line) or as an array
+     */
+    static parse(constraints) {
+        const list = typeof constraints === 'string' ? constraints.split('\n') : constraints || [];
+        return list
+            .map(constraint => String(constraint).trim())
+            .filter(constraint => constraint.length > 0);
+    }
+
+    /**
+     * Parse one constraint; throws unless it is a valid comparison
+     */
+    static compile(source) {
+        const expression = new SafeExpression(source);
+        if (!expression.isComparison) {
+            throw new Error(`Parameter constraint "${source}" must be a comparison such as "fastLength < slowLength"`);
+        }
+        return expression;
+    }
+
+    /**
+     * Build from flat settings (`parameterConstraints`); null when none are set
+     */
+    static fromSettings(settings = {}, parameters = []) {
+        const constraints = new ParameterConstraints(settings.parameterConstraints, parameters);
+        return constraints.constraints.length > 0 ? constraints : null;
+    }
+
+    /**
+     * Whether every name in `source` is one of `parameters`; lets callers
+     * drop constraints written for another script
+     */
+    static appliesTo(source, parameters) {
+        const names = new Set(parameters.map(param => param.name));
+        return [...ParameterConstraints.compile(source).identifiers].every(name => names.has(name));
+    }
+
+    isSatisfied(parameterSet) {
+        return this.constraints.every(constraint => constraint.expression.evaluate(parameterSet));
+    }
+
+    /**
+     * Sources of the constraints `parameterSet` violates
+     */
+    violations(parameterSet) {
+        return this.constraints
+            .filter(constraint => !constraint.expression.evaluate(parameterSet))
+            .map(constraint => constraint.source);
+    }
+
+    /**
+     * Resample one parameter of a violated constraint at a time, with
+     * `sample(param)`, until the set is valid. Returns the repaired copy,
+     * or null after `attempts` tries.
+     */
+    repair(parameterSet, sample, random, attempts = 50) {
+        const candidate = { ...parameterSet };
+
+        for (let attempt = 0; attempt <= attempts; attempt++) {
+            const violated = this.constraints.filter(constraint => !constraint.expression.evaluate(candidate));
+            if (violated.length === 0) return candidate;
+            if (attempt === attempts) break;
+
+            const names = [...new Set(violated.flatMap(constraint => constraint.names))];
+            const name = names[Math.floor(random.next() * names.length)];
+            candidate[name] = sample(this.parameters.get(name));
+        }
+
+        return null;
+    }
+
+    /**
+     * Plain description stored with each run
+     */
+    toJSON() {
+        return this.constraints.map(constraint => constraint.source);
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParameterConstraints;
+}
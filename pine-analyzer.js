@@ -3,9 +3,59 @@
  * Extracts and analyzes Pine Script code from TradingView editor
  */
 
+// In Node the parser is required; in the extension it is injected first
+if (typeof module !== 'undefined' && module.exports && typeof PineParser === 'undefined') {
+    globalThis.PineParser = require('./pine-parser').PineParser;
+}
+
+const PINE_DECLARATION_TYPES = {
+    strategy: 'strategy',
+    indicator: 'indicator',
+    study: 'indicator',
+    library: 'library'
+};
+
+// Name parts whose inputs are expected to stay below their counterpart
+// short/long also names trade direction (shortStop, longStop), so those pairs must name a lookback
+const PINE_CONSTRAINT_PAIRS = [['fast', 'slow'], ['short', 'long', /len|period|window|lookback|bars|ma$/]];
+
+// Positional parameter order of every input function overload (Pine v5/v6)
+const PINE_INPUT_SIGNATURES = {
+    int: [
+        ['defval', 'title', 'minval', 'maxval', 'step', 'tooltip', 'inline', 'group', 'confirm', 'display'],
+        ['defval', 'title', 'options', 'tooltip', 'inline', 'group', 'confirm', 'display']
+    ],
+    float: [
+        ['defval', 'title', 'minval', 'maxval', 'step', 'tooltip', 'inline', 'group', 'confirm', 'display'],
+        ['defval', 'title', 'options', 'tooltip', 'inline', 'group', 'confirm', 'display']
+    ],
+    bool: [['defval', 'title', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    string: [['defval', 'title', 'options', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    source: [['defval', 'title', 'tooltip', 'inline', 'group', 'display']],
+    timeframe: [['defval', 'title', 'options', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    session: [['defval', 'title', 'options', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    enum: [['defval', 'title', 'options', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    symbol: [['defval', 'title', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    color: [['defval', 'title', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    price: [['defval', 'title', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    time: [['defval', 'title', 'tooltip', 'inline', 'group', 'confirm', 'display']],
+    text_area: [['defval', 'title', 'tooltip', 'group', 'confirm', 'display']],
+    // Generic input(): v5 infers the type from defval, v4 and older also take type=
+    generic: [['defval', 'title', 'tooltip', 'inline', 'group', 'display']],
+    legacy: [['defval', 'title', 'type', 'minval', 'maxval', 'confirm', 'step', 'options', 'tooltip', 'inline', 'group']]
+};
+
+const PINE_SOURCE_NAMES = new Set(['open', 'high', 'low', 'close', 'volume', 'hl2', 'hlc3', 'ohlc4', 'hlcc4']);
+
+// Values searched for discrete inputs that declare no options
+const PINE_SOURCE_CHOICES = ['open', 'high', 'low', 'close', 'hl2', 'hlc3', 'ohlc4', 'hlcc4'];
+const PINE_TIMEFRAME_CHOICES = ['5', '15', '30', '60', '240', 'D'];
+
 class PineScriptAnalyzer {
     constructor() {
         this.currentScript = null;
+        this.ast = null;
+        this.syntaxErrors = [];
         this.parameters = [];
         this.strategy = null;
         this.analysisResults = null;
@@ -80,6 +130,7 @@ class PineScriptAnalyzer {
         }
 
         try {
+            this.currentScript = script;
             this.parameters = [];
             this.strategy = {
                 name: 'Unknown Strategy',
@@ -89,14 +140,19 @@ class PineScriptAnalyzer {
                 variables: []
             };
 
+            // Syntax errors are kept; the parser recovers and the rest of the script is still analyzed
+            const { ast, errors } = new PineParser().parse(script);
+            this.ast = ast;
+            this.syntaxErrors = errors;
+
             // Parse strategy declaration
-            this.parseStrategyDeclaration(script);
+            this.parseStrategyDeclaration(ast);
             
             // Parse input parameters
-            this.parseInputParameters(script);
+            this.parseInputParameters(ast);
             
             // Parse variable declarations
-            this.parseVariables(script);
+            this.parseVariables(ast);
             
             // Identify optimization candidates
             this.identifyOptimizationCandidates();
@@ -104,13 +160,15 @@ class PineScriptAnalyzer {
             console.log('Script parsing completed:', {
                 strategy: this.strategy.name,
                 inputs: this.parameters.length,
-                variables: this.strategy.variables.length
+                variables: this.strategy.variables.length,
+                syntaxErrors: errors.length
             });
 
             return {
                 strategy: this.strategy,
                 parameters: this.parameters,
-                optimizationCandidates: this.parameters.filter(p => p.optimizable)
+                optimizationCandidates: this.parameters.filter(p => p.optimizable),
+                syntaxErrors: errors
             };
 
         } catch (error) {
@@ -119,72 +177,92 @@ class PineScriptAnalyzer {
         }
     }
 
-    parseStrategyDeclaration(script) {
-        // Match strategy() or indicator() declaration
-        const strategyRegex = /(?:strategy|indicator)\s*\(\s*(?:title\s*=\s*)?["']([^"']+)["']/i;
-        const match = script.match(strategyRegex);
-        
-        if (match) {
-            this.strategy.name = match[1];
-            this.strategy.type = script.toLowerCase().includes('strategy(') ? 'strategy' : 'indicator';
+    parseStrategyDeclaration(ast) {
+        // Find the strategy(), indicator() or library() declaration
+        const declaration = ast.body
+            .filter(statement => statement.type === 'ExpressionStatement' && statement.expression.type === 'CallExpression')
+            .map(statement => statement.expression)
+            .find(call => PINE_DECLARATION_TYPES[PineParser.qualifiedName(call.callee)]);
+
+        if (declaration) {
+            const { resolved } = PineParser.resolveArguments(declaration, ['title']);
+            const title = resolved.title ? this.literalValue(resolved.title) : null;
+
+            if (typeof title === 'string') {
+                this.strategy.name = title;
+            }
+            this.strategy.type = PINE_DECLARATION_TYPES[PineParser.qualifiedName(declaration.callee)];
         }
 
-        // Detect Pine Script version
-        const versionRegex = /@version\s*=\s*(\d+)/;
-        const versionMatch = script.match(versionRegex);
-        if (versionMatch) {
-            this.strategy.version = `v${versionMatch[1]}`;
+        // Pine Script version from the //@version annotation
+        if (ast.version) {
+            this.strategy.version = `v${ast.version}`;
         }
     }
 
-    parseInputParameters(script) {
-        // Match input declarations with various patterns
-        const inputPatterns = [
-            // input.int, input.float, input.bool, etc.
-            /(\w+)\s*=\s*input\.(\w+)\s*\(\s*([^,)]+)(?:,\s*title\s*=\s*["']([^"']+)["'])?(?:,\s*minval\s*=\s*([\d.-]+))?(?:,\s*maxval\s*=\s*([\d.-]+))?(?:,\s*step\s*=\s*([\d.-]+))?/g,
-            // Legacy input() function
-            /(\w+)\s*=\s*input\s*\(\s*([^,)]+)(?:,\s*["']([^"']+)["'])?(?:,\s*type\s*=\s*(\w+))?(?:,\s*minval\s*=\s*([\d.-]+))?(?:,\s*maxval\s*=\s*([\d.-]+))?/g
-        ];
-
-        inputPatterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(script)) !== null) {
-                const param = this.createParameterFromMatch(match, pattern);
-                if (param && !this.parameters.find(p => p.name === param.name)) {
-                    this.parameters.push(param);
-                    this.strategy.inputs.push(param);
-                }
+    parseInputParameters(ast) {
+        PineParser.walk(ast, node => {
+            if (node.type !== 'VariableDeclaration' || node.init.type !== 'CallExpression') return;
+
+            const inputType = this.getInputType(node.init);
+            if (inputType === null) return;
+
+            const param = this.createParameterFromCall(node, inputType);
+            if (param && !this.parameters.find(p => p.name === param.name)) {
+                this.parameters.push(param);
+                this.strategy.inputs.push(param);
             }
         });
     }
 
-    createParameterFromMatch(match, pattern) {
+    /**
+     * "int", "float"... for input.* calls, "" for legacy input(), null for anything else
+     */
+    getInputType(call) {
+        const name = PineParser.qualifiedName(call.callee);
+
+        if (name === 'input') return '';
+        if (name && name.startsWith('input.')) return name.slice('input.'.length);
+        return null;
+    }
+
+    createParameterFromCall(declaration, inputType) {
         try {
+            const call = declaration.init;
+            const isLegacy = inputType === '';
+            const { resolved } = this.resolveInputArguments(call, inputType);
+            const value = key => (resolved[key] ? this.literalValue(resolved[key]) : null);
+            const number = key => (typeof value(key) === 'number' ? value(key) : null);
+            const text = key => (typeof value(key) === 'string' ? value(key) : null);
+            const options = Array.isArray(value('options')) ? value('options') : null;
+
             let param = {
-                name: match[1],
-                currentValue: this.parseValue(match[2] || match[3]),
+                name: declaration.name,
+                currentValue: value('defval'),
                 optimizable: true,
                 type: 'number',
-                title: null,
-                minValue: null,
-                maxValue: null,
-                step: null
+                title: text('title') || declaration.name,
+                minValue: number('minval'),
+                maxValue: number('maxval'),
+                step: number('step'),
+                options,
+                group: text('group'),
+                inline: text('inline'),
+                tooltip: text('tooltip'),
+                confirm: value('confirm') === true,
+                line: declaration.line
             };
 
-            // Determine parameter type and constraints based on pattern
-            if (pattern.toString().includes('input\\.')) {
-                // New input.* syntax
-                param.type = this.mapInputType(match[2]);
-                param.title = match[4] || match[1];
-                param.minValue = match[5] ? parseFloat(match[5]) : null;
-                param.maxValue = match[6] ? parseFloat(match[6]) : null;
-                param.step = match[7] ? parseFloat(match[7]) : null;
-            } else {
-                // Legacy input() syntax
-                param.title = match[3] || match[1];
-                param.type = this.mapLegacyInputType(match[4]);
-                param.minValue = match[5] ? parseFloat(match[5]) : null;
-                param.maxValue = match[6] ? parseFloat(match[6]) : null;
+            // Determine parameter type from the input function or the legacy type= argument
+            param.type = isLegacy
+                ? this.mapLegacyInputType(value('type'), resolved.defval)
+                : this.mapInputType(inputType);
+
+            // A numeric options list bounds the search to its values
+            const numericOptions = (options || []).filter(option => typeof option === 'number');
+            if (numericOptions.length > 0 && (param.type === 'integer' || param.type === 'float')) {
+                param.minValue = param.minValue ?? Math.min(...numericOptions);
+                param.maxValue = param.maxValue ?? Math.max(...numericOptions);
             }
 
             // Set default constraints if not specified
@@ -192,56 +270,100 @@ class PineScriptAnalyzer {
 
             return param;
         } catch (error) {
-            console.warn('Error creating parameter from match:', error);
+            console.warn('Error creating parameter from input call:', error);
             return null;
         }
     }
 
+    /**
+     * Resolve positional and named arguments of an input call against the
+     * overload they fit. input.int/input.float take either minval/maxval/step
+     * or options as their third argument.
+     */
+    resolveInputArguments(call, inputType) {
+        let overloads = PINE_INPUT_SIGNATURES[inputType] || PINE_INPUT_SIGNATURES.generic;
+        if (inputType === '') {
+            // Older scripts put type= and bounds on input(); favour the form of the declared version
+            const { generic, legacy } = PINE_INPUT_SIGNATURES;
+            overloads = this.ast && this.ast.version >= 5 ? [...generic, ...legacy] : [...legacy, ...generic];
+        }
+
+        const candidates = overloads.map(signature => PineParser.resolveArguments(call, signature));
+        const fits = ({ resolved }) => Object.entries(resolved)
+            .every(([name, node]) => (name === 'options') === (node.type === 'ArrayExpression'));
+
+        // Prefer an overload whose arguments fit, then the one with fewest unknown arguments
+        return candidates
+            .map((candidate, index) => ({ candidate, rank: (fits(candidate) ? 0 : 1000) + candidate.unknown.length, index }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index)[0].candidate;
+    }
+
     mapInputType(type) {
         const typeMap = {
             'int': 'integer',
             'float': 'float',
+            'price': 'float',
             'bool': 'boolean',
             'string': 'string',
+            'text_area': 'string',
+            'enum': 'string',
             'source': 'source',
-            'timeframe': 'timeframe'
+            'timeframe': 'timeframe',
+            'session': 'session',
+            'symbol': 'symbol',
+            'color': 'color',
+            'time': 'time'
         };
         return typeMap[type] || 'number';
     }
 
-    mapLegacyInputType(type) {
-        if (!type) return 'number';
-        
+    mapLegacyInputType(type, defval) {
+        if (!type) {
+            // Generic input() infers its type from the default value
+            if (!defval) return 'number';
+            if (defval.type === 'Identifier' && PINE_SOURCE_NAMES.has(defval.name)) return 'source';
+
+            const value = this.literalValue(defval);
+            if (typeof value === 'boolean') return 'boolean';
+            if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'float';
+            if (defval.type === 'Literal' && defval.kind === 'string') return 'string';
+            return 'number';
+        }
+
         const typeMap = {
             'integer': 'integer',
             'float': 'float',
             'bool': 'boolean',
             'string': 'string',
             'source': 'source',
-            'resolution': 'timeframe'
+            'resolution': 'timeframe',
+            'session': 'session',
+            'symbol': 'symbol'
         };
-        return typeMap[type] || 'number';
+        return typeMap[type.replace(/^input\./, '')] || 'number';
     }
 
-    parseValue(valueStr) {
-        if (!valueStr) return null;
-        
-        valueStr = valueStr.trim();
-        
-        // Boolean values
-        if (valueStr === 'true') return true;
-        if (valueStr === 'false') return false;
-        
-        // String values
-        if (valueStr.startsWith('"') || valueStr.startsWith("'")) {
-            return valueStr.slice(1, -1);
+    /**
+     * Constant value of a literal expression. Identifiers such as "close"
+     * or "input.integer" yield their dotted name; anything else is null.
+     */
+    literalValue(node) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+            case 'UnaryExpression': {
+                const argument = this.literalValue(node.argument);
+                if (typeof argument !== 'number') return null;
+                return node.operator === '-' ? -argument : argument;
+            }
+            case 'Identifier':
+            case 'MemberExpression':
+                return PineParser.qualifiedName(node);
+            case 'ArrayExpression':
+                return node.elements.map(element => this.literalValue(element));
+            default:
+                return null;
         }
-        
-        // Numeric values
-        const numValue = parseFloat(valueStr);
-        if (!isNaN(numValue)) return numValue;
-        
-        return valueStr;
     }
 
     setDefaultConstraints(param) {
@@ -260,28 +382,27 @@ class PineScriptAnalyzer {
         }
     }
 
-    parseVariables(script) {
-        // Parse variable declarations that might be optimization targets
-        const variablePatterns = [
-            // Simple variable assignments with numbers
-            /(\w+)\s*=\s*([\d.-]+)/g,
-            // ta.* function calls with numeric parameters
-            /(\w+)\s*=\s*ta\.(\w+)\s*\([^)]*?([\d.-]+)[^)]*?\)/g
-        ];
-
-        variablePatterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(script)) !== null) {
-                const variable = {
-                    name: match[1],
-                    value: parseFloat(match[2] || match[3]),
+    parseVariables(ast) {
+        // Numeric constants and ta.* calls with numeric arguments may be optimization targets
+        PineParser.walk(ast, node => {
+            if (node.type !== 'VariableDeclaration') return;
+
+            let value = this.literalValue(node.init);
+            if (node.init.type === 'CallExpression') {
+                const name = PineParser.qualifiedName(node.init.callee);
+                const numeric = node.init.arguments
+                    .map(arg => this.literalValue(arg.value))
+                    .find(argument => typeof argument === 'number');
+                value = name && name.startsWith('ta.') ? numeric : null;
+            }
+
+            if (typeof value === 'number' && value !== 0) {
+                this.strategy.variables.push({
+                    name: node.name,
+                    value,
                     type: 'variable',
-                    line: this.getLineNumber(script, match.index)
-                };
-                
-                if (!isNaN(variable.value) && variable.value !== 0) {
-                    this.strategy.variables.push(variable);
-                }
+                    line: node.line
+                });
             }
         });
     }
@@ -300,14 +421,32 @@ class PineScriptAnalyzer {
                 'rsi', 'ma', 'ema', 'sma', 'bb'
             ];
             
-            param.optimizable = optimizableKeywords.some(keyword => 
-                name.includes(keyword) || title.includes(keyword)
-            ) && (param.type === 'integer' || param.type === 'float');
+            // Display toggles and styling never change results
+            const visualKeywords = ['show', 'plot', 'color', 'display', 'label', 'debug'];
+            
+            if ((param.type === 'integer' || param.type === 'float') && !param.options) {
+                param.optimizable = optimizableKeywords.some(keyword => 
+                    name.includes(keyword) || title.includes(keyword)
+                );
+            } else {
+                // Discrete inputs are searched over their choices
+                param.optimizable = this.getSearchValues(param).length > 1 &&
+                    !visualKeywords.some(keyword => name.includes(keyword) || title.includes(keyword));
+            }
         });
     }
 
-    getLineNumber(script, index) {
-        return script.substring(0, index).split('\n').length;
+    /**
+     * Choices for a discrete parameter, or an empty list for numeric ranges
+     */
+    getSearchValues(param) {
+        if (param.type === 'boolean') return [true, false];
+        if (Array.isArray(param.options) && param.options.length > 0) {
+            return param.options.filter(option => option !== null);
+        }
+        if (param.type === 'source') return PINE_SOURCE_CHOICES;
+        if (param.type === 'timeframe') return PINE_TIMEFRAME_CHOICES;
+        return [];
     }
 
     /**
@@ -339,20 +478,61 @@ class PineScriptAnalyzer {
     }
 
     calculateComplexity() {
-        const script = this.currentScript;
-        
+        const counts = this.countComplexity();
+
         return {
-            lines: script.split('\n').length,
-            functions: (script.match(/\w+\s*\(/g) || []).length,
-            indicators: (script.match(/ta\.\w+/g) || []).length,
-            conditions: (script.match(/if\s+|and\s+|or\s+/g) || []).length,
-            parameters: this.parameters.length,
-            score: this.calculateComplexityScore()
+            ...counts,
+            score: this.calculateComplexityScore(counts)
+        };
+    }
+
+    /**
+     * Count calls, indicators, conditions, loops and user functions in the AST
+     */
+    countComplexity() {
+        const counts = {
+            lines: this.currentScript.split('\n').length,
+            functions: 0,
+            indicators: 0,
+            conditions: 0,
+            loops: 0,
+            userFunctions: 0,
+            parameters: this.parameters.length
         };
+
+        PineParser.walk(this.getAst(), node => {
+            switch (node.type) {
+                case 'CallExpression':
+                    counts.functions++;
+                    break;
+                case 'MemberExpression':
+                    if (node.object.type === 'Identifier' && node.object.name === 'ta') counts.indicators++;
+                    break;
+                case 'IfStatement':
+                case 'ConditionalExpression':
+                    counts.conditions++;
+                    break;
+                case 'SwitchCase':
+                    if (node.test) counts.conditions++;
+                    break;
+                case 'BinaryExpression':
+                    if (node.operator === 'and' || node.operator === 'or') counts.conditions++;
+                    break;
+                case 'ForStatement':
+                case 'ForInStatement':
+                case 'WhileStatement':
+                    counts.loops++;
+                    break;
+                case 'FunctionDeclaration':
+                    counts.userFunctions++;
+                    break;
+            }
+        });
+
+        return counts;
     }
 
-    calculateComplexityScore() {
-        const complexity = this.calculateComplexity();
+    calculateComplexityScore(complexity = this.countComplexity()) {
         let score = 0;
         
         score += Math.min(complexity.lines / 10, 10);
@@ -364,6 +544,18 @@ class PineScriptAnalyzer {
         return Math.round(score);
     }
 
+    /**
+     * AST of the current script, parsing it if parseScript() has not run
+     */
+    getAst() {
+        if (!this.ast) {
+            const { ast, errors } = new PineParser().parse(this.currentScript);
+            this.ast = ast;
+            this.syntaxErrors = errors;
+        }
+        return this.ast;
+    }
+
     assessOptimizationPotential() {
         const optimizableParams = this.parameters.filter(p => p.optimizable);
         
@@ -379,7 +571,10 @@ class PineScriptAnalyzer {
         let combinations = 1;
         
         params.forEach(param => {
-            if (param.type === 'integer' || param.type === 'float') {
+            const values = this.getSearchValues(param);
+            if (values.length > 0) {
+                combinations *= values.length;
+            } else if (param.type === 'integer' || param.type === 'float') {
                 const range = (param.maxValue - param.minValue) / param.step;
                 combinations *= Math.min(range, 20); // Cap at 20 values per parameter
             }
@@ -411,6 +606,14 @@ class PineScriptAnalyzer {
         const recommendations = [];
         const optimizableParams = this.parameters.filter(p => p.optimizable);
         
+        if (this.syntaxErrors && this.syntaxErrors.length > 0) {
+            const [first] = this.syntaxErrors;
+            recommendations.push({
+                type: 'warning',
+                message: `Script has ${this.syntaxErrors.length} syntax error(s), first at line ${first.line}: ${first.message}. Parameters there may be missed.`
+            });
+        }
+
         if (optimizableParams.length === 0) {
             recommendations.push({
                 type: 'warning',
@@ -430,6 +633,14 @@ class PineScriptAnalyzer {
             });
         }
         
+        const constraints = this.suggestConstraints(optimizableParams);
+        if (constraints.length > 0) {
+            recommendations.push({
+                type: 'info',
+                message: `Suggested parameter constraints: ${constraints.join(', ')}. Add them in the settings to enforce them.`
+            });
+        }
+        
         const complexity = this.calculateComplexityScore();
         if (complexity > 30) {
             recommendations.push({
@@ -448,21 +659,51 @@ class PineScriptAnalyzer {
         const optimizableParams = this.parameters.filter(p => p.optimizable);
         
         return {
-            parameters: optimizableParams.map(param => ({
-                name: param.name,
-                title: param.title,
-                type: param.type,
-                current: param.currentValue,
-                min: param.minValue,
-                max: param.maxValue,
-                step: param.step,
-                priority: this.getParameterPriority(param)
-            })),
+            parameters: optimizableParams.map(param => {
+                const values = this.getSearchValues(param);
+                return {
+                    name: param.name,
+                    title: param.title,
+                    type: param.type,
+                    current: param.currentValue,
+                    min: param.minValue,
+                    max: param.maxValue,
+                    step: param.step,
+                    options: values.length > 0 ? values : null,
+                    priority: this.getParameterPriority(param)
+                };
+            }),
+            constraints: this.suggestConstraints(optimizableParams),
             estimatedTime: this.estimateOptimizationTime(optimizableParams),
             combinations: this.estimateOptimizationCombinations(optimizableParams)
         };
     }
 
+    /**
+     * Likely parameter constraints from fast/slow and short/long name pairs,
+     * e.g. "fastLength < slowLength". These are suggestions only; runs enforce
+     * the constraints the user configured
+     */
+    suggestConstraints(params) {
+        const numeric = params.filter(param => (param.type === 'integer' || param.type === 'float') && !param.options);
+        const byName = new Map(numeric.map(param => [param.name.toLowerCase(), param]));
+        const suggestions = [];
+
+        numeric.forEach(param => {
+            const name = param.name.toLowerCase();
+            PINE_CONSTRAINT_PAIRS.forEach(([lower, upper, lookback]) => {
+                if (!name.includes(lower) || (lookback && !lookback.test(name))) return;
+
+                const partner = byName.get(name.replace(lower, upper));
+                if (partner && partner !== param) {
+                    suggestions.push(`${param.name} < ${partner.name}`);
+                }
+            });
+        });
+
+        return suggestions;
+    }
+
     getParameterPriority(param) {
         const name = param.name.toLowerCase();
         const title = (param.title || '').toLowerCase();
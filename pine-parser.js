@@ -0,0 +1,1007 @@
+/**
+ * TradingHub.Mk Pine Script Parser
+ * Tokenizes Pine Script and builds an AST for the transpiler and analyzer
+ *
+ * Every node carries the line and column of its first token and a `range`
+ * of { start, end } positions ({ line, column, offset }, end exclusive).
+ */
+
+const PINE_KEYWORDS = new Set([
+    'var', 'varip', 'if', 'else', 'for', 'to', 'by', 'while', 'switch',
+    'and', 'or', 'not', 'true', 'false', 'import', 'export', 'method', 'type',
+    'break', 'continue', 'in'
+]);
+
+
+const PINE_OPERATORS = [
+    ':=', '+=', '-=', '*=', '/=', '%=', '==', '!=', '<=', '>=', '=>',
+    '?', ':', '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.'
+];
+
+class PineLexer {
+    constructor(source) {
+        this.source = source.replace(/\r\n?/g, '\n');
+        this.tokens = [];
+        this.annotations = [];
+        this.errors = [];
+    }
+
+    tokenize() {
+        const lines = this.source.split('\n');
+        const indentStack = [0];
+        let depth = 0; // open parentheses and brackets
+        let offset = 0;
+        let hasStatement = false;
+        let lineEnd = null; // end of the last line with code, where newline tokens go
+
+        lines.forEach((text, lineIndex) => {
+            const line = lineIndex + 1;
+            const lineOffset = offset;
+            offset += text.length + 1;
+
+            const content = this.stripComment(text, line);
+            if (!content.trim()) return;
+
+            const indentText = content.match(/^[ \t]*/)[0];
+            const indent = indentText.replace(/\t/g, '    ').length;
+
+            // Pine continues a statement on lines indented by a non-multiple of four
+            const isContinuation = hasStatement && (depth > 0 || indent % 4 !== 0);
+
+            if (!isContinuation) {
+                if (hasStatement) {
+                    this.push('newline', '\n', lineEnd.line, lineEnd.column, lineEnd.offset);
+                }
+
+                if (indent > indentStack[indentStack.length - 1]) {
+                    indentStack.push(indent);
+                    this.push('indent', indent, line, 1, lineOffset);
+                } else {
+                    while (indent < indentStack[indentStack.length - 1]) {
+                        indentStack.pop();
+                        this.push('dedent', indent, line, 1, lineOffset);
+                    }
+                }
+            }
+
+            depth = this.tokenizeLine(content, line, lineOffset, indentText.length, depth);
+            hasStatement = true;
+
+            const length = content.trimEnd().length;
+            lineEnd = { line, column: length + 1, offset: lineOffset + length };
+        });
+
+        if (hasStatement) {
+            this.push('newline', '\n', lineEnd.line, lineEnd.column, lineEnd.offset);
+        }
+        while (indentStack.length > 1) {
+            indentStack.pop();
+            this.push('dedent', 0, lines.length, 1, this.source.length);
+        }
+        this.push('eof', null, lines.length + 1, 1, this.source.length);
+
+        return this.tokens;
+    }
+
+    /**
+     * Remove a trailing // comment (outside strings), recording //@ annotations
+     */
+    stripComment(text, line) {
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '/' && text[i + 1] === '/') {
+                const annotation = text.slice(i + 2).match(/^@(\w+)\s*=?\s*(.*)$/);
+                if (annotation) {
+                    this.annotations.push({ name: annotation[1], value: annotation[2].trim(), line });
+                }
+                return text.slice(0, i);
+            }
+        }
+
+        return text;
+    }
+
+    tokenizeLine(text, line, lineOffset, start, depth) {
+        let i = start;
+
+        while (i < text.length) {
+            const char = text[i];
+            const column = i + 1;
+            const rest = text.slice(i);
+
+            if (char === ' ' || char === '\t') {
+                i++;
+                continue;
+            }
+
+            let match;
+            if ((match = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/))) {
+                this.push('number', parseFloat(match[0]), line, column, lineOffset + i, match[0]);
+                i += match[0].length;
+            } else if (char === '"' || char === "'") {
+                i = this.readString(text, i, line, lineOffset);
+            } else if ((match = rest.match(/^#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?\b/))) {
+                this.push('color', match[0], line, column, lineOffset + i);
+                i += match[0].length;
+            } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+                const type = PINE_KEYWORDS.has(match[0]) ? 'keyword' : 'identifier';
+                this.push(type, match[0], line, column, lineOffset + i);
+                i += match[0].length;
+            } else {
+                const operator = PINE_OPERATORS.find(op => rest.startsWith(op));
+                if (!operator) {
+                    this.errors.push({ message: `Unexpected character "${char}"`, line, column });
+                    i++;
+                    continue;
+                }
+
+                if (operator === '(' || operator === '[') depth++;
+                if ((operator === ')' || operator === ']') && depth > 0) depth--;
+
+                this.push('operator', operator, line, column, lineOffset + i);
+                i += operator.length;
+            }
+        }
+
+        return depth;
+    }
+
+    readString(text, start, line, lineOffset) {
+        const quote = text[start];
+        const escapes = { n: '\n', t: '\t', r: '\r' };
+        let value = '';
+        let i = start + 1;
+
+        while (i < text.length && text[i] !== quote) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                value += escapes[text[i + 1]] ?? text[i + 1];
+                i += 2;
+            } else {
+                value += text[i++];
+            }
+        }
+
+        if (i >= text.length) {
+            this.errors.push({ message: 'Unterminated string literal', line, column: start + 1 });
+        }
+
+        this.push('string', value, line, start + 1, lineOffset + start, text.slice(start, i + 1));
+        return i + 1;
+    }
+
+    push(type, value, line, column, offset, raw = null) {
+        const text = raw ?? String(value);
+        // Layout tokens take no space in the source
+        const length = ['newline', 'indent', 'dedent', 'eof'].includes(type) ? 0 : text.length;
+
+        this.tokens.push({
+            type,
+            value,
+            line,
+            column,
+            offset,
+            raw: text,
+            end: { line, column: column + length, offset: offset + length }
+        });
+    }
+}
+
+class PineParser {
+    constructor() {
+        this.tokens = [];
+        this.position = 0;
+        this.errors = [];
+        this.lastToken = null;
+    }
+
+    /**
+     * Parse a script into { ast, errors }. Errors carry line and column and
+     * parsing resumes at the next statement so every problem is reported.
+     */
+    parse(source) {
+        const lexer = new PineLexer(source);
+        this.tokens = lexer.tokenize();
+        this.position = 0;
+        this.errors = [...lexer.errors];
+        this.lastToken = null;
+
+        const body = this.parseStatements(() => this.check('eof'));
+        const version = lexer.annotations.find(annotation => annotation.name === 'version');
+
+        const start = { line: 1, column: 1, offset: 0 };
+        const end = this.tokens[this.tokens.length - 1].end;
+
+        return {
+            ast: {
+                type: 'Program',
+                line: 1,
+                column: 1,
+                range: { start, end: { ...end } },
+                version: version ? parseInt(version.value, 10) : null,
+                annotations: lexer.annotations,
+                body
+            },
+            errors: this.errors
+        };
+    }
+
+    parseStatements(isEnd) {
+        const statements = [];
+
+        while (!isEnd() && !this.check('eof')) {
+            if (this.match('newline')) continue;
+
+            const start = this.position;
+            try {
+                const statement = this.parseStatement();
+                if (statement) statements.push(statement);
+                this.expectStatementEnd();
+            } catch (error) {
+                if (!error.pineSyntax) throw error;
+                this.errors.push({ message: error.message, line: error.line, column: error.column });
+                this.synchronize();
+
+                // A stray dedent (or any token recovery stops at) is skipped so parsing always moves on
+                if (this.position === start && !this.check('eof')) this.advance();
+            }
+        }
+
+        return statements;
+    }
+
+    parseStatement() {
+        const token = this.peek();
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if':
+                    return this.parseIf();
+                case 'for':
+                    return this.parseFor();
+                case 'while':
+                    return this.parseWhile();
+                case 'switch':
+                    return this.parseSwitch();
+                case 'var':
+                case 'varip':
+                    return this.parseDeclaration();
+                case 'import':
+                    return this.parseImport();
+                case 'export':
+                    return this.isKeyword(this.peek(1), 'type') ? this.parseType() : this.parseFunction();
+                case 'method':
+                    return this.parseFunction();
+                case 'type':
+                    return this.parseType();
+                case 'break':
+                case 'continue':
+                    this.advance();
+                    return this.node(token.value === 'break' ? 'BreakStatement' : 'ContinueStatement', token, {});
+            }
+        }
+
+        if (this.isOperator(token, '[') && this.isTupleDeclaration()) {
+            return this.parseTupleDeclaration();
+        }
+
+        if (token.type === 'identifier') {
+            const next = this.peek(1);
+
+            if (this.isFunctionDeclaration()) {
+                return this.parseFunction();
+            }
+            // Any identifier followed by a name is a type: "float x", "Point p", "array<int> a"
+            if (next.type === 'identifier' || this.isGenericType(this.position)) {
+                return this.parseDeclaration();
+            }
+            if (this.isOperator(next, '=')) {
+                return this.parseDeclaration();
+            }
+            if (next.type === 'operator' && [':=', '+=', '-=', '*=', '/=', '%='].includes(next.value)) {
+                return this.parseAssignment();
+            }
+        }
+
+        const expression = this.parseExpression();
+        return this.node('ExpressionStatement', token, { expression });
+    }
+
+    parseDeclaration() {
+        const start = this.peek();
+        let mode = null;
+        const typeQualifiers = [];
+
+        if (this.check('keyword', 'var') || this.check('keyword', 'varip')) {
+            mode = this.advance().value;
+        }
+
+        // Optional type qualifiers such as "series float"
+        typeQualifiers.push(...this.parseTypeQualifiers());
+
+        const name = this.expect('identifier', null, 'Expected variable name').value;
+        this.expect('operator', '=', `Expected "=" after "${name}"`);
+        const init = this.parseValue();
+
+        return this.node('VariableDeclaration', start, {
+            name,
+            mode,
+            typeAnnotation: typeQualifiers.length ? typeQualifiers.join(' ') : null,
+            init
+        });
+    }
+
+    parseAssignment() {
+        const start = this.advance();
+        const operator = this.advance().value;
+        const value = this.parseValue();
+
+        return this.node('Assignment', start, { name: start.value, operator, value });
+    }
+
+    parseTupleDeclaration() {
+        const start = this.advance();
+        const names = [];
+
+        while (!this.check('operator', ']')) {
+            names.push(this.expect('identifier', null, 'Expected variable name in tuple').value);
+            if (!this.check('operator', ']')) {
+                this.expect('operator', ',', 'Expected "," or "]" in tuple');
+            }
+        }
+
+        this.advance();
+        this.expect('operator', '=', 'Expected "=" after tuple');
+        const init = this.parseValue();
+
+        return this.node('TupleDeclaration', start, { names, init });
+    }
+
+    /**
+     * Right-hand side of a declaration or assignment. Pine also accepts
+     * if/switch/for/while here, taking the value of the block's last line.
+     */
+    parseValue() {
+        const token = this.peek();
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if': return this.parseIf();
+                case 'switch': return this.parseSwitch();
+                case 'for': return this.parseFor();
+                case 'while': return this.parseWhile();
+            }
+        }
+
+        return this.parseExpression();
+    }
+
+    parseTypeQualifiers() {
+        const qualifiers = [];
+
+        while (this.check('identifier') &&
+            (this.peek(1).type === 'identifier' || this.isGenericType(this.position))) {
+            let type = this.advance().value;
+            if (this.check('operator', '<')) {
+                type += `<${this.parseTypeArguments().join(', ')}>`;
+            }
+            qualifiers.push(type);
+        }
+
+        return qualifiers;
+    }
+
+    /**
+     * Generic type arguments such as <float> or <string, int>
+     */
+    parseTypeArguments() {
+        const types = [];
+        this.expect('operator', '<', 'Expected "<"');
+
+        while (!this.check('operator', '>')) {
+            let type = this.expect('identifier', null, 'Expected type name').value;
+            while (this.match('operator', '.')) {
+                type += `.${this.expect('identifier', null, 'Expected type name').value}`;
+            }
+            types.push(type);
+
+            if (!this.check('operator', '>')) {
+                this.expect('operator', ',', 'Expected "," or ">" in type arguments');
+            }
+        }
+
+        this.advance();
+        return types;
+    }
+
+    parseFunction() {
+        const start = this.peek();
+        const exported = this.match('keyword', 'export');
+        const isMethod = this.match('keyword', 'method');
+        const name = this.expect('identifier', null, 'Expected function name').value;
+        const params = [];
+
+        this.expect('operator', '(', `Expected "(" after "${name}"`);
+        while (!this.check('operator', ')')) {
+            const paramStart = this.peek();
+            const qualifiers = this.parseTypeQualifiers();
+            const paramName = this.expect('identifier', null, 'Expected parameter name').value;
+            const defaultValue = this.match('operator', '=') ? this.parseExpression() : null;
+
+            params.push(this.node('Parameter', paramStart, {
+                name: paramName,
+                typeAnnotation: qualifiers.length ? qualifiers.join(' ') : null,
+                defaultValue
+            }));
+
+            if (!this.check('operator', ')')) {
+                this.expect('operator', ',', 'Expected "," or ")" in parameter list');
+            }
+        }
+        this.advance();
+        this.expect('operator', '=>', `Expected "=>" after the parameters of "${name}"`);
+
+        const body = this.parseArrowBody();
+        return this.node('FunctionDeclaration', start, { name, params, body, exported, isMethod });
+    }
+
+    /**
+     * Body after "=>": an expression on the same line or an indented block
+     */
+    parseArrowBody() {
+        if (this.check('newline')) {
+            return this.parseBlock();
+        }
+
+        const start = this.peek();
+        const expression = this.parseValue();
+        return [this.node('ExpressionStatement', start, { expression })];
+    }
+
+    parseFor() {
+        const start = this.advance();
+
+        if (this.check('operator', '[') || this.isKeyword(this.peek(1), 'in')) {
+            const variables = [];
+
+            if (this.match('operator', '[')) {
+                while (!this.check('operator', ']')) {
+                    variables.push(this.expect('identifier', null, 'Expected loop variable').value);
+                    if (!this.check('operator', ']')) {
+                        this.expect('operator', ',', 'Expected "," or "]" in loop variables');
+                    }
+                }
+                this.advance();
+            } else {
+                variables.push(this.expect('identifier', null, 'Expected loop variable').value);
+            }
+
+            this.expect('keyword', 'in', 'Expected "in" after loop variables');
+            const iterable = this.parseExpression();
+            const body = this.parseBlock();
+
+            return this.node('ForInStatement', start, { variables, iterable, body });
+        }
+
+        const variable = this.expect('identifier', null, 'Expected loop variable').value;
+        this.expect('operator', '=', `Expected "=" after "${variable}"`);
+        const from = this.parseExpression();
+        this.expect('keyword', 'to', 'Expected "to" in for loop');
+        const to = this.parseExpression();
+        const step = this.match('keyword', 'by') ? this.parseExpression() : null;
+        const body = this.parseBlock();
+
+        return this.node('ForStatement', start, { variable, from, to, step, body });
+    }
+
+    parseWhile() {
+        const start = this.advance();
+        const test = this.parseExpression();
+        const body = this.parseBlock();
+
+        return this.node('WhileStatement', start, { test, body });
+    }
+
+    /**
+     * switch [expression] with one "value => result" case per line. A case
+     * without a value ("=> result") is the default.
+     */
+    parseSwitch() {
+        const start = this.advance();
+        const discriminant = this.check('newline') ? null : this.parseExpression();
+        const cases = [];
+
+        this.expect('newline', null, 'Expected a new line after switch');
+        this.expect('indent', null, 'Expected indented switch cases');
+
+        while (!this.check('dedent') && !this.check('eof')) {
+            if (this.match('newline')) continue;
+
+            const caseStart = this.peek();
+            const test = this.check('operator', '=>') ? null : this.parseExpression();
+            this.expect('operator', '=>', 'Expected "=>" in switch case');
+            const body = this.parseArrowBody();
+            cases.push(this.node('SwitchCase', caseStart, { test, body }));
+
+            this.expectStatementEnd();
+        }
+
+        this.expect('dedent', null, 'Expected end of switch');
+        return this.node('SwitchStatement', start, { discriminant, cases });
+    }
+
+    /**
+     * import user/library/1 [as alias]
+     */
+    parseImport() {
+        const start = this.advance();
+        let path = '';
+
+        while (!this.check('newline') && !this.check('eof') && !this.check('identifier', 'as')) {
+            path += this.advance().raw;
+        }
+        if (!path) {
+            throw this.error(this.peek(), 'Expected library path after "import"');
+        }
+
+        const alias = this.match('identifier', 'as')
+            ? this.expect('identifier', null, 'Expected alias after "as"').value
+            : null;
+
+        return this.node('ImportStatement', start, { path, alias });
+    }
+
+    parseType() {
+        const start = this.peek();
+        const exported = this.match('keyword', 'export');
+        this.expect('keyword', 'type', 'Expected "type"');
+        const name = this.expect('identifier', null, 'Expected type name').value;
+        const fields = [];
+
+        this.expect('newline', null, `Expected a new line after type "${name}"`);
+        this.expect('indent', null, `Expected indented fields in type "${name}"`);
+
+        while (!this.check('dedent') && !this.check('eof')) {
+            if (this.match('newline')) continue;
+
+            // Fields are "type name" with an optional "= default"
+            const fieldStart = this.peek();
+            const qualifiers = this.parseTypeQualifiers();
+            if (!qualifiers.length) {
+                throw this.error(fieldStart, `Expected a typed field in type "${name}"`);
+            }
+            const fieldName = this.expect('identifier', null, 'Expected field name').value;
+            const defaultValue = this.match('operator', '=') ? this.parseExpression() : null;
+
+            fields.push(this.node('TypeField', fieldStart, {
+                name: fieldName,
+                typeAnnotation: qualifiers.join(' '),
+                defaultValue
+            }));
+            this.expectStatementEnd();
+        }
+
+        this.expect('dedent', null, `Expected end of type "${name}"`);
+        return this.node('TypeDeclaration', start, { name, fields, exported });
+    }
+
+    parseIf() {
+        const start = this.advance();
+        const test = this.parseExpression();
+        const consequent = this.parseBlock();
+        let alternate = null;
+
+        if (this.check('keyword', 'else')) {
+            this.advance();
+            if (this.check('keyword', 'if')) {
+                alternate = [this.parseIf()];
+            } else {
+                alternate = this.parseBlock();
+            }
+        }
+
+        return this.node('IfStatement', start, { test, consequent, alternate });
+    }
+
+    parseBlock() {
+        this.expect('newline', null, 'Expected a new line before block');
+        this.expect('indent', null, 'Expected an indented block');
+
+        const body = this.parseStatements(() => this.check('dedent'));
+        this.expect('dedent', null, 'Expected end of block');
+
+        // "else" continues the statement after its block
+        if (this.check('newline') && this.isKeyword(this.peek(1), 'else')) {
+            this.advance();
+        }
+
+        return body;
+    }
+
+    /**
+     * Expressions, lowest precedence first
+     */
+    parseExpression() {
+        return this.parseTernary();
+    }
+
+    parseTernary() {
+        const test = this.parseBinary(0);
+
+        if (this.check('operator', '?')) {
+            this.advance();
+            const consequent = this.parseTernary();
+            this.expect('operator', ':', 'Expected ":" in conditional expression');
+            const alternate = this.parseTernary();
+            return this.node('ConditionalExpression', test, { test, consequent, alternate });
+        }
+
+        return test;
+    }
+
+    parseBinary(level) {
+        const levels = [
+            ['or'],
+            ['and'],
+            ['==', '!='],
+            ['<', '>', '<=', '>='],
+            ['+', '-'],
+            ['*', '/', '%']
+        ];
+
+        if (level >= levels.length) {
+            return this.parseUnary();
+        }
+
+        let left = this.parseBinary(level + 1);
+
+        while (levels[level].includes(this.peek().value) &&
+            (this.check('operator') || this.check('keyword'))) {
+            const operator = this.advance().value;
+            const right = this.parseBinary(level + 1);
+            left = this.node('BinaryExpression', left, { operator, left, right });
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+
+        if (this.isOperator(token, '-') || this.isOperator(token, '+') || this.isKeyword(token, 'not')) {
+            this.advance();
+            const argument = this.parseUnary();
+            return this.node('UnaryExpression', token, { operator: token.value, argument });
+        }
+
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let expression = this.parsePrimary();
+
+        for (;;) {
+            if (this.check('operator', '.')) {
+                this.advance();
+                const property = this.expect('identifier', null, 'Expected property name after "."');
+                expression = this.node('MemberExpression', expression, { object: expression, property: property.value });
+            } else if (this.check('operator', '(')) {
+                expression = this.parseCall(expression);
+            } else if (this.check('operator', '<') && this.isTypeArgumentCall(expression)) {
+                // array.new<float>(...)
+                const typeArguments = this.parseTypeArguments();
+                expression = this.parseCall(expression);
+                expression.typeArguments = typeArguments;
+            } else if (this.check('operator', '[')) {
+                this.advance();
+                const offset = this.parseExpression();
+                this.expect('operator', ']', 'Expected "]" after history offset');
+                expression = this.node('HistoryExpression', expression, { object: expression, offset });
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    parseCall(callee) {
+        this.advance();
+        const args = [];
+
+        while (!this.check('operator', ')')) {
+            let name = null;
+            const token = this.peek();
+            // Keywords are valid argument names, e.g. input(type=input.integer)
+            if ((token.type === 'identifier' || token.type === 'keyword') && this.isOperator(this.peek(1), '=')) {
+                name = this.advance().value;
+                this.advance();
+            }
+
+            args.push({ name, value: this.parseExpression() });
+
+            if (!this.check('operator', ')')) {
+                this.expect('operator', ',', 'Expected "," or ")" in argument list');
+            }
+        }
+
+        this.advance();
+        return this.node('CallExpression', callee, { callee, arguments: args });
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'number':
+                this.advance();
+                return this.node('Literal', token, { value: token.value, kind: 'number', raw: token.raw });
+            case 'string':
+                this.advance();
+                return this.node('Literal', token, { value: token.value, kind: 'string', raw: token.raw });
+            case 'color':
+                this.advance();
+                return this.node('Literal', token, { value: token.value, kind: 'color', raw: token.raw });
+            case 'identifier':
+                this.advance();
+                return this.node('Identifier', token, { name: token.value });
+            case 'keyword':
+                if (token.value === 'true' || token.value === 'false') {
+                    this.advance();
+                    return this.node('Literal', token, { value: token.value === 'true', kind: 'bool', raw: token.value });
+                }
+                break;
+            case 'operator':
+                if (token.value === '(') {
+                    this.advance();
+                    const expression = this.parseExpression();
+                    this.expect('operator', ')', 'Expected ")"');
+                    return expression;
+                }
+                if (token.value === '[') {
+                    return this.parseArray();
+                }
+                break;
+        }
+
+        throw this.error(token, `Unexpected ${this.describe(token)}`);
+    }
+
+    parseArray() {
+        const start = this.advance();
+        const elements = [];
+
+        while (!this.check('operator', ']')) {
+            elements.push(this.parseExpression());
+            if (!this.check('operator', ']')) {
+                this.expect('operator', ',', 'Expected "," or "]" in array literal');
+            }
+        }
+
+        this.advance();
+        return this.node('ArrayExpression', start, { elements });
+    }
+
+    /**
+     * Token helpers
+     */
+    isTupleDeclaration() {
+        for (let i = this.position + 1; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (this.isOperator(token, ']')) return this.isOperator(this.tokens[i + 1], '=');
+            if (token.type !== 'identifier' && !this.isOperator(token, ',')) return false;
+        }
+        return false;
+    }
+
+    /**
+     * Whether the tokens at `index` read "name<type, ...> identifier"
+     */
+    isGenericType(index) {
+        if (!this.isOperator(this.tokens[index + 1], '<')) return false;
+
+        const close = this.findTypeArgumentsEnd(index + 1);
+        return close !== -1 && this.tokens[close + 1]?.type === 'identifier';
+    }
+
+    isTypeArgumentCall(callee) {
+        const name = PineParser.qualifiedName(callee);
+        if (!name || !name.endsWith('.new')) return false;
+
+        const close = this.findTypeArgumentsEnd(this.position);
+        return close !== -1 && this.isOperator(this.tokens[close + 1], '(');
+    }
+
+    /**
+     * Index of the ">" closing type arguments opened at `index`, or -1
+     */
+    findTypeArgumentsEnd(index) {
+        for (let i = index + 1; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (this.isOperator(token, '>')) return i;
+            if (token.type !== 'identifier' && !this.isOperator(token, ',') && !this.isOperator(token, '.')) {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    isFunctionDeclaration() {
+        if (!this.isOperator(this.peek(1), '(')) return false;
+
+        let depth = 0;
+        for (let i = this.position + 1; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (token.type === 'newline' || token.type === 'eof') return false;
+            if (this.isOperator(token, '(')) depth++;
+            if (this.isOperator(token, ')') && --depth === 0) {
+                return this.isOperator(this.tokens[i + 1], '=>');
+            }
+        }
+
+        return false;
+    }
+
+    expectStatementEnd() {
+        if (this.check('newline')) {
+            this.advance();
+        } else if (!this.check('eof') && !this.check('dedent') && this.tokens[this.position - 1]?.type !== 'dedent') {
+            throw this.error(this.peek(), `Unexpected ${this.describe(this.peek())} after statement`);
+        }
+    }
+
+    /**
+     * Skip the rest of a broken statement, including any block it opens
+     */
+    synchronize() {
+        while (!this.check('newline') && !this.check('eof') && !this.check('dedent')) {
+            this.advance();
+        }
+        if (this.check('newline')) this.advance();
+
+        if (this.check('indent')) {
+            let depth = 0;
+            do {
+                if (this.check('indent')) depth++;
+                if (this.check('dedent')) depth--;
+                this.advance();
+            } while (depth > 0 && !this.check('eof'));
+        }
+    }
+
+    /**
+     * Build a node spanning from `start` (a token or node) to the last consumed token
+     */
+    node(type, start, props) {
+        const from = start.range
+            ? start.range.start
+            : { line: start.line, column: start.column, offset: start.offset };
+        const to = this.lastToken && this.lastToken.offset >= from.offset ? this.lastToken.end : from;
+
+        return {
+            type,
+            line: from.line,
+            column: from.column,
+            range: { start: { ...from }, end: { ...to } },
+            ...props
+        };
+    }
+
+    peek(ahead = 0) {
+        return this.tokens[Math.min(this.position + ahead, this.tokens.length - 1)];
+    }
+
+    advance() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.position++;
+        if (token.end.offset > token.offset) this.lastToken = token;
+        return token;
+    }
+
+    check(type, value = null) {
+        const token = this.peek();
+        return token.type === type && (value === null || token.value === value);
+    }
+
+    match(type, value = null) {
+        if (this.check(type, value)) {
+            this.advance();
+            return true;
+        }
+        return false;
+    }
+
+    expect(type, value, message) {
+        if (!this.check(type, value)) {
+            throw this.error(this.peek(), message);
+        }
+        return this.advance();
+    }
+
+    isOperator(token, value) {
+        return token && token.type === 'operator' && token.value === value;
+    }
+
+    isKeyword(token, value) {
+        return token && token.type === 'keyword' && token.value === value;
+    }
+
+    describe(token) {
+        switch (token.type) {
+            case 'eof': return 'end of script';
+            case 'newline': return 'end of line';
+            case 'indent': return 'indentation';
+            case 'dedent': return 'end of block';
+            default: return `"${token.raw}"`;
+        }
+    }
+
+    error(token, message) {
+        const error = new Error(message);
+        error.pineSyntax = true;
+        error.line = token.line;
+        error.column = token.column;
+        return error;
+    }
+
+    /**
+     * Match call arguments to a signature of parameter names. Positional
+     * arguments fill the signature in order; named ones go by name.
+     */
+    static resolveArguments(call, signature) {
+        const resolved = {};
+        const unknown = [];
+
+        call.arguments.forEach((arg, index) => {
+            const name = arg.name ?? signature[index];
+            if (!name || (arg.name && !signature.includes(arg.name))) {
+                unknown.push(arg);
+            } else {
+                resolved[name] = arg.value;
+            }
+        });
+
+        return { resolved, unknown };
+    }
+
+    /**
+     * Visit every node depth-first as visitor(node, parent)
+     */
+    static walk(node, visitor, parent = null) {
+        if (Array.isArray(node)) {
+            node.forEach(child => PineParser.walk(child, visitor, parent));
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        if (node.type) visitor(node, parent);
+
+        Object.keys(node).forEach(key => {
+            if (key !== 'range') {
+                PineParser.walk(node[key], visitor, node.type ? node : parent);
+            }
+        });
+    }
+
+    /**
+     * Dotted name of a callee or member chain ("ta.sma", "strategy.long"), or null
+     */
+    static qualifiedName(node) {
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'MemberExpression') {
+            const object = PineParser.qualifiedName(node.object);
+            return object ? `${object}.${node.property}` : null;
+        }
+        return null;
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PineLexer, PineParser };
+}
@@ -0,0 +1,948 @@
+/**
+ * TradingHub.Mk Pine Script Transpiler
+ * Compiles a practical Pine v5 subset into a JavaScript strategy for the local backtester
+ *
+ * The AST is compiled into nested closures rather than generated source, so
+ * nothing is eval'd (extension pages and TradingView both forbid unsafe-eval).
+ */
+
+// In Node the parser and backtester are required; in the extension they are injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof PineParser === 'undefined') {
+        globalThis.PineParser = require('./pine-parser').PineParser;
+    }
+    if (typeof Backtester === 'undefined') {
+        globalThis.Backtester = require('./backtester');
+    }
+}
+
+const PINE_SOURCES = {
+    open: bar => bar.open,
+    high: bar => bar.high,
+    low: bar => bar.low,
+    close: bar => bar.close,
+    volume: bar => bar.volume,
+    time: bar => bar.time,
+    hl2: bar => (bar.high + bar.low) / 2,
+    hlc3: bar => (bar.high + bar.low + bar.close) / 3,
+    ohlc4: bar => (bar.open + bar.high + bar.low + bar.close) / 4,
+    hlcc4: bar => (bar.high + bar.low + bar.close + bar.close) / 4
+};
+
+const PINE_CONSTANTS = {
+    'strategy.long': 'long',
+    'strategy.short': 'short',
+    'strategy.fixed': 'fixed',
+    'strategy.cash': 'cash',
+    'strategy.percent_of_equity': 'percent_of_equity',
+    'strategy.commission.percent': 'percent',
+    'strategy.commission.cash_per_contract': 'cash_per_contract',
+    'strategy.commission.cash_per_order': 'cash_per_order',
+    'math.pi': Math.PI,
+    'math.e': Math.E
+};
+
+// Calls that only affect the chart and are skipped when backtesting
+const PINE_VISUAL_CALLS = new Set([
+    'plot', 'plotshape', 'plotchar', 'plotarrow', 'plotcandle', 'plotbar',
+    'bgcolor', 'barcolor', 'fill', 'hline', 'alertcondition', 'alert'
+]);
+
+const PINE_STRATEGY_SIGNATURES = {
+    'strategy': [
+        'title', 'shorttitle', 'overlay', 'format', 'precision', 'scale', 'pyramiding',
+        'calc_on_order_fills', 'calc_on_every_tick', 'max_bars_back', 'backtest_fill_limits_assumption',
+        'default_qty_type', 'default_qty_value', 'initial_capital', 'currency', 'slippage',
+        'commission_type', 'commission_value', 'process_orders_on_close', 'close_entries_rule',
+        'margin_long', 'margin_short', 'explicit_plot_zorder', 'max_lines_count', 'max_labels_count',
+        'max_boxes_count', 'risk_free_rate', 'use_bar_magnifier', 'fill_orders_on_standard_ohlc',
+        'max_polylines_count'
+    ],
+    'strategy.entry': [
+        'id', 'direction', 'qty', 'limit', 'stop', 'oca_name', 'oca_type', 'comment',
+        'alert_message', 'disable_alert', 'when'
+    ],
+    'strategy.exit': [
+        'id', 'from_entry', 'qty', 'qty_percent', 'profit', 'limit', 'loss', 'stop',
+        'trail_price', 'trail_points', 'trail_offset', 'oca_name', 'comment', 'comment_profit',
+        'comment_loss', 'comment_trailing', 'alert_message', 'alert_profit', 'alert_loss',
+        'alert_trailing', 'disable_alert', 'when'
+    ],
+    'strategy.close': ['id', 'comment', 'qty', 'qty_percent', 'alert_message', 'immediately', 'disable_alert', 'when'],
+    'strategy.close_all': ['comment', 'alert_message', 'immediately', 'disable_alert', 'when'],
+    'strategy.cancel': ['id', 'when'],
+    'strategy.cancel_all': ['when']
+};
+
+// Statements the parser understands but the transpiler cannot run yet
+const PINE_UNSUPPORTED_STATEMENTS = {
+    ForStatement: 'for',
+    ForInStatement: 'for',
+    WhileStatement: 'while',
+    SwitchStatement: 'switch',
+    ImportStatement: 'import',
+    TypeDeclaration: 'type',
+    BreakStatement: 'break',
+    ContinueStatement: 'continue'
+};
+
+const PINE_STRATEGY_OPTIONS = {
+    initial_capital: 'initialCapital',
+    pyramiding: 'pyramiding',
+    default_qty_type: 'defaultQtyType',
+    default_qty_value: 'defaultQtyValue',
+    commission_type: 'commissionType',
+    commission_value: 'commissionValue',
+    slippage: 'slippage',
+    process_orders_on_close: 'processOrdersOnClose'
+};
+
+/**
+ * Technical analysis functions. Each call site owns a state object so that,
+ * as in Pine, every ta.* call keeps its own history.
+ */
+const PINE_TA_FUNCTIONS = {
+    sma(state, src, length) {
+        state.window = state.window || [];
+        state.window.push(src);
+        if (state.window.length > length) state.window.shift();
+        if (state.window.length < length) return NaN;
+        return state.window.reduce((sum, value) => sum + value, 0) / length;
+    },
+
+    ema(state, src, length) {
+        return PINE_TA_FUNCTIONS.smoothed(state, src, length, 2 / (length + 1));
+    },
+
+    rma(state, src, length) {
+        return PINE_TA_FUNCTIONS.smoothed(state, src, length, 1 / length);
+    },
+
+    // Exponential smoothing seeded with the SMA of the first `length` values
+    smoothed(state, src, length, alpha) {
+        if (Number.isNaN(src)) return state.value ?? NaN;
+
+        if (state.value === undefined) {
+            state.seed = state.seed || [];
+            state.seed.push(src);
+            if (state.seed.length < length) return NaN;
+            state.value = state.seed.reduce((sum, value) => sum + value, 0) / length;
+            return state.value;
+        }
+
+        state.value = alpha * src + (1 - alpha) * state.value;
+        return state.value;
+    },
+
+    rsi(state, src, length) {
+        state.up = state.up || {};
+        state.down = state.down || {};
+
+        const previous = state.previous;
+        state.previous = src;
+        if (previous === undefined) return NaN;
+
+        const change = src - previous;
+        const up = PINE_TA_FUNCTIONS.rma(state.up, Math.max(change, 0), length);
+        const down = PINE_TA_FUNCTIONS.rma(state.down, -Math.min(change, 0), length);
+
+        if (Number.isNaN(up) || Number.isNaN(down)) return NaN;
+        if (down === 0) return 100;
+        if (up === 0) return 0;
+        return 100 - 100 / (1 + up / down);
+    },
+
+    tr(state, bar) {
+        const previousClose = state.previousClose;
+        state.previousClose = bar.close;
+
+        if (previousClose === undefined) return bar.high - bar.low;
+        return Math.max(
+            bar.high - bar.low,
+            Math.abs(bar.high - previousClose),
+            Math.abs(bar.low - previousClose)
+        );
+    },
+
+    atr(state, bar, length) {
+        state.tr = state.tr || {};
+        state.rma = state.rma || {};
+        return PINE_TA_FUNCTIONS.rma(state.rma, PINE_TA_FUNCTIONS.tr(state.tr, bar), length);
+    },
+
+    cross(state, a, b, direction) {
+        const { a: previousA, b: previousB } = state;
+        state.a = a;
+        state.b = b;
+
+        if (previousA === undefined || [a, b, previousA, previousB].some(Number.isNaN)) return false;
+        if (direction > 0) return a > b && previousA <= previousB;
+        if (direction < 0) return a < b && previousA >= previousB;
+        return (a > b && previousA <= previousB) || (a < b && previousA >= previousB);
+    },
+
+    extreme(state, src, length, pick) {
+        state.window = state.window || [];
+        state.window.push(src);
+        if (state.window.length > length) state.window.shift();
+        if (state.window.length < length) return NaN;
+        return pick(...state.window);
+    },
+
+    change(state, src, length) {
+        state.window = state.window || [];
+        state.window.push(src);
+        if (state.window.length > length + 1) state.window.shift();
+        if (state.window.length <= length) return NaN;
+        return src - state.window[0];
+    },
+
+    stdev(state, src, length) {
+        const mean = PINE_TA_FUNCTIONS.sma(state, src, length);
+        if (Number.isNaN(mean)) return NaN;
+        return Math.sqrt(state.window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / length);
+    }
+};
+
+class PineTranspiler {
+    constructor() {
+        this.diagnostics = [];
+        this.inputs = [];
+        this.strategyOptions = {};
+        this.title = null;
+        this.declared = new Map();
+        this.siteCount = 0;
+    }
+
+    /**
+     * Transpile a Pine script.
+     * Returns { success, diagnostics, title, inputs, strategyOptions, createStrategy, run }.
+     */
+    transpile(source) {
+        const { ast, errors } = new PineParser().parse(source);
+
+        this.diagnostics = errors.map(error => ({ severity: 'error', ...error }));
+        this.inputs = [];
+        this.strategyOptions = {};
+        this.title = null;
+        this.declared = new Map();
+        this.siteCount = 0;
+        this.hasDeclaration = false;
+
+        if (ast.version !== null && ast.version < 5) {
+            this.report('warning', { line: 1, column: 1 }, `Pine v${ast.version} scripts are transpiled as v5`);
+        }
+
+        const program = this.compileBlock(ast.body);
+
+        if (!this.hasDeclaration) {
+            this.report('error', { line: 1, column: 1 }, 'Script has no strategy() declaration');
+        }
+
+        const diagnostics = [...this.diagnostics].sort((a, b) => a.line - b.line || a.column - b.column);
+        const success = !diagnostics.some(diagnostic => diagnostic.severity === 'error');
+        const variables = Array.from(this.declared.entries());
+        const inputs = this.inputs;
+        const strategyOptions = { ...this.strategyOptions };
+
+        const createStrategy = (inputValues = {}, runtimeOptions = {}) => {
+            if (!success) {
+                const first = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+                throw new Error(`Script cannot be transpiled: line ${first.line}: ${first.message}`);
+            }
+            return this.createStrategy(program, variables, inputs, inputValues, runtimeOptions);
+        };
+
+        return {
+            success,
+            diagnostics,
+            title: this.title,
+            inputs,
+            strategyOptions,
+            createStrategy,
+            run: (bars, inputValues = {}, backtestOptions = {}) => {
+                const options = { ...strategyOptions, ...backtestOptions };
+                const backtester = new Backtester(options);
+                return backtester.run(bars, createStrategy(inputValues, { mintick: backtester.options.mintick }));
+            }
+        };
+    }
+
+    /**
+     * Build the per-bar function run by Backtester.run()
+     */
+    createStrategy(program, variables, inputs, inputValues, runtimeOptions) {
+        inputs.forEach(input => {
+            const value = inputValues[input.name];
+            if (input.type === 'source' && value !== undefined && !PINE_SOURCES[value]) {
+                throw new Error(`Unknown source "${value}" for input ${input.name}`);
+            }
+        });
+
+        const runtime = {
+            ctx: null,
+            bar: null,
+            index: 0,
+            inputs: inputValues,
+            mintick: runtimeOptions.mintick ?? 0.01,
+            sites: [],
+            vars: new Map(variables.map(([name, info]) => [name, {
+                persistent: info.persistent,
+                initialized: false,
+                value: NaN,
+                history: []
+            }]))
+        };
+
+        return (ctx, index) => {
+            runtime.ctx = ctx;
+            runtime.index = index;
+            runtime.bar = ctx.bar;
+
+            runtime.vars.forEach(variable => {
+                if (!variable.persistent) variable.value = NaN;
+            });
+
+            program(runtime);
+
+            runtime.vars.forEach(variable => variable.history.push(variable.value));
+        };
+    }
+
+    /**
+     * Statements
+     */
+    compileBlock(statements) {
+        const compiled = statements.map(statement => this.compileStatement(statement)).filter(Boolean);
+
+        return runtime => {
+            for (let i = 0; i < compiled.length; i++) {
+                compiled[i](runtime);
+            }
+        };
+    }
+
+    compileStatement(node) {
+        switch (node.type) {
+            case 'VariableDeclaration':
+                return this.compileDeclaration(node);
+            case 'Assignment':
+                return this.compileAssignment(node);
+            case 'IfStatement':
+                return this.compileIf(node);
+            case 'ExpressionStatement':
+                return this.compileExpressionStatement(node);
+            case 'FunctionDeclaration':
+                this.report('error', node, `User-defined function "${node.name}" is not supported`);
+                return null;
+            case 'TupleDeclaration':
+                this.report('error', node, 'Tuple declarations are not supported');
+                return null;
+            default:
+                this.report('error', node, PINE_UNSUPPORTED_STATEMENTS[node.type]
+                    ? `"${PINE_UNSUPPORTED_STATEMENTS[node.type]}" statements are not supported`
+                    : `Unsupported statement: ${node.type}`);
+                return null;
+        }
+    }
+
+    compileDeclaration(node) {
+        const { name } = node;
+
+        if (PINE_SOURCES[name] || name === 'na' || name === 'bar_index') {
+            this.report('error', node, `Cannot redeclare built-in "${name}"`);
+            return null;
+        }
+        if (node.mode === 'varip') {
+            this.report('warning', node, '"varip" behaves like "var" in historical backtests');
+        }
+
+        const init = this.isInputCall(node.init)
+            ? this.compileInput(name, node.init)
+            : this.compileExpression(node.init);
+
+        const persistent = node.mode !== null;
+        this.declared.set(name, { persistent, line: node.line });
+
+        if (persistent) {
+            return runtime => {
+                const variable = runtime.vars.get(name);
+                if (!variable.initialized) {
+                    variable.value = init(runtime);
+                    variable.initialized = true;
+                }
+            };
+        }
+
+        return runtime => {
+            runtime.vars.get(name).value = init(runtime);
+        };
+    }
+
+    compileAssignment(node) {
+        const { name, operator } = node;
+
+        if (!this.declared.has(name)) {
+            this.report('error', node, `Cannot assign to undeclared variable "${name}"`);
+            return null;
+        }
+
+        const value = this.compileExpression(node.value);
+        if (operator === ':=') {
+            return runtime => {
+                runtime.vars.get(name).value = value(runtime);
+            };
+        }
+
+        const apply = this.binaryOperation(operator[0]);
+        return runtime => {
+            const variable = runtime.vars.get(name);
+            variable.value = apply(variable.value, value(runtime));
+        };
+    }
+
+    compileIf(node) {
+        const test = this.compileExpression(node.test);
+        const consequent = this.compileBlock(node.consequent);
+        const alternate = node.alternate ? this.compileBlock(node.alternate) : null;
+
+        return runtime => {
+            if (this.isTruthy(test(runtime))) {
+                consequent(runtime);
+            } else if (alternate) {
+                alternate(runtime);
+            }
+        };
+    }
+
+    compileExpressionStatement(node) {
+        const { expression } = node;
+        const name = expression.type === 'CallExpression' ? PineParser.qualifiedName(expression.callee) : null;
+
+        if (name === 'strategy') {
+            this.compileStrategyDeclaration(expression);
+            return null;
+        }
+        if (name === 'indicator' || name === 'study' || name === 'library') {
+            this.hasDeclaration = true;
+            this.report('error', node, `Only strategy scripts can be backtested, found ${name}()`);
+            return null;
+        }
+
+        const compiled = this.compileExpression(expression);
+        return runtime => {
+            compiled(runtime);
+        };
+    }
+
+    compileStrategyDeclaration(call) {
+        this.hasDeclaration = true;
+        const { resolved, unknown } = PineParser.resolveArguments(call, PINE_STRATEGY_SIGNATURES.strategy);
+        this.reportUnknownArguments(unknown, 'strategy');
+
+        if (resolved.title) {
+            this.title = this.constantValue(resolved.title);
+        }
+
+        Object.entries(PINE_STRATEGY_OPTIONS).forEach(([argument, option]) => {
+            if (!resolved[argument]) return;
+
+            const value = this.constantValue(resolved[argument]);
+            if (value === undefined) {
+                this.report('warning', resolved[argument], `strategy() argument "${argument}" must be a constant and was ignored`);
+            } else {
+                this.strategyOptions[option] = value;
+            }
+        });
+    }
+
+    /**
+     * Inputs resolve to the optimizer's value for the variable, or their default
+     */
+    compileInput(name, call) {
+        const callee = PineParser.qualifiedName(call.callee);
+        const type = callee === 'input' ? null : callee.slice('input.'.length);
+        const { resolved } = PineParser.resolveArguments(call, ['defval', 'title']);
+
+        if (!resolved.defval) {
+            this.report('error', call, `Input "${name}" has no default value`);
+            return () => NaN;
+        }
+
+        const isSource = type === 'source' ||
+            (type === null && resolved.defval.type === 'Identifier' && PINE_SOURCES[resolved.defval.name]);
+        const defval = isSource ? resolved.defval.name : this.constantValue(resolved.defval);
+
+        if (defval === undefined || (isSource && !PINE_SOURCES[defval])) {
+            this.report('error', resolved.defval, `Default value of input "${name}" must be a constant`);
+            return () => NaN;
+        }
+
+        const inputType = isSource ? 'source' : (type || this.inferType(defval));
+        this.inputs.push({ name, type: inputType, defval, line: call.line });
+
+        const convert = value => {
+            switch (inputType) {
+                case 'int': return Math.round(Number(value));
+                case 'float': return Number(value);
+                case 'bool': return value === true || value === 'true';
+                default: return value;
+            }
+        };
+
+        if (isSource) {
+            return runtime => PINE_SOURCES[runtime.inputs[name] ?? defval](runtime.bar);
+        }
+
+        return runtime => (runtime.inputs[name] !== undefined ? convert(runtime.inputs[name]) : defval);
+    }
+
+    /**
+     * Expressions
+     */
+    compileExpression(node) {
+        switch (node.type) {
+            case 'Literal':
+                return () => node.value;
+            case 'Identifier':
+                return this.compileIdentifier(node);
+            case 'MemberExpression':
+                return this.compileMember(node);
+            case 'HistoryExpression':
+                return this.compileHistory(node);
+            case 'BinaryExpression':
+                return this.compileBinary(node);
+            case 'UnaryExpression':
+                return this.compileUnary(node);
+            case 'ConditionalExpression': {
+                const test = this.compileExpression(node.test);
+                const consequent = this.compileExpression(node.consequent);
+                const alternate = this.compileExpression(node.alternate);
+                return runtime => (this.isTruthy(test(runtime)) ? consequent(runtime) : alternate(runtime));
+            }
+            case 'CallExpression':
+                return this.compileCall(node);
+            case 'IfStatement':
+                this.report('error', node, '"if" expressions are not supported');
+                return () => NaN;
+            default:
+                this.report('error', node, PINE_UNSUPPORTED_STATEMENTS[node.type]
+                    ? `"${PINE_UNSUPPORTED_STATEMENTS[node.type]}" expressions are not supported`
+                    : `Unsupported expression: ${node.type}`);
+                return () => NaN;
+        }
+    }
+
+    compileIdentifier(node) {
+        const { name } = node;
+
+        if (name === 'na') return () => NaN;
+        if (name === 'bar_index') return runtime => runtime.index;
+        if (PINE_SOURCES[name]) {
+            const read = PINE_SOURCES[name];
+            return runtime => read(runtime.bar);
+        }
+        if (this.declared.has(name)) {
+            return runtime => runtime.vars.get(name).value;
+        }
+
+        this.report('error', node, `Unknown identifier "${name}"`);
+        return () => NaN;
+    }
+
+    compileMember(node) {
+        const name = PineParser.qualifiedName(node);
+
+        if (name in PINE_CONSTANTS) {
+            const value = PINE_CONSTANTS[name];
+            return () => value;
+        }
+
+        switch (name) {
+            case 'strategy.position_size':
+                return runtime => runtime.ctx.position.size;
+            case 'strategy.position_avg_price':
+                return runtime => runtime.ctx.position.avgPrice ?? NaN;
+            case 'strategy.equity':
+                return runtime => runtime.ctx.equity;
+            case 'strategy.opentrades':
+                return runtime => runtime.ctx.openTrades;
+            case 'strategy.closedtrades':
+                return runtime => runtime.ctx.closedTrades;
+            case 'syminfo.mintick':
+                return runtime => runtime.mintick;
+            case 'ta.tr': {
+                const site = this.siteCount++;
+                return runtime => PINE_TA_FUNCTIONS.tr(this.siteState(runtime, site), runtime.bar);
+            }
+        }
+
+        // Colors only matter for plotting, which is skipped
+        if (name && name.startsWith('color.')) {
+            return () => name;
+        }
+
+        this.report('error', node, `Unsupported built-in "${name || node.property}"`);
+        return () => NaN;
+    }
+
+    compileHistory(node) {
+        const offset = this.compileExpression(node.offset);
+        const { object } = node;
+
+        const readOffset = runtime => {
+            const value = offset(runtime);
+            return Number.isFinite(value) && value >= 0 ? Math.floor(value) : NaN;
+        };
+
+        if (object.type === 'Identifier' && PINE_SOURCES[object.name]) {
+            const read = PINE_SOURCES[object.name];
+            return runtime => {
+                const back = readOffset(runtime);
+                const bar = runtime.ctx.bars[runtime.index - back];
+                return bar ? read(bar) : NaN;
+            };
+        }
+
+        if (object.type === 'Identifier' && object.name === 'bar_index') {
+            return runtime => {
+                const value = runtime.index - readOffset(runtime);
+                return value >= 0 ? value : NaN;
+            };
+        }
+
+        if (object.type === 'Identifier' && this.declared.has(object.name)) {
+            const { name } = object;
+            return runtime => {
+                const back = readOffset(runtime);
+                const variable = runtime.vars.get(name);
+                if (back === 0) return variable.value;
+                const value = variable.history[variable.history.length - back];
+                return value === undefined ? NaN : value;
+            };
+        }
+
+        // Any other expression keeps its own history of evaluated values
+        const value = this.compileExpression(object);
+        const site = this.siteCount++;
+        return runtime => {
+            const state = this.siteState(runtime, site);
+            state.history = state.history || [];
+            state.history.push(value(runtime));
+            const back = readOffset(runtime);
+            const result = state.history[state.history.length - 1 - back];
+            return result === undefined ? NaN : result;
+        };
+    }
+
+    compileBinary(node) {
+        const left = this.compileExpression(node.left);
+        const right = this.compileExpression(node.right);
+
+        if (node.operator === 'and') {
+            return runtime => this.isTruthy(left(runtime)) && this.isTruthy(right(runtime));
+        }
+        if (node.operator === 'or') {
+            return runtime => this.isTruthy(left(runtime)) || this.isTruthy(right(runtime));
+        }
+
+        const apply = this.binaryOperation(node.operator);
+        return runtime => apply(left(runtime), right(runtime));
+    }
+
+    binaryOperation(operator) {
+        switch (operator) {
+            case '+': return (a, b) => a + b;
+            case '-': return (a, b) => a - b;
+            case '*': return (a, b) => a * b;
+            case '/': return (a, b) => (b === 0 ? NaN : a / b);
+            case '%': return (a, b) => (b === 0 ? NaN : a % b);
+            case '==': return (a, b) => a === b;
+            case '!=': return (a, b) => a !== b;
+            case '<': return (a, b) => a < b;
+            case '>': return (a, b) => a > b;
+            case '<=': return (a, b) => a <= b;
+            case '>=': return (a, b) => a >= b;
+            default: throw new Error(`Unknown operator ${operator}`);
+        }
+    }
+
+    compileUnary(node) {
+        const argument = this.compileExpression(node.argument);
+
+        switch (node.operator) {
+            case '-': return runtime => -argument(runtime);
+            case '+': return runtime => +argument(runtime);
+            default: return runtime => !this.isTruthy(argument(runtime));
+        }
+    }
+
+    compileCall(node) {
+        const name = PineParser.qualifiedName(node.callee);
+
+        if (!name) {
+            this.report('error', node, 'Unsupported call expression');
+            return () => NaN;
+        }
+        if (PINE_VISUAL_CALLS.has(name)) {
+            return () => NaN;
+        }
+        if (name === 'input' || name.startsWith('input.')) {
+            this.report('error', node, 'Inputs must be assigned directly to a variable');
+            return () => NaN;
+        }
+        if (name.startsWith('strategy.')) {
+            return this.compileStrategyCall(name, node);
+        }
+        if (name.startsWith('ta.')) {
+            return this.compileTaCall(name, node);
+        }
+        if (name.startsWith('math.') || name === 'nz' || name === 'na') {
+            return this.compileMathCall(name, node);
+        }
+
+        this.report('error', node, `Unsupported function "${name}"`);
+        return () => NaN;
+    }
+
+    compileTaCall(name, node) {
+        const signatures = {
+            'ta.sma': ['source', 'length'],
+            'ta.ema': ['source', 'length'],
+            'ta.rma': ['source', 'length'],
+            'ta.rsi': ['source', 'length'],
+            'ta.stdev': ['source', 'length'],
+            'ta.highest': ['source', 'length'],
+            'ta.lowest': ['source', 'length'],
+            'ta.change': ['source', 'length'],
+            'ta.atr': ['length'],
+            'ta.tr': ['handle_na'],
+            'ta.crossover': ['source1', 'source2'],
+            'ta.crossunder': ['source1', 'source2'],
+            'ta.cross': ['source1', 'source2']
+        };
+
+        const signature = signatures[name];
+        if (!signature) {
+            this.report('error', node, `Unsupported function "${name}"`);
+            return () => NaN;
+        }
+
+        const { resolved, unknown } = PineParser.resolveArguments(node, signature);
+        this.reportUnknownArguments(unknown, name);
+
+        const arg = (key, fallback) => {
+            if (resolved[key]) return this.compileExpression(resolved[key]);
+            if (fallback !== undefined) return () => fallback;
+            this.report('error', node, `${name}() is missing argument "${key}"`);
+            return () => NaN;
+        };
+
+        const site = this.siteCount++;
+        const state = runtime => this.siteState(runtime, site);
+        const length = key => {
+            const read = arg(key);
+            return runtime => Math.max(1, Math.round(read(runtime)));
+        };
+
+        switch (name) {
+            case 'ta.sma':
+            case 'ta.ema':
+            case 'ta.rma':
+            case 'ta.rsi':
+            case 'ta.stdev': {
+                const fn = PINE_TA_FUNCTIONS[name.slice(3)];
+                const source = arg('source');
+                const len = length('length');
+                return runtime => fn(state(runtime), source(runtime), len(runtime));
+            }
+            case 'ta.highest':
+            case 'ta.lowest': {
+                const pick = name === 'ta.highest' ? Math.max : Math.min;
+                const source = arg('source');
+                const len = length('length');
+                return runtime => PINE_TA_FUNCTIONS.extreme(state(runtime), source(runtime), len(runtime), pick);
+            }
+            case 'ta.change': {
+                const source = arg('source');
+                const len = resolved.length ? length('length') : () => 1;
+                return runtime => PINE_TA_FUNCTIONS.change(state(runtime), source(runtime), len(runtime));
+            }
+            case 'ta.atr': {
+                const len = length('length');
+                return runtime => PINE_TA_FUNCTIONS.atr(state(runtime), runtime.bar, len(runtime));
+            }
+            case 'ta.tr':
+                return runtime => PINE_TA_FUNCTIONS.tr(state(runtime), runtime.bar);
+            default: {
+                const direction = { 'ta.crossover': 1, 'ta.crossunder': -1, 'ta.cross': 0 }[name];
+                const a = arg('source1');
+                const b = arg('source2');
+                return runtime => PINE_TA_FUNCTIONS.cross(state(runtime), a(runtime), b(runtime), direction);
+            }
+        }
+    }
+
+    compileMathCall(name, node) {
+        const functions = {
+            'math.abs': Math.abs,
+            'math.max': Math.max,
+            'math.min': Math.min,
+            'math.round': Math.round,
+            'math.floor': Math.floor,
+            'math.ceil': Math.ceil,
+            'math.sqrt': Math.sqrt,
+            'math.pow': Math.pow,
+            'math.log': Math.log,
+            'math.exp': Math.exp,
+            'math.sign': Math.sign,
+            'math.avg': (...values) => values.reduce((sum, value) => sum + value, 0) / values.length,
+            'nz': (value, replacement = 0) => (this.isNa(value) ? replacement : value),
+            'na': value => this.isNa(value)
+        };
+
+        const fn = functions[name];
+        if (!fn) {
+            this.report('error', node, `Unsupported function "${name}"`);
+            return () => NaN;
+        }
+
+        const args = node.arguments.map(arg => this.compileExpression(arg.value));
+        return runtime => fn(...args.map(arg => arg(runtime)));
+    }
+
+    compileStrategyCall(name, node) {
+        const signature = PINE_STRATEGY_SIGNATURES[name];
+        if (!signature) {
+            this.report('error', node, `Unsupported function "${name}"`);
+            return () => NaN;
+        }
+
+        const { resolved, unknown } = PineParser.resolveArguments(node, signature);
+        this.reportUnknownArguments(unknown, name);
+
+        ['trail_price', 'trail_points', 'trail_offset', 'oca_name', 'qty_percent'].forEach(argument => {
+            if (resolved[argument] && !(name === 'strategy.exit' && argument === 'qty_percent')) {
+                this.report('warning', resolved[argument], `${name}() argument "${argument}" is ignored by the local backtester`);
+            }
+        });
+
+        const compiled = {};
+        Object.entries(resolved).forEach(([key, value]) => {
+            compiled[key] = this.compileExpression(value);
+        });
+
+        const value = (runtime, key) => (compiled[key] ? compiled[key](runtime) : undefined);
+        const number = (runtime, key) => {
+            const result = value(runtime, key);
+            return Number.isFinite(result) ? result : undefined;
+        };
+        const enabled = runtime => !compiled.when || this.isTruthy(compiled.when(runtime));
+
+        if ((name === 'strategy.entry' || name === 'strategy.exit' || name === 'strategy.close' ||
+            name === 'strategy.cancel') && !resolved.id) {
+            this.report('error', node, `${name}() requires an id`);
+            return () => NaN;
+        }
+
+        switch (name) {
+            case 'strategy.entry':
+                if (!resolved.direction) {
+                    this.report('error', node, 'strategy.entry() requires a direction');
+                    return () => NaN;
+                }
+                return runtime => {
+                    if (!enabled(runtime)) return;
+                    runtime.ctx.entry(value(runtime, 'id'), value(runtime, 'direction'), {
+                        qty: number(runtime, 'qty'),
+                        limit: number(runtime, 'limit'),
+                        stop: number(runtime, 'stop')
+                    });
+                };
+            case 'strategy.exit':
+                return runtime => {
+                    if (!enabled(runtime)) return;
+                    runtime.ctx.exit(value(runtime, 'id'), value(runtime, 'from_entry'), {
+                        qtyPercent: number(runtime, 'qty_percent'),
+                        profit: number(runtime, 'profit'),
+                        loss: number(runtime, 'loss'),
+                        limit: number(runtime, 'limit'),
+                        stop: number(runtime, 'stop')
+                    });
+                };
+            case 'strategy.close':
+                return runtime => {
+                    if (enabled(runtime)) runtime.ctx.close(value(runtime, 'id'), { qty: number(runtime, 'qty') });
+                };
+            case 'strategy.close_all':
+                return runtime => {
+                    if (enabled(runtime)) runtime.ctx.closeAll();
+                };
+            case 'strategy.cancel':
+                return runtime => {
+                    if (enabled(runtime)) runtime.ctx.cancel(value(runtime, 'id'));
+                };
+            default:
+                return runtime => {
+                    if (enabled(runtime)) runtime.ctx.cancelAll();
+                };
+        }
+    }
+
+    /**
+     * Helpers
+     */
+    isInputCall(node) {
+        if (node.type !== 'CallExpression') return false;
+        const name = PineParser.qualifiedName(node.callee);
+        return name === 'input' || (name !== null && name.startsWith('input.'));
+    }
+
+    constantValue(node) {
+        if (node.type === 'Literal') return node.value;
+        if (node.type === 'UnaryExpression' && node.operator === '-' &&
+            node.argument.type === 'Literal' && node.argument.kind === 'number') {
+            return -node.argument.value;
+        }
+        if (node.type === 'MemberExpression') {
+            const name = PineParser.qualifiedName(node);
+            if (name in PINE_CONSTANTS) return PINE_CONSTANTS[name];
+        }
+        return undefined;
+    }
+
+    inferType(value) {
+        if (typeof value === 'boolean') return 'bool';
+        if (typeof value === 'string') return 'string';
+        return Number.isInteger(value) ? 'int' : 'float';
+    }
+
+    siteState(runtime, site) {
+        if (!runtime.sites[site]) runtime.sites[site] = {};
+        return runtime.sites[site];
+    }
+
+    isNa(value) {
+        return value === null || value === undefined || Number.isNaN(value);
+    }
+
+    isTruthy(value) {
+        return !this.isNa(value) && Boolean(value);
+    }
+
+    reportUnknownArguments(unknown, name) {
+        unknown.forEach(arg => {
+            const label = arg.name ? `"${arg.name}"` : 'positional argument';
+            this.report('warning', arg.value, `Unknown ${label} for ${name}() was ignored`);
+        });
+    }
+
+    report(severity, node, message) {
+        this.diagnostics.push({ severity, message, line: node.line, column: node.column });
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PineTranspiler;
+}
@@ -9,10 +9,13 @@ class PopupController {
         this.extensionStatus = document.getElementById('extensionStatus');
         this.analyzeBtn = document.getElementById('analyzeBtn');
         this.optimizeBtn = document.getElementById('optimizeBtn');
+        this.historyBtn = document.getElementById('historyBtn');
         this.settingsBtn = document.getElementById('settingsBtn');
+        this.pauseBtn = document.getElementById('pauseBtn');
         
         this.isAnalyzing = false;
         this.isOptimizing = false;
+        this.isPaused = false;
         this.currentAnalysis = null;
         
         this.init();
@@ -24,23 +27,40 @@ class PopupController {
         // Set up event listeners
         this.setupEventListeners();
         
+        // Set up optimization progress listener
+        this.setupProgressListener();
+        
         // Check connection status
         await this.checkConnectionStatus();
         
-        // Send initialization message to background script
-        this.sendMessageToBackground({
-            type: 'POPUP_OPENED',
-            timestamp: Date.now()
-        });
+        // Send initialization message to background script; without an
+        // answer the popup simply starts with no checkpoint
+        let response = null;
+        try {
+            response = await this.sendMessageToBackground({
+                type: 'POPUP_OPENED',
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('Error reaching background script:', error);
+        }
         
-        // Set up optimization progress listener
-        this.setupProgressListener();
+        // Runs save checkpoints as they go; one with no run behind it was interrupted
+        const checkpoint = response?.checkpoint;
+        if (checkpoint && (checkpoint.paused || !response.state?.isOptimizing)) {
+            this.isPaused = true;
+            this.updatePauseButton('paused');
+        } else if (checkpoint) {
+            this.updatePauseButton('running');
+        }
     }
     
     setupEventListeners() {
         this.analyzeBtn.addEventListener('click', () => this.handleAnalyze());
         this.optimizeBtn.addEventListener('click', () => this.handleOptimize());
+        this.historyBtn.addEventListener('click', () => this.handleHistory());
         this.settingsBtn.addEventListener('click', () => this.handleSettings());
+        this.pauseBtn.addEventListener('click', () => this.handlePauseResume());
     }
     
     setupProgressListener() {
@@ -113,6 +133,7 @@ class PopupController {
             if (response && response.success) {
                 this.currentAnalysis = response.data;
                 this.showAnalysisResults(response.data);
+                await this.offerConstraintSuggestions(response.data.optimizationConfig?.constraints || []);
             } else {
                 this.showError(response?.error || 'Analysis failed');
             }
@@ -139,6 +160,7 @@ class PopupController {
         
         this.isOptimizing = true;
         this.updateOptimizeButton('optimizing');
+        this.updatePauseButton('running');
         
         try {
             const response = await this.sendMessageToBackground({
@@ -158,6 +180,59 @@ class PopupController {
         } finally {
             this.isOptimizing = false;
             this.updateOptimizeButton('idle');
+            this.updatePauseButton('hidden');
+        }
+    }
+    
+    async handlePauseResume() {
+        if (!this.isPaused) {
+            console.log('Pause button clicked');
+            
+            const response = await this.sendMessageToBackground({
+                type: 'PAUSE_OPTIMIZATION',
+                timestamp: Date.now()
+            });
+            
+            if (response && response.success) {
+                this.isPaused = true;
+                this.updatePauseButton('paused');
+            } else {
+                this.showError(response?.error || 'Pause failed');
+            }
+            return;
+        }
+        
+        console.log('Resume button clicked');
+        
+        this.isPaused = false;
+        this.isOptimizing = true;
+        this.updateOptimizeButton('optimizing');
+        this.updatePauseButton('running');
+        
+        try {
+            // Resuming a checkpoint answers once the run has finished
+            const response = await this.sendMessageToBackground({
+                type: 'RESUME_OPTIMIZATION',
+                timestamp: Date.now()
+            });
+            
+            if (!response || !response.success) {
+                this.showError(response?.error || 'Resume failed');
+                this.updatePauseButton('hidden');
+            } else if (response.data) {
+                this.showOptimizationResults(response.data);
+                this.updatePauseButton('hidden');
+            }
+            
+        } catch (error) {
+            console.error('Resume error:', error);
+            this.showError('Resume failed: ' + error.message);
+            this.updatePauseButton('hidden');
+        } finally {
+            if (this.pauseBtn.hidden) {
+                this.isOptimizing = false;
+                this.updateOptimizeButton('idle');
+            }
         }
     }
     
@@ -189,14 +264,41 @@ class PopupController {
         }
     }
     
+    updatePauseButton(state) {
+        switch (state) {
+            case 'running':
+                this.pauseBtn.innerHTML = '<span class="btn-icon">⏸️</span>Pause Optimization';
+                this.pauseBtn.hidden = false;
+                break;
+            case 'paused':
+                this.pauseBtn.innerHTML = '<span class="btn-icon">▶️</span>Resume Optimization';
+                this.pauseBtn.hidden = false;
+                break;
+            case 'hidden':
+            default:
+                this.pauseBtn.hidden = true;
+                break;
+        }
+    }
+    
     updateOptimizationProgress(progress) {
         if (this.isOptimizing) {
-            this.optimizeBtn.innerHTML = `<span class="btn-icon">⚡</span>Optimizing... ${progress.percentage}%`;
+            const eta = progress.eta === null || progress.eta === undefined ? '' : ` · ${this.formatDuration(progress.eta)} left`;
+            this.optimizeBtn.innerHTML = `<span class="btn-icon">⚡</span>Optimizing... ${progress.percentage}%${eta}`;
+            this.optimizeBtn.title = `${progress.phase || 'search'}: ${progress.current}/${progress.total} tests, ` +
+                                     `${(progress.evaluationsPerSecond || 0).toFixed(1)} tests/s`;
         }
     }
     
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+        return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+    }
+    
     showAnalysisResults(data) {
-        const message = `Analysis Complete!\n\n` +
+        let message = `Analysis Complete!\n\n` +
                        `Strategy: ${data.strategy.name}\n` +
                        `Parameters: ${data.parameters.length}\n` +
                        `Optimizable: ${data.parameters.filter(p => p.optimizable).length}\n` +
@@ -205,15 +307,79 @@ class PopupController {
         alert(message);
     }
     
+    /**
+     * Ask before adding the analyzer's constraint suggestions; only constraints in the settings are enforced
+     */
+    async offerConstraintSuggestions(suggestions) {
+        try {
+            const { settings = {} } = await chrome.storage.sync.get('settings');
+            const configured = settings.parameterConstraints || [];
+            const missing = suggestions.filter(source => !configured.includes(source));
+            if (missing.length === 0) return;
+            
+            const accepted = confirm(`Suggested parameter constraints:\n${missing.join('\n')}\n\n` +
+                                     'Add them to the Parameter Constraints setting? Optimization skips parameter sets that break them.');
+            if (accepted) {
+                await chrome.storage.sync.set({ settings: { ...settings, parameterConstraints: [...configured, ...missing] } });
+            }
+        } catch (error) {
+            console.error('Error saving parameter constraints:', error);
+        }
+    }
+    
     showOptimizationResults(data) {
         const improvement = data.improvement > 0 ? `+${data.improvement.toFixed(1)}%` : `${data.improvement.toFixed(1)}%`;
         const duration = Math.round(data.duration / 1000);
         
-        const message = `Optimization Complete!\n\n` +
-                       `Best Score: ${data.results.bestResult.score.toFixed(2)}\n` +
+        const bestResult = data.results.bestResult;
+        
+        let message = `Optimization Complete!\n\n` +
+                       `Best Score: ${bestResult ? bestResult.score.toFixed(2) : 'no result met the constraints'}\n` +
                        `Improvement: ${improvement}\n` +
                        `Tests Run: ${data.results.totalTests}\n` +
-                       `Duration: ${duration}s`;
+                       `Duration: ${duration}s\n` +
+                       `Seed: ${data.results.seed}`;
+        
+        const stopReasons = {
+            noImprovement: 'no improvement (early stopping)',
+            targetScore: 'target score reached',
+            maxDuration: 'time limit reached'
+        };
+        if (stopReasons[data.results.stopReason]) {
+            message += `\nStopped: ${stopReasons[data.results.stopReason]}`;
+        }
+        
+        const objective = data.results.objective;
+        if (objective) {
+            message += `\n\nObjective: ${objective.formula}`;
+            if (objective.constraints.length > 0) {
+                message += `\nConstraints: ${objective.constraints.join(', ')}\n` +
+                           `Feasible Results: ${data.results.summary.feasibleCount}`;
+            }
+        }
+        
+        const paretoFront = data.results.paretoFront;
+        if (paretoFront) {
+            message += `\n\nPareto Front: ${paretoFront.length} trade-off${paretoFront.length === 1 ? '' : 's'}`;
+        }
+        
+        const sensitivity = data.results.sensitivity;
+        if (sensitivity) {
+            message += `\n\nStability: ${(sensitivity.stability * 100).toFixed(0)}%`;
+            if (!sensitivity.recommended.isBest) {
+                const plateau = Object.entries(sensitivity.recommended.parameters)
+                    .map(([name, value]) => `${name}=${value}`)
+                    .join(', ');
+                message += `\nPlateau Center: ${plateau} (score ${sensitivity.recommended.score.toFixed(2)})`;
+            }
+        }
+        
+        const walkForward = data.results.walkForward;
+        if (walkForward) {
+            message += `\n\nWalk-Forward: ${walkForward.windows.length} windows\n` +
+                       `Out-of-Sample Score: ${walkForward.outOfSampleScore.toFixed(2)}\n` +
+                       `Efficiency: ${(walkForward.efficiency * 100).toFixed(0)}%`;
+        }
         
         alert(message);
     }
@@ -222,6 +388,11 @@ class PopupController {
         alert(`Error: ${message}`);
     }
     
+    handleHistory() {
+        // Every finished run is saved there by the content script
+        chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+    }
+    
     async handleSettings() {
         console.log('Settings button clicked');
         
@@ -0,0 +1,73 @@
+/**
+ * TradingHub.Mk Seeded Random
+ * Small deterministic PRNG (mulberry32) so optimization runs can be replayed
+ *
+ * Every random choice of a run draws from one SeededRandom created from the
+ * run's seed; re-running with the same seed, data and evaluator reproduces
+ * the same results.
+ */
+
+class SeededRandom {
+    /**
+     * `seed` is an unsigned 32-bit integer or a string (hashed)
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = typeof seed === 'string' ? SeededRandom.hash(seed) : seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Uniform float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform integer in [min, max]
+     */
+    integer(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Standard normal draw (Box-Muller)
+     */
+    gaussian() {
+        const u = 1 - this.next();
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Fresh seed for runs that did not ask for one
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * 32-bit FNV-1a hash, used to derive independent streams from text
+     */
+    static hash(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
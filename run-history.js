@@ -0,0 +1,206 @@
+/**
+ * TradingHub.Mk Run History
+ * Keeps finished optimization runs so they can be filtered, re-opened and
+ * compared side by side
+ *
+ * A record holds what tells runs apart and lets one be repeated: the script
+ * hash, strategy name, chart, settings, seed, data range, best parameters
+ * and metrics. Records are stored newest first under one key of
+ * chrome.storage.local (in memory outside the extension), up to `maxRuns`.
+ */
+
+// In Node the dependencies are required; in the extension they are injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof MemoryStorage === 'undefined') {
+        globalThis.MemoryStorage = require('./checkpoint-store').MemoryStorage;
+    }
+    if (typeof EvaluationCache === 'undefined') {
+        globalThis.EvaluationCache = require('./evaluation-cache').EvaluationCache;
+    }
+}
+
+// Metrics where a lower value is the better one, and counts that rank nothing
+const LOWER_IS_BETTER = ['maxDrawdown'];
+const UNRANKED = ['trades'];
+
+class RunHistory {
+    /**
+     * `storage` follows the chrome.storage.local interface (get, set, remove)
+     */
+    constructor({ storage = RunHistory.defaultStorage(), key = 'optimizationHistory', maxRuns = 200 } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.maxRuns = maxRuns;
+    }
+
+    /**
+     * Store a record from createRecord(); the oldest runs are dropped beyond maxRuns
+     */
+    async add(record) {
+        const runs = await this.all();
+        runs.unshift(record);
+        await this.storage.set({ [this.key]: runs.slice(0, this.maxRuns) });
+        return record;
+    }
+
+    async all() {
+        const stored = await this.storage.get(this.key);
+        return stored?.[this.key] || [];
+    }
+
+    /**
+     * Runs matching `filter` (see RunHistory.filter), newest first
+     */
+    async list(filter = {}) {
+        return RunHistory.filter(await this.all(), filter);
+    }
+
+    async get(id) {
+        return (await this.all()).find(run => run.id === id) || null;
+    }
+
+    async remove(id) {
+        const runs = await this.all();
+        await this.storage.set({ [this.key]: runs.filter(run => run.id !== id) });
+    }
+
+    async clear() {
+        await this.storage.remove(this.key);
+    }
+
+    static defaultStorage() {
+        if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+            return chrome.storage.local;
+        }
+        return new MemoryStorage();
+    }
+
+    /**
+     * Record of a run from the optimizer's results and what it ran on:
+     * { script, strategyName, symbol, timeframe, settings }
+     */
+    static createRecord(results, { script = '', strategyName = 'Unknown Strategy', symbol = '', timeframe = '', settings = {} } = {}) {
+        const createdAt = Date.now();
+        const best = results.bestResult;
+
+        return {
+            id: `${createdAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt,
+            scriptHash: EvaluationCache.hash(EvaluationCache.normalizeScript(script)),
+            strategyName,
+            symbol,
+            timeframe,
+            algorithm: settings.optimizationDepth || 'standard',
+            settings: RunHistory.storableSettings(settings),
+            seed: results.seed,
+            dataRange: results.dataRange || null,
+            holdoutRange: results.holdoutRange || null,
+            stopReason: results.stopReason || 'completed',
+            totalTests: results.totalTests,
+            duration: results.duration,
+            bestScore: best ? best.score : null,
+            bestParameters: best ? { ...best.parameters } : null,
+            metrics: best ? { ...best.metrics } : {},
+            breakdown: best?.breakdown || null,
+            improvement: results.summary?.improvement ?? null
+        };
+    }
+
+    /**
+     * Plain copy of the settings: custom evaluator objects are named
+     * 'custom', bar data is reduced to its length and scripts to a hash
+     */
+    static storableSettings(settings) {
+        const { evaluator, ...rest } = settings;
+        const plain = { ...rest };
+        if (evaluator !== undefined) {
+            plain.evaluator = typeof evaluator === 'string' ? evaluator : 'custom';
+        }
+
+        return JSON.parse(JSON.stringify(plain, (key, value) => {
+            if (key === 'bars' && Array.isArray(value)) return value.length;
+            if (key === 'script' && typeof value === 'string') return EvaluationCache.hash(EvaluationCache.normalizeScript(value));
+            return value;
+        }));
+    }
+
+    /**
+     * Runs matching every given criterion: `query` (strategy name, symbol,
+     * timeframe or algorithm, case-insensitive), `strategyName`,
+     * `scriptHash`, `symbol`, `timeframe`, `algorithm`, `since` and `until`
+     * (timestamps)
+     */
+    static filter(runs, { query, strategyName, scriptHash, symbol, timeframe, algorithm, since, until } = {}) {
+        const text = query ? query.trim().toLowerCase() : '';
+
+        return runs.filter(run => {
+            if (strategyName && run.strategyName !== strategyName) return false;
+            if (scriptHash && run.scriptHash !== scriptHash) return false;
+            if (symbol && run.symbol !== symbol) return false;
+            if (timeframe && run.timeframe !== timeframe) return false;
+            if (algorithm && run.algorithm !== algorithm) return false;
+            if (since && run.createdAt < since) return false;
+            if (until && run.createdAt > until) return false;
+            if (text) {
+                return [run.strategyName, run.symbol, run.timeframe, run.algorithm]
+                    .some(field => String(field || '').toLowerCase().includes(text));
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Side-by-side table of two or more runs. Each row has `name` and one
+     * value per run; summary and metric rows mark the `best` run, and
+     * only settings that differ between the runs are listed.
+     */
+    static compare(runs) {
+        if (runs.length < 2) {
+            throw new Error('Select at least two runs to compare');
+        }
+
+        const names = list => [...new Set(runs.flatMap(list))];
+        const bestIndex = (values, lowerIsBetter) => {
+            let best = null;
+            values.forEach((value, i) => {
+                if (!Number.isFinite(value)) return;
+                if (best === null || (lowerIsBetter ? value < values[best] : value > values[best])) best = i;
+            });
+            return best;
+        };
+        const row = (name, values, ranked = false, lowerIsBetter = false) => ({
+            name,
+            values,
+            differs: new Set(values.map(value => JSON.stringify(value))).size > 1,
+            best: ranked ? bestIndex(values, lowerIsBetter) : null
+        });
+
+        return {
+            runs: runs.map(run => ({
+                id: run.id,
+                createdAt: run.createdAt,
+                label: `${run.strategyName}${run.symbol ? ` · ${run.symbol}` : ''}${run.timeframe ? ` ${run.timeframe}` : ''}`
+            })),
+            summary: [
+                row('bestScore', runs.map(run => run.bestScore), true),
+                row('algorithm', runs.map(run => run.algorithm)),
+                row('totalTests', runs.map(run => run.totalTests)),
+                row('duration', runs.map(run => run.duration)),
+                row('seed', runs.map(run => run.seed)),
+                row('stopReason', runs.map(run => run.stopReason))
+            ],
+            parameters: names(run => Object.keys(run.bestParameters || {}))
+                .map(name => row(name, runs.map(run => run.bestParameters?.[name] ?? null))),
+            metrics: names(run => Object.keys(run.metrics || {}))
+                .map(name => row(name, runs.map(run => run.metrics?.[name] ?? null), !UNRANKED.includes(name), LOWER_IS_BETTER.includes(name))),
+            settings: names(run => Object.keys(run.settings || {}))
+                .map(name => row(name, runs.map(run => run.settings?.[name] ?? null)))
+                .filter(settingRow => settingRow.differs)
+        };
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunHistory;
+}
@@ -0,0 +1,274 @@
+/**
+ * TradingHub.Mk Parameter Samplers
+ * Ways to spread a fixed number of parameter sets over the search space
+ *
+ * - grid: the evenly spaced cartesian product. Small products are tested
+ *   in full in random order; large ones are sampled lazily and uniformly
+ *   (every dimension drawn on its own), so no parameter is starved.
+ * - latin: Latin hypercube; every parameter's range is cut into as many
+ *   strata as sets are requested and each stratum is used exactly once.
+ * - sobol: Sobol low-discrepancy sequence (Joe-Kuo direction numbers).
+ *
+ * Numeric parameters with `scale: 'log'` are spread evenly in log space,
+ * which suits ranges such as 0.001-1 or 5-500.
+ */
+
+// In Node the dependencies are required; in the extension they are injected first
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof SeededRandom === 'undefined') {
+        globalThis.SeededRandom = require('./random');
+    }
+}
+
+// Full products up to this size are enumerated; larger ones are sampled
+const GRID_ENUMERATION_LIMIT = 10000;
+
+// Joe-Kuo direction numbers for dimensions 2-21: [degree, coefficients, initial m values]
+const SOBOL_DIRECTIONS = [
+    [1, 0, [1]],
+    [2, 1, [1, 3]],
+    [3, 1, [1, 3, 1]],
+    [3, 2, [1, 1, 1]],
+    [4, 1, [1, 1, 3, 3]],
+    [4, 4, [1, 3, 5, 13]],
+    [5, 2, [1, 1, 5, 5, 17]],
+    [5, 4, [1, 1, 5, 5, 5]],
+    [5, 7, [1, 1, 7, 11, 19]],
+    [5, 11, [1, 1, 5, 1, 1]],
+    [5, 13, [1, 1, 1, 3, 11]],
+    [5, 14, [1, 3, 5, 5, 31]],
+    [6, 1, [1, 3, 3, 9, 7, 49]],
+    [6, 13, [1, 1, 1, 15, 21, 21]],
+    [6, 16, [1, 3, 1, 13, 27, 49]],
+    [6, 19, [1, 1, 1, 15, 7, 5]],
+    [6, 22, [1, 3, 1, 15, 13, 25]],
+    [6, 25, [1, 1, 5, 5, 19, 61]],
+    [7, 1, [1, 3, 7, 11, 23, 15, 103]],
+    [7, 4, [1, 3, 7, 13, 13, 15, 69]]
+];
+
+const SOBOL_BITS = 32;
+
+class ParameterSampler {
+    /**
+     * `optimizer` supplies the random generator and the categorical and
+     * grid-step helpers; `density` is the number of grid steps per parameter
+     */
+    constructor(parameters, optimizer, { density = 5 } = {}) {
+        this.parameters = parameters;
+        this.optimizer = optimizer;
+        this.density = density;
+    }
+
+    static get methods() {
+        return ['grid', 'latin', 'sobol'];
+    }
+
+    /**
+     * Lazily yield up to `count` distinct parameter sets with `method`
+     */
+    *sample(method = 'grid', count = Infinity) {
+        if (!ParameterSampler.methods.includes(method)) {
+            throw new Error(`Unknown sampling method: ${method}`);
+        }
+
+        if (method === 'grid') {
+            yield* this.grid(count);
+            return;
+        }
+
+        // Space-filling designs need their size up front; default to the grid's
+        const size = Number.isFinite(count) ? count : Math.min(this.gridSize(), GRID_ENUMERATION_LIMIT);
+        const points = method === 'latin'
+            ? ParameterSampler.latinHypercube(this.parameters.length, size, this.optimizer.random)
+            : ParameterSampler.sobol(this.parameters.length, size);
+
+        const seen = new Set();
+        for (const point of points) {
+            const parameterSet = this.fromPoint(point);
+            const key = JSON.stringify(parameterSet);
+            if (!seen.has(key)) {
+                seen.add(key);
+                yield parameterSet;
+            }
+        }
+    }
+
+    *grid(count = Infinity) {
+        const steps = this.parameters.map(param => this.optimizer.generateParameterSteps(param, this.density));
+        const total = steps.reduce((product, values) => product * values.length, 1);
+        const build = indices => Object.fromEntries(this.parameters.map((param, d) => [param.name, steps[d][indices[d]]]));
+
+        if (total <= GRID_ENUMERATION_LIMIT) {
+            // Every set once, in random order
+            const order = this.optimizer.shuffleArray(Array.from({ length: total }, (_, i) => i));
+            for (const index of order) {
+                let rest = index;
+                const indices = steps.map(values => {
+                    const digit = rest % values.length;
+                    rest = Math.floor(rest / values.length);
+                    return digit;
+                });
+                yield build(indices);
+            }
+            return;
+        }
+
+        // Uniform over the product without building it; stop once repeats dominate.
+        // Callers stop pulling at their sample size, which may exceed the limit.
+        const seen = new Set();
+        const limit = Number.isFinite(count) ? total : GRID_ENUMERATION_LIMIT;
+        let misses = 0;
+        while (seen.size < limit && misses < 1000) {
+            const indices = steps.map(values => Math.floor(this.optimizer.random.next() * values.length));
+            const key = indices.join(',');
+            if (seen.has(key)) {
+                misses++;
+                continue;
+            }
+            seen.add(key);
+            misses = 0;
+            yield build(indices);
+        }
+    }
+
+    gridSize() {
+        return this.parameters.reduce((product, param) =>
+            product * this.optimizer.generateParameterSteps(param, this.density).length, 1);
+    }
+
+    /**
+     * Parameter set at a point of the unit hypercube
+     */
+    fromPoint(point) {
+        return Object.fromEntries(this.parameters.map((param, d) => [param.name, this.fromUnit(param, point[d])]));
+    }
+
+    fromUnit(param, u) {
+        if (this.optimizer.isCategorical(param)) {
+            const categories = this.optimizer.getCategories(param);
+            return categories[Math.min(categories.length - 1, Math.floor(u * categories.length))];
+        }
+        if (param.type !== 'integer' && param.type !== 'float') {
+            return param.current;
+        }
+        return ParameterSampler.fromUnit(param, u);
+    }
+
+    /**
+     * Numeric value at `u` in [0, 1]; integers land on the step grid
+     */
+    static fromUnit(param, u) {
+        u = Math.max(0, Math.min(1, u));
+
+        if (param.scale === 'log') {
+            const value = Math.exp(Math.log(param.min) + u * (Math.log(param.max) - Math.log(param.min)));
+            if (param.type !== 'integer') return value;
+
+            const step = param.step || 1;
+            return Math.min(param.max, param.min + Math.round((value - param.min) / step) * step);
+        }
+
+        if (param.type === 'integer') {
+            const step = param.step || 1;
+            const steps = Math.floor((param.max - param.min) / step);
+            return param.min + Math.round(u * steps) * step;
+        }
+
+        return param.min + u * (param.max - param.min);
+    }
+
+    /**
+     * Inverse of fromUnit for numeric values
+     */
+    static toUnit(param, value) {
+        const u = param.scale === 'log'
+            ? (Math.log(value) - Math.log(param.min)) / (Math.log(param.max) - Math.log(param.min))
+            : (value - param.min) / (param.max - param.min);
+
+        return Math.max(0, Math.min(1, u));
+    }
+
+    /**
+     * `count` points where every dimension uses each of its `count` strata once
+     */
+    static latinHypercube(dimensions, count, random = new SeededRandom()) {
+        const points = Array.from({ length: count }, () => new Array(dimensions));
+
+        for (let d = 0; d < dimensions; d++) {
+            const strata = Array.from({ length: count }, (_, i) => i);
+            for (let i = count - 1; i > 0; i--) {
+                const j = Math.floor(random.next() * (i + 1));
+                [strata[i], strata[j]] = [strata[j], strata[i]];
+            }
+            strata.forEach((stratum, i) => {
+                points[i][d] = (stratum + random.next()) / count;
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * First `count` Sobol points after the origin (Gray-code order)
+     */
+    static sobol(dimensions, count) {
+        if (dimensions > SOBOL_DIRECTIONS.length + 1) {
+            throw new Error(`Sobol sampling supports up to ${SOBOL_DIRECTIONS.length + 1} parameters`);
+        }
+
+        const directions = Array.from({ length: dimensions }, (_, d) => ParameterSampler.sobolDirections(d));
+        const state = new Array(dimensions).fill(0);
+        const points = [];
+
+        for (let index = 0; points.length < count; index++) {
+            // Flip the direction of the lowest zero bit of the index
+            let bit = 1;
+            while (index & (1 << (bit - 1))) bit++;
+
+            for (let d = 0; d < dimensions; d++) {
+                state[d] = (state[d] ^ directions[d][bit]) >>> 0;
+            }
+            points.push(state.map(value => value / 2 ** SOBOL_BITS));
+        }
+
+        return points;
+    }
+
+    /**
+     * Direction numbers V[1..32] of one dimension, scaled to 32 bits
+     */
+    static sobolDirections(dimension) {
+        const directions = new Array(SOBOL_BITS + 1).fill(0);
+
+        if (dimension === 0) {
+            for (let k = 1; k <= SOBOL_BITS; k++) {
+                directions[k] = 2 ** (SOBOL_BITS - k);
+            }
+            return directions;
+        }
+
+        const [degree, coefficients, initial] = SOBOL_DIRECTIONS[dimension - 1];
+        for (let k = 1; k <= SOBOL_BITS; k++) {
+            if (k <= degree) {
+                directions[k] = (initial[k - 1] * 2 ** (SOBOL_BITS - k)) >>> 0;
+                continue;
+            }
+
+            let value = (directions[k - degree] ^ (directions[k - degree] >>> degree)) >>> 0;
+            for (let j = 1; j < degree; j++) {
+                if ((coefficients >>> (degree - 1 - j)) & 1) {
+                    value = (value ^ directions[k - j]) >>> 0;
+                }
+            }
+            directions[k] = value;
+        }
+
+        return directions;
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParameterSampler;
+}
@@ -0,0 +1,171 @@
+/**
+ * TradingHub.Mk Sensitivity Analysis
+ * Measures how fragile the best result is and finds stable alternatives
+ *
+ * Each parameter is swept on its own around the best result, over a wider
+ * range than local search uses (`range` of the parameter span on each
+ * side), while the other parameters stay at their best values. A value is
+ * "high-performing" when its score is within `tolerance` (relative) of the
+ * best score. Per parameter the report gives the score curve, the share of
+ * high-performing neighbours (stability) and the widest run of consecutive
+ * high-performing values (plateau). The recommended set moves every
+ * numeric parameter to the center of its plateau, which is usually safer
+ * to trade than a lone spike.
+ */
+
+class SensitivityAnalysis {
+    constructor({ steps = 5, range = 0.25, tolerance = 0.1 } = {}) {
+        this.steps = Math.max(1, Math.floor(steps));
+        this.range = range;
+        this.tolerance = tolerance;
+    }
+
+    /**
+     * `evaluate(parameterSet)` resolves with a result ({ score, feasible,
+     * metrics }); `fitness(result)` ranks results like the optimizer does
+     */
+    async analyze(bestResult, parameters, evaluate, fitness = result => result.score) {
+        const bestFitness = fitness(bestResult);
+        const threshold = bestFitness - this.tolerance * Math.abs(bestFitness);
+        const report = [];
+
+        for (const param of parameters) {
+            const bestValue = bestResult.parameters[param.name];
+            const values = this.sweepValues(param, bestValue);
+            if (values.length < 2) continue;
+
+            const points = [];
+            for (const value of values) {
+                const result = value === bestValue
+                    ? bestResult
+                    : await evaluate({ ...bestResult.parameters, [param.name]: value });
+                points.push({ value, score: result.score, highPerforming: fitness(result) >= threshold });
+            }
+
+            report.push(this.summarize(param, bestValue, points));
+        }
+
+        const stability = report.length
+            ? report.reduce((sum, entry) => sum + entry.stability, 0) / report.length
+            : 1;
+
+        // Move numeric parameters to their plateau centers
+        const recommendedSet = { ...bestResult.parameters };
+        report.forEach(entry => {
+            if (entry.plateau) recommendedSet[entry.name] = entry.plateau.center;
+        });
+        const moved = report.some(entry => entry.plateau && entry.plateau.center !== bestResult.parameters[entry.name]);
+        const recommended = moved ? await evaluate(recommendedSet) : bestResult;
+
+        return {
+            stability,
+            tolerance: this.tolerance,
+            parameters: report,
+            recommended: {
+                parameters: recommended.parameters,
+                score: recommended.score,
+                metrics: recommended.metrics,
+                feasible: recommended.feasible !== false,
+                isBest: !moved
+            }
+        };
+    }
+
+    /**
+     * Values to test for one parameter, in ascending order for numbers
+     * (the best value included)
+     */
+    sweepValues(param, bestValue) {
+        if (SensitivityAnalysis.isCategorical(param)) {
+            return param.type === 'boolean' && !Array.isArray(param.options) ? [true, false] : [...param.options];
+        }
+
+        if (param.type !== 'integer' && param.type !== 'float') return [];
+
+        const span = (param.max - param.min) * this.range;
+        const values = new Set([bestValue]);
+        for (let k = -this.steps; k <= this.steps; k++) {
+            values.add(this.snap(param, bestValue + (span * k) / this.steps));
+        }
+
+        return [...values].sort((a, b) => a - b);
+    }
+
+    summarize(param, bestValue, points) {
+        const neighbours = points.filter(point => point.value !== bestValue);
+        const scores = points.map(point => point.score);
+        const bestScore = points.find(point => point.value === bestValue).score;
+
+        const entry = {
+            name: param.name,
+            values: points,
+            stability: neighbours.filter(point => point.highPerforming).length / neighbours.length,
+            // Largest relative score loss within the swept range
+            sensitivity: bestScore === 0 ? 0 : (bestScore - Math.min(...scores)) / Math.abs(bestScore),
+            plateau: null
+        };
+
+        if (!SensitivityAnalysis.isCategorical(param)) {
+            entry.plateau = this.findPlateau(param, points);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Widest run of consecutive high-performing values; ties go to the
+     * run with the higher mean score
+     */
+    findPlateau(param, points) {
+        let best = null;
+        let start = 0;
+
+        while (start < points.length) {
+            if (!points[start].highPerforming) {
+                start++;
+                continue;
+            }
+
+            let end = start;
+            while (end + 1 < points.length && points[end + 1].highPerforming) end++;
+
+            const run = points.slice(start, end + 1);
+            const width = run[run.length - 1].value - run[0].value;
+            const mean = run.reduce((sum, point) => sum + point.score, 0) / run.length;
+            if (!best || width > best.width || (width === best.width && mean > best.mean)) {
+                best = { start: run[0].value, end: run[run.length - 1].value, width, mean };
+            }
+
+            start = end + 1;
+        }
+
+        if (!best) return null;
+
+        return {
+            start: best.start,
+            end: best.end,
+            width: best.width,
+            center: this.snap(param, (best.start + best.end) / 2)
+        };
+    }
+
+    /**
+     * Clamp to the parameter range and round to its step grid
+     */
+    snap(param, value) {
+        const step = param.step || (param.type === 'integer' ? 1 : (param.max - param.min) / 100);
+        let snapped = param.min + Math.round((value - param.min) / step) * step;
+        snapped = Math.max(param.min, Math.min(param.max, snapped));
+
+        return param.type === 'integer' ? Math.round(snapped) : Number(snapped.toFixed(10));
+    }
+
+    static isCategorical(param) {
+        return param.type === 'boolean' || (Array.isArray(param.options) && param.options.length > 0);
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensitivityAnalysis;
+}
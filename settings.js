@@ -8,12 +8,25 @@ class SettingsController {
         this.defaultSettings = {
             autoOptimize: false,
             optimizationDepth: 'standard',
+            samplingMethod: 'grid',
             maxIterations: 100,
+            earlyStoppingPatience: 0,
+            targetScore: null,
+            maxDuration: 0,
+            walkForwardWindows: 5,
+            walkForwardAnchored: false,
+            objectiveFormula: '',
+            objectiveConstraints: [],
+            parameterConstraints: [],
+            seed: null,
+            sensitivityAnalysis: false,
             theme: 'light',
             notifications: true,
             showAdvanced: false,
             cacheResults: true,
-            parallelProcessing: false
+            cacheMaxEntries: 5000,
+            parallelProcessing: false,
+            workerPoolSize: 4
         };
         
         this.elements = {};
@@ -25,6 +38,7 @@ class SettingsController {
         
         // Get DOM elements
         this.getElements();
+        this.populateAlgorithmOptions();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -37,14 +51,27 @@ class SettingsController {
         // Setting controls
         this.elements.autoOptimize = document.getElementById('autoOptimize');
         this.elements.optimizationDepth = document.getElementById('optimizationDepth');
+        this.elements.samplingMethod = document.getElementById('samplingMethod');
         this.elements.maxIterations = document.getElementById('maxIterations');
+        this.elements.earlyStoppingPatience = document.getElementById('earlyStoppingPatience');
+        this.elements.targetScore = document.getElementById('targetScore');
+        this.elements.maxDuration = document.getElementById('maxDuration');
+        this.elements.seed = document.getElementById('seed');
+        this.elements.walkForwardWindows = document.getElementById('walkForwardWindows');
+        this.elements.walkForwardAnchored = document.getElementById('walkForwardAnchored');
+        this.elements.objectiveFormula = document.getElementById('objectiveFormula');
+        this.elements.objectiveConstraints = document.getElementById('objectiveConstraints');
+        this.elements.parameterConstraints = document.getElementById('parameterConstraints');
         this.elements.themeLight = document.getElementById('themeLight');
         this.elements.themeDark = document.getElementById('themeDark');
         this.elements.themeAuto = document.getElementById('themeAuto');
         this.elements.notifications = document.getElementById('notifications');
         this.elements.showAdvanced = document.getElementById('showAdvanced');
+        this.elements.sensitivityAnalysis = document.getElementById('sensitivityAnalysis');
         this.elements.cacheResults = document.getElementById('cacheResults');
+        this.elements.cacheMaxEntries = document.getElementById('cacheMaxEntries');
         this.elements.parallelProcessing = document.getElementById('parallelProcessing');
+        this.elements.workerPoolSize = document.getElementById('workerPoolSize');
         
         // Action buttons
         this.elements.saveBtn = document.getElementById('saveBtn');
@@ -55,6 +82,15 @@ class SettingsController {
         this.elements.statusMessage = document.getElementById('statusMessage');
     }
     
+    populateAlgorithmOptions() {
+        AlgorithmRegistry.list().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            this.elements.optimizationDepth.appendChild(option);
+        });
+    }
+    
     setupEventListeners() {
         // Save button
         this.elements.saveBtn.addEventListener('click', () => this.saveSettings());
@@ -72,6 +108,36 @@ class SettingsController {
             if (value > 1000) e.target.value = 1000;
         });
         
+        this.elements.earlyStoppingPatience.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (value < 0) e.target.value = 0;
+            if (value > 1000) e.target.value = 1000;
+        });
+        
+        this.elements.maxDuration.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (value < 0) e.target.value = 0;
+            if (value > 1440) e.target.value = 1440;
+        });
+        
+        this.elements.walkForwardWindows.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (value < 2) e.target.value = 2;
+            if (value > 20) e.target.value = 20;
+        });
+        
+        this.elements.cacheMaxEntries.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (value < 100) e.target.value = 100;
+            if (value > 100000) e.target.value = 100000;
+        });
+        
+        this.elements.workerPoolSize.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (value < 1) e.target.value = 1;
+            if (value > 16) e.target.value = 16;
+        });
+        
         // Theme change listeners
         document.querySelectorAll('input[name="theme"]').forEach(radio => {
             radio.addEventListener('change', () => this.previewTheme());
@@ -81,7 +147,8 @@ class SettingsController {
     async loadSettings() {
         try {
             const result = await chrome.storage.sync.get('settings');
-            const settings = result.settings || this.defaultSettings;
+            // Settings saved by older versions lack newer keys
+            const settings = { ...this.defaultSettings, ...result.settings };
             
             console.log('Loaded settings:', settings);
             this.populateUI(settings);
@@ -100,12 +167,28 @@ class SettingsController {
         this.elements.showAdvanced.checked = settings.showAdvanced;
         this.elements.cacheResults.checked = settings.cacheResults;
         this.elements.parallelProcessing.checked = settings.parallelProcessing;
+        this.elements.walkForwardAnchored.checked = settings.walkForwardAnchored;
+        this.elements.sensitivityAnalysis.checked = settings.sensitivityAnalysis;
         
         // Select dropdown
         this.elements.optimizationDepth.value = settings.optimizationDepth;
+        this.elements.samplingMethod.value = settings.samplingMethod;
         
         // Number input
         this.elements.maxIterations.value = settings.maxIterations;
+        this.elements.earlyStoppingPatience.value = settings.earlyStoppingPatience;
+        this.elements.targetScore.value = settings.targetScore ?? '';
+        // Stored in seconds, edited in minutes
+        this.elements.maxDuration.value = settings.maxDuration / 60;
+        this.elements.walkForwardWindows.value = settings.walkForwardWindows;
+        this.elements.seed.value = settings.seed ?? '';
+        this.elements.cacheMaxEntries.value = settings.cacheMaxEntries;
+        this.elements.workerPoolSize.value = settings.workerPoolSize;
+        
+        // Objective
+        this.elements.objectiveFormula.value = settings.objectiveFormula;
+        this.elements.objectiveConstraints.value = settings.objectiveConstraints.join('\n');
+        this.elements.parameterConstraints.value = settings.parameterConstraints.join('\n');
         
         // Radio buttons for theme
         switch (settings.theme) {
@@ -128,6 +211,19 @@ class SettingsController {
             
             const settings = this.collectSettings();
             
+            // Reject formulas the optimizer could not parse
+            try {
+                new ObjectiveFunction({
+                    formula: settings.objectiveFormula,
+                    constraints: settings.objectiveConstraints
+                });
+                // Parameter names are only known per script, so only the syntax is checked here
+                settings.parameterConstraints.forEach(source => ParameterConstraints.compile(source));
+            } catch (error) {
+                this.showStatusMessage(error.message, 'error');
+                return;
+            }
+            
             await chrome.storage.sync.set({ settings });
             
             console.log('Settings saved:', settings);
@@ -150,12 +246,26 @@ class SettingsController {
         return {
             autoOptimize: this.elements.autoOptimize.checked,
             optimizationDepth: this.elements.optimizationDepth.value,
+            samplingMethod: this.elements.samplingMethod.value,
             maxIterations: parseInt(this.elements.maxIterations.value),
+            earlyStoppingPatience: parseInt(this.elements.earlyStoppingPatience.value) || 0,
+            targetScore: this.elements.targetScore.value === '' ? null : parseFloat(this.elements.targetScore.value),
+            maxDuration: (parseFloat(this.elements.maxDuration.value) || 0) * 60,
+            walkForwardWindows: parseInt(this.elements.walkForwardWindows.value),
+            walkForwardAnchored: this.elements.walkForwardAnchored.checked,
+            // Empty means a fresh seed per run
+            seed: this.elements.seed.value === '' ? null : parseInt(this.elements.seed.value),
+            sensitivityAnalysis: this.elements.sensitivityAnalysis.checked,
+            objectiveFormula: this.elements.objectiveFormula.value.trim(),
+            objectiveConstraints: ObjectiveFunction.parseConstraints(this.elements.objectiveConstraints.value),
+            parameterConstraints: ParameterConstraints.parse(this.elements.parameterConstraints.value),
             theme: themeRadio ? themeRadio.value : 'light',
             notifications: this.elements.notifications.checked,
             showAdvanced: this.elements.showAdvanced.checked,
             cacheResults: this.elements.cacheResults.checked,
-            parallelProcessing: this.elements.parallelProcessing.checked
+            cacheMaxEntries: parseInt(this.elements.cacheMaxEntries.value),
+            parallelProcessing: this.elements.parallelProcessing.checked,
+            workerPoolSize: parseInt(this.elements.workerPoolSize.value)
         };
     }
     
@@ -176,7 +286,8 @@ class SettingsController {
     async exportSettings() {
         try {
             const result = await chrome.storage.sync.get('settings');
-            const settings = result.settings || this.defaultSettings;
+            // Settings saved by older versions lack newer keys
+            const settings = { ...this.defaultSettings, ...result.settings };
             
             const dataStr = JSON.stringify(settings, null, 2);
             const dataBlob = new Blob([dataStr], { type: 'application/json' });
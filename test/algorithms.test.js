@@ -0,0 +1,162 @@
+/**
+ * AlgorithmRegistry and built-in search algorithm tests
+ */
+
+const { AlgorithmRegistry, UnitSearchSpace, symmetricEigen } = require('../algorithms');
+const StrategyOptimizer = require('../optimizer');
+
+const parameters = [
+    { name: 'fast', type: 'integer', min: 2, max: 50, step: 1, current: 40 },
+    { name: 'multiplier', type: 'float', min: 0, max: 5, step: 0.1, current: 4.5 },
+    { name: 'source', type: 'string', options: ['open', 'close', 'hl2'], current: 'open' }
+];
+
+// Peak at fast 10, multiplier 1, source close
+const evaluator = {
+    async evaluate({ fast, multiplier, source }) {
+        const score = 100 - Math.abs(fast - 10) - (multiplier - 1) ** 2 * 4 + (source === 'close' ? 5 : 0);
+        return { score, metrics: {} };
+    }
+};
+
+const run = (optimizationDepth, settings = {}) => {
+    const optimizer = new StrategyOptimizer();
+    jest.spyOn(optimizer, 'delay').mockResolvedValue();
+    return optimizer.optimize(parameters, { optimizationDepth, evaluator, ...settings })
+        .then(results => ({ optimizer, results }));
+};
+
+describe('AlgorithmRegistry', () => {
+    afterEach(() => {
+        AlgorithmRegistry.algorithms.delete('fixed');
+    });
+
+    test('lists the built-in algorithms with labels', () => {
+        const names = AlgorithmRegistry.list().map(algorithm => algorithm.name);
+
+        expect(names).toEqual(expect.arrayContaining([
+            'basic', 'standard', 'deep', 'walkforward', 'multiobjective', 'bayesian', 'annealing', 'pso', 'cmaes'
+        ]));
+        expect(AlgorithmRegistry.list()[0]).toEqual({ name: 'basic', label: 'Basic (Fast)' });
+    });
+
+    test('merges hyperparameter defaults with per-run options', () => {
+        expect(AlgorithmRegistry.options('pso', { algorithmOptions: { pso: { inertia: 0.4 } } }))
+            .toEqual({ swarmSize: null, inertia: 0.4, cognitive: 1.5, social: 1.5, maxVelocity: 0.2 });
+    });
+
+    test('validates registrations and names', () => {
+        expect(() => AlgorithmRegistry.register('broken', {})).toThrow('must provide run');
+        expect(() => AlgorithmRegistry.get('missing')).toThrow('Unknown optimization algorithm: missing');
+    });
+
+    test('runs a registered algorithm without optimizer changes', async () => {
+        AlgorithmRegistry.register('fixed', {
+            label: 'Fixed',
+            hyperparameters: { fast: 10 },
+            run: async (optimizer, params, config, options) => {
+                await optimizer.evaluateGeneration([{ fast: options.fast, multiplier: 1, source: 'close' }]);
+                return optimizer.compileResults();
+            }
+        });
+
+        const { results } = await run('fixed', { algorithmOptions: { fixed: { fast: 12 } } });
+
+        expect(results.totalTests).toBe(1);
+        expect(results.bestResult.parameters.fast).toBe(12);
+        await expect(run('missing')).rejects.toThrow('Unknown optimization algorithm: missing');
+    });
+
+    test('plans progress from the phases a registered algorithm declares', async () => {
+        AlgorithmRegistry.register('fixed', {
+            phases: (optimizer, params, config) => [
+                { name: 'scan', planned: 2 },
+                { name: 'polish', planned: config.maxIterations - 2 }
+            ],
+            run: async optimizer => {
+                await optimizer.evaluateGeneration([{ fast: 10, multiplier: 1, source: 'close' }, { fast: 20, multiplier: 1, source: 'close' }]);
+                optimizer.beginPhase('polish', 1);
+                await optimizer.evaluateGeneration([{ fast: 12, multiplier: 1, source: 'close' }]);
+                return optimizer.compileResults();
+            }
+        });
+
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const started = [];
+        const progress = [];
+        optimizer.on('run-started', event => started.push(event.phases));
+        optimizer.on('progress', event => progress.push([event.phase, event.current, event.total]));
+        const results = await optimizer.optimize(parameters, { optimizationDepth: 'fixed', evaluator, maxIterations: 10 });
+
+        expect(started[0]).toEqual([{ name: 'scan', planned: 2 }, { name: 'polish', planned: 8 }]);
+        expect(progress).toEqual([['scan', 1, 10], ['scan', 2, 10], ['polish', 3, 3]]);
+        expect(results.phases).toEqual([{ name: 'scan', evaluations: 2 }, { name: 'polish', evaluations: 1 }]);
+    });
+});
+
+describe('UnitSearchSpace', () => {
+    test('round-trips mixed parameter sets through the unit cube', () => {
+        const space = new UnitSearchSpace(parameters, new StrategyOptimizer());
+        const set = { fast: 26, multiplier: 2.5, source: 'hl2' };
+
+        expect(space.encode(set)).toEqual([0.5, 0.5, 2.5 / 3]);
+        expect(space.decode(space.encode(set))).toEqual(set);
+        expect(space.decode([-1, 2, 0])).toEqual({ fast: 2, multiplier: 5, source: 'open' });
+    });
+});
+
+describe('symmetricEigen', () => {
+    test('decomposes a symmetric matrix', () => {
+        const { basis, scales } = symmetricEigen([[2, 1], [1, 2]]);
+        const eigenvalues = scales.map(scale => scale * scale).sort();
+
+        expect(eigenvalues[0]).toBeCloseTo(1);
+        expect(eigenvalues[1]).toBeCloseTo(3);
+        expect(Math.abs(basis[0][0])).toBeCloseTo(Math.SQRT1_2);
+    });
+});
+
+describe('Built-in search algorithms', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test.each(['annealing', 'pso', 'cmaes'])('%s uses the full budget and improves on the start', async name => {
+        const { optimizer, results } = await run(name, { maxIterations: 80 });
+
+        expect(results.totalTests).toBe(80);
+        expect(optimizer.results[0].parameters).toEqual({ fast: 40, multiplier: 4.5, source: 'open' });
+        expect(results.bestResult.score).toBeGreaterThan(optimizer.results[0].score + 20);
+        optimizer.results.forEach(({ parameters: set }) => {
+            expect(Number.isInteger(set.fast)).toBe(true);
+            expect(set.multiplier).toBeGreaterThanOrEqual(0);
+            expect(set.multiplier).toBeLessThanOrEqual(5);
+        });
+    });
+
+    test('annealing from an infeasible start still cools into the best region', async () => {
+        const constrained = {
+            async evaluate(set) {
+                const { score } = await evaluator.evaluate(set);
+                return { score, metrics: { trades: set.fast > 30 ? 0 : 50 } };
+            }
+        };
+        const { optimizer, results } = await run('annealing', {
+            evaluator: constrained,
+            maxIterations: 80,
+            seed: 3,
+            objectiveConstraints: ['trades >= 10']
+        });
+
+        expect(optimizer.results[0].feasible).toBe(false);
+        expect(results.bestResult.score).toBeGreaterThan(100);
+        // A walk that accepts everything would wander off the peak
+        const settled = optimizer.results.slice(-20).map(result => result.score);
+        expect(Math.min(...settled)).toBeGreaterThan(95);
+    });
+});
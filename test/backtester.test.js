@@ -0,0 +1,180 @@
+/**
+ * Backtester tests
+ */
+
+const Backtester = require('../backtester');
+const { BacktestEvaluator } = require('../evaluators');
+
+const bar = (open, high, low, close, time) => ({ time, open, high, low, close, volume: 1000 });
+
+// Flat bars at the given closes, each spanning +/-1 around its open
+const barsFromCloses = closes => closes.map((close, i) => bar(close, close + 1, close - 1, close, i));
+
+describe('Backtester', () => {
+    test('fills market orders on the next bar open', () => {
+        const bars = [bar(100, 101, 99, 100), bar(102, 106, 101, 105), bar(108, 110, 107, 109), bar(111, 112, 110, 111)];
+        const backtester = new Backtester();
+
+        const result = backtester.run(bars, (strategy, i) => {
+            if (i === 0) strategy.entry('Long', 'long', { qty: 10 });
+            if (i === 1) strategy.close('Long');
+        });
+
+        expect(result.trades).toHaveLength(1);
+        expect(result.trades[0]).toMatchObject({
+            entryId: 'Long',
+            entryPrice: 102,
+            entryBar: 1,
+            exitPrice: 108,
+            exitBar: 2,
+            profit: 60
+        });
+        expect(result.equityCurve).toHaveLength(4);
+        expect(result.metrics.totalReturn).toBeCloseTo(0.06);
+    });
+
+    test('applies commission and slippage to market fills', () => {
+        const bars = barsFromCloses([100, 100, 110, 110]);
+        const backtester = new Backtester({
+            commissionType: 'cash_per_order',
+            commissionValue: 2,
+            slippage: 5,
+            mintick: 0.1
+        });
+
+        const result = backtester.run(bars, (strategy, i) => {
+            if (i === 0) strategy.entry('Long', 'long', { qty: 1 });
+            if (i === 1) strategy.closeAll();
+        });
+
+        const trade = result.trades[0];
+        expect(trade.entryPrice).toBeCloseTo(100.5);
+        expect(trade.exitPrice).toBeCloseTo(109.5);
+        expect(trade.commission).toBe(4);
+        expect(trade.profit).toBeCloseTo(5);
+    });
+
+    test('exits with profit and loss targets measured in ticks', () => {
+        const bars = [
+            bar(100, 100, 100, 100),
+            bar(100, 101, 99, 100),
+            bar(100, 100.5, 96, 97)
+        ];
+        const backtester = new Backtester({ mintick: 1 });
+
+        const result = backtester.run(bars, (strategy, i) => {
+            if (i === 0) {
+                strategy.entry('Long', 'long', { qty: 1 });
+                strategy.exit('Exit', 'Long', { profit: 5, loss: 3 });
+            }
+        });
+
+        expect(result.trades).toHaveLength(1);
+        expect(result.trades[0]).toMatchObject({ exitId: 'Exit', exitPrice: 97, profit: -3 });
+        expect(result.warnings).toEqual([]);
+    });
+
+    test('reports an exit without levels once', () => {
+        const backtester = new Backtester();
+
+        const result = backtester.run(barsFromCloses([100, 101, 102, 103]), (strategy, i) => {
+            if (i === 0) strategy.entry('Long', 'long', { qty: 1 });
+            strategy.exit('Exit', 'Long', {});
+        });
+
+        expect(result.trades).toHaveLength(0);
+        expect(result.warnings).toEqual(['Exit "Exit" has no profit, loss, limit or stop and will never fill']);
+    });
+
+    test('fills stops at the open when price gaps through them', () => {
+        const bars = [bar(100, 100, 100, 100), bar(100, 100, 100, 100), bar(90, 92, 88, 91)];
+        const backtester = new Backtester();
+
+        const result = backtester.run(bars, (strategy, i) => {
+            if (i === 0) {
+                strategy.entry('Long', 'long', { qty: 1 });
+                strategy.exit('Stop', 'Long', { stop: 95 });
+            }
+        });
+
+        expect(result.trades[0].exitPrice).toBe(90);
+    });
+
+    test('fills limit entries only when price reaches the limit', () => {
+        const bars = [bar(100, 100, 100, 100), bar(100, 101, 99, 100), bar(99, 99, 95, 96)];
+        const backtester = new Backtester();
+
+        const result = backtester.run(bars, (strategy, i) => {
+            if (i === 0) strategy.entry('Dip', 'long', { qty: 1, limit: 97 });
+        });
+
+        expect(result.openTrades).toHaveLength(1);
+        expect(result.openTrades[0]).toMatchObject({ entryPrice: 97, entryBar: 2 });
+    });
+
+    test('respects pyramiding and reverses on opposite entries', () => {
+        const bars = barsFromCloses([100, 100, 100, 100, 100, 100]);
+
+        const single = new Backtester().run(bars, (strategy, i) => {
+            if (i < 3) strategy.entry(`L${i}`, 'long', { qty: 1 });
+        });
+        expect(single.openTrades).toHaveLength(1);
+
+        const pyramided = new Backtester({ pyramiding: 3 }).run(bars, (strategy, i) => {
+            if (i < 4) strategy.entry(`L${i}`, 'long', { qty: 1 });
+            if (i === 4) strategy.entry('S', 'short', { qty: 2 });
+        });
+        expect(pyramided.trades).toHaveLength(3);
+        expect(pyramided.openTrades).toEqual([expect.objectContaining({ entryId: 'S', direction: 'short', qty: 2 })]);
+    });
+
+    test('sizes percent_of_equity orders from current equity', () => {
+        const bars = barsFromCloses([50, 50, 50]);
+        const backtester = new Backtester({
+            initialCapital: 10000,
+            defaultQtyType: 'percent_of_equity',
+            defaultQtyValue: 50
+        });
+
+        const result = backtester.run(bars, (strategy, i) => {
+            if (i === 0) strategy.entry('Long', 'long');
+        });
+
+        expect(result.openTrades[0].qty).toBe(100);
+    });
+
+    test('reports drawdown, win rate and profit factor', () => {
+        const bars = barsFromCloses([100, 100, 120, 120, 120, 90, 90]);
+        const backtester = new Backtester();
+
+        const result = backtester.run(bars, (strategy, i) => {
+            if (i === 0 || i === 3) strategy.entry('Long', 'long', { qty: 100 });
+            if (i === 2 || i === 5) strategy.close('Long');
+        });
+
+        expect(result.metrics.trades).toBe(2);
+        expect(result.metrics.winRate).toBe(50);
+        expect(result.metrics.profitFactor).toBeCloseTo(2000 / 3000);
+        expect(result.metrics.maxDrawdown).toBeCloseTo((102000 - 99000) / 102000 * 100);
+    });
+});
+
+describe('BacktestEvaluator', () => {
+    test('scores a parameter set by running the backtest', async () => {
+        const bars = barsFromCloses([100, 101, 103, 106, 110, 115]);
+        const evaluator = new BacktestEvaluator({
+            bars,
+            scoreMetric: 'totalReturn',
+            strategy: ({ holdBars }) => (strategy, i) => {
+                if (i === 0) strategy.entry('Long', 'long', { qty: 10 });
+                if (i === holdBars) strategy.close('Long');
+            }
+        });
+
+        const short = await evaluator.evaluate({ holdBars: 1 });
+        const long = await evaluator.evaluate({ holdBars: 4 });
+
+        expect(long.score).toBeGreaterThan(short.score);
+        expect(long.metrics.trades).toBe(1);
+    });
+});
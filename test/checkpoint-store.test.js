@@ -0,0 +1,150 @@
+/**
+ * Pause, resume and checkpoint tests
+ */
+
+const { CheckpointStore, MemoryStorage } = require('../checkpoint-store');
+const StrategyOptimizer = require('../optimizer');
+
+const parameters = [
+    { name: 'length', type: 'integer', min: 5, max: 50, step: 1, current: 10 },
+    { name: 'multiplier', type: 'float', min: 1, max: 3, step: 0.25, current: 2 },
+    { name: 'maType', type: 'string', options: ['SMA', 'EMA', 'WMA'], current: 'SMA' }
+];
+
+// Deterministic evaluator; `onCall` runs before each evaluation
+const createEvaluator = (onCall = () => {}) => ({
+    calls: 0,
+    async evaluate(set) {
+        this.calls++;
+        onCall(this.calls);
+        const score = 100 - Math.abs(set.length - 30) - Math.abs(set.multiplier - 2.5) * 4 + (set.maType === 'EMA' ? 5 : 0);
+        return { score, metrics: { totalReturn: score, trades: 20 } };
+    }
+});
+
+const settings = { optimizationDepth: 'deep', maxIterations: 120, seed: 42 };
+
+const createOptimizer = store => {
+    const optimizer = new StrategyOptimizer();
+    jest.spyOn(optimizer, 'delay').mockResolvedValue();
+    if (store) optimizer.setCheckpointStore(store);
+    return optimizer;
+};
+
+describe('CheckpointStore', () => {
+    test('saves, loads and clears a checkpoint', async () => {
+        const store = new CheckpointStore({ storage: new MemoryStorage() });
+
+        expect(await store.load()).toBeNull();
+        await store.save({ version: 1, evaluations: [] });
+        expect(await store.load()).toEqual({ version: 1, evaluations: [] });
+
+        await store.clear();
+        expect(await store.load()).toBeNull();
+    });
+});
+
+describe('StrategyOptimizer pause and resume', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('pause holds new evaluations until resume', async () => {
+        const optimizer = createOptimizer();
+        let checkpoint = null;
+        const evaluator = createEvaluator(calls => {
+            if (calls === 5) {
+                optimizer.pause().then(saved => {
+                    checkpoint = saved;
+                });
+            }
+        });
+
+        const run = optimizer.optimize(parameters, { ...settings, maxIterations: 20, evaluator });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(optimizer.isPaused).toBe(true);
+        expect(evaluator.calls).toBe(5);
+        expect(checkpoint.paused).toBe(true);
+        expect(checkpoint.customEvaluator).toBe(true);
+        expect(checkpoint.evaluations).toHaveLength(4);
+
+        optimizer.resume();
+        const results = await run;
+
+        expect(results.totalTests).toBe(evaluator.calls);
+        expect(() => optimizer.resume()).toThrow('Optimization is not paused');
+    });
+
+    test('an interrupted deep run resumes where it stopped', async () => {
+        const uninterrupted = await createOptimizer().optimize(parameters, { ...settings, evaluator: createEvaluator() });
+
+        // Stop part-way through the genetic phase; the checkpoint is kept
+        const store = new CheckpointStore({ storage: new MemoryStorage() });
+        const first = createOptimizer(store);
+        const interrupted = createEvaluator(calls => {
+            if (calls === 60) first.stop();
+        });
+        await first.optimize(parameters, { ...settings, checkpointInterval: 7, evaluator: interrupted });
+
+        const checkpoint = await store.load();
+        expect(checkpoint.evaluations).toHaveLength(60);
+        expect(checkpoint.config.seed).toBe(42);
+
+        // A fresh optimizer (e.g. after a reload) finishes the run without repeating work
+        const second = createOptimizer(store);
+        const remaining = createEvaluator();
+        const resumed = await second.resumeFromCheckpoint(checkpoint, { evaluator: remaining });
+
+        expect(remaining.calls).toBe(uninterrupted.totalTests - 60);
+        expect(resumed.totalTests).toBe(uninterrupted.totalTests);
+        expect(resumed.bestResult).toEqual(uninterrupted.bestResult);
+        expect(resumed.topResults).toEqual(uninterrupted.topResults);
+        expect(await store.load()).toBeNull();
+    });
+
+    test('saves periodic checkpoints with the evaluations so far', async () => {
+        const store = new CheckpointStore({ storage: new MemoryStorage() });
+        const optimizer = createOptimizer(store);
+        const saved = [];
+        jest.spyOn(store, 'save').mockImplementation(async checkpoint => {
+            saved.push(checkpoint.evaluations.length);
+        });
+
+        await optimizer.optimize(parameters, {
+            optimizationDepth: 'basic',
+            maxIterations: 25,
+            checkpointInterval: 10,
+            evaluator: 'simulated',
+            evaluatorOptions: { minLatency: 0, maxLatency: 0 }
+        });
+
+        expect(saved).toEqual([10, 20]);
+    });
+
+    test('refuses checkpoints from a different run', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const store = new CheckpointStore({ storage: new MemoryStorage() });
+        const first = createOptimizer(store);
+        const evaluator = createEvaluator(calls => {
+            if (calls === 10) first.stop();
+        });
+        await first.optimize(parameters, { ...settings, evaluator });
+        const checkpoint = await store.load();
+
+        const changed = { ...checkpoint, parameters: parameters.slice(0, 2) };
+        await expect(createOptimizer(store).resumeFromCheckpoint(changed, { evaluator }))
+            .rejects.toThrow('Checkpoint does not match this optimization');
+        await expect(createOptimizer().resumeFromCheckpoint(checkpoint))
+            .rejects.toThrow('pass it in the settings to resume');
+        await expect(createOptimizer().resumeFromCheckpoint({ version: 99 }))
+            .rejects.toThrow('Unsupported optimization checkpoint');
+
+        // The stored checkpoint survives the failed resume
+        expect(await store.load()).toEqual(checkpoint);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Command line tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, parseArgs, parseOhlcvCsv, formatResultsCsv } = require('../cli');
+const { MA_CROSS_SCRIPT, createCsv } = require('./fixtures');
+
+const createStream = () => {
+    const stream = { text: '', write: chunk => { stream.text += chunk; } };
+    return stream;
+};
+
+describe('Command line', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradinghub-cli-'));
+        fs.writeFileSync(path.join(dir, 'ma.pine'), MA_CROSS_SCRIPT);
+        fs.writeFileSync(path.join(dir, 'bars.csv'), createCsv(300, { secondWave: true, startTime: 1700000000, interval: 3600 }));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('parses commands, repeated options and flags', () => {
+        expect(parseArgs(['optimize', 'a.pine', '--data', 'x.csv', '--data=y.csv', '--seed', '4', '--constraint', 'a < b', '--quiet'])).toEqual({
+            command: 'optimize',
+            args: ['a.pine'],
+            options: { data: ['x.csv', 'y.csv'], constraint: ['a < b'], seed: '4', quiet: true }
+        });
+        expect(() => parseArgs(['analyze', '--bogus'])).toThrow('Unknown option: --bogus');
+        expect(() => parseArgs(['optimize', '--data'])).toThrow('--data needs a value');
+    });
+
+    test('reads OHLCV CSV with dates, semicolons and newest-first rows', () => {
+        const bars = parseOhlcvCsv('Date;Open;High;Low;Close\n2024-01-02;2;3;1;2.5\n2024-01-01;1;2;0.5;1.5\n');
+
+        expect(bars).toEqual([
+            { time: Date.parse('2024-01-01'), open: 1, high: 2, low: 0.5, close: 1.5, volume: 0 },
+            { time: Date.parse('2024-01-02'), open: 2, high: 3, low: 1, close: 2.5, volume: 0 }
+        ]);
+        // Unix seconds become milliseconds
+        expect(parseOhlcvCsv('time,open,high,low,close\n1700000000,1,1,1,1')[0].time).toBe(1700000000000);
+        expect(() => parseOhlcvCsv('time,open,close\n1,1,1')).toThrow('missing high, low');
+        expect(() => parseOhlcvCsv('time,open,high,low,close\n1,1,1,1,1\n2,1,x,1,1')).toThrow('CSV line 3: high is not a number');
+    });
+
+    test('writes top results as CSV', () => {
+        const csv = formatResultsCsv({
+            topResults: [
+                { score: 2, parameters: { length: 14, source: 'hl2,close' }, metrics: { sharpeRatio: 2 } },
+                { score: 1, feasible: false, parameters: { length: 20, source: 'close' }, metrics: { sharpeRatio: 1 } }
+            ]
+        }, 1);
+
+        expect(csv).toBe('rank,score,feasible,length,source,sharpeRatio\n1,2,true,14,"hl2,close",2\n');
+    });
+
+    test('analyzes a script', async () => {
+        const stdout = createStream();
+        const code = await run(['analyze', path.join(dir, 'ma.pine'), '--json'], { stdout, stderr: createStream() });
+        const report = JSON.parse(stdout.text);
+
+        expect(code).toBe(0);
+        expect(report.strategy.name).toBe('MA Cross');
+        expect(report.optimizationConfig.parameters.map(param => param.name)).toEqual(['fastLength', 'slowLength']);
+        expect(report.optimizationConfig.constraints).toContain('fastLength < slowLength');
+        expect(report.complexity.score).toEqual(expect.any(Number));
+        expect(report.localBacktest.supported).toBe(true);
+    });
+
+    test('optimizes against a CSV and writes reproducible results', async () => {
+        const optimize = async output => {
+            const stderr = createStream();
+            const code = await run([
+                'optimize', path.join(dir, 'ma.pine'),
+                '--data', path.join(dir, 'bars.csv'),
+                '--algorithm', 'basic', '--iterations', '10', '--seed', '7', '--constraint', 'fastLength < slowLength',
+                '--output', path.join(dir, output)
+            ], { stdout: createStream(), stderr });
+            expect(code).toBe(0);
+            return { stderr: stderr.text, text: fs.readFileSync(path.join(dir, output), 'utf8') };
+        };
+
+        const json = await optimize('results.json');
+        const { settings, results } = JSON.parse(json.text);
+        expect(json.stderr).toContain('Done: ');
+        expect(settings).toMatchObject({ optimizationDepth: 'basic', seed: 7, evaluator: 'backtest', parameterConstraints: ['fastLength < slowLength'] });
+        expect(settings.evaluatorOptions.bars).toBe(300);
+        expect(results.bestResult.parameters.fastLength).toBeLessThan(results.bestResult.parameters.slowLength);
+
+        // Inferred from the extension
+        const csv = await optimize('results.csv');
+        const [header, first] = csv.text.split('\n');
+        expect(header).toMatch(/^rank,score,feasible,fastLength,slowLength,/);
+        expect(first.split(',')[1]).toBe(String(results.topResults[0].score));
+    });
+
+    test('routes library warnings to stderr unless quiet', async () => {
+        // Never trades, so the Monte Carlo analysis is skipped with a warning
+        fs.writeFileSync(path.join(dir, 'flat.pine'), '//@version=5\nstrategy("Flat")\nlength = input.int(5, "Length", minval=2, maxval=10)\naverage = ta.sma(close, length)\n');
+        fs.writeFileSync(path.join(dir, 'monte-carlo.json'), JSON.stringify({ monteCarlo: true }));
+        const optimize = async (...flags) => {
+            const stderr = createStream();
+            await run([
+                'optimize', path.join(dir, 'flat.pine'),
+                '--data', path.join(dir, 'bars.csv'),
+                '--iterations', '5', '--settings', path.join(dir, 'monte-carlo.json'), ...flags
+            ], { stdout: createStream(), stderr });
+            return stderr.text;
+        };
+        const { warn, error } = console;
+
+        expect(await optimize()).toContain('The best result has no closed trades; skipping Monte Carlo analysis');
+        expect(await optimize('--quiet')).toBe('');
+        expect(console.warn).toBe(warn);
+        expect(console.error).toBe(error);
+    });
+
+    test('reports usage and runtime errors with exit codes', async () => {
+        const stderr = createStream();
+        expect(await run(['optimize', path.join(dir, 'ma.pine')], { stdout: createStream(), stderr })).toBe(2);
+        expect(stderr.text).toContain('Optimizing needs OHLCV data');
+
+        const missing = createStream();
+        expect(await run(['optimize', path.join(dir, 'ma.pine'), '--data', path.join(dir, 'none.csv')], { stdout: createStream(), stderr: missing })).toBe(1);
+        expect(missing.text).toMatch(/^Error: ENOENT/);
+
+        expect(await run(['optimize', path.join(dir, 'ma.pine'), '--data', path.join(dir, 'bars.csv'), '--algorithm', 'nope'], { stdout: createStream(), stderr: createStream() })).toBe(2);
+    });
+});
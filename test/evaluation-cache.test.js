@@ -0,0 +1,119 @@
+/**
+ * EvaluationCache tests
+ */
+
+const { EvaluationCache, MemoryCacheStorage } = require('../evaluation-cache');
+const { EvaluatorRegistry } = require('../evaluators');
+const StrategyOptimizer = require('../optimizer');
+
+const parameters = [
+    { name: 'length', type: 'integer', min: 5, max: 25, step: 5, current: 10 },
+    { name: 'maType', type: 'string', options: ['SMA', 'EMA'], current: 'SMA' }
+];
+
+// Deterministic evaluator registered by name, so its results can be cached
+const counting = {
+    calls: 0,
+    async evaluate({ length, maType }) {
+        this.calls++;
+        const score = 50 - Math.abs(length - 15) + (maType === 'EMA' ? 3 : 0);
+        return { score, metrics: { totalReturn: score, trades: 30 } };
+    }
+};
+EvaluatorRegistry.register('counting', () => counting);
+
+describe('EvaluationCache', () => {
+    test('evicts the least recently used entries beyond maxEntries', async () => {
+        const cache = new EvaluationCache({ storage: new MemoryCacheStorage(), maxEntries: 2 });
+
+        await cache.set('a', { score: 1 });
+        await cache.set('b', { score: 2 });
+        await cache.get('a');
+        await cache.set('c', { score: 3 });
+
+        expect(await cache.get('a')).toEqual({ score: 1 });
+        expect(await cache.get('b')).toBeNull();
+        expect(await cache.get('c')).toEqual({ score: 3 });
+    });
+
+    test('keys ignore parameter order, comments and layout but not the data', () => {
+        const scope = EvaluationCache.createScope({ script: 'x = 1 // fast\n\ny = 2', symbol: 'BTCUSD', evaluator: 'backtest' });
+
+        expect(EvaluationCache.createScope({ script: 'x = 1\ny = 2   ', symbol: 'BTCUSD', evaluator: 'backtest' })).toBe(scope);
+        expect(EvaluationCache.createScope({ script: 'x = 1\ny = 2', symbol: 'ETHUSD', evaluator: 'backtest' })).not.toBe(scope);
+        expect(EvaluationCache.createKey(scope, { a: 1, b: 2 })).toBe(EvaluationCache.createKey(scope, { b: 2, a: 1 }));
+        expect(EvaluationCache.createKey(scope, { a: 1 }, { start: 0, end: 50 }))
+            .not.toBe(EvaluationCache.createKey(scope, { a: 1 }, { start: 50, end: 100 }));
+    });
+
+    test('storage failures are treated as misses', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const broken = { get: () => Promise.reject(new Error('quota')), set: () => Promise.reject(new Error('quota')) };
+        const cache = new EvaluationCache({ storage: broken });
+
+        await expect(cache.set('a', { score: 1 })).resolves.toBeUndefined();
+        expect(await cache.get('a')).toBeNull();
+        jest.restoreAllMocks();
+    });
+});
+
+describe('StrategyOptimizer result cache', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        counting.calls = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createOptimizer = () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        optimizer.setEvaluationCache(new EvaluationCache({ storage: new MemoryCacheStorage() }));
+        return optimizer;
+    };
+
+    test('repeat evaluations within and across runs skip the evaluator', async () => {
+        const optimizer = createOptimizer();
+        const settings = {
+            optimizationDepth: 'deep',
+            maxIterations: 60,
+            seed: 7,
+            evaluator: 'counting',
+            cacheResults: true,
+            cacheScope: { script: 'strategy("Test")', symbol: 'BTCUSD', timeframe: '60' }
+        };
+
+        // The genetic phase revisits parameter sets of this small space
+        const first = await optimizer.optimize(parameters, settings);
+        expect(first.summary.cacheHits).toBeGreaterThan(0);
+        expect(counting.calls).toBe(first.totalTests - first.summary.cacheHits);
+
+        counting.calls = 0;
+        const second = await optimizer.optimize(parameters, settings);
+        expect(counting.calls).toBe(0);
+        expect(second.summary.cacheHits).toBe(second.totalTests);
+        expect(second.topResults).toEqual(first.topResults);
+
+        // A different chart is a different cache scope
+        await optimizer.optimize(parameters, { ...settings, cacheScope: { ...settings.cacheScope, symbol: 'ETHUSD' } });
+        expect(counting.calls).toBeGreaterThan(0);
+    });
+
+    test('is off for uncacheable evaluators and when cacheResults is off', async () => {
+        const optimizer = createOptimizer();
+
+        const simulated = await optimizer.optimize(parameters, {
+            optimizationDepth: 'basic',
+            cacheResults: true,
+            evaluator: 'simulated',
+            evaluatorOptions: { minLatency: 0, maxLatency: 0 }
+        });
+        expect(simulated.summary.cacheHits).toBeUndefined();
+
+        await optimizer.optimize(parameters, { optimizationDepth: 'basic', evaluator: 'counting' });
+        await optimizer.optimize(parameters, { optimizationDepth: 'basic', evaluator: 'counting' });
+        expect(counting.calls).toBe(2 * 6);
+    });
+});
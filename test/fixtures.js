@@ -0,0 +1,46 @@
+/**
+ * Shared test fixtures
+ */
+
+// Long-only moving average crossover with two integer inputs
+const MA_CROSS_SCRIPT = `//@version=5
+strategy("MA Cross")
+fastLength = input.int(5, "Fast Length", minval=2, maxval=10)
+slowLength = input.int(20, "Slow Length", minval=12, maxval=30)
+fast = ta.sma(close, fastLength)
+slow = ta.sma(close, slowLength)
+if ta.crossover(fast, slow)
+    strategy.entry("Long", strategy.long)
+else if ta.crossunder(fast, slow)
+    strategy.close("Long")
+`;
+
+/**
+ * OHLCV bars swinging along a sine wave; `secondWave` adds a slower one
+ * so the swings vary in length. Bar i is stamped `startTime + i * interval`
+ */
+const createBars = (count, { secondWave = false, startTime = 0, interval = 1 } = {}) => {
+    const bars = [];
+    let price = 100;
+    for (let i = 0; i < count; i++) {
+        const open = price;
+        price += Math.sin(i / 6) * 2 + (secondWave ? Math.sin(i / 17) : 0);
+        bars.push({
+            time: startTime + i * interval,
+            open,
+            high: Math.max(open, price) + 0.5,
+            low: Math.min(open, price) - 0.5,
+            close: price,
+            volume: 1
+        });
+    }
+    return bars;
+};
+
+// The same bars as a CSV file with a header row
+const createCsv = (count, options) => [
+    'time,open,high,low,close,volume',
+    ...createBars(count, options).map(bar => [bar.time, bar.open, bar.high, bar.low, bar.close, bar.volume].join(','))
+].join('\n');
+
+module.exports = { MA_CROSS_SCRIPT, createBars, createCsv };
@@ -0,0 +1,101 @@
+/**
+ * MonteCarloAnalysis tests
+ */
+
+const MonteCarloAnalysis = require('../monte-carlo');
+const SeededRandom = require('../random');
+const StrategyOptimizer = require('../optimizer');
+const { MA_CROSS_SCRIPT, createBars } = require('./fixtures');
+
+const trade = profit => ({ profit, qty: 1, entryPrice: 100, exitPrice: 100 + profit });
+const trades = [500, -300, 800, -200, -400, 600, 300, -100].map(trade);
+
+describe('MonteCarloAnalysis', () => {
+    test('reshuffling keeps the final equity but spreads the drawdown', () => {
+        const analysis = new MonteCarloAnalysis({ simulations: 500, slippage: 0, random: new SeededRandom(1) });
+        const report = analysis.analyze(trades, { initialCapital: 10000 });
+
+        expect(report.original).toEqual(MonteCarloAnalysis.equityPath(trades.map(t => t.profit), 10000));
+        expect(report.finalEquity.p5).toBeCloseTo(11200);
+        expect(report.finalEquity.p95).toBeCloseTo(11200);
+        expect(report.maxDrawdown.p5).toBeLessThan(report.maxDrawdown.p95);
+        expect(report.maxDrawdown.p50).toBeGreaterThanOrEqual(report.maxDrawdown.p25);
+        expect(report.riskOfRuin).toBe(0);
+    });
+
+    test('bootstrap and slippage vary the final equity', () => {
+        const bootstrap = new MonteCarloAnalysis({ simulations: 500, method: 'bootstrap', slippage: 0, random: new SeededRandom(2) })
+            .analyze(trades, { initialCapital: 10000 });
+        expect(bootstrap.finalEquity.p5).toBeLessThan(bootstrap.finalEquity.p95);
+
+        const slipped = new MonteCarloAnalysis({ simulations: 500, slippage: 1, random: new SeededRandom(2) })
+            .analyze(trades, { initialCapital: 10000 });
+        expect(slipped.finalEquity.p95).toBeLessThan(11200);
+        expect(slipped.finalEquity.p5).toBeLessThan(slipped.finalEquity.p95);
+    });
+
+    test('counts ruined paths and is reproducible with a seed', () => {
+        const losing = [-400, -300, 100, -500].map(trade);
+        const run = seed => new MonteCarloAnalysis({ simulations: 200, method: 'bootstrap', ruinDrawdown: 10, random: new SeededRandom(seed) })
+            .analyze(losing, { initialCapital: 5000 });
+
+        const report = run(3);
+        expect(report.riskOfRuin).toBeGreaterThan(0.5);
+        expect(run(3)).toEqual(report);
+    });
+
+    test('computes percentiles and rejects bad input', () => {
+        expect(MonteCarloAnalysis.distribution([1, 2, 3, 4, 5])).toEqual({ mean: 3, p5: 1.2, p25: 2, p50: 3, p75: 4, p95: 4.8 });
+        expect(() => new MonteCarloAnalysis({ method: 'jackknife' })).toThrow('Unknown Monte Carlo method: jackknife');
+        expect(() => new MonteCarloAnalysis().analyze([])).toThrow('at least one closed trade');
+    });
+});
+
+describe('StrategyOptimizer Monte Carlo stage', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('resamples the best backtest trades after the run', async () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const bars = createBars(300, { secondWave: true });
+
+        const results = await optimizer.optimize(
+            [{ name: 'fastLength', type: 'integer', min: 2, max: 10, step: 2, current: 5 }],
+            {
+                optimizationDepth: 'basic',
+                seed: 5,
+                evaluator: 'backtest',
+                evaluatorOptions: { bars, script: MA_CROSS_SCRIPT },
+                monteCarlo: true,
+                monteCarloSimulations: 200
+            }
+        );
+
+        const { monteCarlo } = results;
+        expect(monteCarlo.simulations).toBe(200);
+        expect(monteCarlo.trades).toBeGreaterThan(0);
+        expect(monteCarlo.initialCapital).toBe(100000);
+        expect(monteCarlo.finalEquity.p5).toBeLessThanOrEqual(monteCarlo.finalEquity.p95);
+        expect(monteCarlo.riskOfRuin).toBeGreaterThanOrEqual(0);
+    });
+
+    test('is skipped for evaluators without a trade list', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+
+        const results = await optimizer.optimize(
+            [{ name: 'length', type: 'integer', min: 5, max: 25, step: 5, current: 10 }],
+            { optimizationDepth: 'basic', monteCarlo: true, evaluatorOptions: { minLatency: 0, maxLatency: 0 } }
+        );
+
+        expect(results.monteCarlo).toBeUndefined();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Monte Carlo analysis needs an evaluator that reports trades'));
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * ParetoRanking tests
+ */
+
+const ParetoRanking = require('../multi-objective');
+const StrategyOptimizer = require('../optimizer');
+
+const result = (name, totalReturn, maxDrawdown) => ({
+    parameters: { name },
+    score: totalReturn,
+    metrics: { totalReturn, maxDrawdown }
+});
+
+const objectives = [
+    { metric: 'totalReturn', direction: 'maximize' },
+    { metric: 'maxDrawdown', direction: 'minimize' }
+];
+
+describe('ParetoRanking', () => {
+    test('checks dominance with objective directions', () => {
+        const ranking = new ParetoRanking(objectives);
+
+        expect(ranking.dominates(result('a', 20, 5), result('b', 10, 8))).toBe(true);
+        expect(ranking.dominates(result('a', 20, 9), result('b', 10, 8))).toBe(false);
+        expect(ranking.dominates(result('a', 10, 8), result('b', 10, 8))).toBe(false);
+        expect(ranking.dominates(result('a', 10, 8), { parameters: {}, metrics: {} })).toBe(true);
+    });
+
+    test('sorts results into non-dominated fronts', () => {
+        const ranking = new ParetoRanking(objectives);
+        const results = [
+            result('safe', 10, 2),
+            result('dominated', 8, 6),
+            result('balanced', 20, 5),
+            result('aggressive', 40, 15),
+            result('worst', 5, 20)
+        ];
+
+        const fronts = ranking.sort(results).map(front => front.map(r => r.parameters.name));
+
+        expect(fronts).toEqual([['safe', 'balanced', 'aggressive'], ['dominated'], ['worst']]);
+        expect(ranking.front([...results, result('balanced', 20, 5)]).map(r => r.parameters.name))
+            .toEqual(['safe', 'balanced', 'aggressive']);
+        expect(ranking.front([...results, { ...result('best', 50, 1), feasible: false }]).map(r => r.parameters.name))
+            .toEqual(['safe', 'balanced', 'aggressive']);
+    });
+
+    test('prefers boundary and sparse points by crowding distance', () => {
+        const ranking = new ParetoRanking(objectives);
+        const front = [result('a', 0, 0), result('b', 9, 9), result('c', 10, 10), result('d', 20, 20)];
+        const distances = ranking.crowdingDistances(front);
+
+        expect(distances.get(front[0])).toBe(Infinity);
+        expect(distances.get(front[3])).toBe(Infinity);
+        expect(distances.get(front[2])).toBeGreaterThan(distances.get(front[1]));
+        expect(ranking.rank(front).map(entry => entry.result.parameters.name)).toEqual(['a', 'd', 'c', 'b']);
+    });
+
+    test('rejects invalid objectives', () => {
+        expect(() => new ParetoRanking([])).toThrow('at least one objective');
+        expect(() => new ParetoRanking([{ metric: 'sharpeRatio', direction: 'up' }]))
+            .toThrow('Invalid objective direction "up" for sharpeRatio');
+    });
+});
+
+describe('StrategyOptimizer multi-objective mode', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('returns the Pareto front of a return/drawdown trade-off', async () => {
+        // Higher leverage raises both return and drawdown; the filter only costs return
+        const evaluator = {
+            async evaluate({ leverage, filter }) {
+                const totalReturn = leverage * 10 - filter;
+                const maxDrawdown = leverage * 4;
+                return { score: totalReturn, metrics: { totalReturn, maxDrawdown } };
+            }
+        };
+
+        const optimizer = new StrategyOptimizer();
+        const results = await optimizer.optimize(
+            [
+                { name: 'leverage', type: 'integer', min: 1, max: 5, step: 1, current: 3 },
+                { name: 'filter', type: 'integer', min: 0, max: 4, step: 1, current: 2 }
+            ],
+            { optimizationDepth: 'multiobjective', maxIterations: 40, objectives, evaluator }
+        );
+
+        expect(results.totalTests).toBe(40);
+        expect(results.objectives).toEqual(objectives);
+        expect(results.paretoFront.length).toBeGreaterThan(1);
+
+        // No tested parameter set beats any point on the front
+        const ranking = new ParetoRanking(objectives);
+        const tested = optimizer.results;
+        results.paretoFront.forEach(point => {
+            expect(tested.some(other => ranking.dominates(other, point))).toBe(false);
+        });
+        expect(results.paretoFront).toContain(results.topResults[0]);
+    });
+});
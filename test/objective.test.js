@@ -0,0 +1,167 @@
+/**
+ * SafeExpression and ObjectiveFunction tests
+ */
+
+const SafeExpression = require('../expression');
+const ObjectiveFunction = require('../objective');
+const StrategyOptimizer = require('../optimizer');
+
+describe('SafeExpression', () => {
+    test('evaluates arithmetic with precedence and functions', () => {
+        const expression = new SafeExpression('sharpeRatio*2 - maxDrawdown/10');
+
+        expect(expression.evaluate({ sharpeRatio: 1.5, maxDrawdown: 20 })).toBe(1);
+        expect([...expression.identifiers]).toEqual(['sharpeRatio', 'maxDrawdown']);
+        expect(expression.isComparison).toBe(false);
+        expect(new SafeExpression('-(1 + 2) * 3 % 4').evaluate()).toBe(-1);
+        expect(new SafeExpression('max(a, 2) + abs(-b) + sqrt(16)').evaluate({ a: 1, b: 3 })).toBe(9);
+        expect(new SafeExpression('1.5e2 + .5').evaluate()).toBe(150.5);
+    });
+
+    test('evaluates comparisons and logical operators', () => {
+        const expression = new SafeExpression('trades >= 50 and (winRate > 40 || not profitable)');
+
+        expect(expression.isComparison).toBe(true);
+        expect(expression.evaluate({ trades: 60, winRate: 45, profitable: true })).toBe(true);
+        expect(expression.evaluate({ trades: 60, winRate: 30, profitable: false })).toBe(true);
+        expect(expression.evaluate({ trades: 60, winRate: 30, profitable: true })).toBe(false);
+        expect(new SafeExpression('a != 1 && a == 2').evaluate({ a: 2 })).toBe(true);
+    });
+
+    test('does not treat inherited object members as variables', () => {
+        expect(() => new SafeExpression('constructor + 1').evaluate({})).toThrow('Unknown variable "constructor"');
+        expect(() => new SafeExpression('toString > 0').evaluate({ trades: 1 })).toThrow('Unknown variable "toString"');
+        expect(() => new SafeExpression('valueOf(1)')).toThrow('Unknown function "valueOf"');
+    });
+
+    test('short-circuits logical operators', () => {
+        const expression = new SafeExpression('enabled and missing > 1');
+
+        expect(expression.evaluate({ enabled: false })).toBe(false);
+        expect(() => expression.evaluate({ enabled: true })).toThrow('Unknown variable "missing"');
+    });
+
+    test('reports syntax errors with their position', () => {
+        expect(() => new SafeExpression('')).toThrow('Expression is empty');
+        expect(() => new SafeExpression('a +')).toThrow('Unexpected end of expression at position 4');
+        expect(() => new SafeExpression('(a + b')).toThrow('Expected ")" at position 7');
+        expect(() => new SafeExpression('a b')).toThrow('Unexpected "b" at position 3');
+        expect(() => new SafeExpression('a = 1')).toThrow('unexpected "=" at position 3');
+        expect(() => new SafeExpression('alert(1)')).toThrow('Unknown function "alert" at position 1');
+    });
+});
+
+describe('ObjectiveFunction', () => {
+    const evaluation = {
+        score: 70,
+        metrics: { sharpeRatio: 1.5, maxDrawdown: 25, trades: 80 }
+    };
+
+    test('scores with the formula and checks constraints', () => {
+        const objective = new ObjectiveFunction({
+            formula: 'sharpeRatio*2 - maxDrawdown/10',
+            constraints: 'trades >= 50\n\nmaxDrawdown <= 20'
+        });
+
+        expect(objective.evaluate(evaluation)).toEqual({
+            score: 0.5,
+            feasible: false,
+            violations: ['maxDrawdown <= 20']
+        });
+        expect(objective.toJSON()).toEqual({
+            formula: 'sharpeRatio*2 - maxDrawdown/10',
+            constraints: ['trades >= 50', 'maxDrawdown <= 20']
+        });
+    });
+
+    test('keeps the evaluator score without a formula', () => {
+        const objective = new ObjectiveFunction({ constraints: ['score > 50'] });
+
+        expect(objective.evaluate(evaluation)).toEqual({ score: 70, feasible: true, violations: [] });
+        expect(objective.toJSON().formula).toBe('score');
+    });
+
+    test('disqualifies non-finite objective values', () => {
+        const objective = new ObjectiveFunction({ formula: 'sharpeRatio / (trades - 80)' });
+
+        expect(objective.evaluate(evaluation)).toEqual({
+            score: 0,
+            feasible: false,
+            violations: ['sharpeRatio / (trades - 80) is not a finite number']
+        });
+    });
+
+    test('validates formula and constraint kinds', () => {
+        expect(() => new ObjectiveFunction({ formula: 'trades > 10' })).toThrow('must be a number');
+        expect(() => new ObjectiveFunction({ constraints: ['trades'] })).toThrow('must be a comparison');
+        expect(ObjectiveFunction.fromSettings({ objectiveFormula: '', objectiveConstraints: [] })).toBeNull();
+        expect(ObjectiveFunction.fromSettings({ objectiveFormula: 'sharpeRatio' })).toBeInstanceOf(ObjectiveFunction);
+    });
+
+    test('rejects unknown metric names when built', () => {
+        expect(() => new ObjectiveFunction({ formula: 'sharpRatio * 2' }))
+            .toThrow('Objective "sharpRatio * 2" refers to unknown metric "sharpRatio"');
+        expect(() => new ObjectiveFunction({ constraints: ['constructor > 0'] }))
+            .toThrow('refers to unknown metric "constructor"');
+        expect(ObjectiveFunction.fromSettings({ objectiveFormula: 'expectancy * trades' }, ['expectancy']))
+            .toBeInstanceOf(ObjectiveFunction);
+    });
+});
+
+describe('StrategyOptimizer objective', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('maximizes the formula and never picks an infeasible result', async () => {
+        // Longer lengths trade fewer times; the evaluator's own score prefers long lengths
+        const evaluator = {
+            async evaluate({ length }) {
+                return {
+                    score: length,
+                    metrics: { sharpeRatio: length / 10, maxDrawdown: 5, trades: 200 - length * 4 }
+                };
+            }
+        };
+
+        const optimizer = new StrategyOptimizer();
+        const results = await optimizer.optimize(
+            [{ name: 'length', type: 'integer', min: 20, max: 40, step: 5, current: 30 }],
+            {
+                optimizationDepth: 'basic',
+                maxIterations: 20,
+                evaluator,
+                objectiveFormula: 'sharpeRatio * 2 - maxDrawdown / 10',
+                objectiveConstraints: ['trades >= 50']
+            }
+        );
+
+        expect(results.bestResult.parameters.length).toBe(30);
+        expect(results.bestResult.score).toBeCloseTo(5.5);
+        expect(results.bestResult.evaluatorScore).toBe(30);
+        expect(results.objective).toEqual({
+            formula: 'sharpeRatio * 2 - maxDrawdown / 10',
+            constraints: ['trades >= 50']
+        });
+
+        const infeasible = optimizer.results.filter(result => !result.feasible);
+        expect(infeasible.map(result => result.parameters.length)).toEqual([40]);
+        expect(infeasible[0].violations).toEqual(['trades >= 50']);
+        expect(results.topResults.every(result => result.feasible)).toBe(true);
+        expect(results.summary.feasibleCount).toBe(optimizer.results.length - 1);
+    });
+
+    test('fails a misspelled formula before evaluating anything', async () => {
+        const evaluator = { evaluate: jest.fn(async () => ({ score: 1, metrics: {} })) };
+
+        await expect(new StrategyOptimizer().optimize(
+            [{ name: 'length', type: 'integer', min: 20, max: 40, step: 5, current: 30 }],
+            { optimizationDepth: 'basic', evaluator, objectiveFormula: 'winrate * 2' }
+        )).rejects.toThrow('unknown metric "winrate"');
+        expect(evaluator.evaluate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * OptimizationEvents tests
+ */
+
+const OptimizationEvents = require('../optimizer-events');
+const StrategyOptimizer = require('../optimizer');
+
+const parameters = [
+    { name: 'length', type: 'integer', min: 5, max: 25, step: 5, current: 10 },
+    { name: 'multiplier', type: 'float', min: 1, max: 3, step: 0.5, current: 2 }
+];
+
+const peakEvaluator = {
+    async evaluate(parameterSet) {
+        const score = 100 - Math.abs(parameterSet.length - 15) - parameterSet.multiplier;
+        return { score, metrics: { totalReturn: score, trades: 10 } };
+    }
+};
+
+const record = optimizer => {
+    const events = [];
+    optimizer.on('*', event => events.push(event));
+    return events;
+};
+
+describe('OptimizationEvents', () => {
+    test('delivers typed events to their own and wildcard listeners', () => {
+        const events = new OptimizationEvents();
+        const starts = [];
+        const all = [];
+        events.on('run-started', event => starts.push(event));
+        events.on('*', event => all.push(event.type));
+
+        events.emit('run-started', { seed: 7 });
+        events.emit('new-best', { result: null });
+
+        expect(starts).toEqual([expect.objectContaining({ type: 'run-started', seed: 7, timestamp: expect.any(Number) })]);
+        expect(all).toEqual(['run-started', 'new-best']);
+    });
+
+    test('unsubscribes, listens once and rejects unknown types', () => {
+        const events = new OptimizationEvents();
+        const seen = [];
+        const unsubscribe = events.on('progress', event => seen.push(`on ${event.current}`));
+        events.once('progress', event => seen.push(`once ${event.current}`));
+
+        events.emit('progress', { current: 1 });
+        unsubscribe();
+        events.emit('progress', { current: 2 });
+
+        expect(seen).toEqual(['on 1', 'once 1']);
+        expect(events.hasListeners('progress')).toBe(false);
+        expect(() => events.on('finished', () => {})).toThrow('Unknown optimization event: finished');
+        expect(() => events.emit('finished')).toThrow('Unknown optimization event: finished');
+    });
+
+    test('a failing listener does not stop the others', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const events = new OptimizationEvents();
+        const seen = [];
+        events.on('phase-started', () => { throw new Error('broken'); });
+        events.on('phase-started', event => seen.push(event.phase));
+
+        events.emit('phase-started', { phase: 'grid' });
+
+        expect(seen).toEqual(['grid']);
+        expect(console.error).toHaveBeenCalled();
+        jest.restoreAllMocks();
+    });
+});
+
+describe('StrategyOptimizer events', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('streams a run from start to finish', async () => {
+        const optimizer = new StrategyOptimizer();
+        optimizer.delay = () => Promise.resolve();
+        const events = record(optimizer);
+
+        const results = await optimizer.optimize(parameters, {
+            optimizationDepth: 'standard',
+            maxIterations: 30,
+            seed: 3,
+            evaluator: peakEvaluator
+        });
+
+        const types = events.map(event => event.type);
+        expect(types[0]).toBe('run-started');
+        expect(types[types.length - 1]).toBe('run-finished');
+        expect(events[0]).toMatchObject({ seed: 3, resumed: false, phases: [{ name: 'grid' }, { name: 'refine' }] });
+        expect(events.filter(event => event.type === 'phase-started').map(event => event.phase)).toEqual(['grid', 'refine']);
+
+        const evaluations = events.filter(event => event.type === 'evaluation-completed');
+        expect(evaluations).toHaveLength(results.totalTests);
+        expect(evaluations[0].result.metrics.trades).toBe(10);
+        expect(evaluations.map(event => event.evaluations)).toEqual(evaluations.map((_, i) => i + 1));
+
+        const bests = events.filter(event => event.type === 'new-best');
+        expect(bests[0].previousScore).toBeNull();
+        expect(bests.every(event => event.previousScore === null || event.result.score > event.previousScore)).toBe(true);
+        expect(bests[bests.length - 1].result).toBe(results.bestResult);
+
+        expect(events[events.length - 1]).toMatchObject({ stopReason: 'completed', totalTests: results.totalTests });
+    });
+
+    test('reports generation statistics of the genetic algorithm', async () => {
+        const optimizer = new StrategyOptimizer();
+        optimizer.delay = () => Promise.resolve();
+        const generations = [];
+        optimizer.on('generation-completed', event => generations.push(event));
+
+        await optimizer.optimize(parameters, {
+            optimizationDepth: 'deep',
+            maxIterations: 30,
+            evaluator: peakEvaluator
+        });
+
+        expect(generations.length).toBeGreaterThan(0);
+        generations.forEach((event, i) => {
+            expect(event).toMatchObject({ generation: i, phase: 'genetic', populationSize: 10, feasible: 10 });
+            expect(event.best).toBeGreaterThanOrEqual(event.mean);
+            expect(event.mean).toBeGreaterThanOrEqual(event.worst);
+            expect(event.stdDev).toBeGreaterThanOrEqual(0);
+        });
+    });
+
+    test('ends a stopped run with run-aborted', async () => {
+        const optimizer = new StrategyOptimizer();
+        optimizer.delay = () => Promise.resolve();
+        const events = record(optimizer);
+        optimizer.on('evaluation-completed', event => {
+            if (event.evaluations === 3) optimizer.stop();
+        });
+
+        await optimizer.optimize(parameters, { optimizationDepth: 'basic', maxIterations: 9, evaluator: peakEvaluator });
+
+        expect(events[events.length - 1]).toMatchObject({ type: 'run-aborted', reason: 'stopped', error: null, totalTests: 3 });
+        expect(events.some(event => event.type === 'run-finished')).toBe(false);
+    });
+
+    test('ends a failed run with run-aborted', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const optimizer = new StrategyOptimizer();
+        const events = record(optimizer);
+
+        await expect(optimizer.optimize(parameters, {
+            optimizationDepth: 'basic',
+            maxIterations: 5,
+            evaluator: { async evaluate() { return { score: NaN }; } }
+        })).rejects.toThrow('Evaluator returned an invalid score');
+
+        expect(events[events.length - 1]).toMatchObject({
+            type: 'run-aborted',
+            reason: 'error',
+            error: 'Evaluator returned an invalid score',
+            totalTests: 0
+        });
+    });
+
+    test('setProgressCallback keeps a single progress listener', async () => {
+        const optimizer = new StrategyOptimizer();
+        optimizer.delay = () => Promise.resolve();
+        const first = [];
+        const second = [];
+        optimizer.setProgressCallback(progress => first.push(progress));
+        optimizer.setProgressCallback(progress => second.push(progress));
+
+        await optimizer.optimize(parameters, { optimizationDepth: 'basic', maxIterations: 4, evaluator: peakEvaluator });
+
+        expect(first).toHaveLength(0);
+        expect(second.map(progress => progress.current)).toEqual([1, 2, 3, 4]);
+        expect(second[0]).toMatchObject({ type: 'progress', phase: 'grid' });
+    });
+});
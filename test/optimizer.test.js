@@ -0,0 +1,423 @@
+/**
+ * StrategyOptimizer tests
+ */
+
+const StrategyOptimizer = require('../optimizer');
+const { EvaluatorRegistry, SimulatedEvaluator, BacktestEvaluator, PortfolioEvaluator } = require('../evaluators');
+
+const parameters = [
+    { name: 'length', type: 'integer', min: 5, max: 25, step: 5, current: 10 },
+    { name: 'multiplier', type: 'float', min: 1, max: 3, step: 0.5, current: 2 }
+];
+
+// Deterministic test double: peaks at length = 15
+const createPeakEvaluator = () => ({
+    calls: [],
+    async evaluate(parameterSet, context) {
+        this.calls.push({ parameterSet, context });
+        const score = 100 - Math.abs(parameterSet.length - 15) - parameterSet.multiplier;
+        return { score, metrics: { totalReturn: score, trades: 10 } };
+    }
+});
+
+describe('StrategyOptimizer evaluators', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('uses an evaluator passed through settings', async () => {
+        const optimizer = new StrategyOptimizer();
+        const evaluator = createPeakEvaluator();
+
+        const results = await optimizer.optimize(parameters, {
+            optimizationDepth: 'basic',
+            maxIterations: 5,
+            evaluator
+        });
+
+        expect(evaluator.calls).toHaveLength(results.totalTests);
+        expect(evaluator.calls[0].context.parameters).toBe(parameters);
+        expect(evaluator.calls[0].context.iteration).toBe(0);
+        expect(results.bestResult.metrics.trades).toBe(10);
+    });
+
+    test('resolves registered evaluators by name', async () => {
+        const evaluator = createPeakEvaluator();
+        EvaluatorRegistry.register('peak', () => evaluator);
+
+        const optimizer = new StrategyOptimizer();
+        await optimizer.optimize(parameters, {
+            optimizationDepth: 'basic',
+            maxIterations: 3,
+            evaluator: 'peak'
+        });
+
+        expect(EvaluatorRegistry.list()).toEqual(expect.arrayContaining(['simulated', 'peak']));
+        expect(evaluator.calls).toHaveLength(3);
+    });
+
+    test('rejects unknown evaluators and invalid scores', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const optimizer = new StrategyOptimizer();
+
+        await expect(optimizer.optimize(parameters, { evaluator: 'missing' }))
+            .rejects.toThrow('Unknown evaluator: missing');
+
+        await expect(optimizer.optimize(parameters, {
+            optimizationDepth: 'basic',
+            evaluator: { evaluate: async () => ({ score: NaN }) }
+        })).rejects.toThrow('Evaluator returned an invalid score');
+
+        expect(optimizer.isOptimizing).toBe(false);
+    });
+
+    test('simulated evaluator reports the standard metric keys', async () => {
+        const evaluator = new SimulatedEvaluator({ minLatency: 0, maxLatency: 0 });
+        const { score, metrics } = await evaluator.evaluate({ length: 10 });
+
+        expect(score).toBeGreaterThanOrEqual(0);
+        expect(score).toBeLessThanOrEqual(100);
+        expect(Object.keys(metrics)).toEqual([
+            'totalReturn', 'sharpeRatio', 'maxDrawdown', 'winRate', 'profitFactor', 'trades'
+        ]);
+    });
+});
+
+// Market double: Sharpe ratio is slope * x + offset, recorded with the context it saw
+EvaluatorRegistry.register('linear-market', ({ slope = 1, offset = 0, dataLength, calls = [] }) => ({
+    dataLength,
+    async evaluate(parameterSet, context) {
+        calls.push(context);
+        const sharpeRatio = slope * parameterSet.x + offset;
+        return { score: sharpeRatio, metrics: { sharpeRatio, trades: 5, maxDrawdown: 10 + offset } };
+    }
+}));
+
+describe('PortfolioEvaluator', () => {
+    const markets = [
+        { symbol: 'AAA', timeframe: '1h', evaluatorOptions: { slope: 1, offset: 0 } },
+        { symbol: 'BBB', timeframe: '1D', evaluatorOptions: { slope: 1, offset: 3 } },
+        { symbol: 'CCC', timeframe: '1D', evaluatorOptions: { slope: 1, offset: -1 } }
+    ];
+
+    test('aggregates the metric across markets with a per-market breakdown', async () => {
+        const scores = {};
+        for (const aggregate of PortfolioEvaluator.aggregates) {
+            const evaluator = EvaluatorRegistry.create('portfolio', { markets, aggregate, evaluator: 'linear-market' });
+            const evaluation = await evaluator.evaluate({ x: 2 });
+            scores[aggregate] = evaluation.score;
+
+            expect(evaluation.breakdown.map(market => [market.symbol, market.timeframe, market.value])).toEqual([
+                ['AAA', '1h', 2], ['BBB', '1D', 5], ['CCC', '1D', 1]
+            ]);
+            expect(evaluation.metrics).toEqual({ sharpeRatio: 8 / 3, trades: 15, maxDrawdown: 13 });
+        }
+
+        expect(scores).toEqual({ mean: 8 / 3, worst: 1, median: 2 });
+        expect(PortfolioEvaluator.combine([4, 1, 3, 2], 'median')).toBe(2.5);
+    });
+
+    test('maps data ranges onto each market and passes the market along', async () => {
+        const daily = [];
+        const hourly = [];
+        const evaluator = new PortfolioEvaluator({
+            evaluator: 'linear-market',
+            markets: [
+                { symbol: 'AAA', timeframe: '1D', evaluatorOptions: { dataLength: 100, calls: daily } },
+                { symbol: 'AAA', timeframe: '4h', evaluatorOptions: { dataLength: 600, calls: hourly } }
+            ]
+        });
+
+        await evaluator.evaluate({ x: 1 }, { seed: 1, dataRange: { start: 80, end: 100 } });
+
+        expect(evaluator.dataLength).toBe(100);
+        expect(daily[0]).toMatchObject({ seed: 1, dataRange: { start: 80, end: 100 }, market: { symbol: 'AAA', timeframe: '1D' } });
+        expect(hourly[0]).toMatchObject({ dataRange: { start: 480, end: 600 }, market: { symbol: 'AAA', timeframe: '4h' } });
+    });
+
+    test('simulated markets differ and backtested markets pool their trades', async () => {
+        const simulated = new PortfolioEvaluator({
+            evaluator: 'simulated',
+            evaluatorOptions: { minLatency: 0, maxLatency: 0 },
+            metric: null,
+            markets: PortfolioEvaluator.parseMarkets('AAA 1h\n\n  BBB  ')
+        });
+        const { breakdown } = await simulated.evaluate({ length: 10 }, { seed: 5, iteration: 0 });
+        expect(breakdown.map(market => [market.symbol, market.timeframe])).toEqual([['AAA', '1h'], ['BBB', null]]);
+        expect(breakdown[0].score).not.toBe(breakdown[1].score);
+        expect(simulated.cacheable).toBe(false);
+        expect(simulated.trades).toBeUndefined();
+
+        const bars = [100, 101, 103, 106].map((close, time) => ({ time, open: close, high: close, low: close, close }));
+        const strategy = () => (s, i) => {
+            if (i === 0) s.entry('Long', 'long', { qty: 1 });
+            if (i === 2) s.close('Long');
+        };
+        const backtested = new PortfolioEvaluator({
+            evaluatorOptions: { strategy },
+            markets: [{ symbol: 'AAA', evaluatorOptions: { bars } }, { symbol: 'BBB', evaluatorOptions: { bars } }]
+        });
+        const { trades, initialCapital } = await backtested.trades({});
+        expect(trades.map(trade => trade.symbol)).toEqual(['AAA', 'BBB']);
+        expect(initialCapital).toBe(2 * (await new BacktestEvaluator({ bars, strategy }).trades({})).initialCapital);
+    });
+
+    test('rejects empty baskets, unknown aggregates and nested portfolios', () => {
+        expect(() => new PortfolioEvaluator({ markets: [] })).toThrow('at least one market');
+        expect(() => new PortfolioEvaluator({ markets, aggregate: 'best', evaluator: 'linear-market' }))
+            .toThrow('Unknown portfolio aggregate: best');
+        expect(() => new PortfolioEvaluator({ markets: [{ symbol: 'AAA', evaluator: 'portfolio' }] }))
+            .toThrow('cannot be portfolios');
+    });
+
+    test('worst-case optimization finds parameters that hold up on every market', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const results = await new StrategyOptimizer().optimize(
+            [{ name: 'x', type: 'integer', min: 0, max: 10, step: 1, current: 0 }],
+            {
+                optimizationDepth: 'basic',
+                maxIterations: 11,
+                evaluator: 'portfolio',
+                evaluatorOptions: {
+                    evaluator: 'linear-market',
+                    aggregate: 'worst',
+                    markets: [
+                        { symbol: 'UP', evaluatorOptions: { slope: 1 } },
+                        { symbol: 'DOWN', evaluatorOptions: { slope: -1, offset: 10 } }
+                    ]
+                }
+            }
+        );
+
+        expect(results.bestResult.parameters).toEqual({ x: 5 });
+        expect(results.bestResult.breakdown.map(market => market.value)).toEqual([5, 5]);
+        jest.restoreAllMocks();
+    });
+});
+
+describe('StrategyOptimizer categorical parameters', () => {
+    const categorical = [
+        { name: 'maType', type: 'string', options: ['SMA', 'EMA', 'WMA'], current: 'EMA' },
+        { name: 'useFilter', type: 'boolean', current: true },
+        { name: 'src', type: 'source', options: ['close', 'hl2', 'ohlc4'], current: 'close' },
+        { name: 'length', type: 'integer', min: 10, max: 30, step: 10, current: 20 }
+    ];
+
+    test('grid search covers every category', () => {
+        const sets = new StrategyOptimizer().generateParameterSets(categorical, 'basic');
+
+        expect(sets).toHaveLength(3 * 2 * 3 * 3);
+        expect(new Set(sets.map(set => set.maType))).toEqual(new Set(['SMA', 'EMA', 'WMA']));
+        expect(new Set(sets.map(set => set.useFilter))).toEqual(new Set([true, false]));
+    });
+
+    test('local search and fine tuning try the other categories', () => {
+        const optimizer = new StrategyOptimizer();
+        const base = { maType: 'EMA', useFilter: true, src: 'close', length: 20 };
+
+        expect(optimizer.generateNeighbors(base, categorical[0]).map(set => set.maType)).toEqual(['SMA', 'WMA']);
+        expect(optimizer.generateNeighbors(base, categorical[1])).toEqual([{ ...base, useFilter: false }]);
+        expect(optimizer.generateParameterVariations(categorical[2], 'hl2')).toEqual(['close', 'ohlc4']);
+    });
+
+    test('mutation switches to a different category', () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer.random, 'next').mockReturnValue(0);
+
+        const individual = { maType: 'SMA', useFilter: true, src: 'close', length: 20 };
+        optimizer.mutate(individual, categorical);
+
+        expect(individual).toEqual({ maType: 'EMA', useFilter: false, src: 'hl2', length: 10 });
+        jest.restoreAllMocks();
+    });
+
+    test('optimizes categorical inputs end to end', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const evaluator = {
+            async evaluate(set) {
+                return { score: (set.maType === 'WMA' ? 10 : 0) + (set.useFilter ? 0 : 5) + set.length / 10 };
+            }
+        };
+
+        const results = await new StrategyOptimizer().optimize(categorical, {
+            optimizationDepth: 'basic',
+            maxIterations: 100,
+            evaluator
+        });
+
+        expect(results.bestResult.parameters).toMatchObject({ maType: 'WMA', useFilter: false, length: 30 });
+        jest.restoreAllMocks();
+    });
+});
+
+describe('StrategyOptimizer walk-forward', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('lays out rolling and anchored windows', () => {
+        const optimizer = new StrategyOptimizer();
+
+        const rolling = optimizer.createWalkForwardWindows(100, { walkForwardWindows: 4, walkForwardInSampleRatio: 0.6 });
+        expect(rolling.map(w => [w.inSample.start, w.inSample.end, w.outOfSample.start, w.outOfSample.end])).toEqual([
+            [0, 28, 28, 46],
+            [18, 46, 46, 64],
+            [36, 64, 64, 82],
+            [54, 82, 82, 100]
+        ]);
+
+        const anchored = optimizer.createWalkForwardWindows(100, { walkForwardWindows: 4, walkForwardInSampleRatio: 0.6, walkForwardAnchored: true });
+        expect(anchored.map(w => w.inSample.start)).toEqual([0, 0, 0, 0]);
+        expect(() => optimizer.createWalkForwardWindows(3, { walkForwardWindows: 5 }))
+            .toThrow('Not enough data for 5 walk-forward windows');
+    });
+
+    test('optimizes each in-sample window and scores the next out-of-sample window', async () => {
+        // The best length drifts with the data: 10 in the first half, 20 in the second
+        const evaluator = {
+            dataLength: 200,
+            ranges: [],
+            async evaluate({ length }, { dataRange }) {
+                this.ranges.push(dataRange);
+                const target = (dataRange.start + dataRange.end) / 2 < 100 ? 10 : 20;
+                const totalReturn = 20 - Math.abs(length - target);
+                return { score: totalReturn, metrics: { totalReturn } };
+            }
+        };
+
+        const results = await new StrategyOptimizer().optimize(
+            [{ name: 'length', type: 'integer', min: 10, max: 20, step: 5, current: 15 }],
+            {
+                optimizationDepth: 'walkforward',
+                walkForwardMethod: 'basic',
+                walkForwardWindows: 2,
+                walkForwardInSampleRatio: 0.5,
+                holdoutRatio: 0,
+                pboTrials: 0,
+                maxIterations: 8,
+                evaluator
+            }
+        );
+
+        const { windows, efficiency } = results.walkForward;
+        expect(windows.map(w => [w.inSample, w.outOfSample, w.parameters.length, w.outOfSampleScore])).toEqual([
+            [{ start: 0, end: 68 }, { start: 68, end: 134 }, 10, 10],
+            [{ start: 66, end: 134 }, { start: 134, end: 200 }, 20, 20]
+        ]);
+        expect(efficiency).toBeCloseTo((30 / 66) / (40 / 68));
+        expect(results.bestResult.dataRange).toEqual(windows[1].outOfSample);
+        expect(results.totalTests).toBe(evaluator.ranges.length);
+        expect(evaluator.ranges.every(range => range.end - range.start > 0)).toBe(true);
+    });
+
+    test('backtest evaluator tests only the requested bars', async () => {
+        const bars = [100, 101, 102, 103, 104, 105].map((close, time) => ({ time, open: close, high: close, low: close, close }));
+        const seen = [];
+        const evaluator = new BacktestEvaluator({ bars, strategy: () => strategy => seen.push(strategy.bar.time) });
+
+        await evaluator.evaluate({}, { dataRange: { start: 2, end: 5 } });
+
+        expect(evaluator.dataLength).toBe(6);
+        expect(seen).toEqual([2, 3, 4]);
+    });
+});
+
+describe('StrategyOptimizer stopping rules and progress', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('stops after the patience runs out without improvement', async () => {
+        const evaluator = { async evaluate() { return { score: 1 }; } };
+
+        const results = await new StrategyOptimizer().optimize(parameters, {
+            optimizationDepth: 'standard',
+            maxIterations: 50,
+            earlyStoppingPatience: 5,
+            evaluator
+        });
+
+        expect(results.totalTests).toBe(6);
+        expect(results.stopReason).toBe('noImprovement');
+        expect(results.bestResult.score).toBe(1);
+    });
+
+    test('stops once the target score is reached', async () => {
+        const results = await new StrategyOptimizer().optimize(parameters, {
+            optimizationDepth: 'basic',
+            maxIterations: 25,
+            targetScore: 84,
+            evaluator: createPeakEvaluator()
+        });
+
+        expect(results.stopReason).toBe('targetScore');
+        expect(results.bestResult.score).toBeGreaterThanOrEqual(84);
+        expect(results.totalTests).toBeLessThan(25);
+    });
+
+    test('stops when the time budget is used up', async () => {
+        let now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        const evaluator = {
+            async evaluate() {
+                now += 1000;
+                return { score: 1 };
+            }
+        };
+
+        const results = await new StrategyOptimizer().optimize(parameters, {
+            optimizationDepth: 'basic',
+            maxIterations: 25,
+            maxDuration: 3,
+            evaluator
+        });
+
+        expect(results.stopReason).toBe('maxDuration');
+        expect(results.totalTests).toBe(3);
+    });
+
+    test('reports completed runs and the evaluations of each phase', async () => {
+        const results = await new StrategyOptimizer().optimize(parameters, {
+            optimizationDepth: 'standard',
+            maxIterations: 40,
+            evaluator: createPeakEvaluator()
+        });
+
+        expect(results.stopReason).toBe('completed');
+        expect(results.phases.map(phase => phase.name)).toEqual(['grid', 'refine']);
+        expect(results.phases.reduce((sum, phase) => sum + phase.evaluations, 0)).toBe(results.totalTests);
+    });
+
+    test('deep progress never runs backwards or past its total', async () => {
+        const optimizer = new StrategyOptimizer();
+        const events = [];
+        optimizer.setProgressCallback(progress => events.push(progress));
+
+        const results = await optimizer.optimize(parameters, {
+            optimizationDepth: 'deep',
+            maxIterations: 30,
+            evaluator: createPeakEvaluator()
+        });
+
+        const percentages = events.map(event => event.percentage);
+        expect(percentages).toEqual([...percentages].sort((a, b) => a - b));
+        expect(Math.max(...percentages)).toBeLessThanOrEqual(100);
+        expect(events.every(event => event.current <= event.total)).toBe(true);
+        expect(events[events.length - 1].current).toBe(results.totalTests);
+        expect(results.phases.reduce((sum, phase) => sum + phase.evaluations, 0)).toBe(results.totalTests);
+        expect(new Set(events.map(event => event.phase))).toEqual(new Set(['grid', 'genetic', 'local']));
+        expect(events.every(event => event.eta === null || event.eta >= 0)).toBe(true);
+    });
+});
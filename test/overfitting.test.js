@@ -0,0 +1,129 @@
+/**
+ * OverfittingAnalysis tests
+ */
+
+const OverfittingAnalysis = require('../overfitting');
+const StrategyOptimizer = require('../optimizer');
+const { SimulatedEvaluator } = require('../evaluators');
+
+describe('OverfittingAnalysis', () => {
+    test('deflates a Sharpe ratio by the number and spread of trials', () => {
+        const trialSharpes = Array.from({ length: 50 }, (_, i) => (i - 25) / 250);
+        const lucky = OverfittingAnalysis.deflatedSharpe({ sharpe: 0.1, trialSharpes, observations: 250 });
+        const strong = OverfittingAnalysis.deflatedSharpe({ sharpe: 0.3, trialSharpes, observations: 250 });
+
+        expect(lucky.trials).toBe(50);
+        expect(lucky.expectedMaxSharpe).toBeGreaterThan(0.1);
+        expect(lucky.probability).toBeLessThan(0.5);
+        expect(strong.probability).toBeGreaterThan(0.95);
+
+        // Negative skew and fat tails make the same Sharpe ratio less convincing
+        const skewed = OverfittingAnalysis.deflatedSharpe({ sharpe: 0.3, trialSharpes, observations: 250, skewness: -2, kurtosis: 10 });
+        expect(skewed.probability).toBeLessThan(strong.probability);
+
+        expect(OverfittingAnalysis.deflatedSharpe({ sharpe: 0.3, trialSharpes: [0.3], observations: 250 })).toBeNull();
+    });
+
+    test('estimates the probability of backtest overfitting', () => {
+        // The in-sample winner always loses out-of-sample
+        expect(OverfittingAnalysis.probabilityOfOverfitting([[10, 0], [0, 10]])).toEqual({
+            probability: 1, combinations: 2, trials: 2, blocks: 2
+        });
+
+        // One trial is best on every block
+        const consistent = OverfittingAnalysis.probabilityOfOverfitting([
+            [5, 6, 5, 7], [1, 2, 1, 2], [3, 2, 4, 3]
+        ]);
+        expect(consistent).toEqual({ probability: 0, combinations: 6, trials: 3, blocks: 4 });
+
+        expect(OverfittingAnalysis.probabilityOfOverfitting([[1, 2, 3]])).toBeNull();
+        expect(OverfittingAnalysis.probabilityOfOverfitting([[1, 2, 3], [3, 2, 1]])).toBeNull();
+    });
+
+    test('provides the normal distribution and return moments', () => {
+        expect(OverfittingAnalysis.normalCdf(1.96)).toBeCloseTo(0.975, 4);
+        expect(OverfittingAnalysis.normalCdf(-1.96)).toBeCloseTo(0.025, 4);
+        expect(OverfittingAnalysis.normalQuantile(0.975)).toBeCloseTo(1.96, 3);
+        expect(OverfittingAnalysis.normalQuantile(0.001)).toBeCloseTo(-3.09, 2);
+        expect(OverfittingAnalysis.combinations(4, 2)).toHaveLength(6);
+        expect(OverfittingAnalysis.moments([1, 1, 1])).toEqual({ skewness: 0, kurtosis: 3 });
+        expect(OverfittingAnalysis.moments([0, 0, 0, 10]).skewness).toBeGreaterThan(0);
+    });
+});
+
+describe('StrategyOptimizer overfitting report', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps the holdout out of the search and reports DSR and PBO', async () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const evaluator = {
+            dataLength: 100,
+            ranges: [],
+            async evaluate({ length }, { dataRange }) {
+                this.ranges.push(dataRange);
+                // Longer lengths do well early and poorly late
+                const score = dataRange.start < 50 ? length : 60 - length;
+                return { score, metrics: { sharpeRatio: score / 10 } };
+            }
+        };
+
+        const results = await optimizer.optimize(
+            [{ name: 'length', type: 'integer', min: 10, max: 50, step: 10, current: 20 }],
+            { optimizationDepth: 'basic', evaluator, pboBlocks: 4, pboTrials: 3 }
+        );
+
+        const searchRanges = evaluator.ranges.slice(0, results.totalTests);
+        expect(searchRanges.every(range => range.start === 0 && range.end === 80)).toBe(true);
+
+        const { holdout, deflatedSharpe, pbo } = results.overfitting;
+        expect(results.bestResult.parameters.length).toBe(50);
+        expect(holdout).toMatchObject({ range: { start: 80, end: 100 }, score: 10, inSampleScore: 50, degradation: 0.8 });
+        expect(deflatedSharpe).toMatchObject({ trials: results.totalTests, observations: 80 });
+        expect(pbo).toMatchObject({ trials: 3, blocks: 4, combinations: 6 });
+        expect(pbo.probability).toBeGreaterThan(0);
+
+        expect(evaluator.ranges).toHaveLength(results.totalTests + 1 + 3 * 4);
+        expect(optimizer.results).toHaveLength(results.totalTests);
+    });
+
+    test('skips the overfitting report without a known data length', async () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const evaluator = {
+            async evaluate({ length }, { dataRange }) {
+                expect(dataRange).toBeUndefined();
+                return { score: length, metrics: { sharpeRatio: length / 10 } };
+            }
+        };
+
+        const results = await optimizer.optimize(
+            [{ name: 'length', type: 'integer', min: 10, max: 50, step: 10, current: 20 }],
+            { optimizationDepth: 'basic', evaluator }
+        );
+
+        expect(results.overfitting).toBeUndefined();
+        expect(results.holdoutRange).toBeUndefined();
+    });
+
+    test('spends no evaluations on overfitting analysis of simulated data', async () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const evaluate = jest.spyOn(SimulatedEvaluator.prototype, 'evaluate');
+
+        const results = await optimizer.optimize(
+            [{ name: 'length', type: 'integer', min: 10, max: 50, step: 10, current: 20 }],
+            { optimizationDepth: 'basic', seed: 3, evaluatorOptions: { minLatency: 0, maxLatency: 0 } }
+        );
+
+        expect(results.overfitting).toBeUndefined();
+        expect(results.holdoutRange).toBeUndefined();
+        expect(evaluate).toHaveBeenCalledTimes(results.totalTests);
+    });
+});
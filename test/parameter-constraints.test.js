@@ -0,0 +1,122 @@
+/**
+ * ParameterConstraints tests
+ */
+
+const ParameterConstraints = require('../parameter-constraints');
+const SeededRandom = require('../random');
+const StrategyOptimizer = require('../optimizer');
+
+const parameters = [
+    { name: 'fastLength', type: 'integer', min: 5, max: 50, step: 5, current: 10 },
+    { name: 'slowLength', type: 'integer', min: 5, max: 50, step: 5, current: 30 },
+    { name: 'useFilter', type: 'boolean', current: false }
+];
+
+describe('ParameterConstraints', () => {
+    test('checks relations between parameters', () => {
+        const constraints = new ParameterConstraints('fastLength < slowLength\n\nslowLength - fastLength >= 10', parameters);
+
+        expect(constraints.toJSON()).toEqual(['fastLength < slowLength', 'slowLength - fastLength >= 10']);
+        expect(constraints.isSatisfied({ fastLength: 10, slowLength: 30 })).toBe(true);
+        expect(constraints.violations({ fastLength: 25, slowLength: 30 })).toEqual(['slowLength - fastLength >= 10']);
+        expect(constraints.violations({ fastLength: 30, slowLength: 30 })).toHaveLength(2);
+    });
+
+    test('rejects constraints that are not comparisons over known parameters', () => {
+        expect(() => new ParameterConstraints(['fastLength + slowLength'], parameters))
+            .toThrow('must be a comparison such as "fastLength < slowLength"');
+        expect(() => new ParameterConstraints(['fastLength < signalLength'], parameters))
+            .toThrow('refers to unknown parameter "signalLength"');
+        expect(ParameterConstraints.fromSettings({ parameterConstraints: [] }, parameters)).toBeNull();
+
+        expect(ParameterConstraints.appliesTo('fastLength < slowLength', parameters)).toBe(true);
+        expect(ParameterConstraints.appliesTo('takeProfit > stopLoss', parameters)).toBe(false);
+    });
+
+    test('repairs a set by resampling the parameters of violated constraints', () => {
+        const constraints = new ParameterConstraints(['fastLength < slowLength'], parameters);
+        const random = new SeededRandom(3);
+        const sample = param => random.integer(param.min, param.max);
+
+        const repaired = constraints.repair({ fastLength: 40, slowLength: 20, useFilter: true }, sample, random);
+        expect(constraints.isSatisfied(repaired)).toBe(true);
+        expect(repaired.useFilter).toBe(true);
+
+        const impossible = new ParameterConstraints(['fastLength > 100'], parameters);
+        expect(impossible.repair({ fastLength: 10, slowLength: 20 }, sample, random, 5)).toBeNull();
+    });
+});
+
+describe('StrategyOptimizer parameter constraints', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createEvaluator = () => ({
+        sets: [],
+        async evaluate(set) {
+            this.sets.push(set);
+            return { score: set.slowLength - set.fastLength, metrics: { totalReturn: set.slowLength, maxDrawdown: set.fastLength, profitFactor: 1 } };
+        }
+    });
+
+    test.each(['basic', 'standard', 'deep', 'bayesian', 'multiobjective', 'annealing', 'pso', 'cmaes'])(
+        '%s only backtests sets that satisfy the constraints',
+        async optimizationDepth => {
+            const optimizer = new StrategyOptimizer();
+            jest.spyOn(optimizer, 'delay').mockResolvedValue();
+            const evaluator = createEvaluator();
+
+            const results = await optimizer.optimize(parameters, {
+                optimizationDepth,
+                maxIterations: 40,
+                seed: 11,
+                evaluator,
+                parameterConstraints: ['fastLength < slowLength']
+            });
+
+            expect(evaluator.sets.length).toBeGreaterThan(0);
+            expect(evaluator.sets.every(set => set.fastLength < set.slowLength)).toBe(true);
+            expect(results.parameterConstraints).toEqual(['fastLength < slowLength']);
+            expect(results.bestResult.parameters.fastLength).toBeLessThan(results.bestResult.parameters.slowLength);
+        }
+    );
+
+    test('records sets that cannot be repaired as infeasible without backtesting them', async () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const evaluator = createEvaluator();
+
+        const results = await optimizer.optimize(parameters, {
+            optimizationDepth: 'bayesian',
+            maxIterations: 5,
+            seed: 2,
+            evaluator,
+            parameterConstraints: ['fastLength > 100']
+        });
+
+        expect(evaluator.sets).toHaveLength(0);
+        expect(optimizer.results).toHaveLength(5);
+        expect(optimizer.results[0]).toMatchObject({ feasible: false, violations: ['fastLength > 100'] });
+        expect(results.bestResult).toBeNull();
+    });
+
+    test('fails a run when no set satisfies the constraints', async () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const evaluator = createEvaluator();
+
+        await expect(optimizer.optimize(parameters, {
+            optimizationDepth: 'basic',
+            maxIterations: 20,
+            evaluator,
+            parameterConstraints: ['fastLength > 100']
+        })).rejects.toThrow('No parameter set satisfies the parameter constraints');
+        expect(evaluator.sets).toHaveLength(0);
+        expect(optimizer.compileResults().summary.averageScore).toBeNull();
+    });
+});
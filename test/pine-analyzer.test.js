@@ -0,0 +1,183 @@
+/**
+ * PineScriptAnalyzer tests
+ */
+
+const PineScriptAnalyzer = require('../pine-analyzer');
+
+const SCRIPT = `//@version=5
+strategy(title = "RSI Reversal", overlay=true)
+
+// length = input.int(99, "Commented out")
+rsiLength = input.int(title="RSI Length", minval=2, defval=14, maxval=50)
+bandMultiplier = input.float(2.5, "Band Multiplier", step=0.25)
+useFilter = input.bool(true, "Use Filter")
+label = input.string("input.int(5)", "Label")
+maLength = input(20, title="MA Length", type=input.integer, minval=5)
+
+rsi = ta.rsi(close, rsiLength)
+basis = ta.sma(close, 50)
+if rsi < 30 and close > basis
+    strategy.entry("Long", strategy.long)
+`;
+
+describe('PineScriptAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        analyzer = new PineScriptAnalyzer();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reads the declaration and inputs from the syntax tree', () => {
+        const result = analyzer.parseScript(SCRIPT);
+
+        expect(result.strategy).toMatchObject({ name: 'RSI Reversal', type: 'strategy', version: 'v5' });
+        expect(result.syntaxErrors).toEqual([]);
+        expect(result.parameters.map(p => [p.name, p.type, p.currentValue, p.title, p.minValue, p.maxValue, p.step, p.line]))
+            .toEqual([
+                ['rsiLength', 'integer', 14, 'RSI Length', 2, 50, 1, 5],
+                ['bandMultiplier', 'float', 2.5, 'Band Multiplier', 1, 100, 0.25, 6],
+                ['useFilter', 'boolean', true, 'Use Filter', null, null, null, 7],
+                ['label', 'string', 'input.int(5)', 'Label', null, null, null, 8],
+                ['maLength', 'integer', 20, 'MA Length', 5, 100, 1, 9]
+            ]);
+        expect(result.optimizationCandidates.map(p => p.name)).toEqual(['rsiLength', 'bandMultiplier', 'useFilter', 'maLength']);
+    });
+
+    test('resolves input arguments in any order and keeps their metadata', () => {
+        const { parameters } = analyzer.parseScript(`//@version=5
+strategy("Inputs")
+stopLength = input.int(group="Risk", maxval=40, tooltip="Bars to trail", defval=10, minval=3, inline="stop", confirm=true)
+maType = input.string("EMA", "MA Type", ["SMA", "EMA", "WMA"], group="Trend")
+period = input.int(20, "Period", [10, 20, 50], "Lookback")
+threshold = input.float(title="Threshold", options=[0.5, 1.5], defval=1.5)
+src = input.source(close, "Source", group="Trend")
+tf = input.timeframe(title="Timeframe", defval="60", options=["15", "60", "240"])
+`);
+
+        const byName = Object.fromEntries(parameters.map(p => [p.name, p]));
+        expect(byName.stopLength).toMatchObject({
+            currentValue: 10,
+            minValue: 3,
+            maxValue: 40,
+            options: null,
+            group: 'Risk',
+            inline: 'stop',
+            tooltip: 'Bars to trail',
+            confirm: true
+        });
+        expect(byName.maType).toMatchObject({ type: 'string', currentValue: 'EMA', options: ['SMA', 'EMA', 'WMA'], group: 'Trend' });
+        expect(byName.period).toMatchObject({ options: [10, 20, 50], tooltip: 'Lookback', minValue: 10, maxValue: 50 });
+        expect(byName.threshold).toMatchObject({ currentValue: 1.5, options: [0.5, 1.5], minValue: 0.5, maxValue: 1.5 });
+        expect(byName.src).toMatchObject({ type: 'source', currentValue: 'close', group: 'Trend', confirm: false });
+        expect(byName.tf).toMatchObject({ type: 'timeframe', currentValue: '60', options: ['15', '60', '240'] });
+    });
+
+    test('offers discrete inputs to the optimizer with their choices', () => {
+        analyzer.parseScript(`//@version=5
+strategy("Choices")
+maType = input.string("EMA", "MA Type", options=["SMA", "EMA"])
+src = input.source(close, "Source")
+tf = input.timeframe("60", "Higher Timeframe", options=["60", "240"])
+period = input.int(20, "Period", options=[10, 20, 50])
+showLabels = input.bool(true, "Show Labels")
+useTrend = input.bool(false, "Trend Filter")
+note = input.string("x", "Note")
+`);
+        const config = analyzer.getOptimizationConfig();
+
+        expect(config.parameters.map(p => [p.name, p.options])).toEqual([
+            ['maType', ['SMA', 'EMA']],
+            ['src', ['open', 'high', 'low', 'close', 'hl2', 'hlc3', 'ohlc4', 'hlcc4']],
+            ['tf', ['60', '240']],
+            ['period', [10, 20, 50]],
+            ['useTrend', [true, false]]
+        ]);
+        expect(config.combinations).toBe(2 * 8 * 2 * 3 * 2);
+    });
+
+    test('suggests constraints for fast/slow and short/long pairs', () => {
+        analyzer.parseScript(`//@version=5
+strategy("Pairs")
+fastLength = input.int(9, "Fast Length")
+slowLength = input.int(21, "Slow Length")
+shortPeriod = input.int(5, "Short Period")
+longPeriod = input.int(50, "Long Period")
+fastMultiplier = input.float(1.5, "Fast Multiplier")
+shortStop = input.float(2, "Short Stop %")
+longStop = input.float(3, "Long Stop %")
+`);
+        const config = analyzer.getOptimizationConfig();
+
+        // shortStop/longStop are trade directions, not windows
+        expect(config.constraints).toEqual(['fastLength < slowLength', 'shortPeriod < longPeriod']);
+        expect(analyzer.generateRecommendations()).toContainEqual({
+            type: 'info',
+            message: 'Suggested parameter constraints: fastLength < slowLength, shortPeriod < longPeriod. Add them in the settings to enforce them.'
+        });
+    });
+
+    test('resolves legacy input() by script version', () => {
+        const legacy = analyzer.parseScript(`//@version=4
+strategy("Legacy")
+len = input(14, "Length", input.integer, 2, 30)
+src = input(close, "Source", type=input.source)
+`).parameters;
+        expect(legacy.map(p => [p.name, p.type, p.minValue, p.maxValue])).toEqual([
+            ['len', 'integer', 2, 30],
+            ['src', 'source', null, null]
+        ]);
+
+        const modern = analyzer.parseScript(`//@version=5
+strategy("Modern")
+len = input(14, "Length", "Tooltip text")
+src = input(hl2, "Source")
+`).parameters;
+        expect(modern.map(p => [p.name, p.type, p.tooltip])).toEqual([
+            ['len', 'integer', 'Tooltip text'],
+            ['src', 'source', null]
+        ]);
+    });
+
+    test('collects numeric variables', () => {
+        analyzer.parseScript(SCRIPT);
+
+        expect(analyzer.strategy.variables).toEqual([
+            { name: 'basis', value: 50, type: 'variable', line: 12 }
+        ]);
+    });
+
+    test('measures complexity from the syntax tree', () => {
+        analyzer.parseScript(SCRIPT);
+        const { complexity } = analyzer.analyzeStrategy();
+
+        expect(complexity).toMatchObject({
+            functions: 9,
+            indicators: 2,
+            conditions: 2,
+            loops: 0,
+            userFunctions: 0,
+            parameters: 5
+        });
+        expect(complexity.score).toBe(analyzer.calculateComplexityScore());
+    });
+
+    test('recommends fixing syntax errors but still finds valid inputs', () => {
+        analyzer.parseScript(`strategy("Broken")
+fastLength = input.int(9, "Fast Length")
+slow = ta.sma(close,, 20)
+slowLength = input.int(21, "Slow Length")
+`);
+        const analysis = analyzer.analyzeStrategy();
+
+        expect(analysis.parameters.map(p => p.name)).toEqual(['fastLength', 'slowLength']);
+        expect(analysis.recommendations[0]).toEqual({
+            type: 'warning',
+            message: 'Script has 1 syntax error(s), first at line 3: Unexpected ",". Parameters there may be missed.'
+        });
+    });
+});
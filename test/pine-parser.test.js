@@ -0,0 +1,148 @@
+/**
+ * PineParser tests
+ */
+
+const { PineLexer, PineParser } = require('../pine-parser');
+
+const parse = source => new PineParser().parse(source);
+
+describe('PineLexer', () => {
+    test('emits layout tokens and skips comments and continuation lines', () => {
+        const tokens = new PineLexer(`//@version=5
+x = ta.sma(close,
+     14) // trailing comment
+if x > 1
+    y = "a // b"
+`).tokenize();
+
+        expect(tokens.map(token => token.type)).toEqual([
+            'identifier', 'operator', 'identifier', 'operator', 'identifier', 'operator', 'identifier',
+            'operator', 'number', 'operator', 'newline',
+            'keyword', 'identifier', 'operator', 'number', 'newline',
+            'indent', 'identifier', 'operator', 'string', 'newline',
+            'dedent', 'eof'
+        ]);
+        expect(tokens.find(token => token.type === 'string')).toMatchObject({
+            value: 'a // b',
+            line: 5,
+            column: 9,
+            end: { line: 5, column: 17 }
+        });
+    });
+});
+
+describe('PineParser', () => {
+    test('records source ranges on every node', () => {
+        const { ast, errors } = parse('//@version=5\nfast = ta.sma(close, 14)\n');
+        const declaration = ast.body[0];
+
+        expect(errors).toEqual([]);
+        expect(ast.version).toBe(5);
+        expect(declaration.range).toEqual({
+            start: { line: 2, column: 1, offset: 13 },
+            end: { line: 2, column: 25, offset: 37 }
+        });
+        expect(declaration.init.arguments[1].value.range.start).toEqual({ line: 2, column: 22, offset: 34 });
+    });
+
+    test('parses loops, switch, functions, tuples and types', () => {
+        const { ast, errors } = parse(`import user/lib/1 as lib
+type Signal
+    float price = na
+    array<float> history
+double(float x, y = 2) => x * y
+total(n) =>
+    sum = 0
+    for i = 0 to n by 2
+        if i > 5
+            break
+        sum += i
+    sum
+[m, s, h] = ta.macd(close, 12, 26, 9)
+for [index, value] in values
+    continue
+while count < 3
+    count += 1
+mode = switch direction
+    "long" => 1
+    "short" => -1
+    => 0
+level = if close > open
+    high
+else
+    low
+buffer = array.new<float>(10, 0)
+`);
+
+        expect(errors).toEqual([]);
+        expect(ast.body.map(node => node.type)).toEqual([
+            'ImportStatement', 'TypeDeclaration', 'FunctionDeclaration', 'FunctionDeclaration',
+            'TupleDeclaration', 'ForInStatement', 'WhileStatement', 'VariableDeclaration',
+            'VariableDeclaration', 'VariableDeclaration'
+        ]);
+
+        const [imported, type, double, total, tuple, forIn, , mode, level, buffer] = ast.body;
+        expect(imported).toMatchObject({ path: 'user/lib/1', alias: 'lib' });
+        expect(type.fields.map(field => [field.name, field.typeAnnotation])).toEqual([
+            ['price', 'float'],
+            ['history', 'array<float>']
+        ]);
+        expect(double.params.map(param => [param.name, param.typeAnnotation, param.defaultValue?.value])).toEqual([
+            ['x', 'float', undefined],
+            ['y', null, 2]
+        ]);
+        expect(total.body[1]).toMatchObject({ type: 'ForStatement', variable: 'i', step: { value: 2 } });
+        expect(tuple.names).toEqual(['m', 's', 'h']);
+        expect(forIn.variables).toEqual(['index', 'value']);
+        expect(mode.init.cases.map(c => c.test?.value ?? null)).toEqual(['long', 'short', null]);
+        expect(level.init).toMatchObject({ type: 'IfStatement', alternate: [expect.any(Object)] });
+        expect(buffer.init.typeArguments).toEqual(['float']);
+    });
+
+    test('accepts keywords as named arguments', () => {
+        const { ast, errors } = parse('len = input(14, type=input.integer)\n');
+
+        expect(errors).toEqual([]);
+        expect(ast.body[0].init.arguments[1].name).toBe('type');
+    });
+
+    test('reports every syntax error and keeps parsing', () => {
+        const { ast, errors } = parse(`a = 1
+if a >
+    b = 2
+c = 1 + * 2
+d = 4 5
+e = 5
+`);
+
+        expect(errors).toEqual([
+            { message: 'Unexpected end of line', line: 2, column: 7 },
+            { message: 'Unexpected "*"', line: 4, column: 9 },
+            { message: 'Unexpected "5" after statement', line: 5, column: 7 }
+        ]);
+        expect(ast.body.map(node => node.name)).toEqual(['a', 'd', 'e']);
+    });
+
+    test('recovers from stray indentation without stalling', () => {
+        expect(parse('x = 1\n    y = 2\n').errors).toEqual([
+            { message: 'Unexpected indentation', line: 2, column: 1 },
+            { message: 'Unexpected end of block', line: 3, column: 1 }
+        ]);
+        expect(parse('a = 1\n    )').ast.body.map(node => node.name)).toEqual(['a']);
+
+        const { ast, errors } = parse('x = switch a\n    1 => 2\n  2 => 3\ny = 1\n');
+        expect(errors[0]).toEqual({ message: 'Unexpected "2" after statement', line: 3, column: 3 });
+        expect(ast.body.map(node => node.name)).toEqual(['y']);
+    });
+
+    test('walks nodes with their parents', () => {
+        const { ast } = parse('if close > open\n    x = ta.ema(close, 9)\n');
+        const calls = [];
+
+        PineParser.walk(ast, (node, parent) => {
+            if (node.type === 'CallExpression') calls.push([PineParser.qualifiedName(node.callee), parent.type]);
+        });
+
+        expect(calls).toEqual([['ta.ema', 'VariableDeclaration']]);
+    });
+});
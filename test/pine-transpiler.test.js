@@ -0,0 +1,151 @@
+/**
+ * PineTranspiler tests
+ */
+
+const PineTranspiler = require('../pine-transpiler');
+const Backtester = require('../backtester');
+const { BacktestEvaluator } = require('../evaluators');
+const { createBars } = require('./fixtures');
+
+const MA_CROSS = `//@version=5
+strategy("MA Cross", overlay=true, initial_capital=10000,
+     commission_type=strategy.commission.cash_per_order, commission_value=1)
+
+fastLength = input.int(5, "Fast Length", minval=1)
+slowLength = input.int(title="Slow Length", defval=12)
+src = input.source(close, "Source")
+
+fast = ta.sma(src, fastLength)
+slow = ta.sma(src, slowLength)
+
+// Enter on golden cross, leave on death cross
+if ta.crossover(fast, slow)
+    strategy.entry("Long", strategy.long, qty=10)
+else if ta.crossunder(fast, slow)
+    strategy.close("Long")
+`;
+
+// Hand-written equivalent of MA_CROSS for comparison
+const handWrittenCross = (fastLength, slowLength) => {
+    const closes = [];
+    let previous = null;
+    const sma = length => (closes.length < length
+        ? NaN
+        : closes.slice(-length).reduce((sum, value) => sum + value, 0) / length);
+
+    return (strategy) => {
+        closes.push(strategy.bar.close);
+        const current = { fast: sma(fastLength), slow: sma(slowLength) };
+
+        if (previous && !Number.isNaN(previous.slow) && !Number.isNaN(current.slow)) {
+            if (current.fast > current.slow && previous.fast <= previous.slow) {
+                strategy.entry('Long', 'long', { qty: 10 });
+            } else if (current.fast < current.slow && previous.fast >= previous.slow) {
+                strategy.close('Long');
+            }
+        }
+        previous = current;
+    };
+};
+
+describe('PineTranspiler', () => {
+    test('extracts inputs and strategy() properties', () => {
+        const result = new PineTranspiler().transpile(MA_CROSS);
+
+        expect(result.success).toBe(true);
+        expect(result.title).toBe('MA Cross');
+        expect(result.inputs.map(input => [input.name, input.type, input.defval])).toEqual([
+            ['fastLength', 'int', 5],
+            ['slowLength', 'int', 12],
+            ['src', 'source', 'close']
+        ]);
+        expect(result.strategyOptions).toEqual({
+            initialCapital: 10000,
+            commissionType: 'cash_per_order',
+            commissionValue: 1
+        });
+    });
+
+    test('produces the same trades as the equivalent JavaScript strategy', () => {
+        const bars = createBars(200);
+        const result = new PineTranspiler().transpile(MA_CROSS);
+
+        const transpiled = result.run(bars, { fastLength: 4, slowLength: 15 });
+        const expected = new Backtester(result.strategyOptions).run(bars, handWrittenCross(4, 15));
+
+        expect(transpiled.trades.length).toBeGreaterThan(0);
+        expect(transpiled.trades).toEqual(expected.trades);
+        expect(transpiled.metrics).toEqual(expected.metrics);
+    });
+
+    test('keeps var state and history references across bars', () => {
+        const script = `strategy("Counter")
+var count = 0
+count := count + 1
+rising = close > close[1] and count[1] >= 2
+if rising
+    strategy.entry("L", strategy.long)
+`;
+        const bars = [100, 99, 98, 101, 102].map((close, i) => ({ time: i, open: close, high: close, low: close, close }));
+        const result = new PineTranspiler().transpile(script).run(bars);
+
+        expect(result.openTrades).toEqual([expect.objectContaining({ entryBar: 4, entryPrice: 102 })]);
+    });
+
+    test('matches reference values for ta.ema and ta.rsi', () => {
+        const values = [];
+        const probe = new PineTranspiler().transpile(`strategy("TA")
+e = ta.ema(close, 3)
+r = ta.rsi(close, 3)
+strategy.entry("L", strategy.long, qty=e, limit=r)
+`);
+        const bars = [10, 11, 12, 11, 13, 14].map((close, i) => ({ time: i, open: close, high: close, low: close, close }));
+        const strategy = probe.createStrategy();
+        new Backtester().run(bars, (ctx, i) => strategy({
+            ...ctx,
+            bar: bars[i],
+            bars,
+            entry: (id, direction, options) => values.push(options)
+        }, i));
+
+        // EMA seeded with SMA(10, 11, 12) = 11, then alpha = 0.5
+        expect(values.map(v => v.qty)).toEqual([undefined, undefined, 11, 11, 12, 13]);
+        // RSI: RMA of gains/losses seeded over the first three changes
+        expect(values[3].limit).toBeCloseTo(100 - 100 / (1 + (2 / 3) / (1 / 3)));
+    });
+
+    test('reports unsupported constructs with line numbers', () => {
+        const result = new PineTranspiler().transpile(`//@version=5
+indicator("Not a strategy")
+for i = 0 to 10
+    x = i
+double(x) => x * 2
+htf = request.security(syminfo.tickerid, "D", close)
+[macd, signal, hist] = ta.macd(close, 12, 26, 9)
+y = undefinedThing + 1
+`);
+
+        expect(result.success).toBe(false);
+        expect(result.diagnostics.map(d => [d.line, d.message])).toEqual([
+            [2, 'Only strategy scripts can be backtested, found indicator()'],
+            [3, '"for" statements are not supported'],
+            [5, 'User-defined function "double" is not supported'],
+            [6, 'Unsupported function "request.security"'],
+            [7, 'Tuple declarations are not supported'],
+            [8, 'Unknown identifier "undefinedThing"']
+        ]);
+        expect(() => result.createStrategy()).toThrow('Script cannot be transpiled: line 2');
+    });
+
+    test('feeds the backtest evaluator from Pine source', async () => {
+        const bars = createBars(200);
+        const evaluator = new BacktestEvaluator({ bars, script: MA_CROSS, scoreMetric: 'totalReturn' });
+
+        const evaluation = await evaluator.evaluate({ fastLength: 4, slowLength: 15 });
+        const direct = new PineTranspiler().transpile(MA_CROSS).run(bars, { fastLength: 4, slowLength: 15 });
+
+        expect(evaluation.metrics).toEqual(direct.metrics);
+        expect(() => new BacktestEvaluator({ bars, script: 'indicator("x")' }))
+            .toThrow('Script cannot be backtested locally: line 1: Only strategy scripts can be backtested');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * SeededRandom and reproducible run tests
+ */
+
+const SeededRandom = require('../random');
+const StrategyOptimizer = require('../optimizer');
+
+describe('SeededRandom', () => {
+    test('repeats the same sequence for the same seed', () => {
+        const a = new SeededRandom(123);
+        const b = new SeededRandom(123);
+        const sequence = Array.from({ length: 5 }, () => a.next());
+
+        expect(Array.from({ length: 5 }, () => b.next())).toEqual(sequence);
+        expect(new SeededRandom(124).next()).not.toBe(sequence[0]);
+        sequence.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+
+    test('hashes string seeds and draws integers, picks and normals', () => {
+        const random = new SeededRandom('run-1');
+
+        expect(random.seed).toBe(SeededRandom.hash('run-1'));
+        expect(SeededRandom.hash('a')).not.toBe(SeededRandom.hash('b'));
+
+        const integers = Array.from({ length: 200 }, () => random.integer(1, 3));
+        expect(new Set(integers)).toEqual(new Set([1, 2, 3]));
+        expect(['x', 'y']).toContain(random.pick(['x', 'y']));
+        expect(Number.isFinite(random.gaussian())).toBe(true);
+    });
+});
+
+describe('StrategyOptimizer reproducibility', () => {
+    const parameters = [
+        { name: 'length', type: 'integer', min: 5, max: 50, step: 1, current: 14 },
+        { name: 'multiplier', type: 'float', min: 1, max: 3, step: 0.1, current: 2 },
+        { name: 'maType', type: 'string', options: ['SMA', 'EMA', 'WMA'], current: 'EMA' }
+    ];
+
+    const run = async (optimizationDepth, seed) => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const results = await optimizer.optimize(parameters, {
+            optimizationDepth,
+            maxIterations: 30,
+            seed,
+            evaluatorOptions: { minLatency: 0, maxLatency: 0 }
+        });
+        return { results, tested: optimizer.results };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test.each(['deep', 'bayesian', 'pso', 'cmaes', 'annealing', 'multiobjective'])(
+        '%s repeats exactly with the same seed',
+        async depth => {
+            const first = await run(depth, 42);
+            const second = await run(depth, 42);
+
+            expect(first.results.seed).toBe(42);
+            expect(second.tested).toEqual(first.tested);
+            expect(second.results.topResults).toEqual(first.results.topResults);
+        }
+    );
+
+    test('different seeds explore differently and unseeded runs record their seed', async () => {
+        const first = await run('deep', 1);
+        const second = await run('deep', 2);
+        const unseeded = await run('basic');
+
+        expect(second.tested).not.toEqual(first.tested);
+        expect(Number.isInteger(unseeded.results.seed)).toBe(true);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * RunHistory tests
+ */
+
+const RunHistory = require('../run-history');
+const { MemoryStorage } = require('../checkpoint-store');
+const StrategyOptimizer = require('../optimizer');
+const { MA_CROSS_SCRIPT } = require('./fixtures');
+
+const results = (score, parameters, metrics = {}) => ({
+    seed: 42,
+    totalTests: 20,
+    duration: 1500,
+    stopReason: 'completed',
+    dataRange: { start: 0, end: 800 },
+    holdoutRange: { start: 800, end: 1000 },
+    bestResult: { score, parameters, metrics },
+    summary: { improvement: 12.5 }
+});
+
+const record = (name, symbol, score, createdAt, extra = {}) => ({
+    ...RunHistory.createRecord(results(score, { length: score }, { sharpeRatio: score / 10, maxDrawdown: 20 - score, trades: 30 }), {
+        script: MA_CROSS_SCRIPT,
+        strategyName: name,
+        symbol,
+        timeframe: '1h',
+        settings: { optimizationDepth: 'standard', maxIterations: 100, ...extra }
+    }),
+    createdAt
+});
+
+describe('RunHistory', () => {
+    test('records what a run ran on and what it found', () => {
+        const entry = RunHistory.createRecord(results(1.5, { length: 14 }, { sharpeRatio: 1.5 }), {
+            script: MA_CROSS_SCRIPT,
+            strategyName: 'MA Cross',
+            symbol: 'BINANCE:BTCUSDT',
+            timeframe: '1h',
+            settings: {
+                optimizationDepth: 'deep',
+                evaluator: { evaluate() {} },
+                evaluatorOptions: { script: MA_CROSS_SCRIPT, bars: new Array(500).fill({ close: 1 }) }
+            }
+        });
+
+        expect(entry).toMatchObject({
+            strategyName: 'MA Cross',
+            symbol: 'BINANCE:BTCUSDT',
+            timeframe: '1h',
+            algorithm: 'deep',
+            seed: 42,
+            dataRange: { start: 0, end: 800 },
+            holdoutRange: { start: 800, end: 1000 },
+            bestScore: 1.5,
+            bestParameters: { length: 14 },
+            metrics: { sharpeRatio: 1.5 },
+            improvement: 12.5
+        });
+        expect(entry.id).toEqual(expect.any(String));
+        expect(entry.settings.evaluator).toBe('custom');
+        expect(entry.settings.evaluatorOptions.bars).toBe(500);
+        expect(entry.settings.evaluatorOptions.script).toBe(entry.scriptHash);
+        // Comments and layout do not change the hash
+        expect(RunHistory.createRecord(results(1, {}), { script: `// MA\n${MA_CROSS_SCRIPT}\n\n` }).scriptHash).toBe(entry.scriptHash);
+    });
+
+    test('stores runs newest first up to the limit', async () => {
+        const history = new RunHistory({ storage: new MemoryStorage(), maxRuns: 2 });
+        const first = await history.add(record('A', 'X', 1, 1));
+        const second = await history.add(record('B', 'X', 2, 2));
+        const third = await history.add(record('C', 'Y', 3, 3));
+
+        expect((await history.all()).map(run => run.id)).toEqual([third.id, second.id]);
+        expect(await history.get(first.id)).toBeNull();
+        expect((await history.get(second.id)).strategyName).toBe('B');
+
+        await history.remove(third.id);
+        expect((await history.all()).map(run => run.strategyName)).toEqual(['B']);
+        await history.clear();
+        expect(await history.all()).toEqual([]);
+    });
+
+    test('filters by text, strategy, symbol and date', async () => {
+        const history = new RunHistory({ storage: new MemoryStorage() });
+        await history.add(record('MA Cross', 'BINANCE:BTCUSDT', 1, 100));
+        await history.add(record('RSI Revert', 'NASDAQ:AAPL', 2, 200));
+        await history.add(record('MA Cross', 'NASDAQ:AAPL', 3, 300));
+
+        const names = runs => runs.map(run => `${run.strategyName}@${run.symbol}`);
+        expect(names(await history.list({ query: 'aapl' }))).toEqual(['MA Cross@NASDAQ:AAPL', 'RSI Revert@NASDAQ:AAPL']);
+        expect(names(await history.list({ strategyName: 'MA Cross' }))).toEqual(['MA Cross@NASDAQ:AAPL', 'MA Cross@BINANCE:BTCUSDT']);
+        expect(names(await history.list({ symbol: 'NASDAQ:AAPL', since: 250 }))).toEqual(['MA Cross@NASDAQ:AAPL']);
+        expect(names(await history.list({ until: 150 }))).toEqual(['MA Cross@BINANCE:BTCUSDT']);
+    });
+
+    test('compares runs side by side', () => {
+        const comparison = RunHistory.compare([
+            record('MA Cross', 'X', 5, 1, { maxIterations: 100 }),
+            record('MA Cross', 'X', 8, 2, { maxIterations: 200 }),
+            record('MA Cross', 'X', 6, 3, { maxIterations: 100 })
+        ]);
+
+        const byName = rows => Object.fromEntries(rows.map(row => [row.name, row]));
+        expect(comparison.runs.map(run => run.label)).toEqual(['MA Cross · X 1h', 'MA Cross · X 1h', 'MA Cross · X 1h']);
+        expect(byName(comparison.summary).bestScore).toMatchObject({ values: [5, 8, 6], best: 1, differs: true });
+        expect(byName(comparison.summary).seed).toMatchObject({ values: [42, 42, 42], differs: false, best: null });
+        expect(byName(comparison.parameters).length.values).toEqual([5, 8, 6]);
+
+        const metrics = byName(comparison.metrics);
+        expect(metrics.sharpeRatio.best).toBe(1);
+        // Lower drawdown is better; trade counts are not ranked
+        expect(metrics.maxDrawdown).toMatchObject({ values: [15, 12, 14], best: 1 });
+        expect(metrics.trades.best).toBeNull();
+
+        expect(comparison.settings).toEqual([{ name: 'maxIterations', values: [100, 200, 100], differs: true, best: null }]);
+        expect(() => RunHistory.compare([record('A', 'X', 1, 1)])).toThrow('at least two runs');
+    });
+
+    test('records an optimizer run with its data range', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const evaluator = {
+            dataLength: 100,
+            async evaluate(parameterSet) {
+                return { score: -Math.abs(parameterSet.length - 15), metrics: { sharpeRatio: 1 } };
+            }
+        };
+        const settings = { optimizationDepth: 'basic', maxIterations: 5, seed: 9, evaluator, pboTrials: 0 };
+        const optimizerResults = await new StrategyOptimizer().optimize(
+            [{ name: 'length', type: 'integer', min: 5, max: 25, step: 5, current: 10 }],
+            settings
+        );
+
+        const entry = RunHistory.createRecord(optimizerResults, { script: MA_CROSS_SCRIPT, strategyName: 'MA Cross', settings });
+
+        expect(entry).toMatchObject({
+            seed: 9,
+            algorithm: 'basic',
+            dataRange: { start: 0, end: 80 },
+            holdoutRange: { start: 80, end: 100 },
+            totalTests: optimizerResults.totalTests,
+            bestParameters: optimizerResults.bestResult.parameters
+        });
+        expect(entry.settings.evaluator).toBe('custom');
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * ParameterSampler tests
+ */
+
+const ParameterSampler = require('../samplers');
+const SeededRandom = require('../random');
+const StrategyOptimizer = require('../optimizer');
+
+const seededOptimizer = seed => {
+    const optimizer = new StrategyOptimizer();
+    optimizer.random = new SeededRandom(seed);
+    return optimizer;
+};
+
+describe('ParameterSampler', () => {
+    test('generates the Sobol sequence', () => {
+        expect(ParameterSampler.sobol(2, 5)).toEqual([
+            [0.5, 0.5],
+            [0.75, 0.25],
+            [0.25, 0.75],
+            [0.375, 0.375],
+            [0.875, 0.875]
+        ]);
+        expect(() => ParameterSampler.sobol(22, 1)).toThrow('Sobol sampling supports up to 21 parameters');
+    });
+
+    test('uses every Latin hypercube stratum once per dimension', () => {
+        const points = ParameterSampler.latinHypercube(3, 8, new SeededRandom(4));
+
+        for (let d = 0; d < 3; d++) {
+            const strata = points.map(point => Math.floor(point[d] * 8)).sort((a, b) => a - b);
+            expect(strata).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+        }
+    });
+
+    test('enumerates small grids in full and samples large ones without starving any parameter', () => {
+        const small = [
+            { name: 'a', type: 'integer', min: 0, max: 2, step: 1 },
+            { name: 'b', type: 'boolean' }
+        ];
+        const sets = [...new ParameterSampler(small, seededOptimizer(1), { density: 3 }).sample('grid')];
+        expect(sets).toHaveLength(6);
+        expect(new Set(sets.map(set => JSON.stringify(set))).size).toBe(6);
+
+        // 10^6 combinations; the old recursive grid only ever varied the first parameters
+        const large = ['a', 'b', 'c', 'd', 'e', 'f'].map(name => ({ name, type: 'integer', min: 1, max: 10, step: 1 }));
+        const sampler = new ParameterSampler(large, seededOptimizer(2), { density: 10 });
+        const sample = [];
+        for (const set of sampler.sample('grid', 300)) {
+            sample.push(set);
+            if (sample.length === 300) break;
+        }
+        expect(new Set(sample.map(set => JSON.stringify(set))).size).toBe(300);
+        expect(new Set(sample.map(set => set.f)).size).toBe(10);
+        expect(new Set(sample.map(set => set.a)).size).toBe(10);
+    });
+
+    test('maps log-scale ranges evenly in log space', () => {
+        const param = { name: 'threshold', type: 'float', min: 0.001, max: 1, scale: 'log' };
+
+        expect(ParameterSampler.fromUnit(param, 0.5)).toBeCloseTo(Math.sqrt(0.001));
+        expect(ParameterSampler.toUnit(param, 0.01)).toBeCloseTo(1 / 3);
+
+        const steps = new StrategyOptimizer().generateParameterSteps({ ...param, min: 1, max: 1000 }, 4);
+        steps.forEach((value, i) => expect(value).toBeCloseTo(10 ** i));
+    });
+});
+
+describe('StrategyOptimizer sampling', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const run = async (parameters, settings) => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const sets = [];
+        const evaluator = {
+            async evaluate(set) {
+                sets.push(set);
+                return { score: Object.values(set).reduce((sum, value) => sum + Number(value), 0), metrics: {} };
+            }
+        };
+        const results = await optimizer.optimize(parameters, { optimizationDepth: 'basic', seed: 8, evaluator, ...settings });
+        return { results, sets };
+    };
+
+    test('spreads the basic phase with a Latin hypercube or Sobol design', async () => {
+        const parameters = [
+            { name: 'length', type: 'integer', min: 1, max: 100, step: 1, current: 10 },
+            { name: 'factor', type: 'float', min: 0.01, max: 10, scale: 'log', current: 1 }
+        ];
+
+        const latin = await run(parameters, { samplingMethod: 'latin', maxIterations: 10 });
+        expect(latin.sets).toHaveLength(10);
+        expect(latin.sets.map(set => Math.floor((set.length - 1) / 10)).sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+        const sobol = await run(parameters, { samplingMethod: 'sobol', maxIterations: 4 });
+        expect(sobol.sets.map(set => set.length)).toEqual([51, 75, 26, 38]);
+        expect(sobol.sets[0].factor).toBeCloseTo(Math.sqrt(0.1));
+
+        await expect(run(parameters, { samplingMethod: 'halton' })).rejects.toThrow('Unknown sampling method: halton');
+    });
+
+    test.each(['latin', 'sobol'])('%s designs run the full budget under parameter constraints', async samplingMethod => {
+        const { results, sets } = await run(
+            [
+                { name: 'fast', type: 'integer', min: 2, max: 50, step: 1, current: 10 },
+                { name: 'slow', type: 'integer', min: 10, max: 100, step: 1, current: 30 }
+            ],
+            { samplingMethod, maxIterations: 40, parameterConstraints: ['fast < slow'], holdoutRatio: 0 }
+        );
+
+        expect(results.totalTests).toBe(40);
+        expect(sets.every(set => set.fast < set.slow)).toBe(true);
+        expect(new Set(sets.map(set => JSON.stringify(set))).size).toBe(40);
+    });
+
+    test('searches only the listed values of a value-list parameter', async () => {
+        const { sets } = await run(
+            [{ name: 'length', type: 'integer', min: 1, max: 100, values: [7, 21, 63], current: 21 }],
+            { optimizationDepth: 'deep', maxIterations: 30 }
+        );
+
+        expect(sets.length).toBeGreaterThan(3);
+        expect(sets.every(set => [7, 21, 63].includes(set.length))).toBe(true);
+    });
+
+    test('rejects log-scale ranges that are not positive', async () => {
+        await expect(run([{ name: 'offset', type: 'float', min: 0, max: 1, scale: 'log', current: 0.5 }], {}))
+            .rejects.toThrow('Parameter "offset" uses a log scale and needs 0 < min < max');
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * SensitivityAnalysis tests
+ */
+
+const SensitivityAnalysis = require('../sensitivity');
+const StrategyOptimizer = require('../optimizer');
+
+// A lone spike at 20 and a broad, slightly lower plateau from 26 to 44
+const spikeScore = ({ length }) => (length === 20 ? 100 : length >= 26 && length <= 44 ? 92 : 40);
+const lengthParam = { name: 'length', type: 'integer', min: 0, max: 50, step: 1, current: 20 };
+
+describe('SensitivityAnalysis', () => {
+    test('recommends the center of the widest plateau over a spike', async () => {
+        const evaluated = [];
+        const analysis = new SensitivityAnalysis({ steps: 10, range: 0.5, tolerance: 0.1 });
+        const best = { parameters: { length: 20 }, score: 100, metrics: {} };
+
+        const report = await analysis.analyze(best, [lengthParam], async parameterSet => {
+            evaluated.push(parameterSet.length);
+            return { parameters: parameterSet, score: spikeScore(parameterSet), metrics: {} };
+        });
+
+        const [entry] = report.parameters;
+        expect(entry.values.map(point => point.value)).toEqual(
+            [0, 3, 5, 8, 10, 13, 15, 18, 20, 23, 25, 28, 30, 33, 35, 38, 40, 43, 45]
+        );
+        expect(entry.plateau).toEqual({ start: 28, end: 43, width: 15, center: 36 });
+        expect(entry.stability).toBeCloseTo(7 / 18);
+        expect(entry.sensitivity).toBeCloseTo(0.6);
+        expect(report.recommended).toEqual({ parameters: { length: 36 }, score: 92, metrics: {}, feasible: true, isBest: false });
+        expect(evaluated).not.toContain(20);
+    });
+
+    test('sweeps categories and keeps a best result that is already stable', async () => {
+        const parameters = [
+            { name: 'maType', type: 'string', options: ['SMA', 'EMA', 'WMA'], current: 'EMA' },
+            { name: 'length', type: 'integer', min: 10, max: 30, step: 1, current: 20 }
+        ];
+        const score = set => (set.maType === 'SMA' ? 50 : 80);
+        const best = { parameters: { maType: 'EMA', length: 20 }, score: 80, metrics: {} };
+
+        const report = await new SensitivityAnalysis({ steps: 2 }).analyze(best, parameters, async set => ({
+            parameters: set, score: score(set), metrics: {}
+        }));
+
+        expect(report.parameters[0]).toMatchObject({ name: 'maType', stability: 0.5, plateau: null });
+        expect(report.parameters[1].values.map(point => point.value)).toEqual([15, 18, 20, 23, 25]);
+        expect(report.parameters[1].stability).toBe(1);
+        expect(report.stability).toBe(0.75);
+        expect(report.recommended.isBest).toBe(true);
+    });
+});
+
+describe('StrategyOptimizer sensitivity stage', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('analyzes the best result after the search, reusing known results', async () => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        // The grid tests 0, 25 and 50; 25 is a spike next to a plateau from 35 to 50
+        const evaluator = {
+            calls: 0,
+            async evaluate({ length }) {
+                this.calls++;
+                return { score: length === 25 ? 100 : length >= 35 ? 92 : 40, metrics: {} };
+            }
+        };
+
+        const results = await optimizer.optimize([{ ...lengthParam, step: 5 }], {
+            optimizationDepth: 'basic',
+            maxIterations: 20,
+            evaluator,
+            sensitivityAnalysis: true,
+            sensitivityRange: 0.5,
+            sensitivitySteps: 5
+        });
+
+        const { sensitivity } = results;
+        expect(results.totalTests).toBe(3);
+        expect(sensitivity.parameters[0].values.map(point => point.value)).toEqual([0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50]);
+        expect(sensitivity.parameters[0].plateau).toEqual({ start: 35, end: 50, width: 15, center: 45 });
+        expect(sensitivity.recommended).toMatchObject({ parameters: { length: 45 }, score: 92 });
+        expect(evaluator.calls).toBe(3 + 8);
+    });
+});
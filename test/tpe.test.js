@@ -0,0 +1,110 @@
+/**
+ * TreeParzenEstimator tests
+ */
+
+const TreeParzenEstimator = require('../tpe');
+const StrategyOptimizer = require('../optimizer');
+
+// Small deterministic generator so the search is reproducible
+const lcg = (seed = 42) => () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+const parameters = [
+    { name: 'length', type: 'integer', min: 5, max: 95, step: 5, current: 50 },
+    { name: 'multiplier', type: 'float', min: 0.5, max: 4, step: 0.1, current: 2 },
+    { name: 'source', type: 'string', options: ['open', 'close', 'hl2'], current: 'close' },
+    { name: 'useFilter', type: 'boolean', current: false }
+];
+
+// Peak at length 30, multiplier 1.5, source hl2 with the filter on
+const objective = ({ length, multiplier, source, useFilter }) =>
+    100 - Math.abs(length - 30) - Math.abs(multiplier - 1.5) * 10 +
+    (source === 'hl2' ? 10 : 0) + (useFilter ? 10 : 0);
+
+const search = (estimator, trials) => {
+    const results = [];
+    for (let i = 0; i < trials; i++) {
+        const parameterSet = estimator.suggest(results);
+        results.push({ parameters: parameterSet, score: objective(parameterSet) });
+    }
+    return results;
+};
+
+describe('TreeParzenEstimator', () => {
+    test('proposes values inside the bounds of every dimension type', () => {
+        const estimator = new TreeParzenEstimator(parameters, { startupTrials: 5, random: lcg(1) });
+
+        search(estimator, 40).forEach(({ parameters: set }) => {
+            expect(set.length % 5).toBe(0);
+            expect(set.length).toBeGreaterThanOrEqual(5);
+            expect(set.length).toBeLessThanOrEqual(95);
+            expect(set.multiplier).toBeGreaterThanOrEqual(0.5);
+            expect(set.multiplier).toBeLessThanOrEqual(4);
+            expect(['open', 'close', 'hl2']).toContain(set.source);
+            expect(typeof set.useFilter).toBe('boolean');
+        });
+    });
+
+    test('samples at random until the startup trials are done', () => {
+        const estimator = new TreeParzenEstimator(parameters, { startupTrials: 3, random: lcg(2) });
+        const spy = jest.spyOn(estimator, 'sampleRandom');
+
+        search(estimator, 5);
+
+        expect(spy).toHaveBeenCalledTimes(3);
+    });
+
+    test('concentrates proposals near the optimum', () => {
+        const estimator = new TreeParzenEstimator(parameters, { startupTrials: 10, random: lcg(3) });
+        const results = search(estimator, 60);
+
+        const late = results.slice(40).map(result => result.parameters);
+        const early = results.slice(0, 10).map(result => result.parameters);
+        const distance = sets => sets.reduce((sum, set) => sum + Math.abs(set.length - 30), 0) / sets.length;
+
+        expect(distance(late)).toBeLessThan(distance(early));
+        expect(late.filter(set => set.source === 'hl2').length).toBeGreaterThan(late.length / 3);
+        expect(Math.max(...results.map(result => result.score))).toBeGreaterThan(110);
+    });
+
+    test('weights categories by frequency with a pseudo-count', () => {
+        const estimator = new TreeParzenEstimator(parameters);
+
+        expect(estimator.categoryWeights(['a', 'b'], ['a', 'a', 'a'])).toEqual([0.8, 0.2]);
+        expect(estimator.density(parameters[3], [true], true, 1)).toBeCloseTo(2 / 3);
+        expect(estimator.density(parameters[0], [], 50, 10)).toBeCloseTo(1 / 90);
+    });
+});
+
+describe('StrategyOptimizer Bayesian mode', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('starts from current values and runs the full budget', async () => {
+        const evaluator = {
+            async evaluate(set) {
+                return { score: objective(set), metrics: {} };
+            }
+        };
+
+        const optimizer = new StrategyOptimizer();
+        const results = await optimizer.optimize(parameters, {
+            optimizationDepth: 'bayesian',
+            maxIterations: 25,
+            evaluator
+        });
+
+        expect(results.totalTests).toBe(25);
+        expect(optimizer.results[0].parameters).toEqual({
+            length: 50, multiplier: 2, source: 'close', useFilter: false
+        });
+        expect(results.bestResult.score).toBeGreaterThan(optimizer.results[0].score);
+    });
+});
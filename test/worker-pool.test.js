@@ -0,0 +1,163 @@
+/**
+ * EvaluationWorkerPool tests
+ */
+
+const { EvaluationWorkerPool } = require('../worker-pool');
+const StrategyOptimizer = require('../optimizer');
+const { MA_CROSS_SCRIPT, createBars } = require('./fixtures');
+
+// In-process stand-in for a Web Worker; replies when release() is called
+const createFakeWorker = log => () => {
+    const worker = {
+        messages: [],
+        postMessage(message) {
+            this.messages.push(message);
+            log.push(message);
+        },
+        release(evaluation) {
+            const message = this.messages.find(m => m.type === 'evaluate' && !m.done);
+            message.done = true;
+            this.onmessage({ data: { id: message.id, ...evaluation } });
+        },
+        terminate: jest.fn()
+    };
+    log.workers.push(worker);
+    return worker;
+};
+
+describe('EvaluationWorkerPool', () => {
+    test('initializes every worker and hands tasks to idle workers', async () => {
+        const log = [];
+        log.workers = [];
+        const pool = new EvaluationWorkerPool({
+            size: 2,
+            createWorker: createFakeWorker(log),
+            evaluator: 'simulated',
+            evaluatorOptions: { minLatency: 0 }
+        });
+
+        const first = pool.evaluate({ length: 1 }, { iteration: 0, seed: 7, config: { evaluator: {} } });
+        const second = pool.evaluate({ length: 2 }, { iteration: 1, seed: 7 });
+        const third = pool.evaluate({ length: 3 }, { iteration: 2, seed: 7 });
+
+        expect(log.filter(m => m.type === 'init')).toHaveLength(2);
+        expect(log.filter(m => m.type === 'evaluate').map(m => m.parameterSet.length)).toEqual([1, 2]);
+        expect(log[2].context).toEqual({ iteration: 0, seed: 7, dataRange: undefined });
+
+        log.workers[1].release({ evaluation: { score: 2 } });
+        await expect(second).resolves.toEqual({ score: 2 });
+        expect(log.workers[1].messages[2].parameterSet).toEqual({ length: 3 });
+
+        log.workers[0].release({ error: 'boom' });
+        await expect(first).rejects.toThrow('boom');
+
+        pool.terminate();
+        await expect(third).rejects.toThrow('Evaluation cancelled');
+        expect(log.workers[0].terminate).toHaveBeenCalled();
+    });
+
+    test('cancels queued tasks only', async () => {
+        const log = [];
+        log.workers = [];
+        const pool = new EvaluationWorkerPool({ size: 1, createWorker: createFakeWorker(log), evaluator: 'simulated' });
+
+        const running = pool.evaluate({ length: 1 });
+        const queued = pool.evaluate({ length: 2 });
+        pool.cancelPending();
+
+        await expect(queued).rejects.toMatchObject({ cancelled: true });
+        log.workers[0].release({ evaluation: { score: 1 } });
+        await expect(running).resolves.toEqual({ score: 1 });
+        pool.terminate();
+    });
+
+    test('drops crashed workers and fails once none are left', async () => {
+        const log = [];
+        log.workers = [];
+        const pool = new EvaluationWorkerPool({ size: 2, createWorker: createFakeWorker(log), evaluator: 'simulated' });
+
+        const first = pool.evaluate({ length: 1 });
+        const second = pool.evaluate({ length: 2 });
+        const third = pool.evaluate({ length: 3 });
+        const fourth = pool.evaluate({ length: 4 });
+
+        log.workers[0].onerror(new Error('out of memory'));
+        await expect(first).rejects.toThrow('Evaluation worker failed: out of memory');
+        expect(log.workers[0].terminate).toHaveBeenCalled();
+        expect(pool.size).toBe(1);
+
+        // The surviving worker takes the queue
+        log.workers[1].release({ evaluation: { score: 2 } });
+        await expect(second).resolves.toEqual({ score: 2 });
+        expect(log.workers[1].messages.filter(m => m.type === 'evaluate').map(m => m.parameterSet.length)).toEqual([2, 3]);
+
+        log.workers[1].onerror(new Error('crashed'));
+        await expect(third).rejects.toThrow('Evaluation worker failed: crashed');
+        await expect(fourth).rejects.toThrow('no evaluation workers left');
+        await expect(pool.evaluate({ length: 5 })).rejects.toThrow('no evaluation workers left');
+        pool.terminate();
+    });
+
+    test('detects options that cannot be sent to workers', () => {
+        expect(EvaluationWorkerPool.isCloneable({ bars: [{ close: 1 }], script: 'x' })).toBe(true);
+        expect(EvaluationWorkerPool.isCloneable({ strategy: () => {} })).toBe(false);
+    });
+});
+
+describe('StrategyOptimizer parallel processing', () => {
+    const parameters = [
+        { name: 'fastLength', type: 'integer', min: 2, max: 10, step: 1, current: 5 },
+        { name: 'slowLength', type: 'integer', min: 12, max: 30, step: 2, current: 20 }
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const run = async settings => {
+        const optimizer = new StrategyOptimizer();
+        jest.spyOn(optimizer, 'delay').mockResolvedValue();
+        const progress = [];
+        optimizer.setProgressCallback(update => progress.push(update.current));
+        const results = await optimizer.optimize(parameters, { maxIterations: 24, seed: 5, ...settings });
+        return { optimizer, results, progress };
+    };
+
+    test('backtests on worker threads with the same results as sequential runs', async () => {
+        const settings = {
+            optimizationDepth: 'deep',
+            evaluator: 'backtest',
+            evaluatorOptions: { bars: createBars(300), script: MA_CROSS_SCRIPT },
+            // Overfitting evaluations are not results; leave them out of the counts
+            holdoutRatio: 0,
+            pboTrials: 0
+        };
+
+        const sequential = await run(settings);
+        const dispatched = jest.spyOn(EvaluationWorkerPool.prototype, 'evaluate');
+        const parallel = await run({ ...settings, parallelProcessing: true, workerPoolSize: 2 });
+
+        expect(dispatched).toHaveBeenCalledTimes(parallel.optimizer.results.length);
+
+        expect(parallel.optimizer.results).toEqual(sequential.optimizer.results);
+        expect(parallel.results.bestResult).toEqual(sequential.results.bestResult);
+        expect(parallel.optimizer.workerPool).toBeNull();
+
+        // Every completed evaluation is reported once, without going past the total
+        expect(parallel.progress).toHaveLength(parallel.optimizer.results.length);
+        expect(Math.max(...parallel.progress)).toBe(parallel.optimizer.results.length);
+    });
+
+    test('falls back to sequential evaluation for evaluators that cannot be cloned', async () => {
+        const evaluator = { evaluate: async set => ({ score: set.fastLength, metrics: {} }) };
+        const { results } = await run({ optimizationDepth: 'basic', parallelProcessing: true, evaluator });
+
+        expect(results.totalTests).toBeGreaterThan(0);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('evaluating sequentially'));
+    });
+});
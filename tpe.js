@@ -0,0 +1,190 @@
+/**
+ * TradingHub.Mk Tree-structured Parzen Estimator
+ * Sample-efficient Bayesian search over mixed integer, float and
+ * categorical parameters
+ *
+ * Tested parameter sets are split into the best gamma * sqrt(n) and the
+ * rest, as in hyperopt, so the prior keeps every category reachable as
+ * results accumulate. Each dimension gets a Parzen density for both groups (Gaussian
+ * kernels for numbers, smoothed frequencies for categories); candidates are
+ * drawn from the good density and the one with the highest good/bad
+ * likelihood ratio is proposed next.
+ */
+
+class TreeParzenEstimator {
+    /**
+     * `parameters` use the optimizer's shape ({ name, type, min, max, step, options })
+     */
+    constructor(parameters, options = {}) {
+        this.parameters = parameters;
+        this.gamma = options.gamma ?? 0.25;
+        this.candidates = options.candidates ?? 24;
+        this.startupTrials = options.startupTrials ?? 10;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Propose the next parameter set from the results tested so far.
+     * `fitness` maps a result to the value being maximized.
+     */
+    suggest(results, fitness = result => result.score) {
+        if (results.length < this.startupTrials) {
+            return this.sampleRandom();
+        }
+
+        const sorted = [...results].sort((a, b) => {
+            const difference = fitness(b) - fitness(a);
+            return Number.isNaN(difference) ? 0 : difference;
+        });
+        const goodCount = Math.max(1, Math.ceil(this.gamma * Math.sqrt(sorted.length)));
+        const good = sorted.slice(0, goodCount).map(result => result.parameters);
+        const bad = sorted.slice(goodCount).map(result => result.parameters);
+
+        const tested = new Set(results.map(result => JSON.stringify(result.parameters)));
+        let best = null;
+        let bestRatio = -Infinity;
+
+        for (let i = 0; i < this.candidates; i++) {
+            const candidate = {};
+            let ratio = 0;
+
+            this.parameters.forEach(param => {
+                const goodValues = good.map(set => set[param.name]);
+                const badValues = bad.map(set => set[param.name]);
+                const sigma = this.bandwidth(param, results.length);
+                const value = this.sampleDimension(param, goodValues, sigma);
+
+                candidate[param.name] = value;
+                ratio += Math.log(this.density(param, goodValues, value, sigma)) -
+                    Math.log(this.density(param, badValues, value, sigma));
+            });
+
+            // Re-testing a known set teaches the model nothing
+            if (tested.has(JSON.stringify(candidate))) ratio = -Infinity;
+
+            if (!best || ratio > bestRatio) {
+                best = candidate;
+                bestRatio = ratio;
+            }
+        }
+
+        return best;
+    }
+
+    sampleRandom() {
+        const parameterSet = {};
+        this.parameters.forEach(param => {
+            parameterSet[param.name] = this.sampleDimension(param, []);
+        });
+        return parameterSet;
+    }
+
+    /**
+     * Draw from the Parzen mixture of `observed` values plus a uniform prior
+     */
+    sampleDimension(param, observed, sigma = 0) {
+        const categories = this.getCategories(param);
+        if (categories) {
+            const weights = this.categoryWeights(categories, observed);
+            let threshold = this.random();
+            for (let i = 0; i < categories.length; i++) {
+                threshold -= weights[i];
+                if (threshold <= 0) return categories[i];
+            }
+            return categories[categories.length - 1];
+        }
+
+        if (!this.isNumeric(param)) {
+            return param.current;
+        }
+
+        const component = Math.floor(this.random() * (observed.length + 1));
+        let value;
+        if (component === observed.length) {
+            value = param.min + this.random() * (param.max - param.min);
+        } else {
+            value = observed[component] + this.gaussian() * sigma;
+        }
+
+        return this.snap(param, value);
+    }
+
+    /**
+     * Likelihood of `value` under the Parzen mixture of `observed`
+     */
+    density(param, observed, value, sigma) {
+        const categories = this.getCategories(param);
+        if (categories) {
+            const index = categories.findIndex(category => category === value);
+            return index === -1 ? 1e-12 : this.categoryWeights(categories, observed)[index];
+        }
+
+        if (!this.isNumeric(param)) {
+            return 1;
+        }
+
+        const range = Math.max(param.max - param.min, Number.EPSILON);
+        let total = 1 / range;
+
+        observed.forEach(center => {
+            const z = (value - center) / sigma;
+            total += Math.exp(-0.5 * z * z) / (sigma * Math.sqrt(2 * Math.PI));
+        });
+
+        return total / (observed.length + 1);
+    }
+
+    /**
+     * Category frequencies with one pseudo-count each, so unseen choices stay reachable
+     */
+    categoryWeights(categories, observed) {
+        const counts = categories.map(category => 1 + observed.filter(value => value === category).length);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        return counts.map(count => count / total);
+    }
+
+    /**
+     * Kernel width shrinks as results accumulate (Scott's rule exponent)
+     */
+    bandwidth(param, count) {
+        const range = Math.max(param.max - param.min, Number.EPSILON);
+        return range * 0.25 * Math.pow(Math.max(1, count), -0.2);
+    }
+
+    snap(param, value) {
+        let snapped = Math.max(param.min, Math.min(param.max, value));
+
+        if (param.type === 'integer') {
+            const step = param.step || 1;
+            snapped = param.min + Math.round((snapped - param.min) / step) * step;
+            if (snapped > param.max) snapped -= step;
+        }
+
+        return snapped;
+    }
+
+    isNumeric(param) {
+        return (param.type === 'integer' || param.type === 'float') &&
+            Number.isFinite(param.min) && Number.isFinite(param.max);
+    }
+
+    getCategories(param) {
+        if (Array.isArray(param.options) && param.options.length > 0) return param.options;
+        if (param.type === 'boolean') return [true, false];
+        return null;
+    }
+
+    /**
+     * Standard normal draw (Box-Muller)
+     */
+    gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TreeParzenEstimator;
+}
@@ -0,0 +1,194 @@
+/**
+ * TradingHub.Mk Worker Pool
+ * Evaluates several parameter sets at once on background workers
+ *
+ * Every worker runs evaluation-worker.js with the same registered evaluator
+ * (by name, with structured-cloneable options). Tasks are queued and handed
+ * to the next idle worker; evaluate() resolves with the evaluator's
+ * { score, metrics }.
+ *
+ * Workers only see the cloneable part of the evaluation context:
+ * iteration, seed and dataRange.
+ */
+
+class EvaluationWorkerPool {
+    /**
+     * `createWorker` returns an object with postMessage(), onmessage, onerror
+     * and terminate(), i.e. a Web Worker or a NodeWorkerAdapter
+     */
+    constructor({ size = 4, createWorker, evaluator, evaluatorOptions = {} }) {
+        if (typeof createWorker !== 'function') {
+            throw new Error('Worker pool requires a createWorker function');
+        }
+
+        this.queue = [];
+        this.pending = new Map();
+        this.nextId = 1;
+        this.workers = [];
+        this.failure = null;
+
+        for (let i = 0; i < Math.max(1, size); i++) {
+            const slot = { worker: createWorker(), task: null };
+            slot.worker.onmessage = event => this.handleReply(slot, event.data);
+            slot.worker.onerror = error => this.handleCrash(slot, error);
+            slot.worker.postMessage({ type: 'init', evaluator, options: evaluatorOptions });
+            this.workers.push(slot);
+        }
+    }
+
+    get size() {
+        return this.workers.length;
+    }
+
+    evaluate(parameterSet, context = {}) {
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                id: this.nextId++,
+                parameterSet,
+                context: {
+                    iteration: context.iteration,
+                    seed: context.seed,
+                    dataRange: context.dataRange
+                },
+                resolve,
+                reject
+            });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        this.workers.forEach(slot => {
+            if (slot.task || this.queue.length === 0) return;
+
+            const task = this.queue.shift();
+            slot.task = task;
+            slot.worker.postMessage({
+                type: 'evaluate',
+                id: task.id,
+                parameterSet: task.parameterSet,
+                context: task.context
+            });
+        });
+    }
+
+    handleReply(slot, reply) {
+        const task = slot.task;
+        if (!task || reply.id !== task.id) return;
+
+        slot.task = null;
+        if (reply.error) {
+            task.reject(new Error(reply.error));
+        } else {
+            task.resolve(reply.evaluation);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * A crashed worker never replies again: it is dropped from the pool and
+     * its task rejected. Once no worker is left, queued and later tasks fail.
+     */
+    handleCrash(slot, error) {
+        const index = this.workers.indexOf(slot);
+        if (index === -1) return;
+
+        this.workers.splice(index, 1);
+        slot.worker.terminate();
+
+        const message = `Evaluation worker failed: ${error?.message || error}`;
+        if (slot.task) {
+            slot.task.reject(new Error(message));
+            slot.task = null;
+        }
+
+        if (this.workers.length === 0) {
+            this.failure = new Error(`${message} (no evaluation workers left)`);
+            this.queue.splice(0).forEach(task => task.reject(this.failure));
+            return;
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Reject queued tasks that have not started (running ones finish)
+     */
+    cancelPending() {
+        const cancelled = this.queue.splice(0);
+        cancelled.forEach(task => {
+            const error = new Error('Evaluation cancelled');
+            error.cancelled = true;
+            task.reject(error);
+        });
+    }
+
+    terminate() {
+        this.cancelPending();
+        this.workers.forEach(slot => {
+            if (slot.task) {
+                const error = new Error('Evaluation cancelled');
+                error.cancelled = true;
+                slot.task.reject(error);
+                slot.task = null;
+            }
+            slot.worker.terminate();
+        });
+        this.workers = [];
+    }
+
+    /**
+     * Whether a value survives postMessage (no functions or class instances with methods)
+     */
+    static isCloneable(value) {
+        if (typeof value === 'function' || typeof value === 'symbol') return false;
+        if (value === null || typeof value !== 'object') return true;
+        if (Array.isArray(value)) return value.every(item => EvaluationWorkerPool.isCloneable(item));
+
+        return Object.values(value).every(item => EvaluationWorkerPool.isCloneable(item));
+    }
+
+    /**
+     * Worker factory for Node (worker_threads); null in the browser, where
+     * the extension supplies a factory for its bundled worker script
+     */
+    static defaultWorkerFactory() {
+        if (typeof module === 'undefined' || !module.exports || typeof require !== 'function') {
+            return null;
+        }
+
+        const { Worker } = require('worker_threads');
+        const script = require('path').join(__dirname, 'evaluation-worker.js');
+        return () => new NodeWorkerAdapter(new Worker(script));
+    }
+}
+
+/**
+ * Gives a worker_threads Worker the Web Worker interface the pool expects
+ */
+class NodeWorkerAdapter {
+    constructor(worker) {
+        this.worker = worker;
+        this.onmessage = null;
+        this.onerror = null;
+
+        worker.on('message', data => this.onmessage?.({ data }));
+        worker.on('error', error => this.onerror?.(error));
+    }
+
+    postMessage(message) {
+        this.worker.postMessage(message);
+    }
+
+    terminate() {
+        return this.worker.terminate();
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EvaluationWorkerPool, NodeWorkerAdapter };
+}